@@ -8,9 +8,18 @@ import Jobs from "./pages/Jobs.jsx";
 import JobDetail from "./pages/JobDetail.jsx";
 import Candidates from "./pages/Candidates.jsx";
 import CandidateDetail from "./pages/CandidateDetail.jsx";
+import CandidateImport from "./pages/CandidateImport.jsx";
+import CandidateDuplicates from "./pages/CandidateDuplicates.jsx";
 import Assessments from "./pages/Assessments.jsx";
+import Trash from "./pages/Trash.jsx";
+import Backup from "./pages/Backup.jsx";
+import Pipelines from "./pages/Pipelines.jsx";
+import Rejections from "./pages/Rejections.jsx";
+import Interviews from "./pages/Interviews.jsx";
 import NotFound from "./pages/NotFound.jsx";
+import { NetworkPanel } from "./components/dev/NetworkPanel.jsx";
 import { ToastProvider } from "@/hooks/use-toast";
+import { useCrossTabSync } from "@/hooks/useCrossTabSync";
 import './test.css'; // Import test CSS
 
 const queryClient = new QueryClient();
@@ -25,20 +34,35 @@ const ToastNotifications = () => {
   );
 };
 
+// Refreshes cached queries when another tab writes to the database
+const CrossTabSync = () => {
+  useCrossTabSync();
+  return null;
+};
+
 const App = () => (
   <QueryClientProvider client={queryClient}>
+    <CrossTabSync />
     <TooltipProvider>
       <ToastProvider>
         <BrowserRouter>
           <ToastNotifications />
+          {process.env.NODE_ENV === 'development' && <NetworkPanel />}
           <Routes>
             <Route path="/" element={<Navigate to="/jobs" replace />} />
             <Route element={<AppLayout />}>
               <Route path="/jobs" element={<Jobs />} />
               <Route path="/jobs/:jobId" element={<JobDetail />} />
               <Route path="/candidates" element={<Candidates />} />
+              <Route path="/candidates/import" element={<CandidateImport />} />
+              <Route path="/candidates/duplicates" element={<CandidateDuplicates />} />
               <Route path="/candidates/:id" element={<CandidateDetail />} />
               <Route path="/assessments" element={<Assessments />} />
+              <Route path="/interviews" element={<Interviews />} />
+              <Route path="/pipelines" element={<Pipelines />} />
+              <Route path="/rejections" element={<Rejections />} />
+              <Route path="/trash" element={<Trash />} />
+              <Route path="/backup" element={<Backup />} />
               {/*<Route path="/test" element={<TestComponent />} />*/}
             </Route>
             <Route path="*" element={<NotFound />} />
@@ -8,6 +8,7 @@ import { Label } from "@/components/ui/label";
 import { Button } from "@/components/ui/button";
 import { Badge } from "@/components/ui/badge";
 import { Upload, FileText, Hash, CheckSquare, Square } from "lucide-react";
+import { ATTACHMENT_ACCEPT, MAX_ATTACHMENT_BYTES, attachmentProblem, formatBytes } from "@/lib/attachments";
 
 /**
  * AssessmentPreview Component
@@ -21,6 +22,7 @@ import { Upload, FileText, Hash, CheckSquare, Square } from "lucide-react";
  */
 export const AssessmentPreview = ({ title = "", description = "", sections = [] }) => {
   const [answers, setAnswers] = useState({});
+  const [fileErrors, setFileErrors] = useState({});
 
   /**
    * Updates the answer for a specific question.
@@ -35,6 +37,22 @@ export const AssessmentPreview = ({ title = "", description = "", sections = []
     }));
   };
 
+  /**
+   * Records the file chosen for a file-upload question, checked against the
+   * attachment limits. Only its name, size and type are kept, since the
+   * preview submits nothing.
+   *
+   * @param {string} questionId - The ID of the question.
+   * @param {Event} event - Change event of the file input.
+   */
+  const handleFile = (questionId, event) => {
+    const file = event.target.files?.[0];
+    if (!file) return;
+    const problem = attachmentProblem(file);
+    setFileErrors((prev) => ({ ...prev, [questionId]: problem?.message }));
+    updateAnswer(questionId, problem ? undefined : { name: file.name, size: file.size, type: file.type });
+  };
+
   /**
    * Checks if a question should be displayed based on conditional logic.
    * 
@@ -203,16 +221,33 @@ export const AssessmentPreview = ({ title = "", description = "", sections = []
           </div>
         )}
 
-        {/* File Upload Placeholder */}
+        {/* File Upload */}
         {question.type === "file-upload" && (
-          <div className="border-2 border-dashed border-muted-foreground/50 rounded-lg p-8 text-center hover:border-primary hover:bg-primary/5 transition-colors cursor-pointer group">
-            <Upload className="h-10 w-10 mx-auto mb-3 text-muted-foreground group-hover:text-primary transition-colors" />
-            <p className="text-sm font-medium text-muted-foreground group-hover:text-primary">
-              Click to upload or drag and drop
-            </p>
-            <p className="text-xs text-muted-foreground mt-1">
-              (File upload is a placeholder in preview mode)
-            </p>
+          <div className="space-y-2">
+            <label
+              className={`block border-2 border-dashed rounded-lg p-8 text-center hover:border-primary hover:bg-primary/5 transition-colors cursor-pointer group ${
+                invalid ? "border-destructive" : "border-muted-foreground/50"
+              }`}
+            >
+              <input
+                type="file"
+                accept={ATTACHMENT_ACCEPT}
+                className="sr-only"
+                onChange={(e) => handleFile(question.id, e)}
+              />
+              <Upload className="h-10 w-10 mx-auto mb-3 text-muted-foreground group-hover:text-primary transition-colors" />
+              <p className="text-sm font-medium text-muted-foreground group-hover:text-primary">
+                {answers[question.id]?.name || "Click to choose a file"}
+              </p>
+              <p className="text-xs text-muted-foreground mt-1">
+                {answers[question.id]
+                  ? formatBytes(answers[question.id].size)
+                  : `PDF, Word, image, text or zip, up to ${formatBytes(MAX_ATTACHMENT_BYTES)}`}
+              </p>
+            </label>
+            {fileErrors[question.id] && (
+              <p className="text-xs text-destructive font-medium">{fileErrors[question.id]}</p>
+            )}
           </div>
         )}
 
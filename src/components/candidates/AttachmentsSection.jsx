@@ -0,0 +1,326 @@
+import { useEffect, useRef, useState } from 'react';
+import { useMutation, useQuery, useQueryClient } from '@tanstack/react-query';
+import { Download, Eye, FileText, Image, Loader2, Paperclip, ScanText, Trash2, Upload } from 'lucide-react';
+import { Card, CardContent, CardHeader, CardTitle } from '@/components/ui/card';
+import { Button } from '@/components/ui/button';
+import { Badge } from '@/components/ui/badge';
+import { Input } from '@/components/ui/input';
+import { Progress } from '@/components/ui/progress';
+import { Dialog, DialogContent, DialogDescription, DialogHeader, DialogTitle } from '@/components/ui/dialog';
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from '@/components/ui/select';
+import { useToast } from '@/hooks/use-toast';
+import { apiBlob, apiRequest } from '@/lib/api';
+import { downloadBlob } from '@/lib/download';
+import { cn } from '@/lib/utils';
+import { documentFormat } from '@/lib/document-text';
+import { ResumeReviewDialog } from '@/components/candidates/ResumeReviewDialog';
+import {
+  ATTACHMENT_ACCEPT,
+  ATTACHMENT_KINDS,
+  attachmentProblem,
+  attachmentUsage,
+  formatBytes,
+  listAttachments,
+  previewKind,
+} from '@/lib/attachments';
+
+// Remembers who last uploaded a file in this browser
+const UPLOADED_BY_KEY = 'talentflow:uploaded-by';
+
+const readUploadedBy = () => {
+  try {
+    return localStorage.getItem(UPLOADED_BY_KEY) || '';
+  } catch {
+    return '';
+  }
+};
+
+const fileUrl = (attachment) => `/candidates/${attachment.candidateId}/attachments/${attachment.id}`;
+
+// Resumes whose text can be read to fill in the profile
+const isReadableResume = (attachment) => attachment.kind === 'resume' && !!documentFormat(attachment);
+
+/**
+ * Shows a PDF, image or text attachment inline.
+ *
+ * @param {object|null} attachment - Attachment metadata, or null when closed.
+ * @param {function} onClose - Called when the viewer is closed.
+ */
+const AttachmentViewer = ({ attachment, onClose }) => {
+  const [content, setContent] = useState(null); // { url } or { text }
+  const [error, setError] = useState(null);
+  const kind = attachment ? previewKind(attachment.type) : null;
+
+  useEffect(() => {
+    if (!attachment) return undefined;
+    let url = null;
+    let cancelled = false;
+    setContent(null);
+    setError(null);
+    apiBlob(fileUrl(attachment))
+      .then(async (blob) => {
+        if (cancelled) return;
+        if (previewKind(attachment.type) === 'text') {
+          const text = await blob.text();
+          if (!cancelled) setContent({ text });
+        } else {
+          url = URL.createObjectURL(blob);
+          setContent({ url });
+        }
+      })
+      .catch((err) => !cancelled && setError(err.message));
+    return () => {
+      cancelled = true;
+      if (url) URL.revokeObjectURL(url);
+    };
+  }, [attachment]);
+
+  return (
+    <Dialog open={!!attachment} onOpenChange={(isOpen) => !isOpen && onClose()}>
+      <DialogContent className="max-w-4xl">
+        <DialogHeader>
+          <DialogTitle className="truncate pr-6">{attachment?.name}</DialogTitle>
+          <DialogDescription>
+            {attachment && `${ATTACHMENT_KINDS[attachment.kind] || 'Attachment'} · ${formatBytes(attachment.size)}`}
+          </DialogDescription>
+        </DialogHeader>
+        <div className="flex h-[70vh] items-center justify-center overflow-auto rounded-md border bg-muted/30">
+          {error ? (
+            <p className="text-sm text-destructive">{error}</p>
+          ) : !content ? (
+            <Loader2 className="h-6 w-6 animate-spin text-muted-foreground" />
+          ) : kind === 'pdf' ? (
+            <iframe src={content.url} title={attachment.name} className="h-full w-full" />
+          ) : kind === 'image' ? (
+            <img src={content.url} alt={attachment.name} className="max-h-full max-w-full object-contain" />
+          ) : (
+            <pre className="h-full w-full whitespace-pre-wrap p-4 text-sm">{content.text}</pre>
+          )}
+        </div>
+      </DialogContent>
+    </Dialog>
+  );
+};
+
+/**
+ * AttachmentsSection Component
+ *
+ * Lists a candidate's resumes, cover letters, portfolios and other files, and
+ * uploads (by picking or dropping a file), previews, downloads and removes
+ * them through the attachments API. Shows how much of the attachment storage
+ * quota is used. A PDF, DOCX or text resume opens `ResumeReviewDialog` once
+ * uploaded, to fill in the profile from it.
+ *
+ * @param {object} candidate - The candidate whose files are shown.
+ */
+export const AttachmentsSection = ({ candidate }) => {
+  const candidateId = candidate.id;
+  const [kind, setKind] = useState('resume');
+  const [uploadedBy, setUploadedBy] = useState(readUploadedBy);
+  const [viewing, setViewing] = useState(null);
+  const [reviewing, setReviewing] = useState(null);
+  const [isDragging, setIsDragging] = useState(false);
+  const fileInputRef = useRef(null);
+  const queryClient = useQueryClient();
+  const { toast } = useToast();
+
+  const { data: attachments = [], isLoading } = useQuery({
+    queryKey: ['attachments', candidateId],
+    queryFn: () => listAttachments(candidateId),
+  });
+
+  const { data: usage } = useQuery({
+    queryKey: ['attachment-usage'],
+    queryFn: attachmentUsage,
+  });
+
+  const invalidate = () => {
+    queryClient.invalidateQueries({ queryKey: ['attachments', candidateId] });
+    queryClient.invalidateQueries({ queryKey: ['attachment-usage'] });
+    queryClient.invalidateQueries({ queryKey: ['timeline', candidateId] });
+  };
+
+  const upload = useMutation({
+    mutationFn: (file) => {
+      const form = new FormData();
+      form.append('file', file);
+      form.append('kind', kind);
+      form.append('uploadedBy', uploadedBy.trim());
+      return apiRequest(`/candidates/${candidateId}/attachments`, { method: 'POST', body: form });
+    },
+    onSuccess: ({ data }) => {
+      toast({ title: 'File attached', description: `${data.name} was added as ${ATTACHMENT_KINDS[data.kind].toLowerCase()}.` });
+      if (isReadableResume(data)) setReviewing(data);
+    },
+    onError: (error) => {
+      toast({ title: 'Failed to attach file', description: error.message, variant: 'destructive' });
+    },
+    onSettled: invalidate,
+  });
+
+  const remove = useMutation({
+    mutationFn: (attachment) => apiRequest(fileUrl(attachment), { method: 'DELETE' }),
+    onSuccess: ({ data }) => {
+      toast({ title: 'Attachment removed', description: `${data.name} was removed.` });
+    },
+    onError: (error) => {
+      toast({ title: 'Failed to remove attachment', description: error.message, variant: 'destructive' });
+    },
+    onSettled: invalidate,
+  });
+
+  const uploadFile = (file) => {
+    if (!uploadedBy.trim()) {
+      toast({ title: 'Failed to attach file', description: 'Enter your name before uploading.', variant: 'destructive' });
+      return;
+    }
+    // Checked here too so large files are refused before being read
+    const problem = attachmentProblem(file);
+    if (problem) {
+      toast({ title: 'Failed to attach file', description: problem.message, variant: 'destructive' });
+      return;
+    }
+    try {
+      localStorage.setItem(UPLOADED_BY_KEY, uploadedBy.trim());
+    } catch {
+      // Storage may be unavailable; the name is just not remembered
+    }
+    upload.mutate(file);
+  };
+
+  const handleFileChosen = (event) => {
+    const file = event.target.files?.[0];
+    event.target.value = '';
+    if (file) uploadFile(file);
+  };
+
+  const handleDrop = (event) => {
+    event.preventDefault();
+    setIsDragging(false);
+    const file = event.dataTransfer.files?.[0];
+    if (file && !upload.isPending) uploadFile(file);
+  };
+
+  const handleDownload = async (attachment) => {
+    try {
+      downloadBlob(await apiBlob(fileUrl(attachment)), attachment.name);
+    } catch (error) {
+      toast({ title: 'Download failed', description: error.message, variant: 'destructive' });
+    }
+  };
+
+  return (
+    <Card
+      className={cn('shadow-sm border-gray-200 transition-colors', isDragging && 'border-blue-400 bg-blue-50/50')}
+      onDragOver={(e) => {
+        e.preventDefault();
+        setIsDragging(true);
+      }}
+      onDragLeave={(e) => !e.currentTarget.contains(e.relatedTarget) && setIsDragging(false)}
+      onDrop={handleDrop}
+    >
+      <CardHeader>
+        <CardTitle className="flex items-center gap-2 text-xl">
+          <Paperclip className="h-5 w-5 text-blue-600" />
+          Attachments
+        </CardTitle>
+      </CardHeader>
+      <CardContent className="space-y-4">
+        <div className="flex flex-col gap-2 sm:flex-row">
+          <Select value={kind} onValueChange={setKind}>
+            <SelectTrigger className="sm:w-40" aria-label="Attachment type">
+              <SelectValue />
+            </SelectTrigger>
+            <SelectContent>
+              {Object.entries(ATTACHMENT_KINDS).map(([value, label]) => (
+                <SelectItem key={value} value={value}>
+                  {label}
+                </SelectItem>
+              ))}
+            </SelectContent>
+          </Select>
+          <Input
+            value={uploadedBy}
+            onChange={(e) => setUploadedBy(e.target.value)}
+            placeholder="Uploaded by"
+            aria-label="Uploaded by"
+            className="sm:flex-1"
+          />
+          <input ref={fileInputRef} type="file" accept={ATTACHMENT_ACCEPT} onChange={handleFileChosen} className="hidden" />
+          <Button
+            onClick={() => fileInputRef.current?.click()}
+            disabled={upload.isPending || !uploadedBy.trim()}
+            title={uploadedBy.trim() ? undefined : 'Enter your name first'}
+          >
+            {upload.isPending ? <Loader2 className="h-4 w-4 mr-2 animate-spin" /> : <Upload className="h-4 w-4 mr-2" />}
+            Upload
+          </Button>
+        </div>
+
+        {isLoading ? (
+          <div className="flex justify-center py-4">
+            <Loader2 className="h-5 w-5 animate-spin text-muted-foreground" />
+          </div>
+        ) : attachments.length === 0 ? (
+          <p className="text-sm text-gray-500">No files attached yet. Drop a file here to upload it.</p>
+        ) : (
+          <ul className="divide-y rounded-md border">
+            {attachments.map((attachment) => {
+              const FileIcon = previewKind(attachment.type) === 'image' ? Image : FileText;
+              return (
+                <li key={attachment.id} className="flex items-center gap-3 p-3">
+                  <FileIcon className="h-5 w-5 shrink-0 text-gray-400" />
+                  <div className="min-w-0 flex-1">
+                    <div className="flex items-center gap-2">
+                      <span className="truncate font-medium text-gray-900">{attachment.name}</span>
+                      <Badge variant="secondary">{ATTACHMENT_KINDS[attachment.kind] || 'Other'}</Badge>
+                    </div>
+                    <p className="text-xs text-gray-500">
+                      {formatBytes(attachment.size)} · {attachment.uploadedBy} ·{' '}
+                      {new Date(attachment.createdAt).toLocaleDateString()}
+                    </p>
+                  </div>
+                  {isReadableResume(attachment) && (
+                    <Button variant="ghost" size="sm" onClick={() => setReviewing(attachment)} title="Fill in profile from resume">
+                      <ScanText className="h-4 w-4" />
+                    </Button>
+                  )}
+                  {previewKind(attachment.type) && (
+                    <Button variant="ghost" size="sm" onClick={() => setViewing(attachment)} title="Preview">
+                      <Eye className="h-4 w-4" />
+                    </Button>
+                  )}
+                  <Button variant="ghost" size="sm" onClick={() => handleDownload(attachment)} title="Download">
+                    <Download className="h-4 w-4" />
+                  </Button>
+                  <Button
+                    variant="ghost"
+                    size="sm"
+                    onClick={() => remove.mutate(attachment)}
+                    disabled={remove.isPending}
+                    title="Remove"
+                    className="text-red-600 hover:text-red-700"
+                  >
+                    <Trash2 className="h-4 w-4" />
+                  </Button>
+                </li>
+              );
+            })}
+          </ul>
+        )}
+
+        {usage && (
+          <div className="space-y-1">
+            <Progress value={Math.min(100, (usage.used / usage.limit) * 100)} className="h-2" />
+            <p className="text-xs text-gray-500">
+              {formatBytes(usage.used)} of {formatBytes(usage.limit)} attachment storage used
+            </p>
+          </div>
+        )}
+      </CardContent>
+
+      <AttachmentViewer attachment={viewing} onClose={() => setViewing(null)} />
+      <ResumeReviewDialog candidate={candidate} attachment={reviewing} onClose={() => setReviewing(null)} />
+    </Card>
+  );
+};
@@ -0,0 +1,184 @@
+import React, { useState } from 'react';
+import { Briefcase, Download, Loader2, Tag, Trash2, X, XCircle, ArrowRightLeft } from 'lucide-react';
+import { Button } from '@/components/ui/button';
+import { Input } from '@/components/ui/input';
+import { Label } from '@/components/ui/label';
+import {
+  Dialog,
+  DialogContent,
+  DialogDescription,
+  DialogFooter,
+  DialogHeader,
+  DialogTitle,
+} from '@/components/ui/dialog';
+import {
+  AlertDialog,
+  AlertDialogAction,
+  AlertDialogCancel,
+  AlertDialogContent,
+  AlertDialogDescription,
+  AlertDialogFooter,
+  AlertDialogHeader,
+  AlertDialogTitle,
+} from '@/components/ui/alert-dialog';
+import {
+  Select,
+  SelectContent,
+  SelectItem,
+  SelectTrigger,
+  SelectValue,
+} from '@/components/ui/select';
+import { RejectionReasonDialog } from './RejectionReasonDialog';
+
+const pluralize = (count) => (count === 1 ? '1 candidate' : `${count} candidates`);
+
+/**
+ * BulkActionsBar Component
+ *
+ * Actions for the candidates selected in the list: move to a stage, assign to
+ * a job, add tags, reject with a reason, export and delete. The caller opens
+ * the export dialog for 'export' and sends every other action as one
+ * `POST /api/candidates/bulk` request.
+ *
+ * @param {number} count - Number of selected candidates.
+ * @param {Array} stages - Stages candidates can be moved to.
+ * @param {Array} jobs - Jobs candidates can be assigned to.
+ * @param {boolean} isPending - An action is running.
+ * @param {function} onAction - Called with `(action, params)`, see `BULK_ACTIONS` in the API.
+ * @param {function} onClear - Clears the selection.
+ */
+export const BulkActionsBar = ({ count, stages = [], jobs = [], isPending = false, onAction, onClear }) => {
+  const [dialog, setDialog] = useState(null);
+  const [tags, setTags] = useState('');
+
+  const close = () => setDialog(null);
+
+  const handleAddTags = (event) => {
+    event.preventDefault();
+    const list = tags.split(',').map((tag) => tag.trim()).filter(Boolean);
+    if (!list.length) return;
+    onAction('addTags', { tags: list });
+    setTags('');
+    close();
+  };
+
+  return (
+    <div className="sticky top-0 z-20 flex flex-wrap items-center gap-3 rounded-xl border bg-primary/5 px-4 py-3 shadow-sm">
+      <span className="text-sm font-medium">{pluralize(count)} selected</span>
+      <Button variant="ghost" size="sm" onClick={onClear} disabled={isPending}>
+        <X className="h-4 w-4 mr-1" />
+        Clear
+      </Button>
+      {isPending && <Loader2 className="h-4 w-4 animate-spin text-muted-foreground" />}
+
+      <div className="ml-auto flex flex-wrap items-center gap-2">
+        <Select value="" onValueChange={(stage) => onAction('move', { stage })} disabled={isPending}>
+          <SelectTrigger className="h-9 w-[170px]" aria-label="Move selected candidates to a stage">
+            <ArrowRightLeft className="h-4 w-4 mr-2" />
+            <SelectValue placeholder="Move to stage" />
+          </SelectTrigger>
+          <SelectContent>
+            {stages.filter((stage) => !stage.rejection).map((stage) => (
+              <SelectItem key={stage.id} value={stage.id}>
+                {stage.name}
+              </SelectItem>
+            ))}
+          </SelectContent>
+        </Select>
+
+        <Select value="" onValueChange={(jobId) => onAction('assignJob', { jobId })} disabled={isPending}>
+          <SelectTrigger className="h-9 w-[170px]" aria-label="Assign selected candidates to a job">
+            <Briefcase className="h-4 w-4 mr-2" />
+            <SelectValue placeholder="Assign to job" />
+          </SelectTrigger>
+          <SelectContent>
+            {jobs.map((job) => (
+              <SelectItem key={job.id} value={job.id}>
+                {job.title}
+              </SelectItem>
+            ))}
+          </SelectContent>
+        </Select>
+
+        <Button variant="outline" size="sm" onClick={() => setDialog('tags')} disabled={isPending}>
+          <Tag className="h-4 w-4 mr-2" />
+          Add tags
+        </Button>
+        <Button variant="outline" size="sm" onClick={() => setDialog('reject')} disabled={isPending}>
+          <XCircle className="h-4 w-4 mr-2" />
+          Reject
+        </Button>
+        <Button variant="outline" size="sm" onClick={() => onAction('export')} disabled={isPending}>
+          <Download className="h-4 w-4 mr-2" />
+          Export
+        </Button>
+        <Button variant="destructive" size="sm" onClick={() => setDialog('delete')} disabled={isPending}>
+          <Trash2 className="h-4 w-4 mr-2" />
+          Delete
+        </Button>
+      </div>
+
+      <Dialog open={dialog === 'tags'} onOpenChange={(isOpen) => !isOpen && close()}>
+        <DialogContent className="max-w-md">
+          <form onSubmit={handleAddTags}>
+            <DialogHeader>
+              <DialogTitle>Add tags to {pluralize(count)}</DialogTitle>
+              <DialogDescription>Tags are added to each candidate; existing tags are kept.</DialogDescription>
+            </DialogHeader>
+            <div className="space-y-2 py-4">
+              <Label htmlFor="bulk-tags">Tags</Label>
+              <Input
+                id="bulk-tags"
+                value={tags}
+                onChange={(e) => setTags(e.target.value)}
+                placeholder="e.g. referral, relocation"
+                autoFocus
+              />
+              <p className="text-xs text-muted-foreground">Separate tags with commas.</p>
+            </div>
+            <DialogFooter>
+              <Button type="button" variant="outline" onClick={close}>
+                Cancel
+              </Button>
+              <Button type="submit" disabled={!tags.trim()}>
+                Add tags
+              </Button>
+            </DialogFooter>
+          </form>
+        </DialogContent>
+      </Dialog>
+
+      {/* Each candidate goes to the rejection stage of its own job's pipeline */}
+      <RejectionReasonDialog
+        move={dialog === 'reject' ? { candidate: { name: pluralize(count) }, stage: { name: 'rejection' } } : null}
+        onConfirm={(rejection) => {
+          onAction('reject', { rejection });
+          close();
+        }}
+        onCancel={close}
+      />
+
+      <AlertDialog open={dialog === 'delete'} onOpenChange={(isOpen) => !isOpen && close()}>
+        <AlertDialogContent>
+          <AlertDialogHeader>
+            <AlertDialogTitle>Delete {pluralize(count)}?</AlertDialogTitle>
+            <AlertDialogDescription>
+              The candidates are moved to the trash and can be restored from there for 30 days.
+            </AlertDialogDescription>
+          </AlertDialogHeader>
+          <AlertDialogFooter>
+            <AlertDialogCancel>Cancel</AlertDialogCancel>
+            <AlertDialogAction
+              onClick={() => {
+                onAction('delete');
+                close();
+              }}
+            >
+              Delete
+            </AlertDialogAction>
+          </AlertDialogFooter>
+        </AlertDialogContent>
+      </AlertDialog>
+    </div>
+  );
+};
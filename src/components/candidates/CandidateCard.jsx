@@ -1,80 +1,180 @@
 import React from "react";
-import { useSortable } from "@dnd-kit/sortable";
-import { CSS } from "@dnd-kit/utilities";
 import { Avatar, AvatarFallback, AvatarImage } from "@/components/ui/avatar";
 import { Badge } from "@/components/ui/badge";
 import { cn } from "@/lib/utils";
-import { Briefcase, Clock } from "lucide-react";
+import { stageColors } from "@/lib/pipelines";
+import { daysInStage, isStale } from "@/lib/stage-limits";
+import { Briefcase, Clock, Mail, MapPin, Phone, Calendar, Hourglass } from "lucide-react";
+import { MatchBadge } from "./MatchScore";
 
-/**
- * CandidateCard Component
- * 
- * A draggable card component representing a candidate in a list.
- * Uses @dnd-kit for drag-and-drop functionality.
- * Displays candidate avatar, name, role, and experience.
- * 
- * @param {object} candidate - The candidate object containing id, name, avatar, currentRole, experience.
- * @param {function} onClick - Callback function when the card is clicked.
- */
-export const CandidateCard = ({ candidate, onClick }) => {
-  const {
-    attributes,
-    listeners,
-    setNodeRef,
-    transform,
-    transition,
-    isDragging,
-  } = useSortable({ id: candidate.id });
+const getInitials = (name = "") =>
+  name
+    .split(" ")
+    .map((n) => n[0])
+    .join("")
+    .toUpperCase();
 
-  const style = {
-    transform: CSS.Transform.toString(transform),
-    transition,
-    opacity: isDragging ? 0.5 : 1,
-    zIndex: isDragging ? 10 : "auto",
-  };
+const formatExperience = (years) => (years === 1 ? "1 year" : `${years} years`);
 
+// Time in the current stage; amber once it passes the stage's SLA
+const StageAge = ({ candidate, stage, compact = false }) => {
+  const days = daysInStage(candidate);
+  if (days === null || stage?.terminal) return null;
+  const stale = isStale(candidate, stage);
   return (
-    <div
-      ref={setNodeRef}
-      style={style}
+    <span
       className={cn(
-        "bg-gradient-to-br from-white to-gray-50 rounded-xl border border-gray-200 p-4 shadow-sm hover:shadow-lg transition-all duration-200 cursor-pointer group",
-        isDragging && "shadow-2xl rotate-2 scale-105"
+        "inline-flex items-center gap-1 text-xs whitespace-nowrap",
+        stale ? "font-medium text-amber-700" : "text-muted-foreground"
       )}
-      onClick={onClick}
-      {...attributes}
-      {...listeners}
+      title={stale ? `Over the ${stage.slaDays}-day SLA for ${stage.name}` : undefined}
     >
-      <div className="flex items-center space-x-3">
-        {/* Avatar */}
-        <Avatar className="h-10 w-10 border-2 border-primary/20 group-hover:border-primary transition-colors">
-          <AvatarImage src={candidate.avatar} alt={candidate.name} />
-          <AvatarFallback className="text-xs font-semibold bg-primary/10 text-primary">
-            {candidate?.name
-              ?.split(" ")
-              .map((n) => n[0])
-              .join("")
-              .toUpperCase()}
-          </AvatarFallback>
-        </Avatar>
+      <Hourglass className="h-3 w-3" />
+      {compact ? `${days}d` : `${days}d in stage`}
+    </span>
+  );
+};
+
+/**
+ * CandidateCard Component
+ *
+ * The full kanban card: contact details, experience, location, skills,
+ * applied date, time in the current stage and the job match score. Cards
+ * past their stage's SLA are highlighted. Cards are plain renderers; the
+ * board makes them draggable.
+ *
+ * @param {object} candidate - The candidate to show.
+ * @param {object} stage - The candidate's stage definition, for the accent color.
+ * @param {boolean} isDragging - Whether the card is being dragged.
+ */
+export const CandidateCard = ({ candidate, stage, isDragging = false }) => (
+  <div
+    className={cn(
+      "h-full p-4 overflow-hidden bg-background rounded-lg border shadow-sm hover:shadow-md transition-shadow cursor-grab active:cursor-grabbing",
+      stageColors(stage).accent,
+      isStale(candidate, stage) && "bg-amber-50 border-amber-300",
+      isDragging && "ring-2 ring-primary ring-offset-2 shadow-xl"
+    )}
+  >
+    <div className="flex items-center gap-3">
+      <Avatar className="h-9 w-9 flex-shrink-0">
+        <AvatarImage src={candidate.avatar} alt={candidate.name} />
+        <AvatarFallback className={cn("text-xs text-white font-semibold", stageColors(stage).dot)}>
+          {getInitials(candidate.name)}
+        </AvatarFallback>
+      </Avatar>
+      <div className="min-w-0 flex-1">
+        <p className="font-medium text-sm truncate">{candidate.name}</p>
+        <p className="text-xs text-muted-foreground truncate">{candidate.currentRole || candidate.position}</p>
+      </div>
+      <MatchBadge match={candidate.match} compact className="flex-shrink-0" />
+    </div>
 
-        {/* Candidate Details */}
-        <div className="flex-1 min-w-0 space-y-1">
-          <h4 className="font-semibold text-sm text-gray-900 truncate group-hover:text-primary transition-colors">
-            {candidate.name}
-          </h4>
-          <div className="flex items-center gap-1">
-            <Briefcase className="h-3 w-3 text-muted-foreground" />
-            <p className="text-xs text-muted-foreground truncate">{candidate.currentRole}</p>
-          </div>
+    <div className="mt-3 space-y-1 text-xs text-muted-foreground">
+      <div className="flex items-center min-w-0">
+        <Mail className="h-3 w-3 mr-1 flex-shrink-0" />
+        <span className="truncate">{candidate.email}</span>
+      </div>
+      {candidate.phone && (
+        <div className="flex items-center min-w-0">
+          <Phone className="h-3 w-3 mr-1 flex-shrink-0" />
+          <span className="truncate">{candidate.phone}</span>
         </div>
+      )}
+    </div>
 
-        {/* Experience Badge */}
-        <Badge variant="secondary" className="flex items-center gap-1 text-xs font-medium bg-blue-100 text-blue-700 hover:bg-blue-200 transition-colors">
-          <Clock className="h-3 w-3" />
-          {candidate.experience}y
+    <div className="mt-2 flex flex-wrap gap-1">
+      <Badge variant="outline" className="text-xs">
+        {formatExperience(candidate.experience || 0)}
+      </Badge>
+      {candidate.location && (
+        <Badge variant="outline" className="text-xs max-w-[160px] truncate">
+          <MapPin className="h-3 w-3 mr-1 flex-shrink-0" />
+          {candidate.location}
         </Badge>
+      )}
+    </div>
+
+    {candidate.skills?.length > 0 && (
+      <div className="mt-2 flex flex-wrap gap-1 max-h-6 overflow-hidden">
+        {candidate.skills.slice(0, 3).map((skill, i) => (
+          <Badge key={i} variant="secondary" className="text-xs">
+            {skill}
+          </Badge>
+        ))}
+        {candidate.skills.length > 3 && (
+          <Badge variant="outline" className="text-xs">
+            +{candidate.skills.length - 3} more
+          </Badge>
+        )}
       </div>
+    )}
+
+    <div className="mt-2 flex items-center justify-between gap-2">
+      {candidate.appliedDate && (
+        <span className="flex items-center gap-1 text-xs text-muted-foreground">
+          <Calendar className="h-3 w-3" />
+          Applied {new Date(candidate.appliedDate).toLocaleDateString()}
+        </span>
+      )}
+      <StageAge candidate={candidate} stage={stage} />
     </div>
-  );
+  </div>
+);
+
+/**
+ * CompactCandidateCard Component
+ *
+ * A one-line card with avatar, name, role, match score, experience and days in
+ * stage, for fitting many candidates on screen.
+ *
+ * @param {object} candidate - The candidate to show.
+ * @param {object} stage - The candidate's stage definition, for the accent color.
+ * @param {boolean} isDragging - Whether the card is being dragged.
+ */
+export const CompactCandidateCard = ({ candidate, stage, isDragging = false }) => (
+  <div
+    className={cn(
+      "h-full bg-gradient-to-br from-white to-gray-50 rounded-xl border border-gray-200 px-3 flex items-center shadow-sm hover:shadow-lg transition-shadow cursor-grab active:cursor-grabbing group",
+      stageColors(stage).accent,
+      isStale(candidate, stage) && "from-amber-50 to-amber-50 border-amber-300",
+      isDragging && "shadow-2xl ring-2 ring-primary/20"
+    )}
+  >
+    <div className="flex items-center space-x-3 w-full min-w-0">
+      <Avatar className="h-9 w-9 border-2 border-primary/20 group-hover:border-primary transition-colors">
+        <AvatarImage src={candidate.avatar} alt={candidate.name} />
+        <AvatarFallback className="text-xs font-semibold bg-primary/10 text-primary">
+          {getInitials(candidate.name)}
+        </AvatarFallback>
+      </Avatar>
+
+      <div className="flex-1 min-w-0 space-y-1">
+        <h4 className="font-semibold text-sm text-gray-900 truncate group-hover:text-primary transition-colors">
+          {candidate.name}
+        </h4>
+        <div className="flex items-center gap-1">
+          <Briefcase className="h-3 w-3 text-muted-foreground" />
+          <p className="text-xs text-muted-foreground truncate">{candidate.currentRole}</p>
+          <StageAge candidate={candidate} stage={stage} compact />
+        </div>
+      </div>
+
+      <MatchBadge match={candidate.match} compact className="flex-shrink-0" />
+      <Badge variant="secondary" className="flex items-center gap-1 text-xs font-medium bg-blue-100 text-blue-700">
+        <Clock className="h-3 w-3" />
+        {candidate.experience ?? 0}y
+      </Badge>
+    </div>
+  </div>
+);
+
+/**
+ * Card renderers the board can use. Every card of a renderer has the same
+ * height so columns can be virtualized; a custom renderer is any component
+ * taking `{ candidate, stage, isDragging }` plus the height it fills.
+ */
+export const CARD_RENDERERS = {
+  detailed: { label: "Detailed", component: CandidateCard, height: 208 },
+  compact: { label: "Compact", component: CompactCandidateCard, height: 68 },
 };
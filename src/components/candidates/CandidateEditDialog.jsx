@@ -0,0 +1,243 @@
+import React, { useEffect, useState } from 'react';
+import { useForm } from 'react-hook-form';
+import { zodResolver } from '@hookform/resolvers/zod';
+import { z } from 'zod';
+import { User, Mail, Phone, Briefcase, MapPin, Tag, Share2, UserCheck, CheckCircle, Loader2 } from 'lucide-react';
+import {
+  Dialog,
+  DialogContent,
+  DialogDescription,
+  DialogFooter,
+  DialogHeader,
+  DialogTitle,
+} from '@/components/ui/dialog';
+import {
+  Form,
+  FormControl,
+  FormField,
+  FormItem,
+  FormLabel,
+  FormMessage,
+} from '@/components/ui/form';
+import { Input } from '@/components/ui/input';
+import { Button } from '@/components/ui/button';
+import { useToast } from '@/hooks/use-toast';
+import { apiRequest } from '@/lib/api';
+import { diffFields, ifMatch } from '@/lib/concurrency';
+import { ConflictDialog } from '@/components/shared/ConflictDialog';
+
+// Validation schema
+const candidateSchema = z.object({
+  name: z.string().min(1, 'Name is required'),
+  email: z.string().min(1, 'Email is required').email('Enter a valid email address'),
+  phone: z.string().optional(),
+  currentRole: z.string().optional(),
+  location: z.string().optional(),
+  source: z.string().optional(),
+  owner: z.string().optional(),
+  skills: z.string().optional(),
+});
+
+// Fields compared when a save conflicts with someone else's edit
+const CANDIDATE_FIELD_LABELS = {
+  name: 'Full Name',
+  email: 'Email',
+  phone: 'Phone',
+  currentRole: 'Current Role',
+  location: 'Location',
+  source: 'Source',
+  owner: 'Owner',
+  skills: 'Skills',
+};
+
+const FIELD_ICONS = {
+  name: User,
+  email: Mail,
+  phone: Phone,
+  currentRole: Briefcase,
+  location: MapPin,
+  source: Share2,
+  owner: UserCheck,
+  skills: Tag,
+};
+
+const toFormValues = (candidate) => ({
+  name: candidate?.name || '',
+  email: candidate?.email || '',
+  phone: candidate?.phone || '',
+  currentRole: candidate?.currentRole || '',
+  location: candidate?.location || '',
+  source: candidate?.source || '',
+  owner: candidate?.owner || '',
+  skills: candidate?.skills ? candidate.skills.join(', ') : '',
+});
+
+/**
+ * CandidateEditDialog Component
+ *
+ * A modal dialog for editing a candidate's profile. Saves are conditional on
+ * the version that was loaded; if someone else saved in the meantime a
+ * ConflictDialog lets the user merge the two versions.
+ *
+ * @param {boolean} open - Whether the dialog is open.
+ * @param {function} onOpenChange - Callback to control dialog visibility.
+ * @param {object} candidate - The candidate to edit.
+ * @param {function} onSuccess - Callback after a successful save or discard.
+ */
+export const CandidateEditDialog = ({ open, onOpenChange, candidate, onSuccess }) => {
+  const { toast } = useToast();
+  const [isSubmitting, setIsSubmitting] = useState(false);
+  const [conflict, setConflict] = useState(null);
+  // The version the user started editing, so later refetches don't hide a conflict
+  const [base, setBase] = useState(candidate);
+
+  const form = useForm({
+    resolver: zodResolver(candidateSchema),
+    defaultValues: toFormValues(candidate),
+  });
+
+  useEffect(() => {
+    if (open) {
+      setBase(candidate);
+      form.reset(toFormValues(candidate));
+    }
+    // Only snapshot when the dialog opens
+  }, [open]);
+
+  const finishSave = (title, description) => {
+    toast({ title, description, variant: 'default' });
+    onOpenChange(false);
+    if (onSuccess) onSuccess();
+  };
+
+  /**
+   * PATCHes the candidate conditionally on `version`'s ETag. On 409 opens the
+   * conflict dialog and resolves to false.
+   */
+  const saveChanges = async (changes, version) => {
+    try {
+      await apiRequest(`/candidates/${candidate.id}`, {
+        method: 'PATCH',
+        body: changes,
+        headers: ifMatch(version),
+      });
+      return true;
+    } catch (error) {
+      if (error.status !== 409 || !error.details?.current) throw error;
+      const current = error.details.current;
+      setConflict({
+        current,
+        diffs: diffFields(Object.keys(CANDIDATE_FIELD_LABELS), version, { ...version, ...changes }, current),
+      });
+      return false;
+    }
+  };
+
+  const runSave = async (changes, version) => {
+    setIsSubmitting(true);
+    try {
+      if (await saveChanges(changes, version)) {
+        finishSave('Candidate updated', `${changes.name || candidate.name}'s profile has been saved.`);
+      }
+    } catch (error) {
+      toast({
+        title: 'Failed to update candidate',
+        description: error.message,
+        variant: 'destructive',
+      });
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  const onSubmit = (data) => {
+    const skills = data.skills
+      ? data.skills.split(',').map((s) => s.trim()).filter(Boolean)
+      : [];
+    return runSave({ ...data, skills }, base);
+  };
+
+  const handleResolveConflict = (patch) => {
+    const { current } = conflict;
+    setConflict(null);
+    if (!Object.keys(patch).length) {
+      finishSave('Candidate updated', 'The latest saved version already contains your changes.');
+      return;
+    }
+    runSave(patch, current);
+  };
+
+  const handleDiscardChanges = () => {
+    setConflict(null);
+    finishSave('Changes discarded', 'The candidate shows the latest saved version.');
+  };
+
+  return (
+    <Dialog open={open} onOpenChange={onOpenChange}>
+      <DialogContent className="max-w-2xl max-h-[90vh] overflow-y-auto">
+        <DialogHeader>
+          <DialogTitle className="flex items-center gap-2 text-2xl font-bold text-gray-900">
+            <User className="h-6 w-6 text-blue-600" />
+            Edit Candidate
+          </DialogTitle>
+          <DialogDescription>Update the candidate's profile details below.</DialogDescription>
+        </DialogHeader>
+        <Form {...form}>
+          <form onSubmit={form.handleSubmit(onSubmit)} className="space-y-6">
+            <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
+              {Object.entries(CANDIDATE_FIELD_LABELS).map(([name, label]) => {
+                const Icon = FIELD_ICONS[name];
+                return (
+                  <FormField
+                    key={name}
+                    control={form.control}
+                    name={name}
+                    render={({ field }) => (
+                      <FormItem className={name === 'skills' ? 'md:col-span-2' : undefined}>
+                        <FormLabel className="flex items-center gap-2 text-sm font-medium text-gray-700">
+                          <Icon className="h-4 w-4" />
+                          {name === 'skills' ? 'Skills (comma-separated)' : label}
+                        </FormLabel>
+                        <FormControl>
+                          <Input {...field} className="rounded-lg" />
+                        </FormControl>
+                        <FormMessage />
+                      </FormItem>
+                    )}
+                  />
+                );
+              })}
+            </div>
+            <DialogFooter className="pt-6 border-t border-gray-200">
+              <Button
+                type="button"
+                variant="outline"
+                onClick={() => onOpenChange(false)}
+                disabled={isSubmitting}
+              >
+                Cancel
+              </Button>
+              <Button type="submit" disabled={isSubmitting}>
+                {isSubmitting ? (
+                  <Loader2 className="h-4 w-4 animate-spin mr-2" />
+                ) : (
+                  <CheckCircle className="h-4 w-4 mr-2" />
+                )}
+                Save Changes
+              </Button>
+            </DialogFooter>
+          </form>
+        </Form>
+        <ConflictDialog
+          open={!!conflict}
+          onOpenChange={(isOpen) => !isOpen && setConflict(null)}
+          resource="candidate"
+          diffs={conflict?.diffs}
+          labels={CANDIDATE_FIELD_LABELS}
+          onResolve={handleResolveConflict}
+          onDiscard={handleDiscardChanges}
+        />
+      </DialogContent>
+    </Dialog>
+  );
+};
@@ -1,44 +1,45 @@
-import React, { useState, useEffect, useMemo } from "react";
+import React, { useState, useMemo, useEffect, useRef } from "react";
 import { useNavigate } from "react-router-dom";
-import { useQuery, useMutation, useQueryClient } from "@tanstack/react-query";
+import { useQuery, useInfiniteQuery, useMutation, useQueryClient, keepPreviousData } from "@tanstack/react-query";
+import { FixedSizeList } from "react-window";
 import { Input } from "@/components/ui/input";
 import { Badge } from "@/components/ui/badge";
 import { Button } from "@/components/ui/button";
+import { Checkbox } from "@/components/ui/checkbox";
 import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from "@/components/ui/select";
-import { Search, Filter, GripVertical, Briefcase, MapPin, Users, ChevronLeft, ChevronRight } from "lucide-react";
+import { Search, Filter, GripVertical, Briefcase, MapPin, Users, Loader2, Download, ArrowDown, ArrowUp, ArrowUpDown } from "lucide-react";
 import { cn } from "@/lib/utils";
-import { KanbanBoard } from "./KanbanBoard";
 import { DndContext, closestCorners, KeyboardSensor, PointerSensor, useSensor, useSensors, DragOverlay } from "@dnd-kit/core";
 import { arrayMove, SortableContext, sortableKeyboardCoordinates, useSortable, verticalListSortingStrategy } from "@dnd-kit/sortable";
 import { CSS } from "@dnd-kit/utilities";
 import { db } from "@/lib/db";
+import { queryCandidates } from "@/lib/candidate-query";
+import { isActive } from "@/lib/trash";
+import { usePipelineStages } from "@/hooks/usePipelines";
+import { findStage, stageColors } from "@/lib/pipelines";
+import { apiRequest } from "@/lib/api";
+import { CANDIDATE_COLUMNS, exportCandidates } from "@/lib/export";
 import { useToast } from "@/hooks/use-toast";
-
-const STAGE_COLORS = {
-  applied: "bg-blue-50 text-blue-800 border-blue-200 hover:bg-blue-100",
-  screen: "bg-purple-50 text-purple-800 border-purple-200 hover:bg-purple-100",
-  tech: "bg-amber-50 text-amber-800 border-amber-200 hover:bg-amber-100",
-  offer: "bg-green-50 text-green-800 border-green-200 hover:bg-green-100",
-  hired: "bg-emerald-50 text-emerald-800 border-emerald-200 hover:bg-emerald-100",
-  rejected: "bg-red-50 text-red-800 border-red-200 hover:bg-red-100",
-};
-
-const STAGE_ICONS = {
-  applied: "📄",
-  screen: "📞",
-  tech: "💻",
-  offer: "📝",
-  hired: "✅",
-  rejected: "❌",
-};
-
-const STAGE_LABELS = {
-  applied: "Applied",
-  screen: "Screening",
-  tech: "Technical",
-  offer: "Offer",
-  hired: "Hired",
-  rejected: "Rejected",
+import { BulkActionsBar } from "./BulkActionsBar";
+import { MatchBadge } from "./MatchScore";
+import { ExportDialog } from "@/components/shared/ExportDialog";
+
+// Candidates fetched from Dexie per scroll step, and the list's fixed geometry
+const PAGE_SIZE = 100;
+const ROW_HEIGHT = 76;
+const LIST_HEIGHT = 640;
+// Start loading the next page this many rows before the end is reached
+const LOAD_AHEAD = 20;
+// Twelve columns plus the match score
+const LIST_GRID = "grid grid-cols-[repeat(13,minmax(0,1fr))] gap-4";
+
+// Past tense of each bulk action, for the result toast
+const BULK_RESULTS = {
+  move: "moved",
+  assignJob: "assigned",
+  addTags: "tagged",
+  reject: "rejected",
+  delete: "deleted",
 };
 
 /**
@@ -48,10 +49,14 @@ const STAGE_LABELS = {
  * Supports drag-and-drop reordering.
  * 
  * @param {object} candidate - The candidate object.
+ * @param {object} stage - The candidate's stage definition.
  * @param {function} onClick - Callback when the row is clicked.
  * @param {boolean} isDragging - Whether the row is currently being dragged.
+ * @param {object} positionStyle - Absolute position assigned by the virtualized list.
+ * @param {boolean} isSelected - Whether the row is selected for bulk actions.
+ * @param {function} onSelect - Callback when the row's checkbox is clicked, with the click event.
  */
-const DraggableCandidateRow = ({ candidate, onClick, isDragging = false }) => {
+const DraggableCandidateRow = ({ candidate, stage, onClick, isDragging = false, positionStyle, isSelected = false, onSelect }) => {
   const {
     attributes,
     listeners,
@@ -61,6 +66,7 @@ const DraggableCandidateRow = ({ candidate, onClick, isDragging = false }) => {
   } = useSortable({ id: candidate.id });
 
   const style = {
+    ...positionStyle,
     transform: CSS.Transform.toString(transform),
     transition,
     opacity: isDragging ? 0.5 : 1,
@@ -72,14 +78,25 @@ const DraggableCandidateRow = ({ candidate, onClick, isDragging = false }) => {
       ref={setNodeRef}
       style={style}
       className={cn(
-        "grid grid-cols-12 gap-4 items-center p-4 bg-gradient-to-r from-white to-gray-50 hover:from-gray-50 hover:to-gray-100 border-b border-gray-200 cursor-pointer transition-all duration-200",
+        LIST_GRID,
+        "items-center px-4 overflow-hidden bg-gradient-to-r from-white to-gray-50 hover:from-gray-50 hover:to-gray-100 border-b border-gray-200 cursor-pointer transition-all duration-200",
         isDragging && "shadow-2xl ring-2 ring-primary/20 rotate-1 scale-105",
-        STAGE_COLORS[candidate.stage]
+        stageColors(stage).soft,
+        isSelected && "ring-2 ring-inset ring-primary/40"
       )}
       onClick={onClick}
     >
-      {/* Drag Handle */}
-      <div className="flex items-center col-span-1">
+      {/* Selection and Drag Handle */}
+      <div className="flex items-center gap-2 col-span-1">
+        <Checkbox
+          checked={isSelected}
+          aria-label={`Select ${candidate.name}`}
+          onClick={(e) => {
+            // Handled here rather than in onCheckedChange to see the shift key
+            e.stopPropagation();
+            onSelect(e);
+          }}
+        />
         <button
           {...attributes}
           {...listeners}
@@ -137,28 +154,68 @@ const DraggableCandidateRow = ({ candidate, onClick, isDragging = false }) => {
         </div>
       </div>
 
+      {/* Match */}
+      <div className="col-span-1">
+        <MatchBadge match={candidate.match} compact />
+      </div>
+
       {/* Status */}
       <div className="col-span-2 text-right">
-        <Badge variant="outline" className={cn("text-xs", STAGE_COLORS[candidate.stage])}>
-          {STAGE_LABELS[candidate.stage]}
+        <Badge variant="outline" className={cn("text-xs", stageColors(stage).soft)}>
+          {stage.name}
         </Badge>
       </div>
     </div>
   );
 };
 
+/**
+ * One row of the virtualized list; the row after the last loaded candidate
+ * shows that more are on the way.
+ */
+const VirtualRow = ({ index, style, data }) => {
+  const { candidates, pipelineFor, activeId, onOpen, isSelected, onSelect } = data;
+  const candidate = candidates[index];
+
+  if (!candidate) {
+    return (
+      <div style={style} className="flex items-center justify-center gap-2 text-sm text-muted-foreground">
+        <Loader2 className="h-4 w-4 animate-spin" />
+        Loading more candidates...
+      </div>
+    );
+  }
+
+  return (
+    <DraggableCandidateRow
+      candidate={candidate}
+      stage={findStage(pipelineFor(candidate.job), candidate.stage)}
+      onClick={() => onOpen(candidate.id)}
+      isDragging={activeId === candidate.id}
+      positionStyle={style}
+      isSelected={isSelected(candidate.id)}
+      onSelect={(event) => onSelect(index, event)}
+    />
+  );
+};
+
 /**
  * CandidatesList Component
  * 
- * Displays a list or kanban view of candidates with filtering, searching, and drag-and-drop functionality.
- * Supports pagination and stage management.
+ * Displays the candidate list with filtering, searching, and drag-and-drop functionality.
+ * The list is virtualized with react-window and loads further pages from Dexie
+ * as it is scrolled, so the whole candidate set is reachable without paging.
+ * Rows can be selected (shift-click selects a range, and the whole filter can
+ * be selected beyond the loaded rows) for bulk actions through
+ * `POST /api/candidates/bulk`; candidates an action could not apply to stay
+ * selected. Export covers the selection, or every match for the filters when
+ * nothing is selected.
  * 
  * @param {string} search - Initial search query.
  * @param {string} stage - Initial stage filter.
  * @param {string} jobId - Initial job filter.
  * @param {function} onStageChange - Callback for stage changes.
  * @param {function} onJobChange - Callback for job changes.
- * @param {string} viewMode - 'list' or 'kanban'.
  */
 export const CandidatesList = ({
   search: initialSearch = "",
@@ -166,91 +223,154 @@ export const CandidatesList = ({
   jobId,
   onStageChange,
   onJobChange,
-  viewMode = "list",
 }) => {
-  const [page, setPage] = useState(1);
-  const pageSize = 50;
   const navigate = useNavigate();
-  const queryClient = useQueryClient();
-  const { toast } = useToast();
   const [search, setSearch] = useState(initialSearch);
   const [stage, setStage] = useState(initialStage);
   const [jobIdFilter, setJobIdFilter] = useState(jobId || "");
   const [activeId, setActiveId] = useState(null);
+  // "-match" or "match" while sorted by match score; otherwise relevance or newest first
+  const [sort, setSort] = useState("");
+  const [selectedIds, setSelectedIds] = useState(() => new Set());
+  // Every candidate matching the filters, including rows not loaded yet
+  const [allMatching, setAllMatching] = useState(false);
+  // Last row clicked without shift, where a shift-click range starts
+  const anchorIndex = useRef(null);
+  // Candidates the export dialog is open for: `{ ids }` or the filters
+  const [exportTarget, setExportTarget] = useState(null);
+  const queryClient = useQueryClient();
+  const { toast } = useToast();
 
-  // Update candidate stage mutation
-  const updateCandidateStage = useMutation({
-    mutationFn: async ({ id, stage }) => {
-      await db.candidates.update(id, { stage });
-      await db.timeline.add({
-        candidateId: id,
-        type: "status_change",
-        description: `Moved to ${stage} stage`,
-        timestamp: Date.now(),
-        userName: "System",
-      });
-    },
-    onSuccess: () => {
-      queryClient.invalidateQueries({ queryKey: ["candidates"] });
-      queryClient.invalidateQueries({ queryKey: ["candidate", id] });
-      queryClient.invalidateQueries({ queryKey: ["timeline", id] });
-    },
-    onError: () => {
-      toast({
-        title: "Error",
-        description: "Failed to update candidate stage",
-        variant: "destructive",
-      });
-    },
-  });
+  const { stages, pipelineFor } = usePipelineStages(jobIdFilter);
 
   // Fetch jobs for filtering
   const { data: jobs = [] } = useQuery({
     queryKey: ["jobs"],
-    queryFn: async () => await db.jobs.toArray(),
+    queryFn: async () => await db.jobs.filter(isActive).toArray(),
   });
 
-  // Fetch and filter candidates
-  const { data: candidatesData = [], isLoading } = useQuery({
-    queryKey: ["candidates", search, stage, jobIdFilter],
-    queryFn: async () => {
-      let candidates = await db.candidates.toArray();
-
-      // Apply filters
-      if (search) {
-        const searchLower = search.toLowerCase();
-        candidates = candidates.filter(
-          (candidate) =>
-            candidate.name.toLowerCase().includes(searchLower) ||
-            candidate.email.toLowerCase().includes(searchLower) ||
-            (candidate.skills || []).some((skill) => skill.toLowerCase().includes(searchLower)) ||
-            (candidate.currentRole?.toLowerCase().includes(searchLower)) ||
-            (candidate.job?.title?.toLowerCase().includes(searchLower))
-        );
-      }
-      if (stage) {
-        candidates = candidates.filter((candidate) => candidate.stage === stage);
-      }
-      if (jobIdFilter) {
-        candidates = candidates.filter((candidate) => candidate.jobId === jobIdFilter);
-      }
-      return candidates;
+  // Fetch candidates a page at a time as the list scrolls; filtering, sorting and paging run in Dexie
+  const {
+    data: candidatePages,
+    isLoading,
+    hasNextPage,
+    isFetchingNextPage,
+    fetchNextPage,
+  } = useInfiniteQuery({
+    queryKey: ["candidates", search, stage, jobIdFilter, sort],
+    queryFn: ({ pageParam }) =>
+      queryCandidates({
+        search,
+        stage,
+        jobId: jobIdFilter,
+        sort: sort || (search ? "relevance" : "-appliedDate"),
+        page: pageParam,
+        pageSize: PAGE_SIZE,
+        withJobs: true,
+        withMatches: true,
+      }),
+    initialPageParam: 1,
+    getNextPageParam: (lastPage) => (lastPage.page < lastPage.totalPages ? lastPage.page + 1 : undefined),
+    placeholderData: keepPreviousData,
+  });
+
+  const loadedCandidates = useMemo(
+    () => candidatePages?.pages.flatMap((page) => page.data) ?? [],
+    [candidatePages]
+  );
+  const totalCandidates = candidatePages?.pages[0]?.total ?? 0;
+  // One extra row shows the loading indicator while more candidates remain
+  const rowCount = hasNextPage ? loadedCandidates.length + 1 : loadedCandidates.length;
+
+  // Best matches first, then worst first, then back to the default order
+  const toggleMatchSort = () => setSort(sort === "-match" ? "match" : sort === "match" ? "" : "-match");
+
+  const clearSelection = () => {
+    setSelectedIds(new Set());
+    setAllMatching(false);
+    anchorIndex.current = null;
+  };
+
+  // A selection only makes sense for the filters it was made under
+  useEffect(clearSelection, [search, stage, jobIdFilter]);
+
+  const selectedCount = allMatching ? totalCandidates : selectedIds.size;
+  const allLoadedSelected = loadedCandidates.length > 0 && (allMatching || loadedCandidates.every((c) => selectedIds.has(c.id)));
+
+  const handleSelect = (index, event) => {
+    const ids = allMatching ? new Set(loadedCandidates.map((c) => c.id)) : new Set(selectedIds);
+    const id = loadedCandidates[index].id;
+    const select = !ids.has(id);
+    if (event.shiftKey && anchorIndex.current !== null) {
+      // Give the whole range the state the clicked row is switching to
+      const [from, to] = [anchorIndex.current, index].sort((a, b) => a - b);
+      loadedCandidates.slice(from, to + 1).forEach((c) => {
+        if (select) ids.add(c.id);
+        else ids.delete(c.id);
+      });
+    } else {
+      if (select) ids.add(id);
+      else ids.delete(id);
+      anchorIndex.current = index;
+    }
+    setAllMatching(false);
+    setSelectedIds(ids);
+  };
+
+  const handleSelectLoaded = () => {
+    if (allLoadedSelected) {
+      clearSelection();
+    } else {
+      setSelectedIds(new Set(loadedCandidates.map((c) => c.id)));
+    }
+  };
+
+  const bulkAction = useMutation({
+    mutationFn: ({ action, params, target }) =>
+      apiRequest("/candidates/bulk", { method: "POST", body: { action, ...params, ...target } }),
+    onSuccess: ({ data }) => {
+      const { action, total, succeeded, failed } = data;
+      // Keep what failed selected so it can be looked at or retried
+      setAllMatching(false);
+      setSelectedIds(new Set(failed.map(({ id }) => id)));
+      const names = new Map(loadedCandidates.map((c) => [c.id, c.name]));
+      toast({
+        title: `${succeeded.length} of ${total} candidates ${BULK_RESULTS[action]}`,
+        description: failed.length
+          ? `${failed.length} could not be ${BULK_RESULTS[action]}. ${names.get(failed[0].id) || failed[0].id}: ${failed[0].message}${failed.length > 1 ? ` (and ${failed.length - 1} more)` : ""}`
+          : undefined,
+        variant: failed.length && !succeeded.length ? "destructive" : "default",
+      });
+    },
+    onError: (error) => {
+      toast({ title: "Bulk action failed", description: error.message, variant: "destructive" });
+    },
+    onSettled: () => {
+      queryClient.invalidateQueries({ queryKey: ["candidates"] });
+      queryClient.invalidateQueries({ queryKey: ["candidates-kanban"] });
+      queryClient.invalidateQueries({ queryKey: ["job-candidates-count"] });
+      queryClient.invalidateQueries({ queryKey: ["candidate"] });
+      queryClient.invalidateQueries({ queryKey: ["timeline"] });
     },
   });
 
-  // Memoized filtered candidates (though filtering is in query)
-  const filteredCandidates = useMemo(() => candidatesData, [candidatesData]);
+  const filters = { search, stage, jobId: jobIdFilter };
 
-  // Reset page on filter change
-  useEffect(() => {
-    setPage(1);
-  }, [search, stage, jobIdFilter]);
+  const handleBulkAction = (action, params = {}) => {
+    if (action === "export") {
+      setExportTarget(allMatching ? filters : { ids: [...selectedIds] });
+      return;
+    }
+    const target = allMatching ? { filter: filters } : { ids: [...selectedIds] };
+    bulkAction.mutate({ action, params, target });
+  };
+
+  const handleItemsRendered = ({ visibleStopIndex }) => {
+    if (hasNextPage && !isFetchingNextPage && visibleStopIndex >= loadedCandidates.length - LOAD_AHEAD) {
+      fetchNextPage();
+    }
+  };
 
-  // Paginated candidates
-  const paginatedCandidates = useMemo(() => {
-    const start = (page - 1) * pageSize;
-    return filteredCandidates.slice(start, start + pageSize);
-  }, [filteredCandidates, page]);
 
   // Event handlers
   const handleCardClick = (candidateId) => {
@@ -297,19 +417,7 @@ export const CandidatesList = ({
     console.log(`Attempted to move candidate ${active.id}`);
   };
 
-  const handleStageDrop = (candidateId, newStage) => {
-    if (!candidateId || !newStage) return;
-
-    const candidate = candidatesData.find((c) => c.id === candidateId);
-    if (!candidate || candidate.stage === newStage) return;
-
-    updateCandidateStage.mutate({
-      id: candidateId,
-      stage: newStage,
-    });
-  };
-
-  const activeCandidate = activeId ? candidatesData.find((c) => c.id === activeId) : null;
+  const activeCandidate = activeId ? loadedCandidates.find((c) => c.id === activeId) : null;
 
   if (isLoading) {
     return (
@@ -348,12 +456,11 @@ export const CandidatesList = ({
               </SelectTrigger>
               <SelectContent>
                 <SelectItem value="all">All Stages</SelectItem>
-                <SelectItem value="applied">Applied</SelectItem>
-                <SelectItem value="screen">Screening</SelectItem>
-                <SelectItem value="tech">Technical</SelectItem>
-                <SelectItem value="offer">Offer</SelectItem>
-                <SelectItem value="hired">Hired</SelectItem>
-                <SelectItem value="rejected">Rejected</SelectItem>
+                {stages.map((option) => (
+                  <SelectItem key={option.id} value={option.id}>
+                    {option.name}
+                  </SelectItem>
+                ))}
               </SelectContent>
             </Select>
 
@@ -374,12 +481,47 @@ export const CandidatesList = ({
                 ))}
               </SelectContent>
             </Select>
+
+            <Button
+              variant="outline"
+              className="h-10"
+              onClick={() => setExportTarget(filters)}
+              disabled={totalCandidates === 0}
+            >
+              <Download className="h-4 w-4 mr-2" />
+              Export
+            </Button>
           </div>
         </div>
       </div>
 
+      <ExportDialog
+        open={!!exportTarget}
+        onOpenChange={(isOpen) => !isOpen && setExportTarget(null)}
+        title="Export candidates"
+        description={
+          exportTarget?.ids
+            ? `The ${exportTarget.ids.length} selected ${exportTarget.ids.length === 1 ? "candidate" : "candidates"}.`
+            : `All ${totalCandidates} candidates matching the current search and filters.`
+        }
+        columns={CANDIDATE_COLUMNS}
+        fileName="candidates"
+        onExport={(options) => exportCandidates(exportTarget, options)}
+      />
+
+      {selectedCount > 0 && (
+        <BulkActionsBar
+          count={selectedCount}
+          stages={stages}
+          jobs={jobs}
+          isPending={bulkAction.isPending}
+          onAction={handleBulkAction}
+          onClear={clearSelection}
+        />
+      )}
+
       {/* No Candidates Message */}
-      {filteredCandidates.length === 0 ? (
+      {totalCandidates === 0 ? (
         <div className="text-center py-16 bg-muted/20 rounded-xl">
           <Users className="h-16 w-16 mx-auto mb-4 text-muted-foreground" />
           <h3 className="text-lg font-semibold text-muted-foreground mb-2">No candidates found</h3>
@@ -397,12 +539,6 @@ export const CandidatesList = ({
             Clear Filters
           </Button>
         </div>
-      ) : viewMode === "kanban" ? (
-        <KanbanBoard
-          candidates={filteredCandidates}
-          onCandidateMove={handleStageDrop}
-          onCandidateClick={handleCardClick}
-        />
       ) : (
         <DndContext
           sensors={sensors}
@@ -413,52 +549,84 @@ export const CandidatesList = ({
           {/* List View */}
           <div className="border rounded-xl overflow-hidden shadow-lg bg-white">
             {/* Table Header */}
-            <div className="grid grid-cols-12 gap-4 p-4 bg-muted/50 border-b font-semibold text-sm text-muted-foreground">
-              <div className="col-span-1"></div>
+            <div className={cn(LIST_GRID, "p-4 bg-muted/50 border-b font-semibold text-sm text-muted-foreground")}>
+              <div className="col-span-1 flex items-center">
+                <Checkbox
+                  checked={allLoadedSelected ? true : selectedIds.size > 0 ? "indeterminate" : false}
+                  onCheckedChange={handleSelectLoaded}
+                  aria-label="Select all loaded candidates"
+                />
+              </div>
               <div className="col-span-3">Candidate</div>
               <div className="col-span-2">Current Role</div>
               <div className="col-span-2">Job & Location</div>
               <div className="col-span-2">Skills</div>
+              <div className="col-span-1">
+                <button
+                  className="inline-flex items-center gap-1 hover:text-foreground transition-colors"
+                  onClick={toggleMatchSort}
+                  title="Sort by how well candidates match their job"
+                >
+                  Match
+                  {sort === "-match" ? (
+                    <ArrowDown className="h-3 w-3" />
+                  ) : sort === "match" ? (
+                    <ArrowUp className="h-3 w-3" />
+                  ) : (
+                    <ArrowUpDown className="h-3 w-3" />
+                  )}
+                </button>
+              </div>
               <div className="col-span-2 text-right">Status</div>
             </div>
 
-            {/* Sortable Candidates */}
-            <SortableContext items={paginatedCandidates.map((c) => c.id)} strategy={verticalListSortingStrategy}>
-              {paginatedCandidates.map((candidate) => (
-                <DraggableCandidateRow
-                  key={candidate.id}
-                  candidate={candidate}
-                  onClick={() => handleCardClick(candidate.id)}
-                  isDragging={activeId === candidate.id}
-                />
-              ))}
+            {allLoadedSelected && totalCandidates > loadedCandidates.length && (
+              <div className="px-4 py-2 text-sm text-center bg-primary/5 border-b">
+                {allMatching ? (
+                  <>
+                    All {totalCandidates} matching candidates are selected.{" "}
+                    <button className="font-medium text-primary hover:underline" onClick={clearSelection}>
+                      Clear selection
+                    </button>
+                  </>
+                ) : (
+                  <>
+                    All {loadedCandidates.length} loaded candidates are selected.{" "}
+                    <button className="font-medium text-primary hover:underline" onClick={() => setAllMatching(true)}>
+                      Select all {totalCandidates} matching candidates
+                    </button>
+                  </>
+                )}
+              </div>
+            )}
+
+            {/* Sortable Candidates; only the rows in view are mounted */}
+            <SortableContext items={loadedCandidates.map((c) => c.id)} strategy={verticalListSortingStrategy}>
+              <FixedSizeList
+                height={Math.min(LIST_HEIGHT, rowCount * ROW_HEIGHT)}
+                width="100%"
+                itemCount={rowCount}
+                itemSize={ROW_HEIGHT}
+                itemKey={(index) => loadedCandidates[index]?.id ?? "loading"}
+                onItemsRendered={handleItemsRendered}
+                itemData={{
+                  candidates: loadedCandidates,
+                  pipelineFor,
+                  activeId,
+                  onOpen: handleCardClick,
+                  isSelected: (id) => allMatching || selectedIds.has(id),
+                  onSelect: handleSelect,
+                }}
+                overscanCount={5}
+              >
+                {VirtualRow}
+              </FixedSizeList>
             </SortableContext>
           </div>
 
-          {/* Pagination */}
-          <div className="flex justify-center items-center gap-4 mt-6">
-            <Button
-              variant="outline"
-              onClick={() => setPage((p) => Math.max(1, p - 1))}
-              disabled={page === 1}
-              className="gap-2"
-            >
-              <ChevronLeft className="h-4 w-4" />
-              Previous
-            </Button>
-            <span className="text-sm text-muted-foreground">
-              Page {page} of {Math.ceil(filteredCandidates.length / pageSize)}
-            </span>
-            <Button
-              variant="outline"
-              onClick={() => setPage((p) => p + 1)}
-              disabled={page * pageSize >= filteredCandidates.length}
-              className="gap-2"
-            >
-              Next
-              <ChevronRight className="h-4 w-4" />
-            </Button>
-          </div>
+          <p className="text-center text-sm text-muted-foreground mt-4">
+            Showing {loadedCandidates.length} of {totalCandidates} candidates
+          </p>
 
           {/* Drag Overlay */}
           <DragOverlay>
@@ -0,0 +1,218 @@
+import { useState } from 'react';
+import { useMutation, useQuery, useQueryClient } from '@tanstack/react-query';
+import { CalendarClock, CalendarX, Download, Loader2, MapPin, Plus, Users, Video } from 'lucide-react';
+import { Card, CardContent, CardHeader, CardTitle } from '@/components/ui/card';
+import { Button } from '@/components/ui/button';
+import { Badge } from '@/components/ui/badge';
+import { Input } from '@/components/ui/input';
+import { Label } from '@/components/ui/label';
+import {
+  Dialog,
+  DialogContent,
+  DialogDescription,
+  DialogFooter,
+  DialogHeader,
+  DialogTitle,
+} from '@/components/ui/dialog';
+import { ScheduleInterviewDialog } from '@/components/candidates/ScheduleInterviewDialog';
+import { useToast } from '@/hooks/use-toast';
+import { apiBlob, apiRequest } from '@/lib/api';
+import { ifMatch } from '@/lib/concurrency';
+import { downloadBlob } from '@/lib/download';
+import { formatInterviewWhen, icsFileName, interviewTitle, listInterviews } from '@/lib/interviews';
+import { cn } from '@/lib/utils';
+
+const statusOf = (interview, now) => {
+  if (interview.status === 'cancelled') return { label: 'Cancelled', className: 'bg-gray-100 text-gray-600' };
+  if (interview.endsAt < now) return { label: 'Done', className: 'bg-blue-50 text-blue-700' };
+  return { label: 'Upcoming', className: 'bg-green-50 text-green-700' };
+};
+
+/**
+ * Dialog confirming an interview's cancellation, with an optional reason.
+ *
+ * @param {object|null} interview - The interview to cancel, or null when closed.
+ * @param {function} onClose - Called when the dialog is closed.
+ */
+const CancelInterviewDialog = ({ interview, onClose }) => {
+  const [reason, setReason] = useState('');
+  const queryClient = useQueryClient();
+  const { toast } = useToast();
+
+  const cancel = useMutation({
+    mutationFn: () =>
+      apiRequest(`/interviews/${interview.id}/cancel`, { method: 'POST', body: { reason }, headers: ifMatch(interview) }),
+    onSuccess: () => {
+      queryClient.invalidateQueries({ queryKey: ['candidate-interviews', interview.candidateId] });
+      queryClient.invalidateQueries({ queryKey: ['interviews'] });
+      queryClient.invalidateQueries({ queryKey: ['interviews-count'] });
+      queryClient.invalidateQueries({ queryKey: ['timeline', interview.candidateId] });
+      toast({ title: 'Interview cancelled', description: 'Download the calendar file again to update invitations.' });
+      setReason('');
+      onClose();
+    },
+    onError: (error) => toast({ title: 'Failed to cancel interview', description: error.message, variant: 'destructive' }),
+  });
+
+  return (
+    <Dialog open={!!interview} onOpenChange={(isOpen) => !isOpen && !cancel.isPending && onClose()}>
+      <DialogContent>
+        <DialogHeader>
+          <DialogTitle>Cancel interview</DialogTitle>
+          <DialogDescription>{interview && `${interviewTitle(interview)}, ${formatInterviewWhen(interview)}`}</DialogDescription>
+        </DialogHeader>
+        <div className="space-y-2">
+          <Label htmlFor="interview-cancel-reason">Reason (optional)</Label>
+          <Input id="interview-cancel-reason" value={reason} onChange={(e) => setReason(e.target.value)} />
+        </div>
+        <DialogFooter>
+          <Button variant="outline" onClick={onClose} disabled={cancel.isPending}>
+            Keep
+          </Button>
+          <Button variant="destructive" onClick={() => cancel.mutate()} disabled={cancel.isPending}>
+            {cancel.isPending && <Loader2 className="h-4 w-4 mr-2 animate-spin" />}
+            Cancel interview
+          </Button>
+        </DialogFooter>
+      </DialogContent>
+    </Dialog>
+  );
+};
+
+/**
+ * InterviewsSection Component
+ *
+ * The candidate's interviews, upcoming first: when and where, who is on the
+ * panel, and actions to reschedule, cancel or download the `.ics` calendar
+ * file (see `src/lib/interviews.js`).
+ *
+ * @param {object} candidate - The candidate.
+ */
+export const InterviewsSection = ({ candidate }) => {
+  const [scheduling, setScheduling] = useState(false);
+  const [rescheduling, setRescheduling] = useState(null);
+  const [cancelling, setCancelling] = useState(null);
+  const { toast } = useToast();
+  const now = new Date().toISOString();
+
+  const { data: interviews = [], isLoading } = useQuery({
+    queryKey: ['candidate-interviews', candidate.id],
+    queryFn: () => listInterviews({ candidateId: candidate.id }),
+  });
+  const upcoming = interviews.filter((interview) => interview.status === 'scheduled' && interview.endsAt >= now);
+  const others = interviews.filter((interview) => !upcoming.includes(interview)).reverse();
+
+  const handleDownload = async (interview) => {
+    try {
+      downloadBlob(await apiBlob(`/interviews/${interview.id}/ics`), icsFileName(interview, candidate));
+    } catch (error) {
+      toast({ title: 'Download failed', description: error.message, variant: 'destructive' });
+    }
+  };
+
+  return (
+    <Card className="shadow-sm border-gray-200">
+      <CardHeader className="flex flex-row items-center justify-between space-y-0">
+        <CardTitle className="flex items-center gap-2 text-xl">
+          <CalendarClock className="h-5 w-5 text-blue-600" />
+          Interviews
+        </CardTitle>
+        <Button variant="outline" size="sm" onClick={() => setScheduling(true)}>
+          <Plus className="h-4 w-4 mr-1" />
+          Schedule
+        </Button>
+      </CardHeader>
+      <CardContent>
+        {isLoading ? (
+          <p className="text-sm text-muted-foreground">Loading...</p>
+        ) : interviews.length === 0 ? (
+          <p className="text-sm text-muted-foreground">No interviews scheduled yet.</p>
+        ) : (
+          <div className="divide-y rounded-lg border">
+            {[...upcoming, ...others].map((interview) => {
+              const status = statusOf(interview, now);
+              const cancelled = interview.status === 'cancelled';
+              return (
+                <div key={interview.id} className="p-3 space-y-1">
+                  <div className="flex flex-wrap items-center gap-2">
+                    <span className={cn('font-medium', cancelled && 'line-through text-muted-foreground')}>
+                      {interviewTitle(interview)}
+                    </span>
+                    <Badge variant="outline" className={status.className}>
+                      {status.label}
+                    </Badge>
+                    <div className="ml-auto flex gap-1">
+                      <Button
+                        variant="ghost"
+                        size="icon"
+                        className="h-8 w-8"
+                        onClick={() => handleDownload(interview)}
+                        aria-label="Download calendar file"
+                        title="Download .ics"
+                      >
+                        <Download className="h-4 w-4" />
+                      </Button>
+                      {status.label === 'Upcoming' && (
+                        <>
+                          <Button variant="ghost" size="sm" onClick={() => setRescheduling(interview)}>
+                            Reschedule
+                          </Button>
+                          <Button
+                            variant="ghost"
+                            size="icon"
+                            className="h-8 w-8 text-red-600"
+                            onClick={() => setCancelling(interview)}
+                            aria-label="Cancel interview"
+                            title="Cancel interview"
+                          >
+                            <CalendarX className="h-4 w-4" />
+                          </Button>
+                        </>
+                      )}
+                    </div>
+                  </div>
+                  <p className="text-sm text-gray-700">{formatInterviewWhen(interview)}</p>
+                  <div className="flex flex-wrap gap-x-4 gap-y-1 text-sm text-muted-foreground">
+                    <span className="flex items-center gap-1">
+                      <Users className="h-3.5 w-3.5" />
+                      {interview.interviewers.join(', ')}
+                    </span>
+                    {interview.location && (
+                      <span className="flex items-center gap-1">
+                        <MapPin className="h-3.5 w-3.5" />
+                        {interview.location}
+                      </span>
+                    )}
+                    {interview.videoLink && (
+                      <a
+                        href={interview.videoLink}
+                        target="_blank"
+                        rel="noreferrer"
+                        className="flex items-center gap-1 text-blue-600 hover:underline"
+                      >
+                        <Video className="h-3.5 w-3.5" />
+                        Join link
+                      </a>
+                    )}
+                  </div>
+                  {cancelled && interview.cancelReason && (
+                    <p className="text-sm text-muted-foreground">Cancelled: {interview.cancelReason}</p>
+                  )}
+                </div>
+              );
+            })}
+          </div>
+        )}
+      </CardContent>
+
+      <ScheduleInterviewDialog open={scheduling} onOpenChange={setScheduling} candidate={candidate} />
+      <ScheduleInterviewDialog
+        open={!!rescheduling}
+        onOpenChange={(isOpen) => !isOpen && setRescheduling(null)}
+        candidate={candidate}
+        interview={rescheduling}
+      />
+      <CancelInterviewDialog interview={cancelling} onClose={() => setCancelling(null)} />
+    </Card>
+  );
+};
@@ -10,278 +10,15 @@ import {
   KeyboardSensor,
   TouchSensor,
 } from '@dnd-kit/core';
-import {
-  SortableContext,
-  verticalListSortingStrategy,
-  sortableKeyboardCoordinates,
-  useSortable,
-  rectSortingStrategy,
-} from '@dnd-kit/sortable';
-import { CSS } from '@dnd-kit/utilities';
-import {
-  Search,
-  Filter,
-  ChevronDown,
-  Plus,
-  Mail,
-  Phone,
-  MoreVertical,
-  Calendar,
-  GripVertical,
-  Loader2,
-} from 'lucide-react';
-import { cn } from '@/lib/utils';
-import { Button } from '@/components/ui/button';
-import { Input } from '@/components/ui/input';
-import { Badge } from '@/components/ui/badge';
-import {
-  DropdownMenu,
-  DropdownMenuContent,
-  DropdownMenuItem,
-  DropdownMenuLabel,
-  DropdownMenuSeparator,
-  DropdownMenuTrigger,
-} from '@/components/ui/dropdown-menu';
-import { ScrollArea } from '@/components/ui/scroll-area';
-import { Avatar, AvatarFallback, AvatarImage } from '@/components/ui/avatar';
-
-// Constants
-const STAGES = [
-  { id: 'applied', name: 'Applied', color: 'bg-blue-500' },
-  { id: 'screen', name: 'Screening', color: 'bg-purple-500' },
-  { id: 'tech', name: 'Technical', color: 'bg-amber-500' },
-  { id: 'offer', name: 'Offer', color: 'bg-green-500' },
-  { id: 'hired', name: 'Hired', color: 'bg-emerald-500' },
-  { id: 'rejected', name: 'Rejected', color: 'bg-red-500' },
-];
-
-// Utility function to get initials
-const getInitials = (name) => {
-  return name
-    .split(' ')
-    .map((n) => n[0])
-    .join('')
-    .toUpperCase();
-};
-
-// Sortable Candidate Card Component
-const SortableCandidateCard = ({
-  candidate,
-  onView,
-  onContact,
-  attributes,
-  listeners,
-  isDragging,
-  style,
-}) => {
-  const stage = STAGES.find((s) => s.id === candidate.stage) || STAGES[0];
-
-  return (
-    <div
-      className={cn(
-        'bg-white rounded-xl border border-gray-200 shadow-sm overflow-hidden hover:shadow-lg hover:scale-[1.02] transition-all duration-200 ease-in-out relative mb-3 group',
-        isDragging && 'opacity-50 ring-2 ring-blue-500 ring-offset-2 shadow-xl'
-      )}
-      style={style}
-      role="button"
-      tabIndex={0}
-      aria-label={`Candidate: ${candidate.name}, role: ${candidate.currentRole || 'No role specified'}`}
-    >
-      <div className="p-4">
-        <div className="flex items-start justify-between mb-3">
-          <div className="flex items-center space-x-3 w-full">
-            <button
-              {...attributes}
-              {...listeners}
-              className="h-5 w-5 text-gray-400 hover:text-gray-600 cursor-grab active:cursor-grabbing opacity-0 group-hover:opacity-100 transition-opacity"
-              aria-label="Drag handle"
-            >
-              <GripVertical className="h-4 w-4" />
-            </button>
-            <Avatar className="h-12 w-12 flex-shrink-0 ring-2 ring-gray-100">
-              <AvatarImage src={candidate.avatar} alt={candidate.name} />
-              <AvatarFallback className={cn('text-white font-semibold', stage.color)}>
-                {getInitials(candidate.name)}
-              </AvatarFallback>
-            </Avatar>
-            <div className="flex-1 min-w-0">
-              <h4 className="font-semibold text-gray-900 text-sm truncate">{candidate.name}</h4>
-              <p className="text-xs text-gray-500 truncate">
-                {candidate.currentRole || 'No role specified'}
-              </p>
-            </div>
-          </div>
-          <DropdownMenu>
-            <DropdownMenuTrigger asChild>
-              <Button
-                variant="ghost"
-                size="icon"
-                className="h-8 w-8 opacity-0 group-hover:opacity-100 transition-opacity"
-              >
-                <MoreVertical className="h-4 w-4" />
-              </Button>
-            </DropdownMenuTrigger>
-            <DropdownMenuContent align="end" className="w-48">
-              <DropdownMenuItem onSelect={() => onView(candidate)}>
-                View Profile
-              </DropdownMenuItem>
-              <DropdownMenuSeparator />
-              <DropdownMenuItem onSelect={() => onContact(candidate, 'email')}>
-                <Mail className="mr-2 h-4 w-4" />
-                Send Email
-              </DropdownMenuItem>
-              <DropdownMenuItem onSelect={() => onContact(candidate, 'phone')}>
-                <Phone className="mr-2 h-4 w-4" />
-                Call
-              </DropdownMenuItem>
-            </DropdownMenuContent>
-          </DropdownMenu>
-        </div>
-
-        <div className="mt-3 flex flex-wrap gap-1">
-          {candidate.skills?.slice(0, 3).map((skill, i) => (
-            <Badge
-              key={i}
-              variant="secondary"
-              className="text-xs bg-blue-50 text-blue-700 border-blue-200 hover:bg-blue-100 transition-colors"
-            >
-              {skill}
-            </Badge>
-          ))}
-          {candidate.skills?.length > 3 && (
-            <Badge variant="outline" className="text-xs bg-gray-50 text-gray-600 border-gray-200">
-              +{candidate.skills.length - 3} more
-            </Badge>
-          )}
-        </div>
+import { arrayMove, sortableKeyboardCoordinates } from '@dnd-kit/sortable';
+import { Loader2 } from 'lucide-react';
+import { DEFAULT_PIPELINE, findStage } from '@/lib/pipelines';
+import { groupChanges, groupKey, listGroups } from '@/lib/kanban-groups';
+import { KanbanColumn } from './KanbanColumn';
+import { CARD_RENDERERS } from './CandidateCard';
 
-        <div className="mt-4 flex items-center justify-between text-xs text-gray-500">
-          <div className="flex items-center space-x-1">
-            <Calendar className="h-3.5 w-3.5" />
-            <span>
-              {candidate.appliedDate
-                ? new Date(candidate.appliedDate).toLocaleDateString()
-                : 'No date'}
-            </span>
-          </div>
-          <Badge
-            variant="outline"
-            className={cn(
-              'text-xs border-0',
-              stage.color.replace('bg-', 'bg-opacity-20 text-').replace('500', '700')
-            )}
-          >
-            {stage.name}
-          </Badge>
-        </div>
-      </div>
-    </div>
-  );
-};
-
-// Candidate Card Wrapper
-const CandidateCard = (props) => {
-  const {
-    attributes,
-    listeners,
-    setNodeRef,
-    transform,
-    transition,
-    isDragging,
-  } = useSortable({
-    id: props.candidate.id,
-    data: {
-      type: 'candidate',
-      candidate: props.candidate,
-    },
-  });
-
-  const style = {
-    transform: CSS.Transform.toString(transform),
-    transition,
-  };
-
-  return (
-    <div ref={setNodeRef} style={style}>
-      <SortableCandidateCard
-        {...props}
-        attributes={attributes}
-        listeners={listeners}
-        isDragging={isDragging}
-      />
-    </div>
-  );
-};
-
-// Column Component
-const Column = ({ stage, candidates = [], onView, onContact }) => {
-  const {
-    attributes,
-    listeners,
-    setNodeRef,
-    transform,
-    transition,
-    isOver,
-  } = useSortable({
-    id: stage.id,
-    data: {
-      type: 'column',
-      stage,
-    },
-  });
-
-  const style = {
-    transform: CSS.Transform.toString(transform),
-    transition,
-  };
-
-  return (
-    <div
-      ref={setNodeRef}
-      style={style}
-      className={cn(
-        'flex-1 min-w-80 bg-gray-50 rounded-xl p-4 border border-gray-200 shadow-sm',
-        isOver && 'ring-2 ring-blue-400 ring-offset-2 bg-blue-50'
-      )}
-    >
-      <div
-        className="flex items-center justify-between mb-4 px-2 cursor-grab active:cursor-grabbing"
-        {...attributes}
-        {...listeners}
-      >
-        <div className="flex items-center space-x-3">
-          <div className={cn('h-3 w-3 rounded-full', stage.color)}></div>
-          <h3 className="font-semibold text-gray-800 text-lg">{stage.name}</h3>
-          <span className="text-sm text-gray-500 bg-white px-2 py-1 rounded-full shadow-sm">
-            {candidates.length}
-          </span>
-        </div>
-      </div>
-      <div className="space-y-3 min-h-[300px]">
-        <SortableContext
-          items={candidates.map((c) => c.id) || []}
-          strategy={verticalListSortingStrategy}
-        >
-          {candidates.length > 0 ? (
-            candidates.map((candidate) => (
-              <CandidateCard
-                key={candidate.id}
-                candidate={candidate}
-                onView={onView}
-                onContact={onContact}
-              />
-            ))
-          ) : (
-            <div className="flex flex-col items-center justify-center h-32 text-gray-400 border-2 border-dashed border-gray-300 rounded-lg">
-              <p className="text-sm">No candidates in this stage</p>
-              <p className="text-xs">Drag candidates here</p>
-            </div>
-          )}
-        </SortableContext>
-      </div>
-    </div>
-  );
-};
+// Lane key when the board has no swimlanes
+const SINGLE_LANE = 'all';
 
 // Loading Component
 const LoadingState = () => (
@@ -293,16 +30,45 @@ const LoadingState = () => (
   </div>
 );
 
-// Main Kanban Board Component
+/**
+ * KanbanBoard Component
+ *
+ * The candidate board. Columns come from `groupBy` and, optionally, rows from
+ * `swimlaneBy` (see `src/lib/kanban-groups.js`); cards are drawn by a pluggable
+ * `cardRenderer`. The board only reports moves: dropping a card in another
+ * column or lane calls `onCandidateMove` with the fields that would change,
+ * and dropping it on another card of the same column calls
+ * `onCandidateReorder`; the caller decides whether and how to save them.
+ *
+ * @param {Array} candidates - Candidates to show, in display order.
+ * @param {Array} stages - Stages of the board's pipeline.
+ * @param {Array} jobs - Jobs, for job column titles and job moves.
+ * @param {string} groupBy - Column grouping: 'stage', 'job', 'source' or 'owner'.
+ * @param {string|null} swimlaneBy - Swimlane grouping, or null for a single row.
+ * @param {Object} cardRenderer - `{ component, height }`, see `CARD_RENDERERS`.
+ * @param {Function} stageOf - Candidate → stage definition; defaults to a lookup in `stages`.
+ * @param {Function} onCandidateMove - Called with `(candidate, changes)`.
+ * @param {Function} [onCandidateReorder] - Called with `(candidate, { previous, next })`,
+ *   the cards it now sits between (null at either end). Omit to disable reordering.
+ * @param {Function} onCandidateClick - Called with the candidate id.
+ * @param {Object} [stageCounts] - Stage id → candidates the job holds in it;
+ *   stage columns show their WIP limits when given.
+ * @param {boolean} isLoading - Show the loading state.
+ */
 export function KanbanBoard({
   candidates = [],
+  stages = DEFAULT_PIPELINE.stages,
+  jobs = [],
+  groupBy = 'stage',
+  swimlaneBy = null,
+  cardRenderer = CARD_RENDERERS.detailed,
+  stageOf,
+  onCandidateMove = () => {},
+  onCandidateReorder,
   onCandidateClick = () => {},
-  onContact = () => {},
-  onCandidateMove = (candidateId, newStage) => {},
+  stageCounts,
   isLoading = false,
 }) {
-  const [searchTerm, setSearchTerm] = useState('');
-  const [selectedStage, setSelectedStage] = useState('all');
   const [activeId, setActiveId] = useState(null);
 
   const sensors = useSensors(
@@ -322,177 +88,139 @@ export function KanbanBoard({
     })
   );
 
-  // Filter candidates based on search and stage
-  const filteredCandidates = useMemo(() => {
-    return candidates.filter((candidate) => {
-      const matchesSearch =
-        candidate.name?.toLowerCase().includes(searchTerm.toLowerCase()) ||
-        candidate.email?.toLowerCase().includes(searchTerm.toLowerCase()) ||
-        (candidate.skills?.some((skill) =>
-          skill?.toLowerCase().includes(searchTerm.toLowerCase())
-        ) ?? false);
-
-      const matchesStage = selectedStage === 'all' || candidate.stage === selectedStage;
+  const stageFor = useCallback(
+    (candidate) => (stageOf ? stageOf(candidate) : findStage({ stages }, candidate.stage)),
+    [stageOf, stages]
+  );
+  const laneOf = useCallback(
+    (candidate) => (swimlaneBy ? groupKey(candidate, swimlaneBy) : SINGLE_LANE),
+    [swimlaneBy]
+  );
 
-      return matchesSearch && matchesStage;
-    });
-  }, [candidates, searchTerm, selectedStage]);
+  const columns = useMemo(() => listGroups(groupBy, { candidates, stages, jobs }), [groupBy, candidates, stages, jobs]);
+  const lanes = useMemo(
+    () => (swimlaneBy ? listGroups(swimlaneBy, { candidates, stages, jobs }) : [{ key: SINGLE_LANE, name: '' }]),
+    [swimlaneBy, candidates, stages, jobs]
+  );
 
-  // Group candidates by stage
-  const candidatesByStage = useMemo(() => {
-    const groups = {};
-    STAGES.forEach((stage) => {
-      groups[stage.id] = filteredCandidates.filter((c) => c.stage === stage.id);
+  // Candidates per lane and column, keeping the order they were given in
+  const cells = useMemo(() => {
+    const grouped = new Map();
+    candidates.forEach((candidate) => {
+      const key = `${laneOf(candidate)}:${groupKey(candidate, groupBy)}`;
+      if (!grouped.has(key)) grouped.set(key, []);
+      grouped.get(key).push(candidate);
     });
-    return groups;
-  }, [filteredCandidates]);
+    return grouped;
+  }, [candidates, groupBy, laneOf]);
 
-  // Get the currently dragged candidate
-  const activeCandidate = useMemo(() => {
-    if (!activeId) return null;
-    return candidates.find((c) => c.id === activeId);
-  }, [activeId, candidates]);
+  const activeCandidate = useMemo(
+    () => (activeId ? candidates.find((c) => c.id === activeId) : null),
+    [activeId, candidates]
+  );
 
-  // Handle drag start
   const handleDragStart = useCallback((event) => {
-    const { active } = event;
-    setActiveId(active.id);
+    setActiveId(event.active.id);
   }, []);
 
-  // Handle drag over
-  const handleDragOver = useCallback(
+  // The move is only reported on drop, so rules are checked once rather than
+  // for every column dragged across
+  const handleDragEnd = useCallback(
     (event) => {
       const { active, over } = event;
-      if (!over) return;
-
-      const activeId = active.id;
-      const overId = over.id;
-
-      if (activeId === overId) return;
-
-      // Determine stages
-      const activeStage = Object.entries(candidatesByStage).find(([_, items]) =>
-        items.some((item) => item.id === activeId)
-      )?.[0];
-
-      const overStage = over.data?.current?.stage?.id || overId;
-
-      if (activeStage === overStage) return;
-
-      // Move candidate
-      onCandidateMove(activeId, overStage);
+      setActiveId(null);
+      if (!over || active.id === over.id) return;
+
+      const candidate = candidates.find((c) => c.id === active.id);
+      const target = over.data.current;
+      if (!candidate || !target) return;
+
+      // Dropped on a column, or on a card within one
+      const column = target.type === 'column' ? target.column : groupKey(target.candidate, groupBy);
+      const lane = target.type === 'column' ? target.lane : laneOf(target.candidate);
+
+      const sameCell = column === groupKey(candidate, groupBy) && (!swimlaneBy || lane === laneOf(candidate));
+      if (sameCell) {
+        if (!onCandidateReorder || target.type !== 'candidate') return;
+        const cell = cells.get(`${lane}:${column}`) || [];
+        const to = cell.findIndex((c) => c.id === over.id);
+        const reordered = arrayMove(cell, cell.findIndex((c) => c.id === active.id), to);
+        onCandidateReorder(candidate, { previous: reordered[to - 1] || null, next: reordered[to + 1] || null });
+        return;
+      }
+
+      const changes = {};
+      if (column !== groupKey(candidate, groupBy)) {
+        const change = groupChanges(groupBy, column, jobs);
+        if (!change) return;
+        Object.assign(changes, change);
+      }
+      if (swimlaneBy && lane !== laneOf(candidate)) {
+        const change = groupChanges(swimlaneBy, lane, jobs);
+        if (!change) return;
+        Object.assign(changes, change);
+      }
+
+      if (Object.keys(changes).length) onCandidateMove(candidate, changes);
     },
-    [candidatesByStage, onCandidateMove]
+    [candidates, cells, groupBy, swimlaneBy, jobs, laneOf, onCandidateMove, onCandidateReorder]
   );
 
-  // Handle drag end
-  const handleDragEnd = useCallback((event) => {
-    setActiveId(null);
-  }, []);
-
-  const handleContact = useCallback((candidate, method) => {
-    onContact(candidate, method);
-  }, [onContact]);
-
   if (isLoading) {
     return <LoadingState />;
   }
 
-  return (
-    <div className="flex flex-col h-full bg-gray-50 p-6">
-      {/* Header */}
-      <div className="mb-8">
-        <h1 className="text-3xl font-bold text-gray-900 mb-2">Candidates Pipeline</h1>
-        <p className="text-gray-600">
-          Manage your recruitment process by dragging candidates between stages.
-        </p>
-      </div>
+  const Card = cardRenderer.component;
 
-      {/* Search and Filter Bar */}
-      <div className="flex items-center justify-between mb-6 bg-white p-4 rounded-xl shadow-sm border border-gray-200">
-        <div className="relative w-80">
-          <Search className="absolute left-3 top-1/2 h-4 w-4 -translate-y-1/2 text-gray-400" />
-          <Input
-            placeholder="Search candidates by name, email, or skills..."
-            className="pl-10 border-gray-300 focus:border-blue-500 focus:ring-blue-500"
-            value={searchTerm}
-            onChange={(e) => setSearchTerm(e.target.value)}
-          />
-        </div>
-        <div className="flex items-center space-x-4">
-          <DropdownMenu>
-            <DropdownMenuTrigger asChild>
-              <Button
-                variant="outline"
-                className="w-[200px] justify-between border-gray-300 hover:border-blue-500"
-              >
-                {selectedStage === 'all'
-                  ? 'All Stages'
-                  : STAGES.find((s) => s.id === selectedStage)?.name}
-                <ChevronDown className="ml-2 h-4 w-4" />
-              </Button>
-            </DropdownMenuTrigger>
-            <DropdownMenuContent className="w-[200px]">
-              <DropdownMenuItem onClick={() => setSelectedStage('all')}>
-                All Stages
-              </DropdownMenuItem>
-              <DropdownMenuSeparator />
-              {STAGES.map((stage) => (
-                <DropdownMenuItem key={stage.id} onClick={() => setSelectedStage(stage.id)}>
-                  <div className={cn('h-2 w-2 rounded-full mr-2', stage.color)}></div>
-                  {stage.name}
-                </DropdownMenuItem>
-              ))}
-            </DropdownMenuContent>
-          </DropdownMenu>
-          <Button className="bg-blue-600 hover:bg-blue-700">
-            <Plus className="mr-2 h-4 w-4" />
-            New Candidate
-          </Button>
+  return (
+    <DndContext
+      sensors={sensors}
+      collisionDetection={closestCorners}
+      onDragStart={handleDragStart}
+      onDragEnd={handleDragEnd}
+      onDragCancel={() => setActiveId(null)}
+    >
+      <div className="overflow-x-auto pb-4">
+        <div className="inline-flex flex-col gap-6 min-w-full">
+          {lanes.map((lane) => (
+            <section key={lane.key} aria-label={swimlaneBy ? `Swimlane ${lane.name}` : undefined}>
+              {swimlaneBy && (
+                <h3 className="sticky left-0 mb-3 font-semibold text-gray-700">
+                  {lane.name}
+                  <span className="ml-2 text-sm font-normal text-muted-foreground">
+                    {candidates.filter((c) => laneOf(c) === lane.key).length}
+                  </span>
+                </h3>
+              )}
+              <div className="flex gap-4">
+                {columns.map((column) => (
+                  <KanbanColumn
+                    key={column.key}
+                    id={`${lane.key}:${column.key}`}
+                    group={column}
+                    lane={lane.key}
+                    candidates={cells.get(`${lane.key}:${column.key}`) || []}
+                    cardRenderer={cardRenderer}
+                    stageOf={stageFor}
+                    activeId={activeId}
+                    onCandidateClick={onCandidateClick}
+                    wipCount={stageCounts && column.stage ? stageCounts[column.stage.id] || 0 : undefined}
+                  />
+                ))}
+              </div>
+            </section>
+          ))}
         </div>
       </div>
 
-      {/* Kanban Board */}
-      <ScrollArea className="flex-1">
-        <DndContext
-          sensors={sensors}
-          collisionDetection={closestCorners}
-          onDragStart={handleDragStart}
-          onDragOver={handleDragOver}
-          onDragEnd={handleDragEnd}
-        >
-          <div className="flex space-x-6 p-4">
-            <SortableContext
-              items={STAGES.map((stage) => stage.id)}
-              strategy={rectSortingStrategy}
-            >
-              {STAGES.map((stage) => (
-                <Column
-                  key={stage.id}
-                  stage={stage}
-                  candidates={candidatesByStage[stage.id] || []}
-                  onView={onCandidateClick}
-                  onContact={handleContact}
-                />
-              ))}
-            </SortableContext>
+      {/* Drag Overlay */}
+      <DragOverlay dropAnimation={defaultDropAnimation}>
+        {activeCandidate ? (
+          <div className="w-72" style={{ height: cardRenderer.height }}>
+            <Card candidate={activeCandidate} stage={stageFor(activeCandidate)} isDragging />
           </div>
-
-          {/* Drag Overlay */}
-          <DragOverlay dropAnimation={defaultDropAnimation}>
-            {activeCandidate ? (
-              <div className="w-80">
-                <SortableCandidateCard
-                  candidate={activeCandidate}
-                  isDragging={true}
-                  onView={() => onCandidateClick(activeCandidate)}
-                  onContact={handleContact}
-                />
-              </div>
-            ) : null}
-          </DragOverlay>
-        </DndContext>
-      </ScrollArea>
-    </div>
+        ) : null}
+      </DragOverlay>
+    </DndContext>
   );
 }
@@ -1,116 +1,148 @@
 import React from 'react';
-import { useSortable } from '@dnd-kit/sortable';
+import { useDroppable } from '@dnd-kit/core';
+import { SortableContext, useSortable, verticalListSortingStrategy } from '@dnd-kit/sortable';
 import { CSS } from '@dnd-kit/utilities';
-import { CandidateCard } from './CandidateCard';
-import { GripVertical } from 'lucide-react';
+import { FixedSizeList } from 'react-window';
+import { cn } from '@/lib/utils';
+import { stageColors } from '@/lib/pipelines';
+import { wipStatus } from '@/lib/stage-limits';
 
-// Constants for stage titles and colors
-const STAGE_TITLES = {
-  applied: 'Applied',
-  screen: 'Screening',
-  tech: 'Technical',
-  offer: 'Offer',
-  hired: 'Hired',
-  rejected: 'Rejected',
+// Space between cards, and the tallest a column grows before it scrolls
+const CARD_GAP = 12;
+const MAX_COLUMN_HEIGHT = 640;
+
+const WIP_STYLES = {
+  under: 'bg-white text-gray-500',
+  at: 'bg-amber-100 text-amber-800',
+  over: 'bg-red-100 text-red-800',
 };
 
-const STAGE_COLORS = {
-  applied: 'bg-blue-500 text-white',
-  screen: 'bg-purple-500 text-white',
-  tech: 'bg-amber-500 text-white',
-  offer: 'bg-green-500 text-white',
-  hired: 'bg-emerald-500 text-white',
-  rejected: 'bg-red-500 text-white',
+/**
+ * Makes a card renderer draggable; a click that does not start a drag opens
+ * the candidate.
+ */
+const SortableCard = ({ candidate, stage, Card, isDragging, onClick }) => {
+  const { attributes, listeners, setNodeRef, transform, transition } = useSortable({
+    id: candidate.id,
+    data: { type: 'candidate', candidate },
+  });
+
+  return (
+    <div
+      ref={setNodeRef}
+      style={{ height: '100%', transform: CSS.Transform.toString(transform), transition, opacity: isDragging ? 0.4 : 1 }}
+      onClick={() => onClick(candidate.id)}
+      {...attributes}
+      {...listeners}
+    >
+      <Card candidate={candidate} stage={stage} isDragging={isDragging} />
+    </div>
+  );
+};
+
+// One slot of the virtualized list
+const CardSlot = ({ index, style, data }) => {
+  const { candidates, stageOf, cardRenderer, activeId, onCandidateClick } = data;
+  const candidate = candidates[index];
+  return (
+    <div style={{ ...style, height: style.height - CARD_GAP }}>
+      <SortableCard
+        candidate={candidate}
+        stage={stageOf(candidate)}
+        Card={cardRenderer.component}
+        isDragging={activeId === candidate.id}
+        onClick={onCandidateClick}
+      />
+    </div>
+  );
 };
 
 /**
- * KanbanColumn component represents a single column in the Kanban board.
- * It supports drag-and-drop for reordering columns and displays candidate cards.
+ * KanbanColumn component represents a single column (or swimlane cell) of the
+ * Kanban board. The whole column is a drop target, so a card can be dropped
+ * anywhere in it, including over cards the virtualized list has not mounted;
+ * only the cards in view are rendered.
  *
- * @param {string} stage - The stage identifier (e.g., 'applied', 'screen').
- * @param {Array} candidates - Array of candidate objects in this stage.
- * @param {Function} onCandidateClick - Callback function when a candidate card is clicked.
+ * @param {string} id - Droppable id, unique across the board.
+ * @param {Object} group - Column group `{ key, name, stage? }`.
+ * @param {string} lane - Swimlane group key the column sits in.
+ * @param {Array} candidates - Candidates in this column, in display order.
+ * @param {Object} cardRenderer - `{ component, height }`, see `CARD_RENDERERS`.
+ * @param {Function} stageOf - Candidate → its stage definition.
+ * @param {string|null} activeId - Id of the card being dragged.
+ * @param {Function} onCandidateClick - Called with the candidate id.
+ * @param {number} [wipCount] - Candidates the job holds in the column's stage;
+ *   shows the stage's WIP limit when given.
  */
 export const KanbanColumn = ({
-  stage,
+  id,
+  group,
+  lane,
   candidates = [],
+  cardRenderer,
+  stageOf,
+  activeId,
   onCandidateClick,
+  wipCount,
 }) => {
-  const {
-    attributes,
-    listeners,
-    setNodeRef,
-    transform,
-    transition,
-    isDragging,
-  } = useSortable({ id: stage });
-
-  const style = {
-    transform: CSS.Transform.toString(transform),
-    transition: transition || undefined,
-    opacity: isDragging ? 0.5 : 1,
-  };
+  const { setNodeRef, isOver } = useDroppable({
+    id,
+    data: { type: 'column', column: group.key, lane, stage: group.stage },
+  });
+  const slotHeight = cardRenderer.height + CARD_GAP;
+  const wip = wipCount === undefined ? null : wipStatus(group.stage, wipCount);
 
   return (
     <div
       ref={setNodeRef}
-      style={style}
-      className={`
-        flex-shrink-0 w-80 bg-white rounded-xl border border-gray-200 shadow-sm p-4
-        hover:shadow-lg transition-all duration-200 ease-in-out
-        ${isDragging ? 'ring-2 ring-blue-500 ring-offset-2 shadow-xl' : ''}
-      `}
+      className={cn(
+        'flex-shrink-0 w-80 bg-gray-50 rounded-xl border border-gray-200 shadow-sm p-4 transition-colors',
+        wip === 'over' && 'border-red-300 bg-red-50/40',
+        isOver && 'ring-2 ring-blue-400 ring-offset-2 bg-blue-50'
+      )}
       role="region"
-      aria-label={`Column for ${STAGE_TITLES[stage] || stage} stage`}
+      aria-label={`Column for ${group.name}`}
     >
-      {/* Column Header */}
-      <div
-        className="flex items-center justify-between mb-4 cursor-grab active:cursor-grabbing group"
-        {...attributes}
-        {...listeners}
-        role="button"
-        tabIndex={0}
-        aria-label={`Drag handle for ${STAGE_TITLES[stage] || stage} column`}
-      >
-        <div className="flex items-center space-x-3">
-          <div className={`
-            h-3 w-3 rounded-full ${STAGE_COLORS[stage].split(' ')[0]}
-          `}></div>
-          <h3 className="font-semibold text-gray-800 text-lg">
-            {STAGE_TITLES[stage] || stage}
-          </h3>
+      <div className="flex items-center justify-between mb-4 px-1">
+        <div className="flex items-center space-x-3 min-w-0">
+          {group.stage && <div className={cn('h-3 w-3 rounded-full flex-shrink-0', stageColors(group.stage).dot)}></div>}
+          <h3 className="font-semibold text-gray-800 truncate">{group.name}</h3>
         </div>
-        <div className="flex items-center space-x-2">
-          <span className={`
-            px-3 py-1 text-xs font-semibold rounded-full shadow-sm
-            ${STAGE_COLORS[stage]} bg-opacity-20 border border-current
-          `}>
+        <div className="flex items-center gap-1 flex-shrink-0">
+          {wip && (
+            <span
+              className={cn('text-xs font-medium px-2 py-1 rounded-full shadow-sm', WIP_STYLES[wip])}
+              title={`WIP limit: ${group.stage.wipLimit} (${group.stage.wipMode === 'block' ? 'blocks moves in' : 'warning only'})`}
+            >
+              {wipCount}/{group.stage.wipLimit}
+            </span>
+          )}
+          <span className="text-sm text-gray-500 bg-white px-2 py-1 rounded-full shadow-sm">
             {candidates.length}
           </span>
-          <GripVertical className="h-4 w-4 text-gray-400 opacity-0 group-hover:opacity-100 transition-opacity" />
         </div>
       </div>
 
-      {/* Candidates List */}
-      <div className="space-y-3 min-h-[200px]">
+      <SortableContext items={candidates.map((c) => c.id)} strategy={verticalListSortingStrategy}>
         {candidates.length > 0 ? (
-          candidates.map((candidate) => (
-            <CandidateCard
-              key={candidate.id}
-              candidate={candidate}
-              onClick={() => onCandidateClick(candidate.id)}
-            />
-          ))
+          <FixedSizeList
+            height={Math.min(MAX_COLUMN_HEIGHT, candidates.length * slotHeight)}
+            width="100%"
+            itemCount={candidates.length}
+            itemSize={slotHeight}
+            itemKey={(index) => candidates[index].id}
+            itemData={{ candidates, stageOf, cardRenderer, activeId, onCandidateClick }}
+            overscanCount={3}
+          >
+            {CardSlot}
+          </FixedSizeList>
         ) : (
-          <div className="flex flex-col items-center justify-center py-8 text-gray-400 border-2 border-dashed border-gray-300 rounded-lg">
-            <div className="h-8 w-8 rounded-full bg-gray-100 flex items-center justify-center mb-2">
-              <span className="text-xs font-medium">+</span>
-            </div>
-            <p className="text-sm font-medium">No candidates</p>
+          <div className="flex flex-col items-center justify-center h-24 text-gray-400 border-2 border-dashed border-gray-300 rounded-lg">
+            <p className="text-sm">No candidates</p>
             <p className="text-xs">Drag candidates here</p>
           </div>
         )}
-      </div>
+      </SortableContext>
     </div>
   );
 };
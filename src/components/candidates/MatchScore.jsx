@@ -0,0 +1,69 @@
+import { Target } from 'lucide-react';
+import { Badge } from '@/components/ui/badge';
+import { HoverCard, HoverCardContent, HoverCardTrigger } from '@/components/ui/hover-card';
+import { cn } from '@/lib/utils';
+
+const toneOf = (score) => {
+  if (score >= 75) return { badge: 'bg-green-50 text-green-700 border-green-200', bar: 'bg-green-500' };
+  if (score >= 50) return { badge: 'bg-amber-50 text-amber-700 border-amber-200', bar: 'bg-amber-500' };
+  return { badge: 'bg-red-50 text-red-700 border-red-200', bar: 'bg-red-500' };
+};
+
+/**
+ * MatchBreakdown Component
+ *
+ * The factors behind a match score: each factor's weight, how well the
+ * candidate did on it and why. Factors without data are listed as not counted.
+ *
+ * @param {object} match - `{ score, factors }` from `src/lib/match-score.js`.
+ */
+export const MatchBreakdown = ({ match }) => (
+  <div className="space-y-3">
+    {match.factors.map((factor) => (
+      <div key={factor.key} className="space-y-1">
+        <div className="flex items-center justify-between text-xs">
+          <span className="font-medium">
+            {factor.label} <span className="text-muted-foreground font-normal">· {factor.weight}%</span>
+          </span>
+          <span className={factor.score === null ? 'text-muted-foreground' : 'font-medium'}>
+            {factor.score === null ? '—' : `${Math.round(factor.score * 100)}%`}
+          </span>
+        </div>
+        {factor.score !== null && (
+          <div className="h-1.5 rounded-full bg-muted overflow-hidden">
+            <div className={cn('h-full', toneOf(factor.score * 100).bar)} style={{ width: `${factor.score * 100}%` }} />
+          </div>
+        )}
+        <p className="text-xs text-muted-foreground">{factor.detail}</p>
+      </div>
+    ))}
+  </div>
+);
+
+/**
+ * MatchBadge Component
+ *
+ * The candidate's match score against their job, colored by strength, with
+ * the breakdown on hover. Renders nothing for candidates without a score.
+ *
+ * @param {object|null} match - `candidate.match`.
+ * @param {boolean} compact - Show the number only.
+ * @param {string} className - Extra classes for the badge.
+ */
+export const MatchBadge = ({ match, compact = false, className }) => {
+  if (match?.score === null || match?.score === undefined) return null;
+  return (
+    <HoverCard openDelay={200}>
+      <HoverCardTrigger asChild>
+        <Badge variant="outline" className={cn('text-xs gap-1 cursor-default', toneOf(match.score).badge, className)}>
+          <Target className="h-3 w-3" />
+          {compact ? match.score : `${match.score}% match`}
+        </Badge>
+      </HoverCardTrigger>
+      <HoverCardContent className="w-72" onClick={(e) => e.stopPropagation()}>
+        <p className="text-sm font-semibold mb-3">Match score: {match.score}/100</p>
+        <MatchBreakdown match={match} />
+      </HoverCardContent>
+    </HoverCard>
+  );
+};
@@ -0,0 +1,199 @@
+import React, { useEffect, useMemo, useState } from 'react';
+import { useQuery } from '@tanstack/react-query';
+import { ArrowLeftRight, GitMerge, Loader2 } from 'lucide-react';
+import {
+  Dialog,
+  DialogContent,
+  DialogDescription,
+  DialogFooter,
+  DialogHeader,
+  DialogTitle,
+} from '@/components/ui/dialog';
+import { Button } from '@/components/ui/button';
+import { Badge } from '@/components/ui/badge';
+import { cn } from '@/lib/utils';
+import { db } from '@/lib/db';
+import { apiRequest } from '@/lib/api';
+import { ifMatch } from '@/lib/concurrency';
+import { DEFAULT_PIPELINE_ID, findStage } from '@/lib/pipelines';
+import { DUPLICATE_REASONS, MERGE_FIELDS, defaultMergePicks, mergeCandidateFields } from '@/lib/duplicates';
+import { usePipelines } from '@/hooks/usePipelines';
+import { useToast } from '@/hooks/use-toast';
+
+const formatValue = (value) => {
+  if (Array.isArray(value)) return value.length ? value.join(', ') : '—';
+  if (value === undefined || value === null || value === '') return '—';
+  return String(value);
+};
+
+const ValueCell = ({ value, selected, onSelect }) => (
+  <button
+    type="button"
+    onClick={onSelect}
+    className={cn(
+      'w-full text-left rounded-md border px-3 py-2 text-sm transition-colors',
+      selected ? 'border-blue-500 bg-blue-50' : 'border-gray-200 hover:border-gray-300'
+    )}
+    aria-pressed={selected}
+  >
+    {value}
+  </button>
+);
+
+/**
+ * MergeDialog Component
+ *
+ * Compares two candidates field by field and merges the duplicate into the
+ * survivor through `POST /api/candidates/:id/merge`. Either candidate can be
+ * the survivor; for each field the recruiter picks whose value to keep, while
+ * skills, tags and notes are combined.
+ *
+ * @param {Array|null} pair - The two candidates, or null when closed.
+ * @param {string[]} [reasons] - Keys of `DUPLICATE_REASONS` they matched on.
+ * @param {function} onMerged - Called with the surviving candidate.
+ * @param {function} onCancel - Called when the dialog is closed without merging.
+ */
+export const MergeDialog = ({ pair, reasons = [], onMerged, onCancel }) => {
+  const [survivorIndex, setSurvivorIndex] = useState(0);
+  const [picks, setPicks] = useState({});
+  const [isMerging, setIsMerging] = useState(false);
+  const { pipelinesById } = usePipelines();
+  const { toast } = useToast();
+
+  const { data: jobs = [] } = useQuery({
+    queryKey: ['jobs', 'all'],
+    queryFn: () => db.jobs.toArray(),
+    enabled: !!pair,
+  });
+
+  const survivor = pair?.[survivorIndex];
+  const duplicate = pair?.[1 - survivorIndex];
+
+  useEffect(() => {
+    if (!pair) return;
+    setSurvivorIndex(0);
+    setPicks(defaultMergePicks(pair[0], pair[1]));
+  }, [pair]);
+
+  const combined = useMemo(
+    () => (survivor && duplicate ? mergeCandidateFields(survivor, duplicate) : null),
+    [survivor, duplicate]
+  );
+
+  if (!pair) return null;
+
+  const describe = (candidate, field) => {
+    if (field.key !== 'application') return formatValue(candidate[field.key]);
+    const job = jobs.find((j) => j.id === candidate.jobId);
+    const stage = findStage(pipelinesById[job?.pipelineId || DEFAULT_PIPELINE_ID], candidate.stage);
+    return `${job?.title || 'No job'} · ${stage.name}`;
+  };
+
+  const swap = () => {
+    setSurvivorIndex(1 - survivorIndex);
+    // Picks are relative to the survivor, so flip them to keep the same values
+    setPicks((current) =>
+      Object.fromEntries(Object.entries(current).map(([key, side]) => [key, side === 'survivor' ? 'duplicate' : 'survivor']))
+    );
+  };
+
+  const handleMerge = async () => {
+    setIsMerging(true);
+    try {
+      const { data } = await apiRequest(`/candidates/${survivor.id}/merge`, {
+        method: 'POST',
+        body: { duplicateId: duplicate.id, picks },
+        headers: ifMatch(survivor),
+      });
+      toast({ title: 'Candidates merged', description: `${duplicate.name} was merged into ${data.name}.` });
+      onMerged(data);
+    } catch (error) {
+      toast({
+        title: 'Failed to merge candidates',
+        description: error.status === 409 ? 'One of the candidates changed meanwhile. Reopen the comparison and try again.' : error.message,
+        variant: 'destructive',
+      });
+    } finally {
+      setIsMerging(false);
+    }
+  };
+
+  return (
+    <Dialog open onOpenChange={(isOpen) => !isOpen && !isMerging && onCancel()}>
+      <DialogContent className="max-w-3xl max-h-[90vh] overflow-y-auto">
+        <DialogHeader>
+          <DialogTitle className="flex items-center gap-2">
+            <GitMerge className="h-5 w-5 text-blue-600" />
+            Merge duplicate candidates
+          </DialogTitle>
+          <DialogDescription>
+            Pick the value to keep for each field. The other record's timeline, assessment responses, attachments,
+            scorecards, interviews and notes move to the kept candidate, and it goes to the trash.
+          </DialogDescription>
+        </DialogHeader>
+
+        {reasons.length > 0 && (
+          <div className="flex flex-wrap gap-2">
+            {reasons.map((reason) => (
+              <Badge key={reason} variant="secondary">
+                {DUPLICATE_REASONS[reason]}
+              </Badge>
+            ))}
+          </div>
+        )}
+
+        <div className="grid grid-cols-[140px_1fr_1fr] items-center gap-2">
+          <div />
+          <div className="text-sm font-semibold">
+            Keep: {survivor.name}
+          </div>
+          <div className="flex items-center justify-between text-sm font-semibold">
+            <span>Merge in: {duplicate.name}</span>
+            <Button variant="ghost" size="sm" onClick={swap} disabled={isMerging} title="Keep the other candidate instead">
+              <ArrowLeftRight className="h-4 w-4" />
+            </Button>
+          </div>
+
+          {MERGE_FIELDS.map((field) => (
+            <React.Fragment key={field.key}>
+              <span className="text-sm text-muted-foreground">{field.label}</span>
+              <ValueCell
+                value={describe(survivor, field)}
+                selected={picks[field.key] !== 'duplicate'}
+                onSelect={() => setPicks({ ...picks, [field.key]: 'survivor' })}
+              />
+              <ValueCell
+                value={describe(duplicate, field)}
+                selected={picks[field.key] === 'duplicate'}
+                onSelect={() => setPicks({ ...picks, [field.key]: 'duplicate' })}
+              />
+            </React.Fragment>
+          ))}
+        </div>
+
+        <div className="rounded-lg border bg-muted/30 p-3 text-sm space-y-1">
+          <p className="font-medium">Combined from both</p>
+          <p>
+            <span className="text-muted-foreground">Skills:</span> {formatValue(combined.skills)}
+          </p>
+          <p>
+            <span className="text-muted-foreground">Tags:</span> {formatValue(combined.tags)}
+          </p>
+          <p className="line-clamp-3">
+            <span className="text-muted-foreground">Notes:</span> {formatValue(combined.notes)}
+          </p>
+        </div>
+
+        <DialogFooter>
+          <Button variant="outline" onClick={onCancel} disabled={isMerging}>
+            Cancel
+          </Button>
+          <Button onClick={handleMerge} disabled={isMerging}>
+            {isMerging ? <Loader2 className="h-4 w-4 mr-2 animate-spin" /> : <GitMerge className="h-4 w-4 mr-2" />}
+            Merge into {survivor.name}
+          </Button>
+        </DialogFooter>
+      </DialogContent>
+    </Dialog>
+  );
+};
@@ -0,0 +1,133 @@
+import React, { useEffect, useState } from 'react';
+import { XCircle } from 'lucide-react';
+import {
+  Dialog,
+  DialogContent,
+  DialogDescription,
+  DialogFooter,
+  DialogHeader,
+  DialogTitle,
+} from '@/components/ui/dialog';
+import { Button } from '@/components/ui/button';
+import { Input } from '@/components/ui/input';
+import { Label } from '@/components/ui/label';
+import { Textarea } from '@/components/ui/textarea';
+import {
+  Select,
+  SelectContent,
+  SelectItem,
+  SelectTrigger,
+  SelectValue,
+} from '@/components/ui/select';
+import { useRejectionReasons } from '@/hooks/useRejectionReasons';
+
+// Remembers who last rejected a candidate in this browser
+const REJECTED_BY_KEY = 'talentflow:rejected-by';
+
+const readRejectedBy = () => {
+  try {
+    return localStorage.getItem(REJECTED_BY_KEY) || '';
+  } catch {
+    return '';
+  }
+};
+
+/**
+ * RejectionReasonDialog Component
+ *
+ * Asks for a reason from the rejection taxonomy, who is rejecting and an
+ * optional note before a candidate is moved to a rejection stage; the API
+ * refuses the move without a reason.
+ *
+ * @param {object|null} move - `{ candidate, stage }` being confirmed, or null when closed.
+ * @param {function} onConfirm - Called with `{ reasonId, rejectedBy, note }`.
+ * @param {function} onCancel - Called when the move is abandoned.
+ */
+export const RejectionReasonDialog = ({ move, onConfirm, onCancel }) => {
+  const { reasons } = useRejectionReasons();
+  const [reasonId, setReasonId] = useState('');
+  const [rejectedBy, setRejectedBy] = useState('');
+  const [note, setNote] = useState('');
+
+  useEffect(() => {
+    if (!move) return;
+    setReasonId('');
+    setRejectedBy(readRejectedBy());
+    setNote('');
+  }, [move]);
+
+  const canSubmit = reasonId && rejectedBy.trim();
+
+  const handleSubmit = (event) => {
+    event.preventDefault();
+    if (!canSubmit) return;
+    try {
+      localStorage.setItem(REJECTED_BY_KEY, rejectedBy.trim());
+    } catch {
+      // Storage may be unavailable; the name is just not remembered
+    }
+    onConfirm({ reasonId, rejectedBy: rejectedBy.trim(), note: note.trim() });
+  };
+
+  return (
+    <Dialog open={!!move} onOpenChange={(isOpen) => !isOpen && onCancel()}>
+      <DialogContent className="max-w-md">
+        <form onSubmit={handleSubmit}>
+          <DialogHeader>
+            <DialogTitle className="flex items-center gap-2">
+              <XCircle className="h-5 w-5 text-red-600" />
+              Move {move?.candidate.name} to {move?.stage.name}
+            </DialogTitle>
+            <DialogDescription>
+              This ends the candidate&apos;s application. The reason is stored on the candidate and their timeline.
+            </DialogDescription>
+          </DialogHeader>
+          <div className="space-y-4 py-4">
+            <div className="space-y-2">
+              <Label htmlFor="rejection-reason">Reason</Label>
+              <Select value={reasonId} onValueChange={setReasonId}>
+                <SelectTrigger id="rejection-reason">
+                  <SelectValue placeholder="Choose a reason" />
+                </SelectTrigger>
+                <SelectContent>
+                  {reasons.map((reason) => (
+                    <SelectItem key={reason.id} value={reason.id}>
+                      {reason.label}
+                    </SelectItem>
+                  ))}
+                </SelectContent>
+              </Select>
+            </div>
+            <div className="space-y-2">
+              <Label htmlFor="rejected-by">Rejected by</Label>
+              <Input
+                id="rejected-by"
+                value={rejectedBy}
+                onChange={(e) => setRejectedBy(e.target.value)}
+                placeholder="Your name"
+              />
+            </div>
+            <div className="space-y-2">
+              <Label htmlFor="rejection-note">Note (optional)</Label>
+              <Textarea
+                id="rejection-note"
+                value={note}
+                onChange={(e) => setNote(e.target.value)}
+                placeholder="e.g. Strong frontend skills but no distributed systems experience"
+                rows={3}
+              />
+            </div>
+          </div>
+          <DialogFooter>
+            <Button type="button" variant="outline" onClick={onCancel}>
+              Cancel
+            </Button>
+            <Button type="submit" variant="destructive" disabled={!canSubmit}>
+              Reject candidate
+            </Button>
+          </DialogFooter>
+        </form>
+      </DialogContent>
+    </Dialog>
+  );
+};
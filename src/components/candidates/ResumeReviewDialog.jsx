@@ -0,0 +1,211 @@
+import { useEffect, useState } from 'react';
+import { useQueryClient } from '@tanstack/react-query';
+import { Loader2, ScanText } from 'lucide-react';
+import {
+  Dialog,
+  DialogContent,
+  DialogDescription,
+  DialogFooter,
+  DialogHeader,
+  DialogTitle,
+} from '@/components/ui/dialog';
+import { Button } from '@/components/ui/button';
+import { Badge } from '@/components/ui/badge';
+import { Checkbox } from '@/components/ui/checkbox';
+import { Input } from '@/components/ui/input';
+import { apiBlob, apiRequest } from '@/lib/api';
+import { ifMatch } from '@/lib/concurrency';
+import { extractDocumentText } from '@/lib/document-text';
+import { RESUME_FIELDS, parseResume } from '@/lib/resume-parser';
+import { useToast } from '@/hooks/use-toast';
+
+// Largest plausible number of years of experience
+const MAX_EXPERIENCE_YEARS = 60;
+
+const isBlank = (value) =>
+  value === undefined || value === null || value === '' || (Array.isArray(value) && value.length === 0);
+
+const toText = (value) => (Array.isArray(value) ? value.join(', ') : isBlank(value) ? '' : String(value));
+
+// Edited text back to the field's type
+const fromText = (key, text) => {
+  if (key === 'skills') return [...new Set(text.split(',').map((skill) => skill.trim()).filter(Boolean))];
+  if (key === 'experience') return text.trim() === '' ? NaN : Number(text);
+  return text.trim();
+};
+
+const sameValue = (a, b) => toText(a) === toText(b);
+
+/**
+ * ResumeReviewDialog Component
+ *
+ * Reads a resume attachment in the browser, proposes candidate fields from it
+ * (see `src/lib/resume-parser.js`) and shows the resume text next to the
+ * candidate's current values. Proposals start ticked where the candidate has
+ * no value yet; the recruiter can edit any of them before the ticked ones are
+ * saved with a conditional PATCH.
+ *
+ * @param {object} candidate - The candidate the resume belongs to.
+ * @param {object|null} attachment - Attachment metadata of the resume, or null when closed.
+ * @param {function} onClose - Called when the dialog is closed.
+ */
+export const ResumeReviewDialog = ({ candidate, attachment, onClose }) => {
+  const [state, setState] = useState({ status: 'idle' }); // { status, text?, proposals?, error? }
+  const [values, setValues] = useState({});
+  const [accepted, setAccepted] = useState({});
+  const [isSaving, setIsSaving] = useState(false);
+  const queryClient = useQueryClient();
+  const { toast } = useToast();
+
+  useEffect(() => {
+    if (!attachment) return undefined;
+    let cancelled = false;
+    setState({ status: 'loading' });
+    apiBlob(`/candidates/${attachment.candidateId}/attachments/${attachment.id}`)
+      .then((blob) => extractDocumentText(blob, attachment.name))
+      .then((text) => {
+        if (cancelled) return;
+        const proposals = parseResume(text, candidate);
+        setState({ status: 'ready', text, proposals });
+        setValues(Object.fromEntries(Object.entries(proposals).map(([key, { value }]) => [key, toText(value)])));
+        setAccepted(
+          Object.fromEntries(
+            Object.entries(proposals).map(([key, { value }]) => [
+              key,
+              key === 'skills' ? !sameValue(value, candidate.skills) : isBlank(candidate[key]),
+            ])
+          )
+        );
+      })
+      .catch((error) => !cancelled && setState({ status: 'error', error: error.message }));
+    return () => {
+      cancelled = true;
+    };
+    // The candidate only seeds the defaults; re-reading on every refetch would drop edits
+  }, [attachment]);
+
+  const proposals = state.proposals || {};
+  const fields = RESUME_FIELDS.filter(({ key }) => proposals[key]);
+  const missing = RESUME_FIELDS.filter(({ key }) => !proposals[key]);
+
+  const invalid = (key) => {
+    const value = fromText(key, values[key] || '');
+    if (key === 'experience') return !Number.isInteger(value) || value < 0 || value > MAX_EXPERIENCE_YEARS;
+    if (key === 'email') return !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(value);
+    return isBlank(value);
+  };
+  const changes = Object.fromEntries(
+    fields.filter(({ key }) => accepted[key]).map(({ key }) => [key, fromText(key, values[key] || '')])
+  );
+  const canSave = Object.keys(changes).length > 0 && !Object.keys(changes).some(invalid);
+
+  const handleSave = async () => {
+    setIsSaving(true);
+    try {
+      await apiRequest(`/candidates/${candidate.id}`, { method: 'PATCH', body: changes, headers: ifMatch(candidate) });
+      ['candidate', 'candidates', 'candidates-kanban', 'candidate-duplicates'].forEach((key) =>
+        queryClient.invalidateQueries({ queryKey: [key] })
+      );
+      toast({ title: 'Profile updated', description: `${Object.keys(changes).length} fields filled in from ${attachment.name}.` });
+      onClose();
+    } catch (error) {
+      toast({
+        title: 'Failed to update candidate',
+        description: error.status === 409 ? 'The candidate changed meanwhile. Reopen the review and try again.' : error.message,
+        variant: 'destructive',
+      });
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  return (
+    <Dialog open={!!attachment} onOpenChange={(isOpen) => !isOpen && !isSaving && onClose()}>
+      <DialogContent className="max-w-5xl max-h-[90vh] overflow-y-auto">
+        <DialogHeader>
+          <DialogTitle className="flex items-center gap-2">
+            <ScanText className="h-5 w-5 text-blue-600" />
+            Fill in profile from resume
+          </DialogTitle>
+          <DialogDescription>
+            {attachment?.name} was read on this device. Tick the values to copy to {candidate.name}'s profile.
+          </DialogDescription>
+        </DialogHeader>
+
+        {state.status === 'loading' || state.status === 'idle' ? (
+          <div className="flex h-60 items-center justify-center">
+            <Loader2 className="h-6 w-6 animate-spin text-muted-foreground" />
+          </div>
+        ) : state.status === 'error' ? (
+          <p className="py-8 text-center text-sm text-destructive">{state.error}</p>
+        ) : (
+          <div className="grid gap-6 md:grid-cols-2">
+            <div className="space-y-2">
+              <p className="text-sm font-semibold">Resume text</p>
+              <pre className="h-[55vh] overflow-auto whitespace-pre-wrap rounded-md border bg-muted/30 p-3 text-xs">
+                {state.text || 'No text found. Scanned resumes contain only images and cannot be read.'}
+              </pre>
+            </div>
+
+            <div className="space-y-3">
+              <p className="text-sm font-semibold">Proposed values</p>
+              {fields.length === 0 && <p className="text-sm text-muted-foreground">Nothing could be recognized.</p>}
+              {fields.map(({ key, label }) => {
+                const proposal = proposals[key];
+                const added = key === 'skills' ? proposal.found.filter((skill) => !(candidate.skills || []).includes(skill)) : [];
+                return (
+                  <div key={key} className="rounded-md border p-3 space-y-2">
+                    <label className="flex items-center gap-2 text-sm font-medium cursor-pointer">
+                      <Checkbox
+                        checked={!!accepted[key]}
+                        onCheckedChange={(checked) => setAccepted({ ...accepted, [key]: !!checked })}
+                      />
+                      {label}
+                    </label>
+                    <p className="text-xs text-muted-foreground">
+                      Current: {toText(candidate[key]) || '—'}
+                    </p>
+                    <Input
+                      value={values[key] || ''}
+                      onChange={(e) => setValues({ ...values, [key]: e.target.value })}
+                      type={key === 'experience' ? 'number' : 'text'}
+                      className={accepted[key] && invalid(key) ? 'border-destructive' : ''}
+                      aria-label={`Proposed ${label.toLowerCase()}`}
+                    />
+                    {added.length > 0 && (
+                      <div className="flex flex-wrap gap-1">
+                        {added.map((skill) => (
+                          <Badge key={skill} variant="secondary" className="bg-green-50 text-green-700">
+                            + {skill}
+                          </Badge>
+                        ))}
+                      </div>
+                    )}
+                    <p className="text-xs text-muted-foreground whitespace-pre-line line-clamp-3">
+                      From: “{proposal.source}”
+                    </p>
+                  </div>
+                );
+              })}
+              {missing.length > 0 && (
+                <p className="text-xs text-muted-foreground">
+                  Not found: {missing.map(({ label }) => label.toLowerCase()).join(', ')}.
+                </p>
+              )}
+            </div>
+          </div>
+        )}
+
+        <DialogFooter>
+          <Button variant="outline" onClick={onClose} disabled={isSaving}>
+            Cancel
+          </Button>
+          <Button onClick={handleSave} disabled={isSaving || !canSave}>
+            {isSaving && <Loader2 className="h-4 w-4 mr-2 animate-spin" />}
+            Update profile
+          </Button>
+        </DialogFooter>
+      </DialogContent>
+    </Dialog>
+  );
+};
@@ -0,0 +1,323 @@
+import { useEffect, useMemo, useState } from 'react';
+import { useForm } from 'react-hook-form';
+import { zodResolver } from '@hookform/resolvers/zod';
+import { z } from 'zod';
+import { useQueryClient } from '@tanstack/react-query';
+import { addDays, format, parseISO } from 'date-fns';
+import { AlertTriangle, CalendarDays, CalendarPlus, Loader2 } from 'lucide-react';
+import {
+  Dialog,
+  DialogContent,
+  DialogDescription,
+  DialogFooter,
+  DialogHeader,
+  DialogTitle,
+} from '@/components/ui/dialog';
+import { Form, FormControl, FormField, FormItem, FormLabel, FormMessage } from '@/components/ui/form';
+import { Alert, AlertDescription, AlertTitle } from '@/components/ui/alert';
+import { Button } from '@/components/ui/button';
+import { Calendar } from '@/components/ui/calendar';
+import { Input } from '@/components/ui/input';
+import { Textarea } from '@/components/ui/textarea';
+import { Popover, PopoverContent, PopoverTrigger } from '@/components/ui/popover';
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from '@/components/ui/select';
+import { useToast } from '@/hooks/use-toast';
+import { apiRequest } from '@/lib/api';
+import { ifMatch } from '@/lib/concurrency';
+import {
+  DEFAULT_INTERVIEW_DURATION,
+  INTERVIEW_DURATIONS,
+  formatInterviewWhen,
+  localTimeZone,
+  timeZoneOptions,
+} from '@/lib/interviews';
+
+const splitNames = (value) => value.split(',').map((name) => name.trim()).filter(Boolean);
+
+const formSchema = z.object({
+  title: z.string().max(120, 'Title is limited to 120 characters'),
+  date: z.string().min(1, 'Pick a date'),
+  time: z.string().min(1, 'Pick a start time'),
+  timeZone: z.string().min(1, 'Pick a time zone'),
+  duration: z.string(),
+  interviewers: z.string().refine((value) => splitNames(value).length > 0, 'Name at least one interviewer'),
+  location: z.string(),
+  videoLink: z.string(),
+  notes: z.string(),
+});
+
+const toFormValues = (interview) => ({
+  title: interview?.title || '',
+  date: interview?.date || format(addDays(new Date(), 1), 'yyyy-MM-dd'),
+  time: interview?.time || '10:00',
+  timeZone: interview?.timeZone || localTimeZone(),
+  duration: String(interview?.duration || DEFAULT_INTERVIEW_DURATION),
+  interviewers: interview?.interviewers.join(', ') || '',
+  location: interview?.location || '',
+  videoLink: interview?.videoLink || '',
+  notes: interview?.notes || '',
+});
+
+const formatDuration = (minutes) =>
+  minutes < 60 ? `${minutes} min` : `${minutes / 60} hour${minutes === 60 ? '' : 's'}`;
+
+/**
+ * ScheduleInterviewDialog Component
+ *
+ * Schedules an interview with a candidate, or reschedules one, picking the
+ * day on the calendar and the time in any time zone. When an interviewer is
+ * already booked at that time the clashing interviews are listed and the
+ * user can pick another slot or book anyway.
+ *
+ * @param {boolean} open - Whether the dialog is open.
+ * @param {function} onOpenChange - Callback to control dialog visibility.
+ * @param {object} candidate - The candidate to interview.
+ * @param {object} [interview] - The interview to reschedule; omit to schedule a new one.
+ */
+export const ScheduleInterviewDialog = ({ open, onOpenChange, candidate, interview }) => {
+  const { toast } = useToast();
+  const queryClient = useQueryClient();
+  const [isSubmitting, setIsSubmitting] = useState(false);
+  const [conflicts, setConflicts] = useState(null);
+  // The version being rescheduled, moved forward when someone else saved first
+  const [base, setBase] = useState(interview);
+  const timeZones = useMemo(() => timeZoneOptions(), []);
+
+  const form = useForm({
+    resolver: zodResolver(formSchema),
+    defaultValues: toFormValues(interview),
+  });
+
+  useEffect(() => {
+    if (open) {
+      setBase(interview);
+      setConflicts(null);
+      form.reset(toFormValues(interview));
+    }
+    // Only snapshot when the dialog opens
+  }, [open]);
+
+  // A different slot or panel may not clash, so ask again
+  useEffect(() => {
+    const subscription = form.watch(() => setConflicts(null));
+    return () => subscription.unsubscribe();
+  }, [form]);
+
+  const onSubmit = async (values) => {
+    const body = {
+      ...values,
+      duration: Number(values.duration),
+      interviewers: splitNames(values.interviewers),
+      allowConflicts: !!conflicts,
+    };
+    setIsSubmitting(true);
+    try {
+      const { data: saved } = base
+        ? await apiRequest(`/interviews/${base.id}`, { method: 'PATCH', body, headers: ifMatch(base) })
+        : await apiRequest(`/candidates/${candidate.id}/interviews`, { method: 'POST', body });
+      queryClient.invalidateQueries({ queryKey: ['candidate-interviews', candidate.id] });
+      queryClient.invalidateQueries({ queryKey: ['interviews'] });
+      queryClient.invalidateQueries({ queryKey: ['interviews-count'] });
+      queryClient.invalidateQueries({ queryKey: ['timeline', candidate.id] });
+      toast({
+        title: base ? 'Interview updated' : 'Interview scheduled',
+        description: `${candidate.name}: ${formatInterviewWhen(saved)}`,
+      });
+      onOpenChange(false);
+    } catch (error) {
+      if (error.status === 409 && error.details?.conflicts) {
+        setConflicts(error.details.conflicts);
+      } else if (error.status === 409 && error.details?.current) {
+        setBase(error.details.current);
+        form.reset(toFormValues(error.details.current));
+        toast({
+          title: 'Interview changed by someone else',
+          description: 'The latest version is shown; make your changes again.',
+          variant: 'destructive',
+        });
+      } else if (error.status === 422 && error.details) {
+        Object.entries(error.details).forEach(([field, message]) =>
+          form.setError(field.split('.')[0], { message })
+        );
+      } else {
+        toast({
+          title: base ? 'Failed to update interview' : 'Failed to schedule interview',
+          description: error.message,
+          variant: 'destructive',
+        });
+      }
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  const textField = (name, label, props = {}) => (
+    <FormField
+      control={form.control}
+      name={name}
+      render={({ field }) => (
+        <FormItem>
+          <FormLabel>{label}</FormLabel>
+          <FormControl>
+            <Input {...field} {...props} />
+          </FormControl>
+          <FormMessage />
+        </FormItem>
+      )}
+    />
+  );
+
+  return (
+    <Dialog open={open} onOpenChange={(isOpen) => !isSubmitting && onOpenChange(isOpen)}>
+      <DialogContent className="max-w-2xl max-h-[90vh] overflow-y-auto">
+        <DialogHeader>
+          <DialogTitle className="flex items-center gap-2">
+            <CalendarPlus className="h-5 w-5 text-blue-600" />
+            {interview ? 'Reschedule interview' : 'Schedule interview'}
+          </DialogTitle>
+          <DialogDescription>
+            {interview ? `Change the interview with ${candidate.name}.` : `Book an interview with ${candidate.name}.`}
+          </DialogDescription>
+        </DialogHeader>
+        <Form {...form}>
+          <form onSubmit={form.handleSubmit(onSubmit)} className="space-y-4">
+            {textField('title', 'Title', { placeholder: 'e.g. Technical interview' })}
+
+            <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+              <FormField
+                control={form.control}
+                name="date"
+                render={({ field }) => (
+                  <FormItem className="flex flex-col">
+                    <FormLabel>Date</FormLabel>
+                    <Popover>
+                      <PopoverTrigger asChild>
+                        <FormControl>
+                          <Button variant="outline" className="justify-start font-normal">
+                            <CalendarDays className="h-4 w-4 mr-2" />
+                            {field.value ? format(parseISO(field.value), 'EEE, MMM d, yyyy') : 'Pick a date'}
+                          </Button>
+                        </FormControl>
+                      </PopoverTrigger>
+                      <PopoverContent className="w-auto p-0" align="start">
+                        <Calendar
+                          mode="single"
+                          selected={field.value ? parseISO(field.value) : undefined}
+                          defaultMonth={field.value ? parseISO(field.value) : undefined}
+                          onSelect={(day) => day && field.onChange(format(day, 'yyyy-MM-dd'))}
+                          initialFocus
+                        />
+                      </PopoverContent>
+                    </Popover>
+                    <FormMessage />
+                  </FormItem>
+                )}
+              />
+              {textField('time', 'Start time', { type: 'time' })}
+              <FormField
+                control={form.control}
+                name="duration"
+                render={({ field }) => (
+                  <FormItem>
+                    <FormLabel>Duration</FormLabel>
+                    <Select value={field.value} onValueChange={field.onChange}>
+                      <FormControl>
+                        <SelectTrigger>
+                          <SelectValue />
+                        </SelectTrigger>
+                      </FormControl>
+                      <SelectContent>
+                        {[...new Set([...INTERVIEW_DURATIONS, Number(field.value)])]
+                          .sort((a, b) => a - b)
+                          .map((minutes) => (
+                            <SelectItem key={minutes} value={String(minutes)}>
+                              {formatDuration(minutes)}
+                            </SelectItem>
+                          ))}
+                      </SelectContent>
+                    </Select>
+                    <FormMessage />
+                  </FormItem>
+                )}
+              />
+            </div>
+
+            <FormField
+              control={form.control}
+              name="timeZone"
+              render={({ field }) => (
+                <FormItem>
+                  <FormLabel>Time zone</FormLabel>
+                  <Select value={field.value} onValueChange={field.onChange}>
+                    <FormControl>
+                      <SelectTrigger>
+                        <SelectValue />
+                      </SelectTrigger>
+                    </FormControl>
+                    <SelectContent className="max-h-72">
+                      {timeZones.map((zone) => (
+                        <SelectItem key={zone} value={zone}>
+                          {zone.replace(/_/g, ' ')}
+                        </SelectItem>
+                      ))}
+                    </SelectContent>
+                  </Select>
+                  <FormMessage />
+                </FormItem>
+              )}
+            />
+
+            {textField('interviewers', 'Interviewers', { placeholder: 'Names, comma separated' })}
+
+            <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+              {textField('location', 'Location', { placeholder: 'e.g. Office, room 3' })}
+              {textField('videoLink', 'Video link', { placeholder: 'https://' })}
+            </div>
+
+            <FormField
+              control={form.control}
+              name="notes"
+              render={({ field }) => (
+                <FormItem>
+                  <FormLabel>Notes</FormLabel>
+                  <FormControl>
+                    <Textarea {...field} rows={3} />
+                  </FormControl>
+                  <FormMessage />
+                </FormItem>
+              )}
+            />
+
+            {conflicts && (
+              <Alert variant="destructive">
+                <AlertTriangle className="h-4 w-4" />
+                <AlertTitle>Interviewers already booked</AlertTitle>
+                <AlertDescription>
+                  <ul className="mt-1 space-y-1">
+                    {conflicts.map((conflict) => (
+                      <li key={conflict.id}>
+                        {conflict.interviewers.join(', ')}: {conflict.title} with {conflict.candidateName},{' '}
+                        {formatInterviewWhen(conflict)}
+                      </li>
+                    ))}
+                  </ul>
+                  <p className="mt-2">Pick another time, or book it anyway.</p>
+                </AlertDescription>
+              </Alert>
+            )}
+
+            <DialogFooter className="pt-4 border-t">
+              <Button type="button" variant="outline" onClick={() => onOpenChange(false)} disabled={isSubmitting}>
+                Cancel
+              </Button>
+              <Button type="submit" disabled={isSubmitting} variant={conflicts ? 'destructive' : 'default'}>
+                {isSubmitting && <Loader2 className="h-4 w-4 animate-spin mr-2" />}
+                {conflicts ? 'Book anyway' : interview ? 'Save' : 'Schedule'}
+              </Button>
+            </DialogFooter>
+          </form>
+        </Form>
+      </DialogContent>
+    </Dialog>
+  );
+};
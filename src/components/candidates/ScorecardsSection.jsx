@@ -0,0 +1,455 @@
+import { useState } from 'react';
+import { useMutation, useQuery, useQueryClient } from '@tanstack/react-query';
+import { ClipboardCheck, EyeOff, Loader2, Plus, Star, ThumbsDown, ThumbsUp, X } from 'lucide-react';
+import { Card, CardContent, CardHeader, CardTitle } from '@/components/ui/card';
+import { Button } from '@/components/ui/button';
+import { Badge } from '@/components/ui/badge';
+import { Input } from '@/components/ui/input';
+import { Label } from '@/components/ui/label';
+import { Textarea } from '@/components/ui/textarea';
+import {
+  Dialog,
+  DialogContent,
+  DialogDescription,
+  DialogFooter,
+  DialogHeader,
+  DialogTitle,
+} from '@/components/ui/dialog';
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from '@/components/ui/select';
+import { useToast } from '@/hooks/use-toast';
+import { apiRequest } from '@/lib/api';
+import { cn } from '@/lib/utils';
+import { RATINGS, RECOMMENDATIONS, findRecommendation } from '@/lib/scorecards';
+
+// Remembers who is looking at scorecards in this browser
+const INTERVIEWER_KEY = 'talentflow:interviewer';
+
+const readInterviewer = () => {
+  try {
+    return localStorage.getItem(INTERVIEWER_KEY) || '';
+  } catch {
+    return '';
+  }
+};
+
+const isViewer = (scorecard, viewer) => scorecard.interviewer.toLowerCase() === viewer.trim().toLowerCase();
+
+const RecommendationBadge = ({ value }) => {
+  const recommendation = findRecommendation(value);
+  if (!recommendation) return null;
+  const Icon = recommendation.hire ? ThumbsUp : ThumbsDown;
+  return (
+    <Badge
+      variant="outline"
+      className={cn('gap-1', recommendation.hire ? 'bg-green-50 text-green-700 border-green-200' : 'bg-red-50 text-red-700 border-red-200')}
+    >
+      <Icon className="h-3 w-3" />
+      {recommendation.label}
+    </Badge>
+  );
+};
+
+/**
+ * Average rating out of 5 with a bar.
+ */
+const AverageBar = ({ value, label, count }) => (
+  <div className="space-y-1">
+    <div className="flex items-center justify-between text-sm">
+      <span>{label}</span>
+      <span className="font-medium">{value === null ? '—' : value.toFixed(1)}{count !== undefined && <span className="text-xs text-muted-foreground font-normal"> ({count})</span>}</span>
+    </div>
+    <div className="h-1.5 rounded-full bg-muted overflow-hidden">
+      <div className="h-full bg-blue-500" style={{ width: `${((value || 0) / 5) * 100}%` }} />
+    </div>
+  </div>
+);
+
+/**
+ * Dialog for asking interviewers to fill in a stage's scorecard.
+ *
+ * @param {object} candidate - The candidate.
+ * @param {object[]} stages - Stages of the candidate's pipeline that have a scorecard.
+ * @param {boolean} open - Whether the dialog is open.
+ * @param {function} onClose - Called when the dialog is closed.
+ */
+const RequestScorecardsDialog = ({ candidate, stages, open, onClose }) => {
+  const [stage, setStage] = useState('');
+  const [interviewers, setInterviewers] = useState('');
+  const queryClient = useQueryClient();
+  const { toast } = useToast();
+  const selected = stage || (stages.some(({ id }) => id === candidate.stage) ? candidate.stage : stages[0]?.id) || '';
+  const names = [...new Set(interviewers.split(',').map((name) => name.trim()).filter(Boolean))];
+
+  const request = useMutation({
+    mutationFn: () =>
+      apiRequest(`/candidates/${candidate.id}/scorecards`, { method: 'POST', body: { stage: selected, interviewers: names } }),
+    onSuccess: ({ data: created }) => {
+      queryClient.invalidateQueries({ queryKey: ['scorecards', candidate.id] });
+      queryClient.invalidateQueries({ queryKey: ['timeline', candidate.id] });
+      toast({ title: 'Scorecards requested', description: `${created.length} interviewer${created.length === 1 ? '' : 's'} asked for feedback.` });
+      setInterviewers('');
+      onClose();
+    },
+    onError: (error) => toast({ title: 'Failed to request scorecards', description: error.message, variant: 'destructive' }),
+  });
+
+  return (
+    <Dialog open={open} onOpenChange={(isOpen) => !isOpen && !request.isPending && onClose()}>
+      <DialogContent>
+        <DialogHeader>
+          <DialogTitle>Request scorecards</DialogTitle>
+          <DialogDescription>
+            Each interviewer gets their own scorecard for {candidate.name}. They cannot see the others' ratings until
+            they submit theirs.
+          </DialogDescription>
+        </DialogHeader>
+        <div className="space-y-4">
+          <div className="space-y-2">
+            <Label>Stage</Label>
+            <Select value={selected} onValueChange={setStage}>
+              <SelectTrigger>
+                <SelectValue placeholder="Pick a stage" />
+              </SelectTrigger>
+              <SelectContent>
+                {stages.map(({ id, name, scorecard }) => (
+                  <SelectItem key={id} value={id}>
+                    {name} · {scorecard.length} competencies
+                  </SelectItem>
+                ))}
+              </SelectContent>
+            </Select>
+          </div>
+          <div className="space-y-2">
+            <Label htmlFor="scorecard-interviewers">Interviewers</Label>
+            <Input
+              id="scorecard-interviewers"
+              value={interviewers}
+              placeholder="Names, comma separated"
+              onChange={(e) => setInterviewers(e.target.value)}
+            />
+          </div>
+        </div>
+        <DialogFooter>
+          <Button variant="outline" onClick={onClose} disabled={request.isPending}>
+            Cancel
+          </Button>
+          <Button onClick={() => request.mutate()} disabled={request.isPending || !selected || !names.length}>
+            {request.isPending && <Loader2 className="h-4 w-4 mr-2 animate-spin" />}
+            Request
+          </Button>
+        </DialogFooter>
+      </DialogContent>
+    </Dialog>
+  );
+};
+
+/**
+ * Dialog where an interviewer fills in and submits their scorecard.
+ *
+ * @param {object|null} scorecard - The pending scorecard, or null when closed.
+ * @param {string} interviewer - Who is submitting.
+ * @param {function} onClose - Called when the dialog is closed.
+ */
+const ScorecardFormDialog = ({ scorecard, interviewer, onClose }) => {
+  const [ratings, setRatings] = useState({});
+  const [evidence, setEvidence] = useState({});
+  const [recommendation, setRecommendation] = useState('');
+  const queryClient = useQueryClient();
+  const { toast } = useToast();
+
+  const reset = () => {
+    setRatings({});
+    setEvidence({});
+    setRecommendation('');
+  };
+
+  const submit = useMutation({
+    mutationFn: () =>
+      apiRequest(`/candidates/${scorecard.candidateId}/scorecards/${scorecard.id}`, {
+        method: 'PUT',
+        body: { interviewer, ratings, evidence, recommendation },
+      }),
+    onSuccess: () => {
+      queryClient.invalidateQueries({ queryKey: ['scorecards', scorecard.candidateId] });
+      queryClient.invalidateQueries({ queryKey: ['timeline', scorecard.candidateId] });
+      toast({ title: 'Scorecard submitted', description: `Your ${scorecard.stageName} feedback was saved.` });
+      reset();
+      onClose();
+    },
+    onError: (error) => {
+      const details = error.details ? Object.values(error.details).join(' ') : '';
+      toast({ title: 'Failed to submit scorecard', description: details || error.message, variant: 'destructive' });
+    },
+  });
+
+  const complete = scorecard && scorecard.competencies.every(({ id }) => ratings[id]) && recommendation;
+
+  return (
+    <Dialog open={!!scorecard} onOpenChange={(isOpen) => !isOpen && !submit.isPending && onClose()}>
+      <DialogContent className="max-w-2xl max-h-[90vh] overflow-y-auto">
+        <DialogHeader>
+          <DialogTitle>{scorecard?.stageName} scorecard</DialogTitle>
+          <DialogDescription>
+            Rate each competency from 1 to 5 and note what you saw. Submitted scorecards cannot be changed.
+          </DialogDescription>
+        </DialogHeader>
+
+        <div className="space-y-5">
+          {scorecard?.competencies.map(({ id, name }) => (
+            <div key={id} className="space-y-2">
+              <Label>{name}</Label>
+              <div className="flex flex-wrap gap-1">
+                {RATINGS.map(({ value, label }) => (
+                  <Button
+                    key={value}
+                    type="button"
+                    size="sm"
+                    variant={ratings[id] === value ? 'default' : 'outline'}
+                    onClick={() => setRatings({ ...ratings, [id]: value })}
+                    title={label}
+                  >
+                    {value}
+                  </Button>
+                ))}
+                {ratings[id] && (
+                  <span className="self-center text-xs text-muted-foreground ml-2">
+                    {RATINGS.find(({ value }) => value === ratings[id]).label}
+                  </span>
+                )}
+              </div>
+              <Textarea
+                value={evidence[id] || ''}
+                rows={2}
+                placeholder="Evidence: what the candidate said or did"
+                aria-label={`Evidence for ${name}`}
+                onChange={(e) => setEvidence({ ...evidence, [id]: e.target.value })}
+              />
+            </div>
+          ))}
+
+          <div className="space-y-2">
+            <Label>Recommendation</Label>
+            <div className="flex flex-wrap gap-2">
+              {RECOMMENDATIONS.map(({ value, label, hire }) => (
+                <Button
+                  key={value}
+                  type="button"
+                  size="sm"
+                  variant={recommendation === value ? 'default' : 'outline'}
+                  className={cn(recommendation === value && (hire ? 'bg-green-600 hover:bg-green-700' : 'bg-red-600 hover:bg-red-700'))}
+                  onClick={() => setRecommendation(value)}
+                >
+                  {label}
+                </Button>
+              ))}
+            </div>
+          </div>
+        </div>
+
+        <DialogFooter>
+          <Button variant="outline" onClick={onClose} disabled={submit.isPending}>
+            Cancel
+          </Button>
+          <Button onClick={() => submit.mutate()} disabled={submit.isPending || !complete}>
+            {submit.isPending && <Loader2 className="h-4 w-4 mr-2 animate-spin" />}
+            Submit scorecard
+          </Button>
+        </DialogFooter>
+      </DialogContent>
+    </Dialog>
+  );
+};
+
+/**
+ * ScorecardsSection Component
+ *
+ * Structured interview feedback for a candidate (see `src/lib/scorecards.js`):
+ * requests scorecards from interviewers for a stage, lets the person named in
+ * "Viewing as" fill in theirs, and shows the submitted ones with average
+ * ratings per competency and the hire/no-hire tally. Until the viewer submits
+ * a scorecard they owe, the others for that stage stay hidden; with nobody
+ * named, so does every stage that still has pending scorecards.
+ *
+ * @param {object} candidate - The candidate.
+ * @param {object[]} stages - Stages of the candidate's pipeline.
+ */
+export const ScorecardsSection = ({ candidate, stages }) => {
+  const [viewer, setViewer] = useState(readInterviewer);
+  const [requesting, setRequesting] = useState(false);
+  const [filling, setFilling] = useState(null);
+  const queryClient = useQueryClient();
+  const { toast } = useToast();
+  const scorecardStages = stages.filter((stage) => stage.scorecard?.length);
+
+  const { data, isLoading } = useQuery({
+    queryKey: ['scorecards', candidate.id, viewer.trim().toLowerCase()],
+    queryFn: async () =>
+      (await apiRequest(`/candidates/${candidate.id}/scorecards?viewer=${encodeURIComponent(viewer.trim())}`)).data,
+  });
+  const scorecards = data?.scorecards || [];
+  const aggregate = data?.aggregate;
+
+  const withdraw = useMutation({
+    mutationFn: (scorecard) => apiRequest(`/candidates/${candidate.id}/scorecards/${scorecard.id}`, { method: 'DELETE' }),
+    onSuccess: () => queryClient.invalidateQueries({ queryKey: ['scorecards', candidate.id] }),
+    onError: (error) => toast({ title: 'Failed to withdraw request', description: error.message, variant: 'destructive' }),
+  });
+
+  const saveViewer = () => {
+    try {
+      localStorage.setItem(INTERVIEWER_KEY, viewer.trim());
+    } catch {
+      // Private mode; the name is only kept for this page
+    }
+  };
+
+  const stageName = (stageId) =>
+    stages.find(({ id }) => id === stageId)?.name || scorecards.find(({ stage }) => stage === stageId)?.stageName || stageId;
+
+  return (
+    <Card className="shadow-sm border-gray-200">
+      <CardHeader className="flex flex-row items-center justify-between space-y-0 gap-4">
+        <CardTitle className="flex items-center gap-2 text-xl">
+          <ClipboardCheck className="h-5 w-5 text-blue-600" />
+          Scorecards
+        </CardTitle>
+        <div className="flex items-center gap-2">
+          <Input
+            className="h-9 w-44"
+            value={viewer}
+            placeholder="Viewing as"
+            aria-label="Viewing as"
+            onChange={(e) => setViewer(e.target.value)}
+            onBlur={saveViewer}
+          />
+          <Button
+            variant="outline"
+            size="sm"
+            onClick={() => setRequesting(true)}
+            disabled={!scorecardStages.length}
+            title={scorecardStages.length ? undefined : 'No stage of this pipeline has a scorecard'}
+          >
+            <Plus className="h-4 w-4 mr-1" />
+            Request
+          </Button>
+        </div>
+      </CardHeader>
+      <CardContent className="space-y-6">
+        {isLoading ? (
+          <p className="text-sm text-muted-foreground">Loading...</p>
+        ) : scorecards.length === 0 ? (
+          <p className="text-sm text-muted-foreground">
+            No scorecards yet. Request one from the interviewers of a stage to collect structured feedback.
+          </p>
+        ) : (
+          <>
+            {aggregate.average !== null && (
+              <div className="flex flex-wrap items-center gap-4 rounded-lg border bg-muted/30 p-4">
+                <div className="flex items-center gap-2">
+                  <Star className="h-5 w-5 text-amber-500" />
+                  <span className="text-2xl font-bold">{aggregate.average.toFixed(1)}</span>
+                  <span className="text-sm text-muted-foreground">/ 5 average</span>
+                </div>
+                <div className="flex flex-wrap gap-2">
+                  {RECOMMENDATIONS.filter(({ value }) => aggregate.recommendations[value]).map(({ value }) => (
+                    <span key={value} className="flex items-center gap-1">
+                      <RecommendationBadge value={value} />
+                      <span className="text-sm font-medium">× {aggregate.recommendations[value]}</span>
+                    </span>
+                  ))}
+                </div>
+                <span className="ml-auto text-xs text-muted-foreground">
+                  {aggregate.submitted} submitted · {aggregate.pending} pending
+                </span>
+              </div>
+            )}
+
+            {aggregate.stages.map((summary) => (
+              <div key={summary.stage} className="space-y-3">
+                <div className="flex items-center justify-between">
+                  <h3 className="font-semibold">{stageName(summary.stage)}</h3>
+                  {summary.average !== null && (
+                    <span className="text-sm text-muted-foreground">Average {summary.average.toFixed(1)} / 5</span>
+                  )}
+                </div>
+
+                {summary.competencies.some(({ count }) => count > 0) && (
+                  <div className="grid gap-3 sm:grid-cols-2">
+                    {summary.competencies.map(({ id, name, average, count }) => (
+                      <AverageBar key={id} label={name} value={average} count={count} />
+                    ))}
+                  </div>
+                )}
+
+                <div className="divide-y rounded-lg border">
+                  {scorecards
+                    .filter((scorecard) => scorecard.stage === summary.stage)
+                    .map((scorecard) => (
+                      <div key={scorecard.id} className="p-3 space-y-2">
+                        <div className="flex flex-wrap items-center gap-2">
+                          <span className="font-medium text-sm">{scorecard.interviewer}</span>
+                          {scorecard.status === 'pending' ? (
+                            <Badge variant="secondary">Pending</Badge>
+                          ) : scorecard.hidden ? (
+                            <Badge variant="secondary" className="gap-1">
+                              <EyeOff className="h-3 w-3" />
+                              {viewer.trim() ? 'Hidden until you submit yours' : 'Hidden until every scorecard is in'}
+                            </Badge>
+                          ) : (
+                            <RecommendationBadge value={scorecard.recommendation} />
+                          )}
+                          {scorecard.submittedAt && (
+                            <span className="text-xs text-muted-foreground">
+                              {new Date(scorecard.submittedAt).toLocaleDateString()}
+                            </span>
+                          )}
+                          <div className="ml-auto flex gap-1">
+                            {scorecard.status === 'pending' && isViewer(scorecard, viewer) && (
+                              <Button size="sm" onClick={() => setFilling(scorecard)}>
+                                Fill in
+                              </Button>
+                            )}
+                            {scorecard.status === 'pending' && (
+                              <Button
+                                variant="ghost"
+                                size="icon"
+                                className="h-8 w-8"
+                                onClick={() => withdraw.mutate(scorecard)}
+                                disabled={withdraw.isPending}
+                                aria-label={`Withdraw the request to ${scorecard.interviewer}`}
+                              >
+                                <X className="h-4 w-4" />
+                              </Button>
+                            )}
+                          </div>
+                        </div>
+                        {scorecard.status === 'submitted' && !scorecard.hidden && (
+                          <dl className="space-y-1 text-sm">
+                            {scorecard.competencies.map(({ id, name }) => (
+                              <div key={id} className="grid grid-cols-[10rem_2rem_1fr] gap-2">
+                                <dt className="text-muted-foreground">{name}</dt>
+                                <dd className="font-medium">{scorecard.ratings[id]}</dd>
+                                <dd className="text-muted-foreground whitespace-pre-line">{scorecard.evidence?.[id]}</dd>
+                              </div>
+                            ))}
+                          </dl>
+                        )}
+                      </div>
+                    ))}
+                </div>
+              </div>
+            ))}
+          </>
+        )}
+      </CardContent>
+
+      <RequestScorecardsDialog
+        candidate={candidate}
+        stages={scorecardStages}
+        open={requesting}
+        onClose={() => setRequesting(false)}
+      />
+      <ScorecardFormDialog scorecard={filling} interviewer={viewer.trim()} onClose={() => setFilling(null)} />
+    </Card>
+  );
+};
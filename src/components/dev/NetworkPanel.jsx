@@ -0,0 +1,271 @@
+import React, { useState, useSyncExternalStore } from 'react';
+import { Wifi, WifiOff, RotateCcw, Link as LinkIcon, Repeat } from 'lucide-react';
+import {
+  Sheet,
+  SheetContent,
+  SheetDescription,
+  SheetHeader,
+  SheetTitle,
+  SheetTrigger,
+} from '@/components/ui/sheet';
+import { Button } from '@/components/ui/button';
+import { Input } from '@/components/ui/input';
+import { Label } from '@/components/ui/label';
+import { Switch } from '@/components/ui/switch';
+import { Separator } from '@/components/ui/separator';
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from '@/components/ui/select';
+import { useToast } from '@/hooks/use-toast';
+import { cn } from '@/lib/utils';
+import {
+  FAULT_STATUSES,
+  getKnownRoutes,
+  getNetworkConfig,
+  resetNetworkConfig,
+  restartSequence,
+  setNetworkConfig,
+  subscribeNetworkConfig,
+  toNetworkParams,
+} from '@/mocks/network';
+
+const DEFAULT_STATUS = 'default';
+
+const toPercent = (rate) => Math.round(rate * 1000) / 10;
+const fromPercent = (value) => Math.min(100, Math.max(0, Number(value) || 0)) / 100;
+
+const StatusSelect = ({ value, onChange, allowDefault = false, className }) => (
+  <Select value={String(value ?? DEFAULT_STATUS)} onValueChange={(next) => onChange(next === DEFAULT_STATUS ? undefined : Number(next))}>
+    <SelectTrigger className={cn('h-8', className)}>
+      <SelectValue />
+    </SelectTrigger>
+    <SelectContent>
+      {allowDefault && <SelectItem value={DEFAULT_STATUS}>Default</SelectItem>}
+      {FAULT_STATUSES.map((status) => (
+        <SelectItem key={status} value={String(status)}>
+          {status}
+        </SelectItem>
+      ))}
+    </SelectContent>
+  </Select>
+);
+
+/**
+ * NetworkPanel Component
+ *
+ * Development-only panel for the mock API's network simulation: latency,
+ * failure rates per route, the status code injected failures return, and a
+ * deterministic mode that replays the same failures from a seed.
+ */
+export const NetworkPanel = () => {
+  const { toast } = useToast();
+  const [open, setOpen] = useState(false);
+  const config = useSyncExternalStore(subscribeNetworkConfig, getNetworkConfig);
+  const routes = [...new Set([...getKnownRoutes(), ...Object.keys(config.routes)])].sort(
+    (a, b) => a.split(' ')[1].localeCompare(b.split(' ')[1]) || a.localeCompare(b)
+  );
+
+  const faultsActive = config.enabled && (
+    config.errorRate.read > 0 ||
+    config.errorRate.write > 0 ||
+    Object.values(config.routes).some(({ errorRate }) => errorRate > 0)
+  );
+
+  const updateRoute = (key, changes) => {
+    const { [key]: current, ...others } = config.routes;
+    const next = { ...current, ...changes };
+    if (next.errorRate === undefined) {
+      setNetworkConfig({ routes: others });
+    } else {
+      setNetworkConfig({ routes: { ...others, [key]: next } });
+    }
+  };
+
+  const copyShareLink = async () => {
+    const url = new URL(window.location.href);
+    [...url.searchParams.keys()]
+      .filter((key) => key.startsWith('net-'))
+      .forEach((key) => url.searchParams.delete(key));
+    toNetworkParams(config).forEach((value, key) => url.searchParams.append(key, value));
+    try {
+      await navigator.clipboard.writeText(url.toString());
+      toast({ title: 'Link copied', description: 'Opening it applies these network settings.' });
+    } catch {
+      toast({ title: 'Could not copy link', description: url.toString(), variant: 'destructive' });
+    }
+  };
+
+  return (
+    <Sheet open={open} onOpenChange={setOpen}>
+      <SheetTrigger asChild>
+        <Button
+          variant="outline"
+          size="sm"
+          className={cn(
+            'fixed bottom-4 left-4 z-50 shadow-lg bg-white',
+            faultsActive && 'border-amber-400 text-amber-700'
+          )}
+          aria-label="Network simulation settings"
+        >
+          {config.enabled ? <Wifi className="h-4 w-4 mr-2" /> : <WifiOff className="h-4 w-4 mr-2" />}
+          Network
+          {config.deterministic && <span className="ml-2 text-xs text-muted-foreground">seed {config.seed}</span>}
+        </Button>
+      </SheetTrigger>
+      <SheetContent side="right" className="w-full sm:max-w-lg overflow-y-auto">
+        <SheetHeader>
+          <SheetTitle>Network simulation</SheetTitle>
+          <SheetDescription>
+            Latency and failures injected by the mock API. Settings are saved in this browser.
+          </SheetDescription>
+        </SheetHeader>
+
+        <div className="space-y-6 py-6">
+          <div className="flex items-center justify-between">
+            <Label htmlFor="network-enabled">Simulate latency and failures</Label>
+            <Switch
+              id="network-enabled"
+              checked={config.enabled}
+              onCheckedChange={(enabled) => setNetworkConfig({ enabled })}
+            />
+          </div>
+
+          <div className="space-y-2">
+            <Label>Latency (ms)</Label>
+            <div className="flex items-center gap-2">
+              <Input
+                type="number"
+                min={0}
+                value={config.latency.min}
+                onChange={(e) => setNetworkConfig({ latency: { min: Math.max(0, Number(e.target.value) || 0) } })}
+                aria-label="Minimum latency"
+              />
+              <span className="text-muted-foreground">to</span>
+              <Input
+                type="number"
+                min={0}
+                value={config.latency.max}
+                onChange={(e) => setNetworkConfig({ latency: { max: Math.max(0, Number(e.target.value) || 0) } })}
+                aria-label="Maximum latency"
+              />
+            </div>
+          </div>
+
+          <div className="grid grid-cols-3 gap-3">
+            <div className="space-y-2">
+              <Label htmlFor="network-read-error">Read errors (%)</Label>
+              <Input
+                id="network-read-error"
+                type="number"
+                min={0}
+                max={100}
+                value={toPercent(config.errorRate.read)}
+                onChange={(e) => setNetworkConfig({ errorRate: { read: fromPercent(e.target.value) } })}
+              />
+            </div>
+            <div className="space-y-2">
+              <Label htmlFor="network-write-error">Write errors (%)</Label>
+              <Input
+                id="network-write-error"
+                type="number"
+                min={0}
+                max={100}
+                value={toPercent(config.errorRate.write)}
+                onChange={(e) => setNetworkConfig({ errorRate: { write: fromPercent(e.target.value) } })}
+              />
+            </div>
+            <div className="space-y-2">
+              <Label>Status</Label>
+              <StatusSelect value={config.status} onChange={(status) => setNetworkConfig({ status })} className="h-10" />
+            </div>
+          </div>
+
+          <Separator />
+
+          <div className="space-y-3">
+            <div className="flex items-center justify-between">
+              <div>
+                <Label htmlFor="network-deterministic">Deterministic mode</Label>
+                <p className="text-xs text-muted-foreground">
+                  A seeded RNG makes the same requests fail the same way every run.
+                </p>
+              </div>
+              <Switch
+                id="network-deterministic"
+                checked={config.deterministic}
+                onCheckedChange={(deterministic) => setNetworkConfig({ deterministic })}
+              />
+            </div>
+            {config.deterministic && (
+              <div className="flex items-center gap-2">
+                <Input
+                  type="number"
+                  value={config.seed}
+                  onChange={(e) => setNetworkConfig({ seed: Number(e.target.value) || 1 })}
+                  aria-label="Seed"
+                  className="w-32"
+                />
+                <Button variant="outline" size="sm" onClick={restartSequence}>
+                  <Repeat className="h-4 w-4 mr-2" />
+                  Replay from start
+                </Button>
+              </div>
+            )}
+          </div>
+
+          <Separator />
+
+          <div className="space-y-3">
+            <div>
+              <Label>Per-route overrides</Label>
+              <p className="text-xs text-muted-foreground">
+                Leave the rate empty to use the read/write defaults above.
+              </p>
+            </div>
+            <div className="space-y-2">
+              {routes.map((key) => {
+                const override = config.routes[key];
+                return (
+                  <div key={key} className="flex items-center gap-2">
+                    <code className="flex-1 truncate text-xs" title={key}>{key}</code>
+                    <Input
+                      type="number"
+                      min={0}
+                      max={100}
+                      placeholder="—"
+                      value={override ? toPercent(override.errorRate) : ''}
+                      onChange={(e) =>
+                        updateRoute(key, {
+                          errorRate: e.target.value === '' ? undefined : fromPercent(e.target.value),
+                        })
+                      }
+                      className="h-8 w-20"
+                      aria-label={`Error rate for ${key}`}
+                    />
+                    <StatusSelect
+                      value={override?.status}
+                      allowDefault
+                      onChange={(status) => updateRoute(key, { errorRate: override?.errorRate ?? 0, status })}
+                      className="w-28"
+                    />
+                  </div>
+                );
+              })}
+            </div>
+          </div>
+
+          <Separator />
+
+          <div className="flex items-center gap-2">
+            <Button variant="outline" size="sm" onClick={copyShareLink}>
+              <LinkIcon className="h-4 w-4 mr-2" />
+              Copy share link
+            </Button>
+            <Button variant="ghost" size="sm" onClick={resetNetworkConfig}>
+              <RotateCcw className="h-4 w-4 mr-2" />
+              Reset to defaults
+            </Button>
+          </div>
+        </div>
+      </SheetContent>
+    </Sheet>
+  );
+};
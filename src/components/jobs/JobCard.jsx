@@ -10,11 +10,13 @@ import {
   Loader2,
   Building,
   MapPin,
+  Trash2,
 } from 'lucide-react';
 import { Card, CardContent, CardHeader } from '@/components/ui/card';
 import { Badge } from '@/components/ui/badge';
 import { Button } from '@/components/ui/button';
 import { cn } from '@/lib/utils';
+import { apiRequest } from '@/lib/api';
 import { useNavigate } from 'react-router-dom';
 import { useToast } from '@/hooks/use-toast';
 
@@ -49,14 +51,11 @@ export const JobCard = ({ job, onEdit, onUpdate }) => {
     setIsUpdating(true);
     try {
       const newStatus = job.status === 'active' ? 'archived' : 'active';
-      const response = await fetch(`/api/jobs/${job.id}`, {
+      await apiRequest(`/jobs/${job.id}`, {
         method: 'PATCH',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({ status: newStatus }),
+        body: { status: newStatus },
       });
 
-      if (!response.ok) throw new Error('Failed to update status');
-
       toast({
         title: `Job ${newStatus === 'archived' ? 'archived' : 'restored'} successfully`,
         variant: 'default',
@@ -75,6 +74,32 @@ export const JobCard = ({ job, onEdit, onUpdate }) => {
     }
   };
 
+  const handleDelete = async () => {
+    if (isUpdating) return;
+
+    setIsUpdating(true);
+    try {
+      await apiRequest(`/jobs/${job.id}`, { method: 'DELETE' });
+
+      toast({
+        title: 'Job moved to trash',
+        description: 'The job, its candidates and its assessment can be restored from the trash.',
+        variant: 'default',
+      });
+
+      if (onUpdate) onUpdate();
+    } catch (error) {
+      console.error('Error deleting job:', error);
+      toast({
+        title: 'Failed to delete job',
+        description: error.message || 'An error occurred while deleting the job',
+        variant: 'destructive',
+      });
+    } finally {
+      setIsUpdating(false);
+    }
+  };
+
   return (
     <Card
       ref={setNodeRef}
@@ -164,6 +189,17 @@ export const JobCard = ({ job, onEdit, onUpdate }) => {
                     <ArchiveRestore className="h-4 w-4" />
                   )}
                 </Button>
+                <Button
+                  variant="ghost"
+                  size="icon"
+                  onClick={handleDelete}
+                  disabled={isUpdating}
+                  className="h-8 w-8 hover:bg-red-50 hover:text-red-600"
+                  title="Move to trash"
+                  aria-label="Move job to trash"
+                >
+                  <Trash2 className="h-4 w-4" />
+                </Button>
               </div>
             </div>
           </div>
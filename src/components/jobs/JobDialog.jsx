@@ -21,6 +21,9 @@ import {
 import { Input } from '@/components/ui/input';
 import { Textarea } from '@/components/ui/textarea';
 import { Button } from '@/components/ui/button';
+import { apiRequest } from '@/lib/api';
+import { diffFields, ifMatch } from '@/lib/concurrency';
+import { ConflictDialog } from '@/components/shared/ConflictDialog';
 import {
   Select,
   SelectContent,
@@ -29,6 +32,8 @@ import {
   SelectValue,
 } from '@/components/ui/select';
 import { useToast } from '@/hooks/use-toast';
+import { usePipelines } from '@/hooks/usePipelines';
+import { DEFAULT_PIPELINE_ID } from '@/lib/pipelines';
 import { useEffect } from 'react';
 import {
   Briefcase,
@@ -38,6 +43,7 @@ import {
   Tag,
   FileText,
   Loader2,
+  GitBranch,
 } from 'lucide-react';
 
 // Validation schema
@@ -52,15 +58,29 @@ const jobSchema = z.object({
     ),
   department: z.string().min(1, 'Department is required'),
   status: z.enum(['active', 'archived']),
+  pipelineId: z.string().min(1, 'Pipeline is required'),
   description: z.string().optional(),
   tags: z.string().optional(),
 });
 
+// Fields compared when a save conflicts with someone else's edit
+const JOB_FIELD_LABELS = {
+  title: 'Job Title',
+  slug: 'URL Slug',
+  department: 'Department',
+  status: 'Status',
+  pipelineId: 'Pipeline',
+  tags: 'Tags',
+  description: 'Description',
+};
+
 /**
  * JobDialog Component
  *
  * A modal dialog for creating or editing job postings.
- * Uses react-hook-form with Zod validation for form handling.
+ * Uses react-hook-form with Zod validation for form handling. Edits are
+ * conditional on the version that was loaded; if someone else saved in the
+ * meantime a ConflictDialog lets the user merge the two versions.
  *
  * @param {boolean} open - Whether the dialog is open.
  * @param {function} onOpenChange - Callback to control dialog visibility.
@@ -70,6 +90,8 @@ const jobSchema = z.object({
 export const JobDialog = ({ open, onOpenChange, job, onSuccess }) => {
   const { toast } = useToast();
   const [isSubmitting, setIsSubmitting] = useState(false);
+  const [conflict, setConflict] = useState(null);
+  const { pipelines } = usePipelines();
 
   const form = useForm({
     resolver: zodResolver(jobSchema),
@@ -78,6 +100,7 @@ export const JobDialog = ({ open, onOpenChange, job, onSuccess }) => {
       slug: '',
       department: '',
       status: 'active',
+      pipelineId: DEFAULT_PIPELINE_ID,
       description: '',
       tags: '',
     },
@@ -90,6 +113,7 @@ export const JobDialog = ({ open, onOpenChange, job, onSuccess }) => {
         slug: job.slug,
         department: job.department || '',
         status: job.status,
+        pipelineId: job.pipelineId || DEFAULT_PIPELINE_ID,
         description: job.description || '',
         tags: job.tags ? job.tags.join(', ') : '',
       });
@@ -99,12 +123,47 @@ export const JobDialog = ({ open, onOpenChange, job, onSuccess }) => {
         slug: '',
         department: '',
         status: 'active',
+        pipelineId: DEFAULT_PIPELINE_ID,
         description: '',
         tags: '',
       });
     }
   }, [job, form]);
 
+  const finishSave = () => {
+    toast({
+      title: `Job ${job ? 'updated' : 'created'} successfully`,
+      description: `The job has been ${job ? 'updated' : 'created'} successfully.`,
+      variant: 'default',
+    });
+
+    onOpenChange(false);
+    if (onSuccess) onSuccess();
+  };
+
+  /**
+   * PATCHes the job conditionally on `base`'s version. On 409 opens the
+   * conflict dialog and resolves to false.
+   */
+  const saveChanges = async (changes, base) => {
+    try {
+      await apiRequest(`/jobs/${job.id}`, {
+        method: 'PATCH',
+        body: changes,
+        headers: ifMatch(base),
+      });
+      return true;
+    } catch (error) {
+      if (error.status !== 409 || !error.details?.current) throw error;
+      const current = error.details.current;
+      setConflict({
+        current,
+        diffs: diffFields(Object.keys(JOB_FIELD_LABELS), base, { ...base, ...changes }, current),
+      });
+      return false;
+    }
+  };
+
   const onSubmit = async (data) => {
     setIsSubmitting(true);
     try {
@@ -117,28 +176,37 @@ export const JobDialog = ({ open, onOpenChange, job, onSuccess }) => {
         tags,
       };
 
-      const url = job ? `/api/jobs/${job.id}` : '/api/jobs';
-      const method = job ? 'PATCH' : 'POST';
-
-      const response = await fetch(url, {
-        method,
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify(jobData),
-      });
-
-      if (!response.ok) throw new Error('Failed to save job');
-
+      if (job) {
+        if (await saveChanges(jobData, job)) finishSave();
+      } else {
+        await apiRequest('/jobs', { method: 'POST', body: jobData });
+        finishSave();
+      }
+    } catch (error) {
       toast({
-        title: `Job ${job ? 'updated' : 'created'} successfully`,
-        description: `The job has been ${job ? 'updated' : 'created'} successfully.`,
-        variant: 'default',
+        title: `Failed to ${job ? 'update' : 'create'} job`,
+        description: error.message,
+        variant: 'destructive',
       });
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  const handleResolveConflict = async (patch) => {
+    const { current } = conflict;
+    setConflict(null);
+    if (!Object.keys(patch).length) {
+      finishSave();
+      return;
+    }
 
-      onOpenChange(false);
-      if (onSuccess) onSuccess();
+    setIsSubmitting(true);
+    try {
+      if (await saveChanges(patch, current)) finishSave();
     } catch (error) {
       toast({
-        title: `Failed to ${job ? 'update' : 'create'} job`,
+        title: 'Failed to update job',
         description: error.message,
         variant: 'destructive',
       });
@@ -147,6 +215,16 @@ export const JobDialog = ({ open, onOpenChange, job, onSuccess }) => {
     }
   };
 
+  const handleDiscardChanges = () => {
+    setConflict(null);
+    onOpenChange(false);
+    toast({
+      title: 'Changes discarded',
+      description: 'The job shows the latest saved version.',
+    });
+    if (onSuccess) onSuccess();
+  };
+
   const generateSlug = (title) => {
     const slug = title
       .toLowerCase()
@@ -277,6 +355,33 @@ export const JobDialog = ({ open, onOpenChange, job, onSuccess }) => {
                 )}
               />
             </div>
+            <FormField
+              control={form.control}
+              name="pipelineId"
+              render={({ field }) => (
+                <FormItem>
+                  <FormLabel className="flex items-center gap-2 text-sm font-medium text-gray-700">
+                    <GitBranch className="h-4 w-4" />
+                    Hiring Pipeline
+                  </FormLabel>
+                  <Select onValueChange={field.onChange} value={field.value}>
+                    <FormControl>
+                      <SelectTrigger className="border-gray-300 focus:border-blue-500 focus:ring-blue-500 rounded-lg">
+                        <SelectValue />
+                      </SelectTrigger>
+                    </FormControl>
+                    <SelectContent>
+                      {pipelines.map((pipeline) => (
+                        <SelectItem key={pipeline.id} value={pipeline.id}>
+                          {pipeline.name} ({pipeline.stages.length} stages)
+                        </SelectItem>
+                      ))}
+                    </SelectContent>
+                  </Select>
+                  <FormMessage />
+                </FormItem>
+              )}
+            />
             <FormField
               control={form.control}
               name="tags"
@@ -348,6 +453,15 @@ export const JobDialog = ({ open, onOpenChange, job, onSuccess }) => {
             </DialogFooter>
           </form>
         </Form>
+        <ConflictDialog
+          open={!!conflict}
+          onOpenChange={(isOpen) => !isOpen && setConflict(null)}
+          resource="job"
+          diffs={conflict?.diffs}
+          labels={JOB_FIELD_LABELS}
+          onResolve={handleResolveConflict}
+          onDiscard={handleDiscardChanges}
+        />
       </DialogContent>
     </Dialog>
   );
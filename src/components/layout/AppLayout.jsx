@@ -15,7 +15,11 @@ import {
   Zap,
   Workflow,
   GitBranch,
-  TrendingUp
+  TrendingUp,
+  Trash2,
+  DatabaseBackup,
+  BarChart3,
+  CalendarDays
 } from 'lucide-react';
 import { cn } from '@/lib/utils';
 import { Button } from '@/components/ui/button';
@@ -36,6 +40,11 @@ const navigation = [
   { name: 'Jobs', href: '/jobs', icon: Briefcase },
   { name: 'Candidates', href: '/candidates', icon: Users },
   { name: 'Assessments', href: '/assessments', icon: ClipboardList },
+  { name: 'Interviews', href: '/interviews', icon: CalendarDays },
+  { name: 'Pipelines', href: '/pipelines', icon: GitBranch },
+  { name: 'Rejections', href: '/rejections', icon: BarChart3 },
+  { name: 'Trash', href: '/trash', icon: Trash2 },
+  { name: 'Backup', href: '/backup', icon: DatabaseBackup },
 ];
 
 /**
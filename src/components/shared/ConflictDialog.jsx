@@ -0,0 +1,127 @@
+import React, { useEffect, useState } from 'react';
+import { AlertTriangle, Check } from 'lucide-react';
+import {
+  Dialog,
+  DialogContent,
+  DialogDescription,
+  DialogFooter,
+  DialogHeader,
+  DialogTitle,
+} from '@/components/ui/dialog';
+import { Button } from '@/components/ui/button';
+import { Badge } from '@/components/ui/badge';
+import { cn } from '@/lib/utils';
+import { resolveConflict } from '@/lib/concurrency';
+
+const formatValue = (value) => {
+  if (Array.isArray(value)) return value.length ? value.join(', ') : '—';
+  if (value === undefined || value === null || value === '') return '—';
+  return String(value);
+};
+
+const ValueOption = ({ label, value, selected, onSelect, disabled }) => (
+  <button
+    type="button"
+    onClick={onSelect}
+    disabled={disabled}
+    className={cn(
+      'w-full text-left rounded-lg border p-3 text-sm transition-colors',
+      selected ? 'border-blue-500 bg-blue-50' : 'border-gray-200 hover:border-gray-300',
+      disabled && 'cursor-default hover:border-gray-200'
+    )}
+  >
+    <div className="flex items-center justify-between mb-1">
+      <span className="text-xs font-medium uppercase tracking-wide text-gray-500">{label}</span>
+      {selected && <Check className="h-4 w-4 text-blue-600" />}
+    </div>
+    <p className="whitespace-pre-wrap break-words text-gray-900 line-clamp-4">{formatValue(value)}</p>
+  </button>
+);
+
+/**
+ * ConflictDialog Component
+ *
+ * Shown when a save fails with 409 because someone else changed the record.
+ * Lists every field that changed on either side; conflicting fields let the
+ * user pick their value or the stored one, the rest merge automatically.
+ *
+ * @param {boolean} open - Whether the dialog is open.
+ * @param {function} onOpenChange - Callback to control dialog visibility.
+ * @param {string} resource - Name of the record type, e.g. 'job'.
+ * @param {Array} diffs - Output of `diffFields`.
+ * @param {object} labels - Field name → display label.
+ * @param {function} onResolve - Called with the merged patch to save.
+ * @param {function} onDiscard - Called when the user drops their changes.
+ */
+export const ConflictDialog = ({ open, onOpenChange, resource, diffs = [], labels = {}, onResolve, onDiscard }) => {
+  const [choices, setChoices] = useState({});
+
+  useEffect(() => {
+    if (open) setChoices({});
+  }, [open, diffs]);
+
+  const conflictCount = diffs.filter((diff) => diff.conflict).length;
+
+  return (
+    <Dialog open={open} onOpenChange={onOpenChange}>
+      <DialogContent className="max-w-3xl max-h-[90vh] overflow-y-auto">
+        <DialogHeader>
+          <DialogTitle className="flex items-center gap-2">
+            <AlertTriangle className="h-5 w-5 text-amber-500" />
+            This {resource} was changed by someone else
+          </DialogTitle>
+          <DialogDescription>
+            {conflictCount
+              ? `${conflictCount} field${conflictCount === 1 ? '' : 's'} changed on both sides. Choose which value to keep; other changes are merged automatically.`
+              : 'None of the changes overlap, so both sets of changes can be kept.'}
+          </DialogDescription>
+        </DialogHeader>
+
+        <div className="space-y-4">
+          {diffs.map((diff) => {
+            const choice = diff.conflict ? choices[diff.field] || 'mine' : diff.mineChanged ? 'mine' : 'theirs';
+            return (
+              <div key={diff.field} className="space-y-2">
+                <div className="flex items-center gap-2">
+                  <span className="text-sm font-medium text-gray-700">{labels[diff.field] || diff.field}</span>
+                  {diff.conflict ? (
+                    <Badge variant="destructive">Conflict</Badge>
+                  ) : (
+                    <Badge variant="secondary">
+                      {diff.mineChanged ? 'Changed by you' : 'Changed by someone else'}
+                    </Badge>
+                  )}
+                </div>
+                <div className="grid grid-cols-2 gap-3">
+                  <ValueOption
+                    label="Your version"
+                    value={diff.mine}
+                    selected={choice === 'mine'}
+                    disabled={!diff.conflict}
+                    onSelect={() => setChoices((prev) => ({ ...prev, [diff.field]: 'mine' }))}
+                  />
+                  <ValueOption
+                    label="Current version"
+                    value={diff.theirs}
+                    selected={choice === 'theirs'}
+                    disabled={!diff.conflict}
+                    onSelect={() => setChoices((prev) => ({ ...prev, [diff.field]: 'theirs' }))}
+                  />
+                </div>
+              </div>
+            );
+          })}
+        </div>
+
+        <DialogFooter className="pt-4">
+          <Button type="button" variant="outline" onClick={onDiscard}>
+            Discard my changes
+          </Button>
+          <Button type="button" onClick={() => onResolve(resolveConflict(diffs, choices))}>
+            Save merged version
+          </Button>
+        </DialogFooter>
+      </DialogContent>
+    </Dialog>
+  );
+};
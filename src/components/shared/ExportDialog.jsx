@@ -0,0 +1,134 @@
+import React, { useState } from 'react';
+import { Download, Loader2 } from 'lucide-react';
+import {
+  Dialog,
+  DialogContent,
+  DialogDescription,
+  DialogFooter,
+  DialogHeader,
+  DialogTitle,
+} from '@/components/ui/dialog';
+import { Button } from '@/components/ui/button';
+import { Checkbox } from '@/components/ui/checkbox';
+import { Label } from '@/components/ui/label';
+import { RadioGroup, RadioGroupItem } from '@/components/ui/radio-group';
+import { useToast } from '@/hooks/use-toast';
+import { saveStream } from '@/lib/download';
+import { EXPORT_FORMATS, defaultColumnKeys, exportFileName } from '@/lib/export';
+
+const ColumnGroup = ({ title, columns, selected, onToggle }) => (
+  <div className="space-y-2">
+    <p className="text-xs font-semibold uppercase tracking-wide text-muted-foreground">{title}</p>
+    <div className="grid grid-cols-2 gap-2">
+      {columns.map((column) => (
+        <label key={column.key} className="flex items-center gap-2 text-sm cursor-pointer">
+          <Checkbox checked={selected.includes(column.key)} onCheckedChange={() => onToggle(column.key)} />
+          {column.label}
+        </label>
+      ))}
+    </div>
+  </div>
+);
+
+/**
+ * ExportDialog Component
+ *
+ * Lets the user pick the columns and format of an export, runs it and
+ * saves the file.
+ *
+ * @param {boolean} open - Whether the dialog is shown.
+ * @param {function} onOpenChange - Called with the new open state.
+ * @param {string} title - Dialog title.
+ * @param {string} description - What will be exported, e.g. the active filters.
+ * @param {Array} columns - `CANDIDATE_COLUMNS` or `JOB_COLUMNS`.
+ * @param {string} fileName - File name without date or extension, e.g. 'candidates'.
+ * @param {function} onExport - Called with `{ columns, format }`; resolves to `{ stream, rowCount }`, see `createExportStream`.
+ */
+export const ExportDialog = ({ open, onOpenChange, title, description, columns, fileName, onExport }) => {
+  const [selected, setSelected] = useState(() => defaultColumnKeys(columns));
+  const [format, setFormat] = useState('csv');
+  const [isExporting, setIsExporting] = useState(false);
+  const { toast } = useToast();
+
+  const toggle = (key) => {
+    setSelected((keys) => (keys.includes(key) ? keys.filter((k) => k !== key) : [...keys, key]));
+  };
+
+  const handleExport = async () => {
+    setIsExporting(true);
+    try {
+      // Columns keep their defined order, not the order they were ticked in
+      const keys = columns.map(({ key }) => key).filter((key) => selected.includes(key));
+      const { stream, rowCount } = await onExport({ columns: keys, format });
+      if (!(await saveStream(stream, exportFileName(fileName, format), EXPORT_FORMATS[format].type))) return;
+      const count = rowCount();
+      toast({ title: 'Export ready', description: `${count} ${count === 1 ? 'row' : 'rows'} exported as ${EXPORT_FORMATS[format].label}.` });
+      onOpenChange(false);
+    } catch (error) {
+      toast({ title: 'Export failed', description: error.message, variant: 'destructive' });
+    } finally {
+      setIsExporting(false);
+    }
+  };
+
+  return (
+    <Dialog open={open} onOpenChange={(isOpen) => !isExporting && onOpenChange(isOpen)}>
+      <DialogContent className="max-w-lg">
+        <DialogHeader>
+          <DialogTitle>{title}</DialogTitle>
+          {description && <DialogDescription>{description}</DialogDescription>}
+        </DialogHeader>
+
+        <div className="space-y-5 py-2">
+          <div className="space-y-2">
+            <Label>Format</Label>
+            <RadioGroup value={format} onValueChange={setFormat} className="flex gap-6">
+              {Object.entries(EXPORT_FORMATS).map(([value, { label }]) => (
+                <label key={value} className="flex items-center gap-2 text-sm cursor-pointer">
+                  <RadioGroupItem value={value} />
+                  {label}
+                </label>
+              ))}
+            </RadioGroup>
+          </div>
+
+          <div className="space-y-4">
+            <div className="flex items-center justify-between">
+              <Label>Columns</Label>
+              <div className="flex gap-1">
+                <Button type="button" variant="ghost" size="sm" onClick={() => setSelected(columns.map(({ key }) => key))}>
+                  All
+                </Button>
+                <Button type="button" variant="ghost" size="sm" onClick={() => setSelected(defaultColumnKeys(columns))}>
+                  Defaults
+                </Button>
+              </div>
+            </div>
+            <ColumnGroup
+              title="Fields"
+              columns={columns.filter((column) => !column.derived)}
+              selected={selected}
+              onToggle={toggle}
+            />
+            <ColumnGroup
+              title="Derived"
+              columns={columns.filter((column) => column.derived)}
+              selected={selected}
+              onToggle={toggle}
+            />
+          </div>
+        </div>
+
+        <DialogFooter>
+          <Button variant="outline" onClick={() => onOpenChange(false)} disabled={isExporting}>
+            Cancel
+          </Button>
+          <Button onClick={handleExport} disabled={isExporting || !selected.length}>
+            {isExporting ? <Loader2 className="h-4 w-4 mr-2 animate-spin" /> : <Download className="h-4 w-4 mr-2" />}
+            Export
+          </Button>
+        </DialogFooter>
+      </DialogContent>
+    </Dialog>
+  );
+};
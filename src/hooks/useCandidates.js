@@ -1,6 +1,10 @@
 import { useState, useCallback } from "react";
 import { useQuery, useMutation, useQueryClient } from "@tanstack/react-query";
 import { db } from "@/lib/db";
+import { migrateRecord } from "@/lib/migrations";
+import { queryCandidates } from "@/lib/candidate-query";
+import { softDelete } from "@/lib/trash";
+import { getJobPipeline, initialStage } from "@/lib/pipelines";
 
 /**
  * Custom hook for managing candidates data with search and filtering capabilities
@@ -21,31 +25,19 @@ export const useCandidates = (initialSearch, initialStage) => {
   const { data: candidates = [], isLoading, error } = useQuery({
     queryKey: ['candidates', search, stage],
     queryFn: async () => {
-      let candidates = await db.candidates.toArray();
-
-      // Apply filters
-      if (search) {
-        const searchLower = search.toLowerCase();
-        candidates = candidates.filter(
-          candidate =>
-            candidate.name.toLowerCase().includes(searchLower) ||
-            candidate.email.toLowerCase().includes(searchLower) ||
-            (candidate.skills || []).some(skill => skill.toLowerCase().includes(searchLower)) ||
-            (candidate.currentRole?.toLowerCase().includes(searchLower)) ||
-            (candidate.job?.title?.toLowerCase().includes(searchLower))
-        );
-      }
-      if (stage) {
-        candidates = candidates.filter(candidate => candidate.stage === stage);
-      }
-      return candidates;
+      const { data } = await queryCandidates({
+        search,
+        stage,
+        sort: search ? 'relevance' : '-appliedDate'
+      });
+      return data;
     }
   });
 
   // Mutation for moving candidate to a different stage
   const moveCandidateMutation = useMutation({
     mutationFn: async ({ id, newStage }) => {
-      await db.candidates.update(id, { stage: newStage, lastUpdated: new Date().toISOString() });
+      await db.candidates.update(id, { stage: newStage, updatedAt: new Date().toISOString() });
     },
     onSuccess: () => {
       queryClient.invalidateQueries(['candidates']);
@@ -58,13 +50,13 @@ export const useCandidates = (initialSearch, initialStage) => {
   // Mutation for adding a new candidate
   const addCandidateMutation = useMutation({
     mutationFn: async (candidate) => {
-      const newCandidate = {
+      const newCandidate = migrateRecord('candidates', {
         ...candidate,
         id: `cand_${Date.now()}`,
-        stage: 'applied',
+        stage: initialStage(await getJobPipeline(candidate.jobId)),
         appliedDate: new Date().toISOString(),
-        lastUpdated: new Date().toISOString(),
-      };
+        updatedAt: new Date().toISOString(),
+      });
       await db.candidates.add(newCandidate);
       return newCandidate;
     },
@@ -79,7 +71,7 @@ export const useCandidates = (initialSearch, initialStage) => {
   // Mutation for updating an existing candidate
   const updateCandidateMutation = useMutation({
     mutationFn: async ({ id, updates }) => {
-      await db.candidates.update(id, { ...updates, lastUpdated: new Date().toISOString() });
+      await db.candidates.update(id, { ...updates, updatedAt: new Date().toISOString() });
     },
     onSuccess: () => {
       queryClient.invalidateQueries(['candidates']);
@@ -89,10 +81,10 @@ export const useCandidates = (initialSearch, initialStage) => {
     }
   });
 
-  // Mutation for deleting a candidate
+  // Mutation for deleting a candidate (moves it to the trash)
   const deleteCandidateMutation = useMutation({
     mutationFn: async (id) => {
-      await db.candidates.delete(id);
+      await softDelete('candidate', id);
     },
     onSuccess: () => {
       queryClient.invalidateQueries(['candidates']);
@@ -0,0 +1,117 @@
+import { useEffect, useState } from "react";
+import { useQueryClient } from "@tanstack/react-query";
+import { subscribeRemoteChanges } from "@/lib/change-feed";
+
+// How long the "updated in another tab" indicator stays visible
+const REMOTE_UPDATE_VISIBLE_MS = 8000;
+
+/**
+ * Query keys (by prefix) whose data derives from a changed row.
+ * @param {object} change - A change from the change feed
+ * @returns {Array[]} Query keys to invalidate
+ */
+const queryKeysFor = (change) => {
+  switch (change.table) {
+    case 'candidates':
+      return [
+        ['candidates'],
+        ['candidates-kanban'],
+        ['candidate', change.key],
+        // Any candidate's edit can add or remove a duplicate of another
+        ['candidate-duplicates'],
+        ['job-candidates-count'],
+        ['candidates-count'],
+        ['recent-candidates'],
+        ['rejection-report'],
+        ['trash'],
+        ['workspace-counts'],
+      ];
+    case 'jobs':
+      // Candidate lists show the job title alongside each candidate
+      return [['jobs'], ['job', change.key], ['pipeline'], ['jobs-count'], ['jobs-for-assessment'], ['candidates'], ['candidates-kanban'], ['trash'], ['workspace-counts']];
+    case 'timeline':
+      return [['timeline', change.candidateId], ['workspace-counts']];
+    case 'assessments':
+      return [['assessment'], ['assessments-count'], ['recent-assessments'], ['trash'], ['workspace-counts']];
+    case 'pipelines':
+      return [['pipelines'], ['pipeline']];
+    case 'rejectionReasons':
+      return [['rejection-reasons'], ['rejection-report']];
+    case 'responses':
+      return [['workspace-counts']];
+    case 'scorecards':
+      return [['scorecards', change.candidateId]];
+    case 'interviews':
+      return [['interviews'], ['candidate-interviews', change.candidateId], ['interviews-count']];
+    case 'attachments':
+      return [['attachments', change.candidateId], ['attachment-usage']];
+    case 'searchIndex':
+      return [['search']];
+    case 'matchScores':
+      return [['candidates'], ['candidates-kanban'], ['job-matches']];
+    default:
+      return [];
+  }
+};
+
+/**
+ * Keeps React Query caches in step with writes made in other tabs by
+ * invalidating every query derived from the changed rows. Mount once, inside
+ * the QueryClientProvider.
+ */
+export const useCrossTabSync = () => {
+  const queryClient = useQueryClient();
+
+  useEffect(
+    () =>
+      subscribeRemoteChanges((changes) => {
+        const keys = new Map();
+        changes.flatMap(queryKeysFor).forEach((key) => keys.set(JSON.stringify(key), key));
+        keys.forEach((queryKey) => queryClient.invalidateQueries({ queryKey }));
+      }),
+    [queryClient]
+  );
+};
+
+/**
+ * Reports when a candidate, or its timeline, was last changed from another tab.
+ * @param {string} candidateId - The candidate to watch
+ * @returns {Object} `updatedAt` (Date, or null once the indicator should hide),
+ *   `fields` changed on the candidate record, and `dismiss()`
+ */
+export const useRemoteCandidateUpdate = (candidateId) => {
+  const [update, setUpdate] = useState(null);
+
+  useEffect(() => {
+    setUpdate(null);
+    return subscribeRemoteChanges((changes) => {
+      const relevant = changes.filter(
+        (change) =>
+          (change.table === 'candidates' && change.key === candidateId) ||
+          (change.table === 'timeline' && change.candidateId === candidateId)
+      );
+      if (!relevant.length) return;
+      setUpdate((previous) => ({
+        updatedAt: new Date(),
+        fields: [
+          ...new Set([
+            ...(previous?.fields || []),
+            ...relevant.flatMap((change) => (change.table === 'timeline' ? ['timeline'] : change.fields || [])),
+          ]),
+        ],
+      }));
+    });
+  }, [candidateId]);
+
+  useEffect(() => {
+    if (!update) return undefined;
+    const timer = setTimeout(() => setUpdate(null), REMOTE_UPDATE_VISIBLE_MS);
+    return () => clearTimeout(timer);
+  }, [update]);
+
+  return {
+    updatedAt: update?.updatedAt ?? null,
+    fields: update?.fields ?? [],
+    dismiss: () => setUpdate(null),
+  };
+};
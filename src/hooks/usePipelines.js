@@ -0,0 +1,49 @@
+import { useCallback, useMemo } from "react";
+import { useQuery } from "@tanstack/react-query";
+import { DEFAULT_PIPELINE, DEFAULT_PIPELINE_ID, getJobPipeline, listPipelines, mergeStages } from "@/lib/pipelines";
+
+/**
+ * Loads every pipeline definition.
+ * @returns {Object} `pipelines` (default first), `pipelinesById` and loading state
+ */
+export const usePipelines = () => {
+  const { data: pipelines = [DEFAULT_PIPELINE], isLoading } = useQuery({
+    queryKey: ['pipelines'],
+    queryFn: listPipelines,
+  });
+
+  const pipelinesById = useMemo(
+    () => Object.fromEntries(pipelines.map((pipeline) => [pipeline.id, pipeline])),
+    [pipelines]
+  );
+
+  return { pipelines, pipelinesById, isLoading };
+};
+
+/**
+ * Stages to show for a set of candidates: the job's pipeline when one job is
+ * selected, otherwise the stages of every pipeline merged.
+ * @param {string} [jobId] - Job filter; blank means all jobs
+ * @returns {Object} `stages`, `pipeline` (null across jobs), and `pipelineFor(job)`
+ */
+export const usePipelineStages = (jobId) => {
+  const { pipelines, pipelinesById } = usePipelines();
+
+  const { data: jobPipeline = null } = useQuery({
+    queryKey: ['pipeline', jobId],
+    queryFn: () => getJobPipeline(jobId),
+    enabled: !!jobId,
+  });
+
+  const stages = useMemo(
+    () => (jobId ? (jobPipeline || DEFAULT_PIPELINE).stages : mergeStages(pipelines)),
+    [jobId, jobPipeline, pipelines]
+  );
+
+  const pipelineFor = useCallback(
+    (job) => pipelinesById[job?.pipelineId] || pipelinesById[DEFAULT_PIPELINE_ID] || DEFAULT_PIPELINE,
+    [pipelinesById]
+  );
+
+  return { stages, pipeline: jobId ? jobPipeline : null, pipelineFor };
+};
@@ -0,0 +1,17 @@
+import { useQuery } from "@tanstack/react-query";
+import { DEFAULT_REJECTION_REASONS, listRejectionReasons } from "@/lib/rejections";
+
+/**
+ * Loads the rejection reason taxonomy.
+ * @param {Object} [options]
+ * @param {boolean} [options.includeArchived=false] - Also return archived reasons
+ * @returns {Object} `reasons` in display order and loading state
+ */
+export const useRejectionReasons = ({ includeArchived = false } = {}) => {
+  const { data: reasons = DEFAULT_REJECTION_REASONS, isLoading } = useQuery({
+    queryKey: ['rejection-reasons', includeArchived],
+    queryFn: () => listRejectionReasons({ includeArchived }),
+  });
+
+  return { reasons, isLoading };
+};
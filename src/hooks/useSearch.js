@@ -0,0 +1,25 @@
+import { useQuery, keepPreviousData } from "@tanstack/react-query";
+import { searchScores } from "@/lib/search-index";
+
+/**
+ * Ranks documents of one type against a free-text query using the
+ * full-text search index.
+ * @param {string} query - Free-text query; blank disables the search
+ * @param {'candidate' | 'job'} type - Document type to search
+ * @returns {Object} `scores` (id → score Map, or null when there is no query) and loading state
+ */
+export const useSearchScores = (query, type) => {
+  const trimmed = typeof query === 'string' ? query.trim() : '';
+
+  const { data, isFetching } = useQuery({
+    queryKey: ['search', type, trimmed],
+    queryFn: () => searchScores(trimmed, type),
+    enabled: !!trimmed,
+    placeholderData: keepPreviousData,
+  });
+
+  return {
+    scores: trimmed ? data ?? null : null,
+    isSearching: !!trimmed && isFetching,
+  };
+};
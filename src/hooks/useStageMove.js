@@ -0,0 +1,47 @@
+import { useCallback, useState } from "react";
+import { useToast } from "@/hooks/use-toast";
+import { findStage, getJobPipeline } from "@/lib/pipelines";
+import { checkCandidateMove, needsRejectionReason } from "@/lib/stage-transitions";
+import { countInStage, wipStatus } from "@/lib/stage-limits";
+
+/**
+ * Checks a dragged candidate against the stage transition rules before it is
+ * saved. Refused moves show a toast with the reason; moves to a rejection
+ * stage wait for a reason from `RejectionReasonDialog`. Moves past a stage's
+ * WIP limit in 'warn' mode go ahead with a warning.
+ * @param {Function} onMove - Saves an allowed move: `({ id, stage, rejection })`
+ * @returns {Object} `requestMove(candidate, stageId)`, and `rejection`,
+ *   `confirmRejection(details)` and `cancelRejection()` for the dialog
+ */
+export const useStageMove = (onMove) => {
+  const { toast } = useToast();
+  const [rejection, setRejection] = useState(null);
+
+  const requestMove = useCallback(async (candidate, stageId) => {
+    if (!candidate || !stageId || candidate.stage === stageId) return;
+
+    const pipeline = await getJobPipeline(candidate.jobId);
+    const violations = await checkCandidateMove(candidate, stageId, { pipeline });
+    if (needsRejectionReason(violations)) {
+      setRejection({ candidate, stage: findStage(pipeline, stageId) });
+    } else if (violations.length) {
+      toast({ title: 'Move not allowed', description: violations[0].message, variant: 'destructive' });
+    } else {
+      const stage = findStage(pipeline, stageId);
+      if (candidate.jobId && stage.wipLimit && wipStatus(stage, await countInStage(candidate.jobId, stageId)) !== 'under') {
+        toast({
+          title: 'Over the WIP limit',
+          description: `${stage.name} is limited to ${stage.wipLimit} candidate${stage.wipLimit === 1 ? '' : 's'} for this job`,
+        });
+      }
+      onMove({ id: candidate.id, stage: stageId });
+    }
+  }, [onMove, toast]);
+
+  const confirmRejection = (details) => {
+    onMove({ id: rejection.candidate.id, stage: rejection.stage.id, rejection: details });
+    setRejection(null);
+  };
+
+  return { requestMove, rejection, confirmRejection, cancelRejection: () => setRejection(null) };
+};
@@ -0,0 +1,67 @@
+/**
+ * Client for the mock REST API. Unwraps the `{ data, pagination }` envelope
+ * and turns `{ error: { status, code, message, details } }` responses into
+ * `ApiError`s so callers handle one shape.
+ */
+
+export class ApiError extends Error {
+  /**
+   * @param {number} status - HTTP status code.
+   * @param {string} code - Machine readable error code, e.g. 'NOT_FOUND'.
+   * @param {string} message - Human readable message.
+   * @param {object} [details] - Extra context such as per-field validation messages.
+   */
+  constructor(status, code, message, details) {
+    super(message);
+    this.name = 'ApiError';
+    this.status = status;
+    this.code = code;
+    this.details = details;
+  }
+}
+
+const toApiError = (response, payload) => {
+  const error = payload?.error;
+  return new ApiError(
+    response.status,
+    error?.code || 'INTERNAL_ERROR',
+    error?.message || response.statusText || 'Request failed',
+    error?.details
+  );
+};
+
+/**
+ * Sends a request to the API.
+ * @param {string} path - Path under /api, e.g. '/jobs/123'.
+ * @param {object} [options]
+ * @param {string} [options.method='GET'] - HTTP method.
+ * @param {object|FormData} [options.body] - JSON body, or form data for file uploads.
+ * @param {object} [options.headers] - Extra request headers.
+ * @returns {Promise<{ data: *, pagination?: object }>} The response envelope.
+ * @throws {ApiError} When the response is not 2xx.
+ */
+export const apiRequest = async (path, { method = 'GET', body, headers = {} } = {}) => {
+  // The browser sets the multipart boundary itself for form data
+  const isForm = typeof FormData !== 'undefined' && body instanceof FormData;
+  const response = await fetch(`/api${path}`, {
+    method,
+    headers: body === undefined || isForm ? headers : { 'Content-Type': 'application/json', ...headers },
+    body: body === undefined || isForm ? body : JSON.stringify(body),
+  });
+
+  const payload = await response.json().catch(() => null);
+  if (!response.ok) throw toApiError(response, payload);
+  return payload;
+};
+
+/**
+ * Downloads a binary resource, such as an attachment.
+ * @param {string} path - Path under /api.
+ * @returns {Promise<Blob>}
+ * @throws {ApiError} When the response is not 2xx.
+ */
+export const apiBlob = async (path) => {
+  const response = await fetch(`/api${path}`);
+  if (!response.ok) throw toApiError(response, await response.json().catch(() => null));
+  return response.blob();
+};
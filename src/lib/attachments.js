@@ -0,0 +1,151 @@
+import { db } from './db';
+
+/**
+ * Candidate attachments: resumes, cover letters, portfolios and other files.
+ *
+ * Files are stored as Blobs in the `attachments` table next to their metadata
+ * `{ id, candidateId, kind, name, type, size, checksum, uploadedBy, createdAt }`.
+ * The API never returns the Blob with the metadata; it is downloaded on its
+ * own from `GET /api/candidates/:id/attachments/:attachmentId`.
+ *
+ * Uploads are limited per file (`MAX_ATTACHMENT_BYTES`, 413), by type
+ * (`ATTACHMENT_TYPES`, 415) and in total (`ATTACHMENT_QUOTA_BYTES`, or less
+ * when the browser has less room left, 507). The same file (by SHA-256
+ * checksum) cannot be attached to a candidate twice (409).
+ */
+
+export const ATTACHMENT_KINDS = {
+  resume: 'Resume',
+  cover_letter: 'Cover letter',
+  portfolio: 'Portfolio',
+  other: 'Other',
+};
+
+export const MAX_ATTACHMENT_BYTES = 10 * 1024 * 1024;
+
+// Budget for all attachments together, well below what browsers usually grant
+export const ATTACHMENT_QUOTA_BYTES = 500 * 1024 * 1024;
+
+// MIME type → how the file can be previewed inline
+export const ATTACHMENT_TYPES = {
+  'application/pdf': 'pdf',
+  'image/png': 'image',
+  'image/jpeg': 'image',
+  'image/gif': 'image',
+  'image/webp': 'image',
+  'text/plain': 'text',
+  'text/markdown': 'text',
+  'application/msword': null,
+  'application/vnd.openxmlformats-officedocument.wordprocessingml.document': null,
+  'application/zip': null,
+};
+
+// Browsers leave `type` empty for some files, so extensions are accepted too
+const TYPES_BY_EXTENSION = {
+  pdf: 'application/pdf',
+  png: 'image/png',
+  jpg: 'image/jpeg',
+  jpeg: 'image/jpeg',
+  gif: 'image/gif',
+  webp: 'image/webp',
+  txt: 'text/plain',
+  md: 'text/markdown',
+  doc: 'application/msword',
+  docx: 'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+  zip: 'application/zip',
+};
+
+// Value for the `accept` attribute of file inputs
+export const ATTACHMENT_ACCEPT = [
+  ...Object.keys(ATTACHMENT_TYPES),
+  ...Object.keys(TYPES_BY_EXTENSION).map((extension) => `.${extension}`),
+].join(',');
+
+/**
+ * @param {{ name?: string, type?: string }} file
+ * @returns {string|null} The file's MIME type when it is accepted, otherwise null.
+ */
+export const attachmentType = ({ name = '', type = '' }) => {
+  const base = type.split(';')[0].trim().toLowerCase();
+  if (base in ATTACHMENT_TYPES) return base;
+  const extension = name.includes('.') ? name.split('.').pop().toLowerCase() : '';
+  return TYPES_BY_EXTENSION[extension] || null;
+};
+
+/**
+ * @param {string} type - MIME type.
+ * @returns {'pdf'|'image'|'text'|null} How the file can be shown inline, if at all.
+ */
+export const previewKind = (type) => ATTACHMENT_TYPES[type] ?? null;
+
+/**
+ * Checks a file against the size and type limits.
+ * @param {{ name?: string, type?: string, size: number }} file
+ * @returns {{ status: number, message: string }|null} Why the file cannot be
+ *   uploaded, with the status the API answers, or null when it can.
+ */
+export const attachmentProblem = (file) => {
+  if (!file.size) return { status: 422, message: 'The file is empty' };
+  if (file.size > MAX_ATTACHMENT_BYTES) {
+    return { status: 413, message: `Files can be at most ${formatBytes(MAX_ATTACHMENT_BYTES)}` };
+  }
+  if (!attachmentType(file)) {
+    return { status: 415, message: 'Only PDF, Word, image, text and zip files can be attached' };
+  }
+  return null;
+};
+
+/**
+ * @param {Blob} blob
+ * @returns {Promise<string>} Hex SHA-256 of the contents.
+ */
+export const checksumOf = async (blob) => {
+  const digest = await crypto.subtle.digest('SHA-256', await blob.arrayBuffer());
+  return [...new Uint8Array(digest)].map((byte) => byte.toString(16).padStart(2, '0')).join('');
+};
+
+/**
+ * @param {number} bytes
+ * @returns {string} E.g. '1.4 MB'.
+ */
+export const formatBytes = (bytes) => {
+  if (bytes < 1024) return `${bytes} B`;
+  const units = ['KB', 'MB', 'GB'];
+  let value = bytes / 1024;
+  let unit = 0;
+  while (value >= 1024 && unit < units.length - 1) {
+    value /= 1024;
+    unit++;
+  }
+  return `${value.toFixed(value < 10 ? 1 : 0)} ${units[unit]}`;
+};
+
+/**
+ * @param {object} attachment - Stored attachment record.
+ * @returns {object} The record without its Blob.
+ */
+export const attachmentMeta = ({ blob, ...meta }) => meta;
+
+/**
+ * Bytes used by attachments and how many more fit.
+ * @returns {Promise<{ used: number, limit: number, available: number }>} `limit`
+ *   is `ATTACHMENT_QUOTA_BYTES`, lowered to what the browser reports as left.
+ */
+export const attachmentUsage = async () => {
+  // Index keys only, so no Blob is read
+  const sizes = await db.attachments.orderBy('size').keys();
+  const used = sizes.reduce((total, size) => total + size, 0);
+  let limit = ATTACHMENT_QUOTA_BYTES;
+  if (typeof navigator !== 'undefined' && navigator.storage?.estimate) {
+    const { usage, quota } = await navigator.storage.estimate().catch(() => ({}));
+    if (Number.isFinite(usage) && Number.isFinite(quota)) limit = Math.min(limit, used + Math.max(0, quota - usage));
+  }
+  return { used, limit, available: Math.max(0, limit - used) };
+};
+
+/**
+ * @param {string} candidateId
+ * @returns {Promise<object[]>} The candidate's attachments without Blobs, newest first.
+ */
+export const listAttachments = async (candidateId) =>
+  (await db.attachments.where('candidateId').equals(candidateId).reverse().sortBy('createdAt')).map(attachmentMeta);
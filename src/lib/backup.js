@@ -0,0 +1,253 @@
+import { z } from 'zod';
+import { db } from './db';
+import { DB_SCHEMA_VERSION, migrateRecord } from './migrations';
+
+/**
+ * Workspace backup and restore.
+ *
+ * A backup is one JSON file holding every record of the data tables plus the
+ * schema version it was written with. Importing validates the file, runs the
+ * record migrations between that version and the current one, and then either
+ * merges the records into the workspace (upsert by id) or replaces it.
+ *
+ * Attachments are not part of a backup: their files can be far larger than
+ * the rest of the workspace and do not fit a JSON file. Replacing a workspace
+ * keeps the attachments of candidates that are in the backup and removes the
+ * rest with their candidates.
+ */
+
+export const BACKUP_FORMAT = 'talentflow-backup';
+
+// Version of the file envelope itself; record shapes follow `schemaVersion`
+export const BACKUP_FORMAT_VERSION = 1;
+
+export const BACKUP_TABLES = ['pipelines', 'rejectionReasons', 'jobs', 'candidates', 'timeline', 'assessments', 'responses', 'scorecards', 'interviews'];
+
+export const IMPORT_MODES = ['merge', 'replace'];
+
+// Tables whose records carry an optimistic concurrency `version`
+const VERSIONED_TABLES = ['jobs', 'candidates', 'interviews'];
+
+const id = z.string().min(1);
+
+// Only the fields other records point at are required; everything else is
+// normalized by the record migrations
+const RECORD_SCHEMAS = {
+  pipelines: z.object({ id, name: z.string(), stages: z.array(z.object({ id }).passthrough()) }).passthrough(),
+  rejectionReasons: z.object({ id, label: z.string() }).passthrough(),
+  jobs: z.object({ id, title: z.string() }).passthrough(),
+  candidates: z.object({ id, name: z.string(), jobId: z.string().optional() }).passthrough(),
+  timeline: z.object({ id, candidateId: id }).passthrough(),
+  assessments: z.object({ id, jobId: id }).passthrough(),
+  responses: z.object({ id, candidateId: z.string().optional(), jobId: z.string().optional() }).passthrough(),
+  scorecards: z.object({ id, candidateId: id, stage: z.string() }).passthrough(),
+  interviews: z.object({ id, candidateId: id, startsAt: z.string() }).passthrough(),
+};
+
+const uniqueIds = (records, ctx) => {
+  const seen = new Set();
+  records.forEach((record, index) => {
+    if (seen.has(record.id)) {
+      ctx.addIssue({ code: z.ZodIssueCode.custom, message: `Duplicate id "${record.id}"`, path: [index, 'id'] });
+    }
+    seen.add(record.id);
+  });
+};
+
+const backupSchema = z.object({
+  format: z.literal(BACKUP_FORMAT, {
+    errorMap: () => ({ message: 'Not a TalentFlow backup file' }),
+  }),
+  formatVersion: z.number().int().min(1).max(BACKUP_FORMAT_VERSION, {
+    message: 'This backup was created by a newer version of TalentFlow',
+  }),
+  schemaVersion: z.number().int().min(1).max(DB_SCHEMA_VERSION, {
+    message: 'This backup was created by a newer version of TalentFlow',
+  }),
+  exportedAt: z.string().optional(),
+  tables: z.object(
+    Object.fromEntries(
+      BACKUP_TABLES.map((table) => [table, z.array(RECORD_SCHEMAS[table]).superRefine(uniqueIds).default([])])
+    )
+  ),
+});
+
+export class BackupValidationError extends Error {
+  /**
+   * @param {string} message - Summary of the problem.
+   * @param {string[]} [issues] - One human readable line per invalid field.
+   */
+  constructor(message, issues = []) {
+    super(message);
+    this.name = 'BackupValidationError';
+    this.issues = issues;
+  }
+}
+
+/**
+ * Reads every record of the backed-up tables, including trashed ones.
+ * @returns {Promise<object>} The backup document.
+ */
+export const exportWorkspace = async () => {
+  const tables = {};
+  await db.transaction('r', BACKUP_TABLES.map((table) => db.table(table)), async () => {
+    for (const table of BACKUP_TABLES) {
+      tables[table] = await db.table(table).toArray();
+    }
+  });
+
+  return {
+    format: BACKUP_FORMAT,
+    formatVersion: BACKUP_FORMAT_VERSION,
+    schemaVersion: DB_SCHEMA_VERSION,
+    exportedAt: new Date().toISOString(),
+    tables,
+  };
+};
+
+/**
+ * @param {Date} [date] - Export time.
+ * @returns {string} File name for a backup, e.g. 'talentflow-backup-2024-05-01.json'.
+ */
+export const backupFileName = (date = new Date()) =>
+  `${BACKUP_FORMAT}-${date.toISOString().slice(0, 10)}.json`;
+
+/**
+ * Validates a backup file and migrates its records to the current schema.
+ * @param {string} text - File contents.
+ * @returns {object} The backup with `tables` in the current record shape.
+ * @throws {BackupValidationError} When the file is not valid JSON or not a valid backup.
+ */
+export const parseBackup = (text) => {
+  let json;
+  try {
+    json = JSON.parse(text);
+  } catch {
+    throw new BackupValidationError('The file is not valid JSON');
+  }
+
+  const result = backupSchema.safeParse(json);
+  if (!result.success) {
+    const issues = result.error.issues.map((issue) =>
+      issue.path.length ? `${issue.path.join('.')}: ${issue.message}` : issue.message
+    );
+    throw new BackupValidationError(issues.length === 1 ? issues[0] : 'The backup file is invalid', issues);
+  }
+
+  const backup = result.data;
+  return {
+    ...backup,
+    tables: Object.fromEntries(
+      BACKUP_TABLES.map((table) => [
+        table,
+        backup.tables[table].map((record) => migrateRecord(table, { ...record }, backup.schemaVersion)),
+      ])
+    ),
+  };
+};
+
+// Key order independent comparison of plain JSON values
+const stableStringify = (value) => {
+  if (Array.isArray(value)) return `[${value.map(stableStringify).join(',')}]`;
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value)
+      .filter((key) => value[key] !== undefined)
+      .sort()
+      .map((key) => `${JSON.stringify(key)}:${stableStringify(value[key])}`)
+      .join(',')}}`;
+  }
+  return JSON.stringify(value);
+};
+
+const isSameRecord = (a, b) => {
+  const { version: _a, ...restA } = a;
+  const { version: _b, ...restB } = b;
+  return stableStringify(restA) === stableStringify(restB);
+};
+
+/**
+ * Works out what importing a backup would do, without writing anything.
+ * @param {object} backup - Output of `parseBackup`.
+ * @param {'merge'|'replace'} mode - Merge upserts by id and keeps other
+ *   records; replace removes everything not in the backup.
+ * @returns {Promise<object>} Per table `{ added, updated, unchanged, removed }`
+ *   counts plus the records to write and ids to delete.
+ */
+export const planImport = async (backup, mode) => {
+  if (!IMPORT_MODES.includes(mode)) throw new Error(`Unknown import mode "${mode}"`);
+
+  const plan = {};
+  await db.transaction('r', BACKUP_TABLES.map((table) => db.table(table)), async () => {
+    for (const table of BACKUP_TABLES) {
+      const existing = new Map((await db.table(table).toArray()).map((record) => [record.id, record]));
+      const incomingIds = new Set();
+      const writes = [];
+      let added = 0;
+      let updated = 0;
+      let unchanged = 0;
+
+      backup.tables[table].forEach((record) => {
+        incomingIds.add(record.id);
+        const current = existing.get(record.id);
+        if (!current) {
+          added += 1;
+          writes.push(record);
+        } else if (isSameRecord(current, record)) {
+          unchanged += 1;
+        } else {
+          updated += 1;
+          // Move the version forward so open editors see the import as a conflicting change
+          writes.push(
+            VERSIONED_TABLES.includes(table)
+              ? { ...record, version: Math.max(current.version || 0, record.version || 0) + 1 }
+              : record
+          );
+        }
+      });
+
+      const deletes = mode === 'replace' ? [...existing.keys()].filter((key) => !incomingIds.has(key)) : [];
+      plan[table] = { added, updated, unchanged, removed: deletes.length, writes, deletes };
+    }
+  });
+
+  return plan;
+};
+
+/**
+ * Summarizes a plan for display, dropping the records themselves.
+ * @param {object} plan - Output of `planImport`.
+ * @returns {object} Per table `{ added, updated, unchanged, removed }`.
+ */
+export const summarizePlan = (plan) =>
+  Object.fromEntries(
+    Object.entries(plan).map(([table, { added, updated, unchanged, removed }]) => [
+      table,
+      { added, updated, unchanged, removed },
+    ])
+  );
+
+/**
+ * Imports a backup in one transaction, so a failure leaves the workspace untouched.
+ * @param {object} backup - Output of `parseBackup`.
+ * @param {object} options
+ * @param {'merge'|'replace'} options.mode - See `planImport`.
+ * @param {boolean} [options.dryRun=false] - Only compute the summary.
+ * @returns {Promise<object>} The summary from `summarizePlan`.
+ */
+export const importWorkspace = async (backup, { mode, dryRun = false }) => {
+  if (dryRun) return summarizePlan(await planImport(backup, mode));
+
+  let plan;
+  await db.transaction('rw', [...BACKUP_TABLES.map((table) => db.table(table)), db.attachments], async () => {
+    plan = await planImport(backup, mode);
+    for (const table of BACKUP_TABLES) {
+      const { writes, deletes } = plan[table];
+      // Row-level writes (not clear()) so the search index and other tabs see each change
+      if (deletes.length) await db.table(table).bulkDelete(deletes);
+      if (table === 'candidates' && deletes.length) await db.attachments.where('candidateId').anyOf(deletes).delete();
+      if (writes.length) await db.table(table).bulkPut(writes);
+    }
+  });
+
+  return summarizePlan(plan);
+};
@@ -0,0 +1,272 @@
+import { z } from 'zod';
+
+/**
+ * Candidate import from CSV and TSV files.
+ *
+ * The import wizard parses the file, maps its columns to candidate fields
+ * (guessing from the header names), and turns every row into a candidate with
+ * `prepareImport`, validating it with `importedCandidateSchema` and flagging
+ * emails that already exist or repeat within the file. `POST
+ * /api/candidates/import` validates the rows again with the same schema and
+ * creates them in one transaction.
+ */
+
+export const DELIMITERS = {
+  ',': 'Comma',
+  '\t': 'Tab',
+  ';': 'Semicolon',
+};
+
+// Separators for cells holding several values, e.g. skills
+export const LIST_SEPARATORS = {
+  ',': 'Comma',
+  ';': 'Semicolon',
+  '|': 'Pipe',
+  '/': 'Slash',
+};
+
+/**
+ * Fields a column can be mapped to. `aliases` are normalized header names
+ * that map to the field automatically.
+ */
+export const IMPORT_FIELDS = [
+  { key: 'name', label: 'Full name', aliases: ['name', 'fullname', 'candidate', 'candidatename'] },
+  { key: 'firstName', label: 'First name', aliases: ['firstname', 'givenname', 'first'] },
+  { key: 'lastName', label: 'Last name', aliases: ['lastname', 'surname', 'familyname', 'last'] },
+  { key: 'email', label: 'Email', aliases: ['email', 'emailaddress', 'mail'] },
+  { key: 'phone', label: 'Phone', aliases: ['phone', 'phonenumber', 'mobile', 'telephone'] },
+  { key: 'location', label: 'Location', aliases: ['location', 'city', 'address'] },
+  { key: 'currentRole', label: 'Current role', aliases: ['currentrole', 'role', 'currenttitle', 'headline'] },
+  { key: 'experience', label: 'Years of experience', aliases: ['experience', 'yearsofexperience', 'years', 'yoe'] },
+  { key: 'education', label: 'Education', aliases: ['education', 'degree'] },
+  { key: 'skills', label: 'Skills (list)', aliases: ['skills', 'skill', 'technologies'] },
+  { key: 'job', label: 'Job (title or slug)', aliases: ['job', 'jobtitle', 'position', 'appliedfor', 'jobslug', 'requisition'] },
+  { key: 'source', label: 'Source', aliases: ['source', 'channel', 'origin'] },
+  { key: 'owner', label: 'Owner', aliases: ['owner', 'recruiter'] },
+  { key: 'tags', label: 'Tags (list)', aliases: ['tags', 'labels'] },
+  { key: 'notes', label: 'Notes', aliases: ['notes', 'comments'] },
+  { key: 'noticePeriod', label: 'Notice period', aliases: ['noticeperiod', 'notice'] },
+  { key: 'salaryExpectation', label: 'Salary expectation', aliases: ['salaryexpectation', 'salary', 'expectedsalary'] },
+  { key: 'appliedDate', label: 'Applied date', aliases: ['applieddate', 'applied', 'dateapplied', 'date'] },
+];
+
+const LIST_FIELDS = ['skills', 'tags'];
+
+const optionalText = (max) => z.string().trim().max(max).optional();
+
+/**
+ * One imported candidate, after column mapping and job lookup.
+ */
+export const importedCandidateSchema = z.object({
+  name: z.string().trim().min(1, 'Name is required').max(200),
+  email: z.string().trim().toLowerCase().email('Not a valid email address'),
+  phone: optionalText(50),
+  location: optionalText(200),
+  currentRole: optionalText(200),
+  experience: z.coerce
+    .number({ invalid_type_error: 'Experience must be a number of years' })
+    .min(0, 'Experience cannot be negative')
+    .max(70, 'Experience must be at most 70 years')
+    .optional(),
+  education: optionalText(200),
+  skills: z.array(z.string().trim().min(1).max(100)).default([]),
+  jobId: z.string().min(1).optional(),
+  source: optionalText(100),
+  owner: optionalText(100),
+  tags: z.array(z.string().trim().min(1).max(100)).default([]),
+  notes: optionalText(5000),
+  noticePeriod: optionalText(100),
+  salaryExpectation: optionalText(100),
+  appliedDate: z
+    .string()
+    .refine((value) => !Number.isNaN(Date.parse(value)), 'Not a valid date')
+    .transform((value) => new Date(value).toISOString())
+    .optional(),
+});
+
+const normalizeHeader = (header) => header.toLowerCase().replace(/[^a-z0-9]/g, '');
+
+/**
+ * Picks the delimiter that splits the first line into the most columns.
+ * @param {string} text - File contents.
+ * @returns {string} One of `DELIMITERS`.
+ */
+export const detectDelimiter = (text) => {
+  const firstLine = text.replace(/^\uFEFF/, '').split(/\r?\n/, 1)[0].replace(/"[^"]*"/g, '');
+  let best = ',';
+  Object.keys(DELIMITERS).forEach((delimiter) => {
+    if (firstLine.split(delimiter).length > firstLine.split(best).length) best = delimiter;
+  });
+  return best;
+};
+
+/**
+ * Parses delimited text as RFC 4180 does: fields may be quoted, quoted fields
+ * may hold delimiters and line breaks, and `""` is an escaped quote. Blank
+ * lines are skipped.
+ * @param {string} text - File contents; a leading byte order mark is ignored.
+ * @param {string} [delimiter] - Field delimiter; detected when omitted.
+ * @returns {string[][]} Rows of cells, the header row first. Each row's `line`
+ *   property is the line of the file it starts on, counting from 1.
+ */
+export const parseDelimited = (text, delimiter = detectDelimiter(text)) => {
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let quoted = false;
+  // Quoted line breaks and skipped blank lines both move later rows down the file
+  let line = 1;
+  let rowLine = 1;
+  const source = text.replace(/^\uFEFF/, '');
+
+  const endRow = () => {
+    row.push(cell);
+    row.line = rowLine;
+    if (row.some((value) => value.trim() !== '')) rows.push(row);
+    row = [];
+    cell = '';
+  };
+
+  for (let i = 0; i < source.length; i++) {
+    const char = source[i];
+    if (quoted) {
+      if (char === '"' && source[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        if (char === '\n' || (char === '\r' && source[i + 1] !== '\n')) line++;
+        cell += char;
+      }
+    } else if (char === '"' && cell === '') {
+      quoted = true;
+    } else if (char === delimiter) {
+      row.push(cell);
+      cell = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && source[i + 1] === '\n') i++;
+      endRow();
+      line++;
+      rowLine = line;
+    } else {
+      cell += char;
+    }
+  }
+  if (cell !== '' || row.length) endRow();
+  return rows;
+};
+
+/**
+ * Maps each column to the field its header names, leaving the rest unmapped.
+ * Each field is mapped at most once.
+ * @param {string[]} headers - Header row.
+ * @returns {string[]} Field key per column, '' for unmapped columns.
+ */
+export const guessMapping = (headers) => {
+  const used = new Set();
+  return headers.map((header) => {
+    const normalized = normalizeHeader(header);
+    const field = IMPORT_FIELDS.find(({ key, aliases }) => !used.has(key) && aliases.includes(normalized));
+    if (!field) return '';
+    used.add(field.key);
+    return field.key;
+  });
+};
+
+/**
+ * @param {string[]} mapping - Field key per column.
+ * @returns {string[]} Problems that stop the import, e.g. no email column.
+ */
+export const mappingProblems = (mapping) => {
+  const problems = [];
+  if (!mapping.includes('name') && !mapping.includes('firstName')) {
+    problems.push('Map a column to Full name, or to First name and Last name');
+  }
+  if (!mapping.includes('email')) problems.push('Map a column to Email');
+  const duplicates = [...new Set(mapping.filter((key, i) => key && mapping.indexOf(key) !== i))];
+  duplicates.forEach((key) => {
+    problems.push(`${IMPORT_FIELDS.find((field) => field.key === key).label} is mapped to more than one column`);
+  });
+  return problems;
+};
+
+/**
+ * Finds the job a cell refers to, by id, slug or title, ignoring case.
+ * @param {string} value - Cell value.
+ * @param {object[]} jobs - Active jobs.
+ * @returns {object|undefined}
+ */
+export const findJob = (value, jobs) => {
+  const wanted = value.trim().toLowerCase();
+  return jobs.find((job) => job.id === value.trim())
+    || jobs.find((job) => job.slug?.toLowerCase() === wanted)
+    || jobs.find((job) => job.title?.trim().toLowerCase() === wanted);
+};
+
+/**
+ * Turns parsed rows into candidates and checks each one.
+ *
+ * @param {string[][]} rows - Data rows from `parseDelimited`, without the header.
+ * @param {string[]} mapping - Field key per column, see `guessMapping`.
+ * @param {object} options
+ * @param {object[]} options.jobs - Active jobs, for the job column.
+ * @param {string} [options.listSeparator=','] - Separator for skills and tags cells.
+ * @param {string} [options.defaultJobId] - Job for rows without one.
+ * @param {Set<string>} [options.existingEmails] - Lowercased emails already in the database.
+ * @returns {Array<{ line: number, candidate: object|null, errors: object, status: 'valid'|'invalid'|'duplicate', duplicateOf?: 'existing'|'file' }>}
+ *   One entry per row; `line` is the line of the file the row starts on.
+ */
+export const prepareImport = (rows, mapping, { jobs, listSeparator = ',', defaultJobId, existingEmails = new Set() }) => {
+  const seen = new Set();
+
+  return rows.map((cells) => {
+    const { line } = cells;
+    const values = {};
+    mapping.forEach((key, column) => {
+      const value = (cells[column] ?? '').trim();
+      if (key && value) values[key] = value;
+    });
+
+    const errors = {};
+    const input = {};
+    Object.entries(values).forEach(([key, value]) => {
+      // Combined or looked up below
+      if (key === 'firstName' || key === 'lastName' || key === 'job') return;
+      input[key] = LIST_FIELDS.includes(key)
+        ? [...new Set(value.split(listSeparator).map((item) => item.trim()).filter(Boolean))]
+        : value;
+    });
+    if (!input.name && (values.firstName || values.lastName)) {
+      input.name = [values.firstName, values.lastName].filter(Boolean).join(' ');
+    }
+    if (values.job) {
+      const job = findJob(values.job, jobs);
+      if (job) input.jobId = job.id;
+      else errors.job = `No job matches "${values.job}"`;
+    } else if (defaultJobId) {
+      input.jobId = defaultJobId;
+    }
+
+    const result = importedCandidateSchema.safeParse(input);
+    if (!result.success) {
+      result.error.issues.forEach((issue) => {
+        const key = String(issue.path[0] ?? 'row');
+        if (!errors[key]) errors[key] = issue.message;
+      });
+    }
+    if (Object.keys(errors).length) {
+      return { line, candidate: null, errors, status: 'invalid' };
+    }
+
+    const candidate = result.data;
+    if (existingEmails.has(candidate.email)) {
+      return { line, candidate, errors, status: 'duplicate', duplicateOf: 'existing' };
+    }
+    if (seen.has(candidate.email)) {
+      return { line, candidate, errors, status: 'duplicate', duplicateOf: 'file' };
+    }
+    seen.add(candidate.email);
+    return { line, candidate, errors, status: 'valid' };
+  });
+};
@@ -0,0 +1,206 @@
+import Dexie from 'dexie';
+import { db } from './db';
+import { searchScores } from './search-index';
+import { isActive } from './trash';
+import { compareRank } from './ranking';
+import { attachMatchScores, getMatchScores } from './match-score';
+
+// Fields with a single-field index that can drive ordering directly
+const INDEXED_SORT_FIELDS = ['appliedDate', 'updatedAt'];
+
+/**
+ * Parses a sort string such as '-appliedDate' into field and direction.
+ * @param {string} sort - Field name, prefixed with '-' for descending.
+ * @returns {{ field: string, direction: 'asc' | 'desc' }}
+ */
+export const parseSort = (sort = '-appliedDate') =>
+  sort.startsWith('-')
+    ? { field: sort.slice(1), direction: 'desc' }
+    : { field: sort, direction: 'asc' };
+
+/**
+ * Picks the narrowest index for the given filters. Returns the collection,
+ * whether it is already ordered by the sort field, and which filters the
+ * index covered so the rest can be applied as a cursor predicate.
+ */
+const selectIndex = ({ stage, jobId, skills, field, searchHits }) => {
+  // Search hits are usually the smallest set, so look them up by primary key
+  if (searchHits) {
+    return {
+      collection: db.candidates.where('id').anyOf([...searchHits.keys()]),
+      ordered: false,
+      covered: { search: true },
+    };
+  }
+  if (jobId && stage) {
+    return {
+      collection: db.candidates.where('[jobId+stage]').equals([jobId, stage]),
+      ordered: false,
+      covered: { jobId: true, stage: true },
+    };
+  }
+  if (stage && field === 'appliedDate') {
+    return {
+      collection: db.candidates
+        .where('[stage+appliedDate]')
+        .between([stage, Dexie.minKey], [stage, Dexie.maxKey]),
+      ordered: true,
+      covered: { stage: true },
+    };
+  }
+  if (stage) {
+    return { collection: db.candidates.where('stage').equals(stage), ordered: false, covered: { stage: true } };
+  }
+  if (jobId) {
+    return { collection: db.candidates.where('jobId').equals(jobId), ordered: false, covered: { jobId: true } };
+  }
+  if (skills.length) {
+    return { collection: db.candidates.where('skills').equals(skills[0]), ordered: false, covered: { skill: skills[0] } };
+  }
+  if (INDEXED_SORT_FIELDS.includes(field)) {
+    return { collection: db.candidates.orderBy(field), ordered: true, covered: {} };
+  }
+  return { collection: db.candidates.toCollection(), ordered: false, covered: {} };
+};
+
+const compareBy = (field) => (a, b) => {
+  const left = a[field] ?? '';
+  const right = b[field] ?? '';
+  if (left < right) return -1;
+  if (left > right) return 1;
+  return 0;
+};
+
+/**
+ * Attaches the related job record as `candidate.job`.
+ * @param {Array} candidates - Candidate records.
+ * @returns {Promise<Array>} Candidates with `job` populated.
+ */
+export const attachJobs = async (candidates) => {
+  const jobIds = [...new Set(candidates.map((c) => c.jobId).filter(Boolean))];
+  const jobs = await db.jobs.bulkGet(jobIds);
+  const jobsById = new Map(jobs.filter(isActive).map((job) => [job.id, job]));
+  return candidates.map((candidate) => ({ ...candidate, job: jobsById.get(candidate.jobId) }));
+};
+
+/**
+ * Sets `candidate.stageEnteredAt`: when the candidate last moved into its
+ * current stage according to the `stage_change` timeline entries, or the
+ * applied date when it never moved.
+ * @param {Array} candidates - Candidate records.
+ * @returns {Promise<Array>} Candidates with `stageEnteredAt` populated.
+ */
+export const attachStageEnteredAt = async (candidates) => {
+  const moves = await db.timeline
+    .where('candidateId')
+    .anyOf(candidates.map((c) => c.id))
+    .filter((event) => event.type === 'stage_change')
+    .toArray();
+
+  const enteredAt = new Map();
+  moves.forEach(({ candidateId, timestamp, metadata }) => {
+    const key = `${candidateId}:${metadata?.to}`;
+    if (!enteredAt.has(key) || enteredAt.get(key) < timestamp) enteredAt.set(key, timestamp);
+  });
+
+  return candidates.map((candidate) => ({
+    ...candidate,
+    stageEnteredAt: enteredAt.get(`${candidate.id}:${candidate.stage}`) || candidate.appliedDate,
+  }));
+};
+
+/**
+ * Queries candidates through the Dexie indexes instead of scanning the table.
+ * Stage, job and skill filters are served by `[jobId+stage]`,
+ * `[stage+appliedDate]` and the multi-entry `skills` index, and free-text
+ * search by the full-text index; anything the chosen index does not cover is
+ * applied while iterating the cursor. Candidates in the trash are skipped.
+ *
+ * @param {object} [options]
+ * @param {string} [options.search] - Full-text query, see `searchDocuments`.
+ * @param {string} [options.stage] - Stage to filter by.
+ * @param {string} [options.jobId] - Job to filter by.
+ * @param {string[]} [options.skills] - Candidates must have every listed skill.
+ * @param {string} [options.sort='-appliedDate'] - Sort field, '-' prefix for descending,
+ *   'relevance' to rank by search score, 'rank' for the kanban column order, or
+ *   'match' for the job match score (unscored candidates last either way).
+ * @param {number} [options.page=1] - 1-based page number.
+ * @param {number|null} [options.pageSize=null] - Page size; null returns every match.
+ * @param {boolean} [options.withJobs=false] - Attach the related job to each candidate.
+ * @param {boolean} [options.withMatches=false] - Attach each candidate's job match score.
+ * @returns {Promise<{ data: Array, total: number, page: number, pageSize: number|null, totalPages: number }>}
+ */
+export const queryCandidates = async ({
+  search = '',
+  stage = '',
+  jobId = '',
+  skills = [],
+  sort = '-appliedDate',
+  page = 1,
+  pageSize = null,
+  withJobs = false,
+  withMatches = false,
+} = {}) => {
+  const searchHits = search.trim() ? await searchScores(search, 'candidate') : null;
+  if (searchHits && !searchHits.size) {
+    return { data: [], total: 0, page, pageSize, totalPages: 0 };
+  }
+
+  const { field, direction } = parseSort(sort);
+  const { collection, ordered, covered } = selectIndex({ stage, jobId, skills, field, searchHits });
+
+  const remainingSkills = skills.filter((skill) => skill !== covered.skill);
+  collection.and((candidate) =>
+    isActive(candidate) &&
+    (!stage || candidate.stage === stage) &&
+    (!jobId || candidate.jobId === jobId) &&
+    remainingSkills.every((skill) => (candidate.skills || []).includes(skill)) &&
+    (!searchHits || searchHits.has(candidate.id))
+  );
+
+  const start = pageSize ? (page - 1) * pageSize : 0;
+  let data;
+  let total;
+
+  if (ordered) {
+    if (direction === 'desc') collection.reverse();
+    total = await collection.count();
+    data = pageSize
+      ? await collection.offset(start).limit(pageSize).toArray()
+      : await collection.toArray();
+  } else {
+    // The index narrowed the set; order the remainder in memory
+    const matches = await collection.toArray();
+    if (field === 'relevance') {
+      const score = (candidate) => searchHits?.get(candidate.id) ?? 0;
+      matches.sort((a, b) => score(b) - score(a));
+    } else if (field === 'match') {
+      const scores = await getMatchScores(matches.map((c) => c.id));
+      const score = (candidate) => scores.get(candidate.id)?.score ?? null;
+      const sign = direction === 'desc' ? -1 : 1;
+      matches.sort((a, b) => {
+        if (score(a) === null || score(b) === null) return (score(a) === null) - (score(b) === null);
+        return sign * (score(a) - score(b));
+      });
+    } else if (field === 'rank') {
+      matches.sort(compareRank);
+      if (direction === 'desc') matches.reverse();
+    } else {
+      matches.sort(compareBy(field));
+      if (direction === 'desc') matches.reverse();
+    }
+    total = matches.length;
+    data = pageSize ? matches.slice(start, start + pageSize) : matches;
+  }
+
+  if (withJobs) data = await attachJobs(data);
+  if (withMatches) data = await attachMatchScores(data);
+
+  return {
+    data,
+    total,
+    page,
+    pageSize,
+    totalPages: pageSize ? Math.ceil(total / pageSize) : 1,
+  };
+};
@@ -0,0 +1,110 @@
+import { db } from './db';
+
+/**
+ * Cross-tab change feed.
+ *
+ * Dexie hooks record which rows each transaction touched; once it commits the
+ * batch is posted on a BroadcastChannel. Other tabs of the app share the same
+ * IndexedDB database but not the same in-memory caches, so they subscribe to
+ * the feed and refresh whatever they derived from the changed rows.
+ */
+
+const CHANNEL_NAME = 'talentflow:changes';
+
+// Tables to watch, and the fields copied into each change so listeners can
+// tell which parent record was affected
+const WATCHED_TABLES = {
+  jobs: [],
+  candidates: ['jobId'],
+  timeline: ['candidateId'],
+  assessments: ['jobId'],
+  responses: ['candidateId', 'jobId'],
+  attachments: ['candidateId'],
+  scorecards: ['candidateId'],
+  interviews: ['candidateId'],
+  pipelines: [],
+  rejectionReasons: [],
+  // Index and score rewrites land in their own transaction after the
+  // document commits; only the fact that the table changed is reported
+  searchIndex: null,
+  matchScores: null,
+};
+
+// Lets listeners ignore messages sent by this tab
+export const TAB_ID = typeof crypto !== 'undefined' && crypto.randomUUID
+  ? crypto.randomUUID()
+  : Math.random().toString(36).slice(2);
+
+const channel = typeof BroadcastChannel !== 'undefined' ? new BroadcastChannel(CHANNEL_NAME) : null;
+const listeners = new Set();
+
+// Changes per open transaction, posted together when it commits
+const pendingByTransaction = new WeakMap();
+
+const pick = (obj, fields) =>
+  fields.reduce((picked, field) => {
+    if (obj?.[field] !== undefined) picked[field] = obj[field];
+    return picked;
+  }, {});
+
+const record = (transaction, change) => {
+  let pending = pendingByTransaction.get(transaction);
+  if (!pending) {
+    pending = [];
+    pendingByTransaction.set(transaction, pending);
+    transaction.on('complete', () => {
+      if (channel) channel.postMessage({ source: TAB_ID, changes: pending });
+    });
+  }
+  pending.push(change);
+};
+
+const watchTable = (table) => {
+  // The transaction is the last argument of every hook
+  const once = (...args) => {
+    const transaction = args[args.length - 1];
+    const pending = pendingByTransaction.get(transaction);
+    if (!pending?.some((change) => change.table === table)) record(transaction, { table, type: 'update' });
+  };
+  ['creating', 'updating', 'deleting'].forEach((event) => db.table(table).hook(event, once));
+};
+
+Object.entries(WATCHED_TABLES).forEach(([table, fields]) => {
+  if (!fields) {
+    watchTable(table);
+    return;
+  }
+  db.table(table).hook('creating', (primKey, obj, transaction) => {
+    record(transaction, { table, type: 'create', key: primKey ?? obj.id, ...pick(obj, fields) });
+  });
+  db.table(table).hook('updating', (modifications, primKey, obj, transaction) => {
+    record(transaction, {
+      table,
+      type: 'update',
+      key: primKey,
+      fields: Object.keys(modifications).map((keyPath) => keyPath.split('.')[0]),
+      ...pick(obj, fields),
+    });
+  });
+  db.table(table).hook('deleting', (primKey, obj, transaction) => {
+    record(transaction, { table, type: 'delete', key: primKey, ...pick(obj, fields) });
+  });
+});
+
+if (channel) {
+  channel.onmessage = ({ data }) => {
+    if (!data || data.source === TAB_ID || !Array.isArray(data.changes)) return;
+    listeners.forEach((listener) => listener(data.changes));
+  };
+}
+
+/**
+ * Subscribes to writes committed by other tabs.
+ * @param {function} listener - Called with an array of
+ *   `{ table, type: 'create'|'update'|'delete', key, fields?, jobId?, candidateId? }`.
+ * @returns {function} Unsubscribes the listener.
+ */
+export const subscribeRemoteChanges = (listener) => {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+};
@@ -0,0 +1,85 @@
+/**
+ * Optimistic concurrency for jobs, candidates and interviews.
+ *
+ * Every record carries an integer `version` that is bumped on each write (see
+ * the hooks in `db.js`). The API exposes it as an ETag; writers send it back
+ * in `If-Match` and get a 409 with the current record if someone else wrote
+ * in between. The helpers below compute the field-level diff used to resolve
+ * such conflicts.
+ */
+
+/**
+ * @param {object} record - A versioned record.
+ * @returns {string} Strong ETag for the record's current version, e.g. '"3"'.
+ */
+export const etagFor = (record) => `"${record?.version ?? 0}"`;
+
+/**
+ * @param {object} record - The record as the caller last saw it.
+ * @returns {object} Request headers making the write conditional on that version.
+ */
+export const ifMatch = (record) => ({ 'If-Match': etagFor(record) });
+
+/**
+ * Checks an If-Match header against a record. A missing header or `*` always
+ * matches.
+ * @param {string|null} header - Raw If-Match header value.
+ * @param {object} record - The record currently stored.
+ * @returns {boolean}
+ */
+export const matchesEtag = (header, record) => {
+  if (!header) return true;
+  const current = etagFor(record);
+  return header
+    .split(',')
+    .map((tag) => tag.trim().replace(/^W\//, ''))
+    .some((tag) => tag === '*' || tag === current);
+};
+
+const normalize = (value) => (value === undefined || value === null ? '' : value);
+
+const isEqual = (a, b) => JSON.stringify(normalize(a)) === JSON.stringify(normalize(b));
+
+/**
+ * Three-way diff between the record the user started editing, their edits and
+ * the version now stored.
+ * @param {string[]} fields - Editable fields to compare.
+ * @param {object} base - Record as it was when editing started.
+ * @param {object} mine - The user's values.
+ * @param {object} theirs - Record as currently stored.
+ * @returns {Array<{ field: string, base: *, mine: *, theirs: *, mineChanged: boolean, theirsChanged: boolean, conflict: boolean }>}
+ *   One entry per field that changed on either side.
+ */
+export const diffFields = (fields, base, mine, theirs) =>
+  fields
+    .map((field) => {
+      const mineChanged = !isEqual(mine[field], base[field]);
+      const theirsChanged = !isEqual(theirs[field], base[field]);
+      return {
+        field,
+        base: base[field],
+        mine: mine[field],
+        theirs: theirs[field],
+        mineChanged,
+        theirsChanged,
+        conflict: mineChanged && theirsChanged && !isEqual(mine[field], theirs[field]),
+      };
+    })
+    .filter(({ mineChanged, theirsChanged }) => mineChanged || theirsChanged);
+
+/**
+ * Builds the patch to re-apply on top of the stored record: the user's
+ * non-conflicting changes plus, for conflicting fields, whichever side was
+ * chosen.
+ * @param {ReturnType<typeof diffFields>} diffs - Output of `diffFields`.
+ * @param {Object<string, 'mine' | 'theirs'>} [choices] - Choice per conflicting field; defaults to 'mine'.
+ * @returns {object} Fields to PATCH.
+ */
+export const resolveConflict = (diffs, choices = {}) =>
+  diffs.reduce((patch, diff) => {
+    const keepMine = diff.conflict ? (choices[diff.field] || 'mine') === 'mine' : diff.mineChanged;
+    if (keepMine && !isEqual(diff.mine, diff.theirs)) {
+      patch[diff.field] = diff.mine;
+    }
+    return patch;
+  }, {});
@@ -1,23 +1,49 @@
 import Dexie from 'dexie';
+import { MIGRATIONS } from './migrations';
 
 class TalentFlowDB extends Dexie {
   constructor() {
     super('TalentFlowDB');
-    this.version(1).stores({
-      jobs: 'id, slug, status, order',
-      candidates: 'id, email, stage, jobId',
-      timeline: 'id, candidateId, timestamp',
-      assessments: 'id, jobId, createdAt',
-      responses: 'id, assessmentId, candidateId, jobId'
+
+    // Replay the full schema history so existing databases upgrade step by step
+    MIGRATIONS.forEach(({ version, stores, upgrade }) => {
+      const schema = this.version(version).stores(stores);
+      if (upgrade) {
+        schema.upgrade((tx) =>
+          Promise.all(
+            Object.entries(upgrade).map(([table, migrate]) =>
+              tx.table(table).toCollection().modify(migrate)
+            )
+          )
+        );
+      }
     });
-    
+
     // Initialize collections
     this.jobs = this.table('jobs');
     this.candidates = this.table('candidates');
     this.timeline = this.table('timeline');
     this.assessments = this.table('assessments');
     this.responses = this.table('responses');
+    this.searchIndex = this.table('searchIndex');
+    this.pipelines = this.table('pipelines');
+    this.rejectionReasons = this.table('rejectionReasons');
+    this.attachments = this.table('attachments');
+    this.matchScores = this.table('matchScores');
+    this.scorecards = this.table('scorecards');
+    this.interviews = this.table('interviews');
+
+    // Every write bumps `version`, which the API exposes as an ETag
+    [this.jobs, this.candidates, this.interviews].forEach((table) => {
+      table.hook('creating', (primKey, obj) => {
+        if (!Number.isInteger(obj.version)) obj.version = 1;
+      });
+      table.hook('updating', (modifications, primKey, obj) => {
+        if (!('version' in modifications)) return { version: (obj.version || 0) + 1 };
+        return undefined;
+      });
+    });
   }
 }
 
-export const db = new TalentFlowDB();
\ No newline at end of file
+export const db = new TalentFlowDB();
@@ -0,0 +1,405 @@
+/**
+ * Plain-text extraction from PDF, DOCX and text files, entirely in the
+ * browser. Compressed parts are inflated with the native
+ * `DecompressionStream`, so no file leaves the machine.
+ *
+ * The PDF reader is deliberately small: it reads the text operators of every
+ * content stream (including those in object streams) and maps glyph codes to
+ * Unicode through the fonts' `ToUnicode` CMaps. That covers resumes exported
+ * from word processors; scanned PDFs have no text to extract and yield an
+ * empty string.
+ */
+
+const latin1 = (bytes) => {
+  let text = '';
+  // Chunked so large files do not overflow the argument limit
+  for (let i = 0; i < bytes.length; i += 0x8000) {
+    text += String.fromCharCode.apply(null, bytes.subarray(i, i + 0x8000));
+  }
+  return text;
+};
+
+const bytesOf = (text) => Uint8Array.from(text, (char) => char.charCodeAt(0) & 0xff);
+
+/**
+ * @param {Uint8Array} bytes
+ * @param {'deflate'|'deflate-raw'} format - zlib-wrapped (PDF) or raw (zip) data.
+ * @returns {Promise<Uint8Array>}
+ */
+const inflate = async (bytes, format) => {
+  const stream = new Blob([bytes]).stream().pipeThrough(new DecompressionStream(format));
+  return new Uint8Array(await new Response(stream).arrayBuffer());
+};
+
+// ---------------------------------------------------------------------------
+// DOCX
+
+const ZIP_END_OF_DIRECTORY = 0x06054b50;
+const ZIP_DIRECTORY_ENTRY = 0x02014b50;
+
+/**
+ * Reads one file out of a zip archive.
+ * @param {Uint8Array} bytes - The archive.
+ * @param {string} path - Path inside the archive, e.g. 'word/document.xml'.
+ * @returns {Promise<Uint8Array|null>} The file, or null when it is missing.
+ */
+const readZipEntry = async (bytes, path) => {
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  let end = bytes.length - 22;
+  while (end >= 0 && view.getUint32(end, true) !== ZIP_END_OF_DIRECTORY) end--;
+  if (end < 0) throw new Error('The file is not a valid DOCX document');
+
+  const count = view.getUint16(end + 10, true);
+  let offset = view.getUint32(end + 16, true);
+  for (let i = 0; i < count && view.getUint32(offset, true) === ZIP_DIRECTORY_ENTRY; i++) {
+    const method = view.getUint16(offset + 10, true);
+    const compressedSize = view.getUint32(offset + 20, true);
+    const nameLength = view.getUint16(offset + 28, true);
+    const extraLength = view.getUint16(offset + 30, true);
+    const commentLength = view.getUint16(offset + 32, true);
+    const headerOffset = view.getUint32(offset + 42, true);
+    const name = latin1(bytes.subarray(offset + 46, offset + 46 + nameLength));
+
+    if (name === path) {
+      const dataStart = headerOffset + 30 + view.getUint16(headerOffset + 26, true) + view.getUint16(headerOffset + 28, true);
+      const data = bytes.subarray(dataStart, dataStart + compressedSize);
+      if (method === 0) return data;
+      if (method === 8) return inflate(data, 'deflate-raw');
+      throw new Error('The DOCX document uses an unsupported compression method');
+    }
+    offset += 46 + nameLength + extraLength + commentLength;
+  }
+  return null;
+};
+
+const XML_ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'" };
+
+const decodeXml = (text) =>
+  text.replace(/&(#x[0-9a-f]+|#\d+|\w+);/gi, (entity, code) => {
+    if (code[0] !== '#') return XML_ENTITIES[code] ?? entity;
+    return String.fromCodePoint(code[1].toLowerCase() === 'x' ? parseInt(code.slice(2), 16) : parseInt(code.slice(1), 10));
+  });
+
+const docxText = async (bytes) => {
+  const xml = await readZipEntry(bytes, 'word/document.xml');
+  if (!xml) throw new Error('The file is not a valid DOCX document');
+  return decodeXml(
+    new TextDecoder()
+      .decode(xml)
+      .replace(/<w:tab\/>/g, '\t')
+      .replace(/<w:br\/>|<\/w:p>/g, '\n')
+      // Keep only run text; everything else is markup
+      .replace(/<w:t(?:\s[^>]*)?>([^<]*)<\/w:t>|<[^>]+>/g, (_, text) => text ?? '')
+  );
+};
+
+// ---------------------------------------------------------------------------
+// PDF
+
+const PDF_WORD = /\/?[^\s()<>[\]{}/%]*/y;
+
+/**
+ * Splits PDF syntax into tokens: strings (as byte strings), hex strings,
+ * names, numbers, array brackets and operators.
+ */
+const tokenizePdf = (source) => {
+  const tokens = [];
+  let i = 0;
+  while (i < source.length) {
+    const char = source[i];
+    if (/\s/.test(char)) {
+      i++;
+    } else if (char === '%') {
+      while (i < source.length && source[i] !== '\n' && source[i] !== '\r') i++;
+    } else if (char === '(') {
+      let depth = 1;
+      let value = '';
+      i++;
+      while (i < source.length && depth > 0) {
+        const c = source[i];
+        if (c === '\\') {
+          const next = source[i + 1];
+          const escapes = { n: '\n', r: '\r', t: '\t', b: '\b', f: '\f' };
+          if (next in escapes) {
+            value += escapes[next];
+            i += 2;
+          } else if (/[0-7]/.test(next)) {
+            const octal = source.slice(i + 1, i + 4).match(/^[0-7]{1,3}/)[0];
+            value += String.fromCharCode(parseInt(octal, 8) & 0xff);
+            i += 1 + octal.length;
+          } else if (next === '\r' || next === '\n') {
+            // Line continuation
+            i += next === '\r' && source[i + 2] === '\n' ? 3 : 2;
+          } else {
+            value += next ?? '';
+            i += 2;
+          }
+          continue;
+        }
+        if (c === '(') depth++;
+        if (c === ')') depth--;
+        if (depth > 0) value += c;
+        i++;
+      }
+      tokens.push({ type: 'string', value });
+    } else if (char === '<' && source[i + 1] === '<') {
+      tokens.push({ type: 'op', value: '<<' });
+      i += 2;
+    } else if (char === '>' && source[i + 1] === '>') {
+      tokens.push({ type: 'op', value: '>>' });
+      i += 2;
+    } else if (char === '<') {
+      const close = source.indexOf('>', i);
+      const hex = source.slice(i + 1, close === -1 ? source.length : close).replace(/\s/g, '');
+      const padded = hex.length % 2 ? `${hex}0` : hex;
+      tokens.push({ type: 'string', value: padded.replace(/../g, (pair) => String.fromCharCode(parseInt(pair, 16))) });
+      i = close === -1 ? source.length : close + 1;
+    } else if (char === '[' || char === ']') {
+      tokens.push({ type: char });
+      i++;
+    } else {
+      PDF_WORD.lastIndex = i;
+      const word = PDF_WORD.exec(source)[0] || char;
+      i += word.length;
+      if (word[0] === '/') tokens.push({ type: 'name', value: word.slice(1) });
+      else if (/^[+-]?(\d+\.?\d*|\.\d+)$/.test(word)) tokens.push({ type: 'number', value: parseFloat(word) });
+      else tokens.push({ type: 'op', value: word });
+    }
+  }
+  return tokens;
+};
+
+/**
+ * Parses a ToUnicode CMap.
+ * @returns {{ codeLength: number, map: Map<number, string> }}
+ */
+const parseCMap = (source) => {
+  const map = new Map();
+  const hexToText = (hex) => {
+    let text = '';
+    for (let i = 0; i + 4 <= hex.length; i += 4) text += String.fromCharCode(parseInt(hex.slice(i, i + 4), 16));
+    if (hex.length % 4) text += String.fromCharCode(parseInt(hex.slice(-2), 16));
+    return text;
+  };
+  const range = source.match(/begincodespacerange\s*<([0-9a-f]+)>/i);
+  const codeLength = range ? Math.ceil(range[1].length / 2) : 2;
+
+  for (const [, body] of source.matchAll(/beginbfchar([\s\S]*?)endbfchar/g)) {
+    for (const [, code, text] of body.matchAll(/<([0-9a-f]+)>\s*<([0-9a-f]*)>/gi)) {
+      map.set(parseInt(code, 16), hexToText(text));
+    }
+  }
+  for (const [, body] of source.matchAll(/beginbfrange([\s\S]*?)endbfrange/g)) {
+    for (const [, start, end, target] of body.matchAll(/<([0-9a-f]+)>\s*<([0-9a-f]+)>\s*(<[0-9a-f]*>|\[[^\]]*\])/gi)) {
+      const first = parseInt(start, 16);
+      const last = parseInt(end, 16);
+      if (target[0] === '[') {
+        [...target.matchAll(/<([0-9a-f]*)>/gi)].forEach(([, text], index) => map.set(first + index, hexToText(text)));
+      } else {
+        const base = hexToText(target.slice(1, -1));
+        for (let code = first; code <= last && code - first < 0x10000; code++) {
+          map.set(code, base.slice(0, -1) + String.fromCharCode(base.charCodeAt(base.length - 1) + code - first));
+        }
+      }
+    }
+  }
+  return { codeLength, map };
+};
+
+const decodePdfString = (value, cmap) => {
+  if (!cmap) return value;
+  let text = '';
+  for (let i = 0; i < value.length; i += cmap.codeLength) {
+    let code = 0;
+    for (let j = 0; j < cmap.codeLength; j++) code = code * 256 + (value.charCodeAt(i + j) || 0);
+    text += cmap.map.get(code) ?? '';
+  }
+  return text;
+};
+
+// Gaps in a TJ array wider than this (thousandths of an em) read as a space
+const TJ_SPACE_THRESHOLD = 200;
+
+/**
+ * Turns the text operators of a content stream into lines of text.
+ * @param {string} source - Decoded content stream.
+ * @param {Map<string, object>} fonts - Font resource name → parsed ToUnicode CMap.
+ */
+const contentText = (source, fonts) => {
+  let text = '';
+  let cmap = null;
+  let lastY = null;
+  const operands = [];
+  const newLine = () => {
+    if (text && !text.endsWith('\n')) text += '\n';
+  };
+  const space = () => {
+    if (text && !/\s$/.test(text)) text += ' ';
+  };
+
+  for (let i = 0, tokens = tokenizePdf(source); i < tokens.length; i++) {
+    const token = tokens[i];
+    if (token.type === '[') {
+      const array = [];
+      while (++i < tokens.length && tokens[i].type !== ']') array.push(tokens[i]);
+      operands.push({ type: 'array', value: array });
+      continue;
+    }
+    if (token.type !== 'op') {
+      operands.push(token);
+      continue;
+    }
+    const args = operands.splice(0);
+    switch (token.value) {
+      case 'Tf':
+        cmap = fonts.get(args[0]?.value) || null;
+        break;
+      case 'Td':
+      case 'TD':
+        if (args[1]?.value) newLine();
+        else space();
+        break;
+      case 'Tm':
+        if (lastY !== null && args[5]?.value !== lastY) newLine();
+        else space();
+        lastY = args[5]?.value ?? lastY;
+        break;
+      case 'T*':
+        newLine();
+        break;
+      case 'BT':
+        lastY = null;
+        newLine();
+        break;
+      case "'":
+      case '"':
+        newLine();
+        text += decodePdfString(args[args.length - 1]?.value || '', cmap);
+        break;
+      case 'Tj':
+        text += decodePdfString(args[0]?.value || '', cmap);
+        break;
+      case 'TJ':
+        (args[0]?.value || []).forEach((part) => {
+          if (part.type === 'string') text += decodePdfString(part.value, cmap);
+          else if (part.type === 'number' && part.value < -TJ_SPACE_THRESHOLD) space();
+        });
+        break;
+      default:
+        break;
+    }
+  }
+  return text;
+};
+
+/**
+ * Reads every object of a PDF, inflating streams and unpacking object streams.
+ * @returns {Promise<Map<number, { dict: string, stream?: string }>>}
+ */
+const readPdfObjects = async (source) => {
+  const objects = new Map();
+  const pattern = /(\d+)\s+\d+\s+obj\b([\s\S]*?)(?:\bstream\r?\n([\s\S]*?)\bendstream|\bendobj)/g;
+  for (const [, number, dict, raw] of source.matchAll(pattern)) {
+    let stream;
+    if (raw !== undefined) {
+      if (/\/Subtype\s*\/Image/.test(dict)) continue;
+      const filters = dict.match(/\/Filter\s*(\[[^\]]*\]|\/\w+)/)?.[1] || '';
+      if (filters && filters.replace(/\/FlateDecode/g, '').match(/\/\w+/)) continue; // images and fonts
+      const bytes = bytesOf(raw.replace(/\r?\n$/, ''));
+      stream = filters ? latin1(await inflate(bytes, 'deflate').catch(() => new Uint8Array())) : raw;
+    }
+    objects.set(Number(number), { dict, stream });
+
+    if (stream && /\/Type\s*\/ObjStm/.test(dict)) {
+      const first = Number(dict.match(/\/First\s+(\d+)/)?.[1] || 0);
+      const header = stream.slice(0, first).trim().split(/\s+/).map(Number);
+      for (let i = 0; i + 1 < header.length; i += 2) {
+        const start = first + header[i + 1];
+        const end = i + 3 < header.length ? first + header[i + 3] : stream.length;
+        objects.set(header[i], { dict: stream.slice(start, end) });
+      }
+    }
+  }
+  return objects;
+};
+
+const pdfText = async (bytes) => {
+  const source = latin1(bytes);
+  if (/\/Encrypt\b/.test(source)) throw new Error('The PDF is password protected');
+  const objects = await readPdfObjects(source);
+  const resolve = (number) => objects.get(Number(number));
+
+  // Font resource names (e.g. F1) → CMaps. Names are assumed to mean the
+  // same font on every page, which holds for single-generator documents.
+  const fonts = new Map();
+  objects.forEach(({ dict }) => {
+    const inline = [...dict.matchAll(/\/Font\s*<<([\s\S]*?)>>/g)].map(([, body]) => body);
+    const referenced = [...dict.matchAll(/\/Font\s+(\d+)\s+\d+\s+R/g)].map(([, ref]) => resolve(ref)?.dict || '');
+    for (const body of [...inline, ...referenced]) {
+      for (const [, name, ref] of body.matchAll(/\/([^\s/<>[\]()]+)\s+(\d+)\s+\d+\s+R/g)) {
+        const toUnicode = resolve(ref)?.dict.match(/\/ToUnicode\s+(\d+)\s+\d+\s+R/)?.[1];
+        const cmap = toUnicode && resolve(toUnicode)?.stream;
+        if (cmap && !fonts.has(name)) fonts.set(name, parseCMap(cmap));
+      }
+    }
+  });
+
+  // Page content in page order, following /Contents of each page
+  const contents = [];
+  objects.forEach(({ dict }) => {
+    if (!/\/Type\s*\/Page\b/.test(dict)) return;
+    const refs = dict.match(/\/Contents\s*(\[[^\]]*\]|\d+\s+\d+\s+R)/)?.[1] || '';
+    for (const [, ref] of refs.matchAll(/(\d+)\s+\d+\s+R/g)) {
+      const stream = resolve(ref)?.stream;
+      if (stream) contents.push(stream);
+    }
+  });
+
+  return contents.map((content) => contentText(content, fonts)).join('\n');
+};
+
+// ---------------------------------------------------------------------------
+
+export const DOCUMENT_TYPES = {
+  pdf: 'application/pdf',
+  docx: 'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+  text: 'text/plain',
+};
+
+/**
+ * @param {{ name?: string, type?: string }} file
+ * @returns {'pdf'|'docx'|'text'|null} The format text can be extracted from, if any.
+ */
+export const documentFormat = ({ name = '', type = '' }) => {
+  const extension = name.includes('.') ? name.split('.').pop().toLowerCase() : '';
+  if (type === DOCUMENT_TYPES.pdf || extension === 'pdf') return 'pdf';
+  if (type === DOCUMENT_TYPES.docx || extension === 'docx') return 'docx';
+  if (type.startsWith('text/') || ['txt', 'md'].includes(extension)) return 'text';
+  return null;
+};
+
+/**
+ * Extracts the text of a document.
+ * @param {Blob} file - A PDF, DOCX or text file.
+ * @param {string} [name] - File name, used when the Blob has no type.
+ * @returns {Promise<string>} The text with normalized whitespace, one line per line or paragraph.
+ * @throws {Error} When the format is not supported or the file cannot be read.
+ */
+export const extractDocumentText = async (file, name = file.name) => {
+  const format = documentFormat({ name, type: file.type });
+  if (!format) throw new Error('Text can only be read from PDF, DOCX and text files');
+  const bytes = new Uint8Array(await file.arrayBuffer());
+  let text;
+  if (format === 'pdf') text = await pdfText(bytes);
+  else if (format === 'docx') text = await docxText(bytes);
+  else text = new TextDecoder().decode(bytes);
+
+  return text
+    .replace(/\r\n?/g, '\n')
+    .replace(/[ \t\u00a0]+/g, ' ')
+    .split('\n')
+    .map((line) => line.trim())
+    .join('\n')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+};
@@ -0,0 +1,58 @@
+/**
+ * Saves a Blob as a file through a temporary download link.
+ * @param {Blob} blob - File contents.
+ * @param {string} fileName - Suggested file name.
+ */
+export const downloadBlob = (blob, fileName) => {
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = fileName;
+  link.click();
+  // Revoking right away can cancel the download in Firefox and Safari
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+};
+
+/**
+ * Saves a value as a pretty-printed JSON file.
+ * @param {*} value - Anything JSON can represent.
+ * @param {string} fileName - Suggested file name.
+ */
+export const downloadJson = (value, fileName) =>
+  downloadBlob(new Blob([JSON.stringify(value, null, 2)], { type: 'application/json' }), fileName);
+
+/**
+ * Saves a stream as a file. Where the browser can write files directly, the
+ * user picks where to save it and each chunk is written as it is read;
+ * elsewhere the chunks are collected into one Blob and downloaded.
+ * @param {ReadableStream<Uint8Array>} stream - File contents.
+ * @param {string} fileName - Suggested file name.
+ * @param {string} type - MIME type, for the Blob fallback.
+ * @returns {Promise<boolean>} False when the user cancelled the save dialog.
+ */
+export const saveStream = async (stream, fileName, type) => {
+  if (typeof window.showSaveFilePicker === 'function') {
+    let handle = null;
+    try {
+      handle = await window.showSaveFilePicker({ suggestedName: fileName });
+    } catch (error) {
+      if (error.name === 'AbortError') {
+        await stream.cancel();
+        return false;
+      }
+      // E.g. no longer allowed without a fresh click; download instead
+    }
+    if (handle) {
+      await stream.pipeTo(await handle.createWritable());
+      return true;
+    }
+  }
+
+  const chunks = [];
+  const reader = stream.getReader();
+  for (let result = await reader.read(); !result.done; result = await reader.read()) {
+    chunks.push(result.value);
+  }
+  downloadBlob(new Blob(chunks, { type }), fileName);
+  return true;
+};
@@ -0,0 +1,219 @@
+import { db } from './db';
+import { isActive } from './trash';
+import { editDistance, tokenize } from './search-index';
+
+/**
+ * Duplicate candidate detection and merging.
+ *
+ * Two active candidates are likely the same person when they share a
+ * normalized email or phone number, or when their names are nearly the same
+ * and they live in the same place. Candidates are bucketed by each key first,
+ * so only candidates sharing a bucket are compared. Pairs a recruiter marked
+ * as different people (`notDuplicateOf`) are not reported again.
+ *
+ * `POST /api/candidates/:id/merge` folds a duplicate into the candidate in the
+ * URL: picked fields are copied over, skills, tags and notes are combined,
+ * the duplicate's timeline, assessment responses, attachments, scorecards and
+ * interviews move to the survivor, and the duplicate goes to the trash with
+ * `mergedInto` set. Where both have a scorecard from the same interviewer for
+ * the same stage only one is kept, and the merge is refused (409) when both
+ * were submitted.
+ */
+
+// Typos allowed per name word when the location matches too; shorter words must match exactly
+const NAME_WORD_TYPOS = 1;
+const MIN_TYPO_WORD_LENGTH = 3;
+
+// Phone numbers are compared on their last digits, ignoring country codes
+const PHONE_DIGITS = 10;
+const MIN_PHONE_DIGITS = 7;
+
+export const DUPLICATE_REASONS = {
+  email: 'Same email',
+  phone: 'Same phone number',
+  name: 'Similar name, same location',
+};
+
+/**
+ * @param {string} email
+ * @returns {string|null} The email lowercased, without a `+tag` in the local part.
+ */
+export const normalizeEmail = (email) => {
+  const [local, domain] = String(email ?? '').trim().toLowerCase().split('@');
+  if (!local || !domain) return null;
+  return `${local.replace(/\+.*$/, '')}@${domain}`;
+};
+
+/**
+ * @param {string} phone
+ * @returns {string|null} The last digits of the number, or null when too short to compare.
+ */
+export const normalizePhone = (phone) => {
+  const digits = String(phone ?? '').replace(/\D/g, '');
+  return digits.length >= MIN_PHONE_DIGITS ? digits.slice(-PHONE_DIGITS) : null;
+};
+
+// Name words sorted, so "Smith, John" and "John Smith" compare equal
+const nameWords = (name) => tokenize(name, { minLength: 1, stopWords: false }).sort();
+
+const locationKey = (location) => tokenize(location, { minLength: 1, stopWords: false }).join(' ') || null;
+
+// Normalized values a candidate is matched on, computed once per comparison run
+const matchKeys = (candidate) => ({
+  email: normalizeEmail(candidate.email),
+  phone: normalizePhone(candidate.phone),
+  location: locationKey(candidate.location),
+  name: nameWords(candidate.name),
+});
+
+// "Jon Smith" matches "John Smith", but "Ollie Smith" does not match "Billie Smith"
+const namesMatch = (left, right) =>
+  left.length > 0 &&
+  left.length === right.length &&
+  left.every((word, i) => {
+    const typos = Math.min(word.length, right[i].length) >= MIN_TYPO_WORD_LENGTH ? NAME_WORD_TYPOS : 0;
+    return editDistance(word, right[i], typos) <= typos;
+  });
+
+const reasonsBetween = (a, b) => {
+  const reasons = [];
+  if (a.email && a.email === b.email) reasons.push('email');
+  if (a.phone && a.phone === b.phone) reasons.push('phone');
+  if (a.location && a.location === b.location && namesMatch(a.name, b.name)) reasons.push('name');
+  return reasons;
+};
+
+/**
+ * @param {object} a - Candidate.
+ * @param {object} b - Candidate.
+ * @returns {string[]} Keys of `DUPLICATE_REASONS` the two candidates match on.
+ */
+export const duplicateReasons = (a, b) => reasonsBetween(matchKeys(a), matchKeys(b));
+
+const dismissed = (a, b) => (a.notDuplicateOf || []).includes(b.id) || (b.notDuplicateOf || []).includes(a.id);
+
+/**
+ * Finds every pair of likely duplicates among the candidates.
+ * @param {object[]} candidates - Active candidates.
+ * @returns {Array<{ candidates: [object, object], reasons: string[] }>} Pairs,
+ *   strongest first: more reasons, then email before phone before name.
+ */
+export const findDuplicatePairs = (candidates) => {
+  const keys = new Map(candidates.map((candidate) => [candidate, matchKeys(candidate)]));
+  const buckets = new Map();
+  const addTo = (key, candidate) => {
+    if (!buckets.has(key)) buckets.set(key, []);
+    buckets.get(key).push(candidate);
+  };
+  keys.forEach(({ email, phone, location }, candidate) => {
+    if (email) addTo(`email:${email}`, candidate);
+    if (phone) addTo(`phone:${phone}`, candidate);
+    if (location) addTo(`location:${location}`, candidate);
+  });
+
+  const pairs = new Map();
+  buckets.forEach((bucket) => {
+    for (let i = 0; i < bucket.length; i++) {
+      for (let j = i + 1; j < bucket.length; j++) {
+        const [a, b] = [bucket[i], bucket[j]].sort((x, y) => String(x.id).localeCompare(String(y.id)));
+        const key = `${a.id}|${b.id}`;
+        if (pairs.has(key) || dismissed(a, b)) continue;
+        const reasons = reasonsBetween(keys.get(a), keys.get(b));
+        if (reasons.length) pairs.set(key, { candidates: [a, b], reasons });
+      }
+    }
+  });
+
+  const strength = ({ reasons }) =>
+    reasons.length * 10 + (reasons.includes('email') ? 3 : reasons.includes('phone') ? 2 : 1);
+  return [...pairs.values()].sort((a, b) => strength(b) - strength(a));
+};
+
+/**
+ * @param {object} candidate
+ * @param {object[]} candidates - Active candidates to compare against.
+ * @returns {Array<{ candidate: object, reasons: string[] }>} Likely duplicates of the candidate.
+ */
+export const findDuplicatesOf = (candidate, candidates) => {
+  const own = matchKeys(candidate);
+  return candidates
+    .filter((other) => other.id !== candidate.id && !dismissed(candidate, other))
+    .map((other) => ({ candidate: other, reasons: reasonsBetween(own, matchKeys(other)) }))
+    .filter(({ reasons }) => reasons.length)
+    .sort((a, b) => b.reasons.length - a.reasons.length);
+};
+
+/**
+ * @returns {Promise<Array<{ candidates: [object, object], reasons: string[] }>>}
+ *   Likely duplicate pairs among all active candidates, for the review queue.
+ */
+export const loadDuplicatePairs = async () => findDuplicatePairs(await db.candidates.filter(isActive).toArray());
+
+/**
+ * @param {object} candidate
+ * @returns {Promise<Array<{ candidate: object, reasons: string[] }>>}
+ */
+export const loadDuplicatesOf = async (candidate) =>
+  findDuplicatesOf(candidate, await db.candidates.filter(isActive).toArray());
+
+/**
+ * Fields whose value the merge takes from one candidate or the other. Job and
+ * stage go together, since a stage belongs to the job's pipeline.
+ */
+export const MERGE_FIELDS = [
+  { key: 'name', label: 'Name', keys: ['name'] },
+  { key: 'email', label: 'Email', keys: ['email'] },
+  { key: 'phone', label: 'Phone', keys: ['phone'] },
+  { key: 'location', label: 'Location', keys: ['location'] },
+  { key: 'currentRole', label: 'Current role', keys: ['currentRole'] },
+  { key: 'experience', label: 'Experience', keys: ['experience'] },
+  { key: 'education', label: 'Education', keys: ['education'] },
+  { key: 'application', label: 'Job and stage', keys: ['jobId', 'stage', 'rank', 'rejection'] },
+  { key: 'source', label: 'Source', keys: ['source'] },
+  { key: 'owner', label: 'Owner', keys: ['owner'] },
+  { key: 'rating', label: 'Rating', keys: ['rating'] },
+  { key: 'appliedDate', label: 'Applied', keys: ['appliedDate'] },
+];
+
+const isBlank = (value) => value === undefined || value === null || value === '';
+
+/**
+ * Keeps the survivor's values, except where only the duplicate has one.
+ * @param {object} survivor
+ * @param {object} duplicate
+ * @returns {object} 'survivor' or 'duplicate' per `MERGE_FIELDS` key.
+ */
+export const defaultMergePicks = (survivor, duplicate) =>
+  Object.fromEntries(
+    MERGE_FIELDS.map(({ key, keys }) => [
+      key,
+      isBlank(survivor[keys[0]]) && !isBlank(duplicate[keys[0]]) ? 'duplicate' : 'survivor',
+    ])
+  );
+
+const union = (...lists) => [...new Set(lists.flatMap((list) => list || []))];
+
+/**
+ * Computes the survivor's fields after a merge.
+ * @param {object} survivor - Candidate that is kept.
+ * @param {object} duplicate - Candidate folded into it.
+ * @param {object} [picks] - 'survivor' or 'duplicate' per `MERGE_FIELDS` key;
+ *   missing keys keep the survivor's value.
+ * @returns {object} Changes to apply to the survivor.
+ */
+export const mergeCandidateFields = (survivor, duplicate, picks = {}) => {
+  const changes = {};
+  MERGE_FIELDS.forEach(({ key, keys }) => {
+    if (picks[key] !== 'duplicate') return;
+    keys.forEach((field) => {
+      changes[field] = duplicate[field];
+    });
+  });
+  changes.skills = union(survivor.skills, duplicate.skills);
+  changes.tags = union(survivor.tags, duplicate.tags);
+  changes.notes = union([survivor.notes?.trim()], [duplicate.notes?.trim()]).filter(Boolean).join('\n\n');
+  changes.notDuplicateOf = union(survivor.notDuplicateOf, duplicate.notDuplicateOf).filter(
+    (id) => id !== survivor.id && id !== duplicate.id
+  );
+  return changes;
+};
@@ -0,0 +1,302 @@
+import { db } from './db';
+import { isActive } from './trash';
+import { attachJobs, attachStageEnteredAt, queryCandidates } from './candidate-query';
+import { findStage, listPipelines, DEFAULT_PIPELINE_ID } from './pipelines';
+import { daysInStage } from './stage-limits';
+import { attachMatchScores, latestAssessmentScores } from './match-score';
+
+/**
+ * Candidate and job exports.
+ *
+ * An export is a list of records, the columns the user picked and a format.
+ * Records are read from the database and serialized a batch at a time as a
+ * `ReadableStream` is pulled, so a large result set is never in memory at
+ * once; columns that need related data (the job, the time in stage, the
+ * assessment) load it once per batch, and only when they are picked.
+ *
+ * CSV follows RFC 4180: CRLF line endings, and fields holding a comma, quote
+ * or line break are quoted with quotes doubled. The file starts with a UTF-8
+ * byte order mark so Excel reads accents correctly. Cells that a spreadsheet
+ * would evaluate as a formula are prefixed with a quote.
+ */
+
+const BATCH_SIZE = 500;
+
+export const EXPORT_FORMATS = {
+  csv: { label: 'CSV (Excel)', extension: 'csv', type: 'text/csv;charset=utf-8' },
+  json: { label: 'JSON', extension: 'json', type: 'application/json' },
+};
+
+const list = (value) => value || [];
+
+/**
+ * Candidate columns. `value(candidate, context)` reads the cell; `needs` names
+ * the related data it requires, see `CANDIDATE_ENRICHERS`. Derived columns are
+ * computed rather than stored.
+ */
+export const CANDIDATE_COLUMNS = [
+  { key: 'name', label: 'Name', value: (c) => c.name, default: true },
+  { key: 'email', label: 'Email', value: (c) => c.email, default: true },
+  { key: 'phone', label: 'Phone', value: (c) => c.phone },
+  { key: 'location', label: 'Location', value: (c) => c.location },
+  { key: 'currentRole', label: 'Current role', value: (c) => c.currentRole, default: true },
+  { key: 'experience', label: 'Years of experience', value: (c) => c.experience },
+  { key: 'education', label: 'Education', value: (c) => c.education },
+  { key: 'skills', label: 'Skills', value: (c) => list(c.skills) },
+  { key: 'job', label: 'Job', value: (c) => c.job?.title, needs: 'jobs', default: true },
+  {
+    key: 'stage',
+    label: 'Stage',
+    value: (c, { pipelines }) => findStage(pipelines.get(c.job?.pipelineId || DEFAULT_PIPELINE_ID), c.stage).name,
+    needs: 'jobs',
+    default: true,
+  },
+  { key: 'source', label: 'Source', value: (c) => c.source },
+  { key: 'owner', label: 'Owner', value: (c) => c.owner },
+  { key: 'tags', label: 'Tags', value: (c) => list(c.tags) },
+  { key: 'rating', label: 'Rating', value: (c) => c.rating },
+  { key: 'appliedDate', label: 'Applied', value: (c) => c.appliedDate, default: true },
+  { key: 'updatedAt', label: 'Last updated', value: (c) => c.updatedAt },
+  { key: 'stageEnteredAt', label: 'In stage since', value: (c) => c.stageEnteredAt, needs: 'stageEnteredAt', derived: true },
+  { key: 'timeInStage', label: 'Days in stage', value: (c) => daysInStage(c), needs: 'stageEnteredAt', derived: true },
+  {
+    key: 'assessmentScore',
+    label: 'Assessment score (%)',
+    value: (c, { assessmentScores }) => assessmentScores.get(c.id),
+    needs: 'assessmentScores',
+    derived: true,
+  },
+  { key: 'matchScore', label: 'Match score', value: (c) => c.match?.score, needs: 'matchScores', derived: true },
+  { key: 'rejectionReason', label: 'Rejection reason', value: (c) => c.rejection?.reasonLabel, derived: true },
+];
+
+export const JOB_COLUMNS = [
+  { key: 'title', label: 'Title', value: (j) => j.title, default: true },
+  { key: 'slug', label: 'Slug', value: (j) => j.slug },
+  { key: 'status', label: 'Status', value: (j) => j.status, default: true },
+  { key: 'department', label: 'Department', value: (j) => j.department, default: true },
+  { key: 'tags', label: 'Tags', value: (j) => list(j.tags), default: true },
+  { key: 'pipeline', label: 'Pipeline', value: (j, { pipelines }) => pipelines.get(j.pipelineId || DEFAULT_PIPELINE_ID)?.name },
+  { key: 'createdAt', label: 'Created', value: (j) => j.createdAt, default: true },
+  {
+    key: 'candidates',
+    label: 'Candidates',
+    value: (j, { candidateCounts }) => candidateCounts.get(j.id)?.total ?? 0,
+    needs: 'candidateCounts',
+    derived: true,
+    default: true,
+  },
+  {
+    key: 'inProgress',
+    label: 'Candidates in progress',
+    value: (j, { candidateCounts }) => candidateCounts.get(j.id)?.inProgress ?? 0,
+    needs: 'candidateCounts',
+    derived: true,
+  },
+  {
+    key: 'hasAssessment',
+    label: 'Has assessment',
+    value: (j, { assessedJobs }) => (assessedJobs.has(j.id) ? 'yes' : 'no'),
+    needs: 'assessedJobs',
+    derived: true,
+  },
+];
+
+/**
+ * @param {object[]} columns - `CANDIDATE_COLUMNS` or `JOB_COLUMNS`.
+ * @returns {string[]} Keys of the columns picked when the export dialog opens.
+ */
+export const defaultColumnKeys = (columns) => columns.filter((column) => column.default).map(({ key }) => key);
+
+const pipelinesById = async () => new Map((await listPipelines()).map((pipeline) => [pipeline.id, pipeline]));
+
+// Loads related data for one batch of candidates
+const CANDIDATE_ENRICHERS = {
+  jobs: async (batch) => ({ batch: await attachJobs(batch) }),
+  stageEnteredAt: async (batch) => ({ batch: await attachStageEnteredAt(batch) }),
+  assessmentScores: async (batch) => ({ assessmentScores: await latestAssessmentScores(batch) }),
+  matchScores: async (batch) => ({ batch: await attachMatchScores(batch) }),
+};
+
+const JOB_ENRICHERS = {
+  candidateCounts: async (batch, { pipelines }) => {
+    const candidates = await db.candidates
+      .where('jobId')
+      .anyOf(batch.map((j) => j.id))
+      .filter(isActive)
+      .toArray();
+    const pipelineOf = new Map(batch.map((j) => [j.id, pipelines.get(j.pipelineId || DEFAULT_PIPELINE_ID)]));
+    const counts = new Map();
+    candidates.forEach((candidate) => {
+      const count = counts.get(candidate.jobId) || { total: 0, inProgress: 0 };
+      count.total += 1;
+      if (!findStage(pipelineOf.get(candidate.jobId), candidate.stage).terminal) count.inProgress += 1;
+      counts.set(candidate.jobId, count);
+    });
+    return { candidateCounts: counts };
+  },
+  assessedJobs: async (batch) => {
+    const assessments = await db.assessments
+      .where('jobId')
+      .anyOf(batch.map((j) => j.id))
+      .filter(isActive)
+      .toArray();
+    return { assessedJobs: new Set(assessments.map((a) => a.jobId)) };
+  },
+};
+
+/**
+ * Escapes one CSV field as RFC 4180 requires. Arrays are joined with '; '.
+ * @param {*} value - Cell value.
+ * @returns {string}
+ */
+export const toCsvField = (value) => {
+  if (value === undefined || value === null) return '';
+  let text;
+  if (Array.isArray(value)) text = value.join('; ');
+  else if (value instanceof Date) text = value.toISOString();
+  else text = String(value);
+  // Keep spreadsheets from running cell contents as formulas
+  if (/^[=+\-@\t\r]/.test(text) && typeof value !== 'number') text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * @param {Array} values - Cells of one row.
+ * @returns {string} The CSV record, ending in CRLF.
+ */
+export const toCsvRow = (values) => `${values.map(toCsvField).join(',')}\r\n`;
+
+/**
+ * Serializes records into a stream of UTF-8 bytes. Each pull reads the next
+ * batch of records and encodes it.
+ *
+ * @param {object} options
+ * @param {AsyncIterable<object[]>} options.batches - Records to export, in order, a batch at a time.
+ * @param {object[]} options.columns - Column definitions to include, in order.
+ * @param {'csv'|'json'} options.format - One of `EXPORT_FORMATS`.
+ * @param {object} [options.enrichers] - Related data loaders keyed by the columns' `needs`.
+ * @param {object} [options.context] - Data shared by every batch, e.g. pipelines.
+ * @returns {{ stream: ReadableStream<Uint8Array>, rowCount: function(): number }} The
+ *   stream, and how many records it has written so far.
+ */
+export const createExportStream = ({ batches, columns, format, enrichers = {}, context = {} }) => {
+  const encoder = new TextEncoder();
+  const needs = [...new Set(columns.map((column) => column.needs).filter(Boolean))];
+  const iterator = batches[Symbol.asyncIterator]();
+  let index = 0;
+
+  const stream = new ReadableStream({
+    start(controller) {
+      controller.enqueue(encoder.encode(format === 'csv' ? `\uFEFF${toCsvRow(columns.map(({ label }) => label))}` : '['));
+    },
+    async pull(controller) {
+      // A pull that enqueues nothing is not repeated, so skip empty batches here
+      let next = await iterator.next();
+      while (!next.done && !next.value.length) next = await iterator.next();
+      if (next.done) {
+        if (format === 'json') controller.enqueue(encoder.encode(index ? '\n]\n' : ']\n'));
+        controller.close();
+        return;
+      }
+
+      let batch = next.value;
+      const batchContext = { ...context };
+      for (const need of needs) {
+        const { batch: enriched, ...data } = await enrichers[need](batch, batchContext);
+        if (enriched) batch = enriched;
+        Object.assign(batchContext, data);
+      }
+
+      const chunk = batch
+        .map((record, i) => {
+          const values = columns.map((column) => column.value(record, batchContext));
+          if (format === 'csv') return toCsvRow(values);
+          const row = Object.fromEntries(columns.map(({ key }, c) => [key, values[c] ?? null]));
+          return `${index + i ? ',' : ''}\n  ${JSON.stringify(row)}`;
+        })
+        .join('');
+      controller.enqueue(encoder.encode(chunk));
+      index += batch.length;
+    },
+    async cancel() {
+      await iterator.return?.();
+    },
+  });
+
+  return { stream, rowCount: () => index };
+};
+
+const pickColumns = (columns, keys) => {
+  const picked = columns.filter(({ key }) => keys.includes(key));
+  if (!picked.length) throw new Error('Choose at least one column to export');
+  return picked;
+};
+
+// Records by id in the given order, skipping deleted and trashed ones
+async function* batchesByIds(table, ids) {
+  for (let start = 0; start < ids.length; start += BATCH_SIZE) {
+    const records = await table.bulkGet(ids.slice(start, start + BATCH_SIZE));
+    yield records.filter((record) => record && isActive(record));
+  }
+}
+
+// Every match for the filters, a page at a time
+async function* candidatePages(filters) {
+  for (let page = 1, totalPages = 1; page <= totalPages; page++) {
+    const result = await queryCandidates({ ...filters, page, pageSize: BATCH_SIZE });
+    totalPages = result.totalPages;
+    yield result.data;
+  }
+}
+
+/**
+ * Exports candidates, either the listed ids or every match for the filters.
+ *
+ * @param {object} target - `{ ids }`, or filters for `queryCandidates`.
+ * @param {object} options
+ * @param {string[]} options.columns - Keys of `CANDIDATE_COLUMNS` to include.
+ * @param {'csv'|'json'} options.format
+ * @returns {Promise<{ stream: ReadableStream<Uint8Array>, rowCount: function(): number }>} See `createExportStream`.
+ */
+export const exportCandidates = async ({ ids, search, stage, jobId }, { columns, format }) => {
+  const picked = pickColumns(CANDIDATE_COLUMNS, columns);
+  return createExportStream({
+    batches: ids
+      ? batchesByIds(db.candidates, ids)
+      : candidatePages({ search, stage, jobId, sort: search ? 'relevance' : '-appliedDate' }),
+    columns: picked,
+    format,
+    enrichers: CANDIDATE_ENRICHERS,
+    context: { pipelines: await pipelinesById() },
+  });
+};
+
+/**
+ * Exports the listed jobs, in order.
+ *
+ * @param {object} target
+ * @param {string[]} target.ids - Job ids.
+ * @param {object} options
+ * @param {string[]} options.columns - Keys of `JOB_COLUMNS` to include.
+ * @param {'csv'|'json'} options.format
+ * @returns {Promise<{ stream: ReadableStream<Uint8Array>, rowCount: function(): number }>} See `createExportStream`.
+ */
+export const exportJobs = async ({ ids }, { columns, format }) => {
+  const picked = pickColumns(JOB_COLUMNS, columns);
+  return createExportStream({
+    batches: batchesByIds(db.jobs, ids),
+    columns: picked,
+    format,
+    enrichers: JOB_ENRICHERS,
+    context: { pipelines: await pipelinesById() },
+  });
+};
+
+/**
+ * @param {string} name - What is exported, e.g. 'candidates'.
+ * @param {'csv'|'json'} format
+ * @returns {string} A dated file name such as `candidates-2024-05-01.csv`.
+ */
+export const exportFileName = (name, format) =>
+  `${name}-${new Date().toISOString().slice(0, 10)}.${EXPORT_FORMATS[format].extension}`;
@@ -0,0 +1,341 @@
+import { z } from 'zod';
+import { endOfWeek, startOfWeek } from 'date-fns';
+import { db } from './db';
+import { isActive } from './trash';
+
+/**
+ * Interview scheduling.
+ *
+ * Interviews live in the `interviews` table as
+ * `{ id, candidateId, jobId, title, date, time, timeZone, duration, startsAt,
+ * endsAt, interviewers, location, videoLink, notes, status, version }`.
+ * `date` and `time` are the wall-clock start in `timeZone` as entered;
+ * `startsAt` and `endsAt` are the same moment as UTC ISO strings, which is
+ * what ranges, conflicts and the calendar use. Like jobs and candidates,
+ * interviews carry a `version` so reschedules can be conditional (see
+ * `./concurrency.js`).
+ *
+ * An interviewer has a conflict when another scheduled interview naming them
+ * overlaps; the API refuses such a booking (409) unless it is confirmed.
+ * Cancelled interviews are kept, with `status: 'cancelled'`, so calendar
+ * files already sent out can be updated.
+ */
+
+export const INTERVIEW_DURATIONS = [15, 30, 45, 60, 90, 120];
+
+export const DEFAULT_INTERVIEW_DURATION = 60;
+
+export const MAX_INTERVIEW_MINUTES = 8 * 60;
+
+// Most interviewers one interview may name
+const MAX_INTERVIEWERS = 10;
+
+const MINUTE_MS = 60 * 1000;
+
+const sameName = (a, b) => a.trim().toLowerCase() === b.trim().toLowerCase();
+
+/**
+ * @param {string} timeZone
+ * @returns {boolean} True for a time zone the browser knows, e.g. 'Europe/Berlin'.
+ */
+export const isValidTimeZone = (timeZone) => {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch {
+    return false;
+  }
+};
+
+/**
+ * @returns {string} The browser's time zone, or 'UTC' when it cannot tell.
+ */
+export const localTimeZone = () => Intl.DateTimeFormat().resolvedOptions().timeZone || 'UTC';
+
+/**
+ * @returns {string[]} Time zones to offer when scheduling.
+ */
+export const timeZoneOptions = () => {
+  const zones = typeof Intl.supportedValuesOf === 'function' ? Intl.supportedValuesOf('timeZone') : [];
+  return [...new Set(['UTC', localTimeZone(), ...zones])].sort();
+};
+
+const isCalendarDate = (value) => {
+  const [year, month, day] = value.split('-').map(Number);
+  const date = new Date(Date.UTC(year, month - 1, day));
+  return date.getUTCFullYear() === year && date.getUTCMonth() === month - 1 && date.getUTCDate() === day;
+};
+
+/**
+ * How far `timeZone` is ahead of UTC at a given moment.
+ * @param {number} timestamp - Milliseconds since the epoch.
+ * @param {string} timeZone
+ * @returns {number} Offset in milliseconds.
+ */
+const zoneOffset = (timestamp, timeZone) => {
+  const parts = Object.fromEntries(
+    new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      second: '2-digit',
+    })
+      .formatToParts(new Date(timestamp))
+      .map(({ type, value }) => [type, value])
+  );
+  const wall = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+  return wall - (timestamp - (timestamp % 1000));
+};
+
+/**
+ * Converts a wall-clock time in a time zone to the moment it denotes.
+ * @param {string} date - 'YYYY-MM-DD'.
+ * @param {string} time - 'HH:mm'.
+ * @param {string} timeZone
+ * @returns {Date}
+ */
+export const zonedTimeToUtc = (date, time, timeZone) => {
+  const [year, month, day] = date.split('-').map(Number);
+  const [hour, minute] = time.split(':').map(Number);
+  const wall = Date.UTC(year, month - 1, day, hour, minute);
+  const guess = wall - zoneOffset(wall, timeZone);
+  // The offset may differ on the other side of a daylight saving change
+  return new Date(wall - zoneOffset(guess, timeZone));
+};
+
+export const interviewSchema = z.object({
+  title: z.string().trim().max(120, 'Title is limited to 120 characters').default(''),
+  date: z
+    .string()
+    .regex(/^\d{4}-\d{2}-\d{2}$/, 'Pick a date')
+    .refine(isCalendarDate, 'Pick a valid date'),
+  time: z.string().regex(/^([01]\d|2[0-3]):[0-5]\d$/, 'Pick a start time'),
+  timeZone: z.string().refine(isValidTimeZone, 'Unknown time zone'),
+  duration: z
+    .number({ invalid_type_error: 'Pick a duration' })
+    .int()
+    .min(5, 'Interviews last at least 5 minutes')
+    .max(MAX_INTERVIEW_MINUTES, `Interviews last at most ${MAX_INTERVIEW_MINUTES / 60} hours`),
+  interviewers: z
+    .array(z.string().trim().min(1).max(80))
+    .min(1, 'Name at least one interviewer')
+    .max(MAX_INTERVIEWERS, `At most ${MAX_INTERVIEWERS} interviewers`)
+    .transform((names) =>
+      names.filter((name, index) => names.findIndex((other) => sameName(other, name)) === index)
+    ),
+  location: z.string().trim().max(200, 'Location is limited to 200 characters').default(''),
+  videoLink: z
+    .string()
+    .trim()
+    .refine((value) => !value || /^https?:\/\/\S+$/i.test(value), 'Enter a full link, e.g. https://meet.example.com/abc')
+    .default(''),
+  notes: z.string().trim().max(2000, 'Notes are limited to 2000 characters').default(''),
+});
+
+// Fields of an interview a client may set
+export const INTERVIEW_FIELDS = Object.keys(interviewSchema.shape);
+
+export const interviewCancelSchema = z.object({
+  reason: z.string().trim().max(500, 'Reason is limited to 500 characters').default(''),
+});
+
+/**
+ * @param {{ date: string, time: string, timeZone: string, duration: number }} interview
+ * @returns {{ startsAt: string, endsAt: string }} UTC ISO timestamps.
+ */
+export const interviewTimes = ({ date, time, timeZone, duration }) => {
+  const start = zonedTimeToUtc(date, time, timeZone);
+  return {
+    startsAt: start.toISOString(),
+    endsAt: new Date(start.getTime() + duration * MINUTE_MS).toISOString(),
+  };
+};
+
+/**
+ * Interviewers of `interview` already booked in an overlapping scheduled
+ * interview.
+ * @param {object} interview - Needs `id`, `startsAt`, `endsAt` and `interviewers`.
+ * @param {object[]} others - Interviews to check against.
+ * @returns {Array<{ interview: object, interviewers: string[] }>}
+ */
+export const interviewConflicts = (interview, others) =>
+  others
+    .filter(
+      (other) =>
+        other.id !== interview.id &&
+        other.status === 'scheduled' &&
+        other.startsAt < interview.endsAt &&
+        interview.startsAt < other.endsAt
+    )
+    .map((other) => ({
+      interview: other,
+      interviewers: interview.interviewers.filter((name) => other.interviewers.some((booked) => sameName(booked, name))),
+    }))
+    .filter(({ interviewers }) => interviewers.length);
+
+// Skips interviews whose candidate is in the trash, and adds a short candidate summary
+const withCandidates = async (interviews) => {
+  const candidates = await db.candidates.bulkGet([...new Set(interviews.map(({ candidateId }) => candidateId))]);
+  const byId = new Map(candidates.filter(isActive).map((candidate) => [candidate.id, candidate]));
+  return interviews
+    .filter(({ candidateId }) => byId.has(candidateId))
+    .map((interview) => {
+      const { id, name, email, jobId } = byId.get(interview.candidateId);
+      return { ...interview, candidate: { id, name, email, jobId } };
+    });
+};
+
+/**
+ * Lists interviews by start time with their candidate (`candidate: { id, name,
+ * email, jobId }`), leaving out candidates in the trash.
+ * @param {object} [options]
+ * @param {string} [options.candidateId] - Only this candidate's interviews.
+ * @param {string} [options.from] - ISO timestamp; interviews ending after it.
+ * @param {string} [options.to] - ISO timestamp; interviews starting before it.
+ * @param {string} [options.status] - 'scheduled' or 'cancelled'.
+ * @returns {Promise<object[]>}
+ */
+export const listInterviews = async ({ candidateId, from, to, status } = {}) => {
+  const interviews = candidateId
+    ? await db.interviews.where('candidateId').equals(candidateId).sortBy('startsAt')
+    : await db.interviews
+      .where('startsAt')
+      .between(
+        from ? new Date(Date.parse(from) - MAX_INTERVIEW_MINUTES * MINUTE_MS).toISOString() : '',
+        to || '\uffff'
+      )
+      .toArray();
+  return withCandidates(
+    interviews.filter(
+      (interview) =>
+        (!from || interview.endsAt > from) && (!to || interview.startsAt < to) && (!status || interview.status === status)
+    )
+  );
+};
+
+/**
+ * Scheduled interviews overlapping `interview` that share an interviewer.
+ * @param {object} interview - Needs `id`, `startsAt`, `endsAt` and `interviewers`.
+ * @returns {Promise<Array<{ interview: object, interviewers: string[] }>>}
+ */
+export const findInterviewConflicts = async (interview) =>
+  interviewConflicts(
+    interview,
+    await listInterviews({ from: interview.startsAt, to: interview.endsAt, status: 'scheduled' })
+  );
+
+/**
+ * @param {Date} [date]
+ * @returns {{ from: string, to: string }} The Monday-to-Sunday week around `date`, local time.
+ */
+export const weekRange = (date = new Date()) => ({
+  from: startOfWeek(date, { weekStartsOn: 1 }).toISOString(),
+  to: endOfWeek(date, { weekStartsOn: 1 }).toISOString(),
+});
+
+const zoneName = (date, timeZone) =>
+  new Intl.DateTimeFormat('en-US', { timeZone, timeZoneName: 'short' })
+    .formatToParts(date)
+    .find(({ type }) => type === 'timeZoneName')?.value || timeZone;
+
+/**
+ * Describes when an interview takes place in its own time zone, e.g.
+ * "Tue, Oct 20, 2026, 10:00 AM – 11:00 AM CEST".
+ * @param {object} interview
+ * @returns {string}
+ */
+export const formatInterviewWhen = ({ startsAt, endsAt, timeZone }) => {
+  const start = new Date(startsAt);
+  const day = new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    weekday: 'short',
+    month: 'short',
+    day: 'numeric',
+    year: 'numeric',
+  }).format(start);
+  const time = new Intl.DateTimeFormat('en-US', { timeZone, hour: 'numeric', minute: '2-digit' });
+  return `${day}, ${time.format(start)} – ${time.format(new Date(endsAt))} ${zoneName(start, timeZone)}`;
+};
+
+/**
+ * @param {object} interview
+ * @returns {string} The interview's title, or a generic one.
+ */
+export const interviewTitle = (interview) => interview.title || 'Interview';
+
+const icsTimestamp = (iso) => iso.replace(/[-:]/g, '').replace(/\.\d+/, '');
+
+const icsText = (value) =>
+  String(value).replace(/\\/g, '\\\\').replace(/;/g, '\\;').replace(/,/g, '\\,').replace(/\r?\n/g, '\\n');
+
+const encoder = new TextEncoder();
+
+// Content lines are folded at 75 octets, continuation lines start with a space
+const foldLine = (line) => {
+  const chunks = [];
+  let current = '';
+  let size = 0;
+  for (const char of line) {
+    const bytes = encoder.encode(char).length;
+    if (size + bytes > (chunks.length ? 74 : 75)) {
+      chunks.push(current);
+      current = '';
+      size = 0;
+    }
+    current += char;
+    size += bytes;
+  }
+  chunks.push(current);
+  return chunks.join('\r\n ');
+};
+
+/**
+ * Renders an interview as an iCalendar (RFC 5545) file with one event. Times
+ * are written in UTC, `SEQUENCE` follows the interview's version so
+ * calendars pick up reschedules, and cancelled interviews are marked
+ * `STATUS:CANCELLED`.
+ * @param {object} interview
+ * @param {object} candidate - The interviewed candidate.
+ * @returns {string}
+ */
+export const toIcs = (interview, candidate) => {
+  const description = [
+    `Candidate: ${candidate.name}`,
+    `Interviewers: ${interview.interviewers.join(', ')}`,
+    interview.videoLink && `Join: ${interview.videoLink}`,
+    interview.notes && `\n${interview.notes}`,
+  ].filter(Boolean).join('\n');
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    'PRODID:-//TalentFlow//Interviews//EN',
+    'CALSCALE:GREGORIAN',
+    'BEGIN:VEVENT',
+    `UID:${interview.id}@talentflow`,
+    `DTSTAMP:${icsTimestamp(interview.updatedAt || interview.createdAt)}`,
+    `SEQUENCE:${Math.max(0, (interview.version || 1) - 1)}`,
+    `DTSTART:${icsTimestamp(interview.startsAt)}`,
+    `DTEND:${icsTimestamp(interview.endsAt)}`,
+    `SUMMARY:${icsText(`${interviewTitle(interview)}: ${candidate.name}`)}`,
+    `DESCRIPTION:${icsText(description)}`,
+    (interview.location || interview.videoLink) && `LOCATION:${icsText(interview.location || interview.videoLink)}`,
+    interview.videoLink && `URL:${interview.videoLink}`,
+    candidate.email && `ATTENDEE;CN="${candidate.name.replace(/"/g, "'")}";ROLE=REQ-PARTICIPANT:mailto:${candidate.email}`,
+    `STATUS:${interview.status === 'cancelled' ? 'CANCELLED' : 'CONFIRMED'}`,
+    'END:VEVENT',
+    'END:VCALENDAR',
+  ];
+  return `${lines.filter(Boolean).map(foldLine).join('\r\n')}\r\n`;
+};
+
+/**
+ * @param {object} interview
+ * @param {object} candidate
+ * @returns {string} File name for the interview's .ics file.
+ */
+export const icsFileName = (interview, candidate) =>
+  `interview-${candidate.name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'candidate'}-${interview.date}.ics`;
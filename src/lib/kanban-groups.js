@@ -0,0 +1,75 @@
+/**
+ * Ways of splitting candidates into kanban columns and swimlanes.
+ *
+ * Each grouping names the candidate field it reads, so dropping a card into
+ * another column or lane is just a change to that field. Candidates without a
+ * value land in a "none" group; whether a card may be dropped there depends on
+ * the grouping (a candidate can lose its owner but not its stage or job).
+ */
+
+// Key of the group holding candidates with no value for the grouping field
+export const NO_GROUP = '__none__';
+
+export const KANBAN_GROUPINGS = {
+  stage: { label: 'Stage', field: 'stage', noneLabel: 'No stage', clearable: false },
+  job: { label: 'Job', field: 'jobId', noneLabel: 'No job', clearable: false },
+  source: { label: 'Source', field: 'source', noneLabel: 'Unknown source', clearable: true },
+  owner: { label: 'Owner', field: 'owner', noneLabel: 'Unassigned', clearable: true },
+};
+
+/**
+ * @param {object} candidate
+ * @param {string} groupBy - Key of `KANBAN_GROUPINGS`.
+ * @returns {string} The group the candidate belongs to, or `NO_GROUP`.
+ */
+export const groupKey = (candidate, groupBy) => {
+  const value = candidate[KANBAN_GROUPINGS[groupBy].field];
+  return value === undefined || value === null || value === '' ? NO_GROUP : String(value);
+};
+
+/**
+ * Lists the groups to show, in display order. Stages always show every stage
+ * of the pipeline so cards can be dropped into empty ones; the other groupings
+ * show the values present among the candidates.
+ * @param {string} groupBy - Key of `KANBAN_GROUPINGS`.
+ * @param {object} context
+ * @param {object[]} context.candidates - Candidates on the board.
+ * @param {object[]} context.stages - Stages of the board's pipeline.
+ * @param {object[]} [context.jobs] - Jobs, for job titles.
+ * @returns {{ key: string, name: string, stage?: object }[]}
+ */
+export const listGroups = (groupBy, { candidates, stages, jobs = [] }) => {
+  if (groupBy === 'stage') {
+    return stages.map((stage) => ({ key: stage.id, name: stage.name, stage }));
+  }
+
+  const { noneLabel } = KANBAN_GROUPINGS[groupBy];
+  const keys = new Set(candidates.map((candidate) => groupKey(candidate, groupBy)));
+  const jobsById = new Map(jobs.map((job) => [String(job.id), job]));
+  const nameOf = (key) => {
+    if (key === NO_GROUP) return noneLabel;
+    return groupBy === 'job' ? jobsById.get(key)?.title || 'Unknown job' : key;
+  };
+
+  return [...keys]
+    .map((key) => ({ key, name: nameOf(key) }))
+    // Named groups alphabetically, the "none" group last
+    .sort((a, b) => (a.key === NO_GROUP) - (b.key === NO_GROUP) || a.name.localeCompare(b.name));
+};
+
+/**
+ * The candidate update that moves it into a group.
+ * @param {string} groupBy - Key of `KANBAN_GROUPINGS`.
+ * @param {string} key - Target group key.
+ * @param {object[]} [jobs] - Jobs, to recover job ids that are not strings.
+ * @returns {object|null} Fields to PATCH, or null when the group cannot be dropped into.
+ */
+export const groupChanges = (groupBy, key, jobs = []) => {
+  const { field, clearable } = KANBAN_GROUPINGS[groupBy];
+  if (key === NO_GROUP) return clearable ? { [field]: '' } : null;
+  if (groupBy === 'job') {
+    const job = jobs.find(({ id }) => String(id) === key);
+    return job ? { jobId: job.id } : null;
+  }
+  return { [field]: key };
+};
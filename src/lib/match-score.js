@@ -0,0 +1,404 @@
+import { db } from './db';
+import { isActive } from './trash';
+import { findSkills } from './skills';
+
+/**
+ * Candidate-to-job match scoring.
+ *
+ * Each candidate is scored 0–100 against the job they applied to from four
+ * factors: skills the job asks for, years of experience against the job's
+ * seniority, location or remote fit, and the assessment submitted for the job.
+ * A factor the data cannot answer (no skills named in the job, no assessment
+ * taken, ...) is left out and the other weights are scaled up, so a missing
+ * assessment does not count as a failed one.
+ *
+ * Scores live in the `matchScores` table, one row per candidate with the
+ * factor breakdown. Like the search index, Dexie hooks queue the candidates a
+ * write affects and the rows are rewritten once the transaction commits; a
+ * job edit rescores every candidate of the job.
+ */
+
+export const MATCH_FACTORS = [
+  { key: 'skills', label: 'Skills', weight: 40 },
+  { key: 'experience', label: 'Experience', weight: 25 },
+  { key: 'location', label: 'Location', weight: 15 },
+  { key: 'assessment', label: 'Assessment', weight: 20 },
+];
+
+// Fields whose changes move a score
+const CANDIDATE_FIELDS = ['skills', 'experience', 'location', 'jobId', 'deletedAt'];
+const JOB_FIELDS = ['title', 'tags', 'requirements', 'description', 'location', 'deletedAt'];
+const ASSESSMENT_FIELDS = ['sections', 'jobId', 'deletedAt'];
+
+// Skills a role implies when the job names none; any two of them cover it
+const ROLE_SKILLS = {
+  frontend: ['React', 'TypeScript', 'GraphQL'],
+  backend: ['Node.js', 'Python', 'Java', 'Go', 'PostgreSQL', 'MongoDB', 'Redis', 'Kafka', 'Spring Boot'],
+  fullstack: ['React', 'TypeScript', 'Node.js', 'PostgreSQL', 'MongoDB', 'GraphQL'],
+  devops: ['AWS', 'Docker', 'Kubernetes', 'Terraform'],
+  mobile: ['Swift', 'Kotlin', 'Flutter', 'Dart'],
+  data: ['Python', 'PostgreSQL', 'Kafka'],
+};
+
+const ROLE_PATTERNS = {
+  frontend: /\bfront[\s-]?end\b/i,
+  backend: /\bback[\s-]?end\b/i,
+  fullstack: /\bfull[\s-]?stack\b/i,
+  devops: /\b(?:devops|site reliability|sre|cloud|platform)\b/i,
+  mobile: /\b(?:mobile|ios|android)\b/i,
+  data: /\b(?:data|machine learning|ml)\b/i,
+};
+
+const ROLE_SKILLS_NEEDED = 2;
+
+// Years of experience each seniority level expects, matched against the title and tags
+const SENIORITY_LEVELS = [
+  { label: 'Lead', pattern: /\b(?:lead|staff|principal|head|architect)\b/i, min: 8, max: Infinity },
+  { label: 'Senior', pattern: /\b(?:senior|sr)\b/i, min: 5, max: Infinity },
+  { label: 'Mid-level', pattern: /\b(?:mid|mid-level|intermediate)\b/i, min: 2, max: 8 },
+  { label: 'Junior', pattern: /\b(?:junior|jr|entry[\s-]level|graduate|intern)\b/i, min: 0, max: 3 },
+];
+
+// Score lost per year below the expected minimum, and above the expected maximum
+const SHORTFALL_PENALTY = 0.2;
+const EXCESS_PENALTY = 0.1;
+
+const REMOTE = /\bremote\b/i;
+
+const REBUILD_BATCH_SIZE = 500;
+
+const list = (value) => value || [];
+
+const jobText = (job) => [job.title, ...list(job.tags), ...list(job.requirements), job.description].filter(Boolean).join('\n');
+
+const hasSkill = (candidate, skill) => list(candidate.skills).some((own) => own.toLowerCase() === skill.toLowerCase());
+
+const scoreSkills = (candidate, job) => {
+  const text = jobText(job);
+  const named = findSkills(text).map(({ skill }) => skill);
+  // Roles only count when the job names no skills of its own
+  const roles = named.length
+    ? []
+    : Object.keys(ROLE_PATTERNS).filter((role) => ROLE_PATTERNS[role].test([job.title, ...list(job.tags)].join(' ')));
+  if (!named.length && !roles.length) return null;
+
+  const matched = named.filter((skill) => hasSkill(candidate, skill));
+  const missing = named.filter((skill) => !matched.includes(skill));
+  const roleScores = roles.map((role) => {
+    const hits = ROLE_SKILLS[role].filter((skill) => hasSkill(candidate, skill));
+    return { role, hits, score: Math.min(1, hits.length / ROLE_SKILLS_NEEDED) };
+  });
+
+  const score = (matched.length + roleScores.reduce((sum, { score: roleScore }) => sum + roleScore, 0)) / (named.length + roles.length);
+  const detail = named.length
+    ? `Has ${matched.length} of the ${named.length} skills the job names${missing.length ? `; missing ${missing.join(', ')}` : ''}`
+    : roleScores
+      .map(({ role, hits }) => `${role[0].toUpperCase()}${role.slice(1)} role: ${hits.length ? hits.join(', ') : 'no related skills'}`)
+      .join('; ');
+  return { score, detail };
+};
+
+// Minimum stated in the job, e.g. "5+ years of experience"
+const statedYears = (job) => {
+  const match = jobText(job).match(/(\d{1,2})\+?\s*(?:years|yrs)(?:\s+of)?\s+(?:\w+\s+){0,3}experience/i);
+  return match ? Number(match[1]) : null;
+};
+
+const scoreExperience = (candidate, job) => {
+  const years = Number(candidate.experience);
+  if (candidate.experience === undefined || candidate.experience === null || candidate.experience === '' || !Number.isFinite(years)) {
+    return null;
+  }
+  const level = SENIORITY_LEVELS.find(({ pattern }) => pattern.test([job.title, ...list(job.tags)].join(' ')));
+  const stated = statedYears(job);
+  if (!level && stated === null) return null;
+
+  const min = stated ?? level.min;
+  const max = Math.max(min, level?.max ?? Infinity);
+  const expected = max === Infinity ? `${min}+ years` : `${min}–${max} years`;
+  const source = level ? `${level.label} role, ${expected}` : `${expected} asked`;
+
+  if (years < min) {
+    return { score: Math.max(0, 1 - (min - years) * SHORTFALL_PENALTY), detail: `${years} years; ${source}` };
+  }
+  if (years > max) {
+    return { score: Math.max(0.5, 1 - (years - max) * EXCESS_PENALTY), detail: `${years} years, more than the ${source}` };
+  }
+  return { score: 1, detail: `${years} years fits the ${source}` };
+};
+
+// "Berlin, Germany" → ['berlin', 'germany']
+const placeParts = (location) => String(location).split(',').map((part) => part.trim().toLowerCase()).filter(Boolean);
+
+const scoreLocation = (candidate, job) => {
+  if (list(job.tags).some((tag) => REMOTE.test(tag)) || REMOTE.test(job.location || '')) {
+    return { score: 1, detail: 'Remote role' };
+  }
+  if (!job.location || !candidate.location) return null;
+
+  const wanted = placeParts(job.location);
+  const own = placeParts(candidate.location);
+  if (wanted[0] && wanted[0] === own[0]) return { score: 1, detail: `Based in ${job.location}` };
+  if (wanted.length > 1 && wanted[wanted.length - 1] === own[own.length - 1]) {
+    return { score: 0.6, detail: `Same country as ${job.location}` };
+  }
+  return { score: 0, detail: `${candidate.location}; the job is in ${job.location}` };
+};
+
+/**
+ * Share of an assessment's questions the response answers. Assessments have
+ * no answer key, so this is the completeness of the submission.
+ * @param {object} assessment - Assessment with `sections[].questions`.
+ * @param {object} response - Submitted response.
+ * @returns {number|undefined} Whole percent, or undefined without questions.
+ */
+export const assessmentScore = (assessment, response) => {
+  const questions = list(assessment?.sections).flatMap((section) => list(section.questions));
+  if (!questions.length) return undefined;
+  const answered = questions.filter((question) => {
+    const answer = response.responses?.[question.id];
+    return Array.isArray(answer) ? answer.length > 0 : String(answer ?? '').trim() !== '';
+  });
+  return Math.round((answered.length / questions.length) * 100);
+};
+
+const scoreAssessment = (percent) =>
+  percent === undefined ? null : { score: percent / 100, detail: `${percent}% of the assessment answered` };
+
+/**
+ * Scores one candidate against a job.
+ * @param {object} candidate - Candidate record.
+ * @param {object} job - The job they applied to.
+ * @param {number} [assessmentPercent] - `assessmentScore` of their latest
+ *   submission for the job, if any.
+ * @returns {{ score: number|null, factors: Array<{ key: string, label: string, weight: number, score: number|null, detail: string }> }}
+ *   `score` is 0–100, or null when no factor could be evaluated; factor
+ *   scores are 0–1, null for factors left out.
+ */
+export const computeMatch = (candidate, job, assessmentPercent) => {
+  const results = {
+    skills: scoreSkills(candidate, job),
+    experience: scoreExperience(candidate, job),
+    location: scoreLocation(candidate, job),
+    assessment: scoreAssessment(assessmentPercent),
+  };
+  const factors = MATCH_FACTORS.map(({ key, label, weight }) => ({
+    key,
+    label,
+    weight,
+    score: results[key] ? Math.round(results[key].score * 100) / 100 : null,
+    detail: results[key]?.detail || 'Not enough information; not counted',
+  }));
+
+  const counted = factors.filter(({ score }) => score !== null);
+  const totalWeight = counted.reduce((sum, { weight }) => sum + weight, 0);
+  const score = totalWeight
+    ? Math.round((counted.reduce((sum, { weight, score: factorScore }) => sum + weight * factorScore, 0) / totalWeight) * 100)
+    : null;
+  return { score, factors };
+};
+
+/**
+ * Latest `assessmentScore` per candidate, from their submissions for the job
+ * they are currently attached to.
+ * @param {Array} candidates - Candidate records.
+ * @returns {Promise<Map>} Candidate id → percent; candidates without a
+ *   scored submission are missing.
+ */
+export const latestAssessmentScores = async (candidates) => {
+  const responses = await db.responses
+    .where('candidateId')
+    .anyOf(candidates.map((c) => c.id))
+    .filter((response) => response.status === 'submitted')
+    .toArray();
+  const assessments = await db.assessments.bulkGet([...new Set(responses.map((r) => r.assessmentId))]);
+  const assessmentsById = new Map(assessments.filter(isActive).map((a) => [a.id, a]));
+
+  const scores = new Map();
+  const jobOf = new Map(candidates.map((c) => [c.id, c.jobId]));
+  responses
+    .filter((response) => response.jobId === jobOf.get(response.candidateId))
+    .sort((a, b) => (a.submittedAt < b.submittedAt ? -1 : 1))
+    .forEach((response) => {
+      const score = assessmentScore(assessmentsById.get(response.assessmentId), response);
+      if (score !== undefined) scores.set(response.candidateId, score);
+    });
+  return scores;
+};
+
+/**
+ * Rewrites the scores of the given candidates. Candidates that are gone, in
+ * the trash or without an active job lose their score.
+ */
+const scoreCandidates = async (ids) => {
+  const candidates = (await db.candidates.bulkGet(ids)).filter((candidate) => candidate && isActive(candidate) && candidate.jobId);
+  const jobs = await db.jobs.bulkGet([...new Set(candidates.map((c) => c.jobId))]);
+  const jobsById = new Map(jobs.filter(isActive).map((job) => [job.id, job]));
+  const scorable = candidates.filter((candidate) => jobsById.has(candidate.jobId));
+  const assessments = await latestAssessmentScores(scorable);
+
+  const computedAt = new Date().toISOString();
+  const rows = scorable.map((candidate) => ({
+    candidateId: candidate.id,
+    jobId: candidate.jobId,
+    ...computeMatch(candidate, jobsById.get(candidate.jobId), assessments.get(candidate.id)),
+    computedAt,
+  }));
+
+  await db.transaction('rw', db.matchScores, async () => {
+    await db.matchScores.bulkDelete(ids);
+    await db.matchScores.bulkPut(rows);
+  });
+};
+
+const pending = { candidate: new Set(), job: new Set() };
+let flushTimer = null;
+let flushChain = Promise.resolve();
+
+/**
+ * Rescores every queued candidate and every candidate of a queued job.
+ * Flushes are chained so a candidate is never scored concurrently.
+ * @returns {Promise<void>} Resolves once all queued scores are written.
+ */
+const flushPending = () => {
+  clearTimeout(flushTimer);
+  flushTimer = null;
+  if (!pending.candidate.size && !pending.job.size) return flushChain;
+
+  const candidateIds = [...pending.candidate];
+  const jobIds = [...pending.job];
+  pending.candidate.clear();
+  pending.job.clear();
+
+  flushChain = flushChain
+    .then(async () => {
+      const ofJobs = jobIds.length ? await db.candidates.where('jobId').anyOf(jobIds).primaryKeys() : [];
+      await scoreCandidates([...new Set([...candidateIds, ...ofJobs])]);
+    })
+    .catch((error) => console.error('Failed to update match scores:', error));
+  return flushChain;
+};
+
+const queueRescore = (type, id) => {
+  if (id === undefined || id === null) return;
+  pending[type].add(id);
+  if (!flushTimer) flushTimer = setTimeout(flushPending, 0);
+};
+
+const afterCommit = (transaction, type, id) => {
+  transaction.on('complete', () => queueRescore(type, id));
+};
+
+const touches = (modifications, fields) =>
+  Object.keys(modifications).some((keyPath) => fields.includes(keyPath.split('.')[0]));
+
+// Keep the scores in step with writes to everything they are computed from
+db.candidates.hook('creating', (primKey, obj, transaction) => afterCommit(transaction, 'candidate', primKey ?? obj.id));
+db.candidates.hook('updating', (modifications, primKey, obj, transaction) => {
+  if (touches(modifications, CANDIDATE_FIELDS)) afterCommit(transaction, 'candidate', primKey);
+});
+db.candidates.hook('deleting', (primKey, obj, transaction) => afterCommit(transaction, 'candidate', primKey));
+
+db.jobs.hook('creating', (primKey, obj, transaction) => afterCommit(transaction, 'job', primKey ?? obj.id));
+db.jobs.hook('updating', (modifications, primKey, obj, transaction) => {
+  if (touches(modifications, JOB_FIELDS)) afterCommit(transaction, 'job', primKey);
+});
+db.jobs.hook('deleting', (primKey, obj, transaction) => afterCommit(transaction, 'job', primKey));
+
+db.responses.hook('creating', (primKey, obj, transaction) => afterCommit(transaction, 'candidate', obj.candidateId));
+db.responses.hook('updating', (modifications, primKey, obj, transaction) => {
+  afterCommit(transaction, 'candidate', obj.candidateId);
+  if ('candidateId' in modifications) afterCommit(transaction, 'candidate', modifications.candidateId);
+});
+db.responses.hook('deleting', (primKey, obj, transaction) => afterCommit(transaction, 'candidate', obj?.candidateId));
+
+db.assessments.hook('creating', (primKey, obj, transaction) => afterCommit(transaction, 'job', obj.jobId));
+db.assessments.hook('updating', (modifications, primKey, obj, transaction) => {
+  if (!touches(modifications, ASSESSMENT_FIELDS)) return;
+  afterCommit(transaction, 'job', obj.jobId);
+  if ('jobId' in modifications) afterCommit(transaction, 'job', modifications.jobId);
+});
+db.assessments.hook('deleting', (primKey, obj, transaction) => afterCommit(transaction, 'job', obj?.jobId));
+
+/**
+ * Drops and recomputes every score.
+ * @returns {Promise<void>}
+ */
+export const rebuildMatchScores = async () => {
+  await db.matchScores.clear();
+  const ids = await db.candidates.toCollection().primaryKeys();
+  for (let i = 0; i < ids.length; i += REBUILD_BATCH_SIZE) {
+    await scoreCandidates(ids.slice(i, i + REBUILD_BATCH_SIZE));
+  }
+};
+
+let ensurePromise = null;
+
+/**
+ * Scores every candidate once if the table is empty while there are
+ * candidates, e.g. right after upgrading from a schema version without scores.
+ * @returns {Promise<void>}
+ */
+export const ensureMatchScores = () => {
+  if (!ensurePromise) {
+    ensurePromise = (async () => {
+      const [scores, candidates] = await Promise.all([db.matchScores.count(), db.candidates.count()]);
+      if (scores === 0 && candidates > 0) await rebuildMatchScores();
+    })().catch((error) => {
+      ensurePromise = null;
+      throw error;
+    });
+  }
+  return ensurePromise;
+};
+
+/**
+ * Up-to-date scores for the given candidates.
+ * @param {string[]} candidateIds
+ * @returns {Promise<Map>} Candidate id → `matchScores` row; candidates without
+ *   a score are missing.
+ */
+export const getMatchScores = async (candidateIds) => {
+  await ensureMatchScores();
+  await flushPending();
+  const rows = await db.matchScores.bulkGet(candidateIds);
+  return new Map(rows.filter(Boolean).map((row) => [row.candidateId, row]));
+};
+
+/**
+ * Attaches each candidate's score as `candidate.match` (`{ score, factors }`),
+ * or null when they have none.
+ * @param {Array} candidates - Candidate records.
+ * @returns {Promise<Array>} Candidates with `match` populated.
+ */
+export const attachMatchScores = async (candidates) => {
+  const scores = await getMatchScores(candidates.map((c) => c.id));
+  return candidates.map((candidate) => {
+    const row = scores.get(candidate.id);
+    return { ...candidate, match: row ? { score: row.score, factors: row.factors } : null };
+  });
+};
+
+/**
+ * Best-scoring candidates of a job, through the `[jobId+score]` index.
+ * @param {string} jobId
+ * @param {object} [options]
+ * @param {number} [options.limit=5] - Maximum number of candidates.
+ * @param {function} [options.filter] - Extra predicate on the candidate, e.g.
+ *   to skip candidates who left the pipeline.
+ * @returns {Promise<Array>} Candidates with `match` populated, best first.
+ */
+export const bestMatchesForJob = async (jobId, { limit = 5, filter = () => true } = {}) => {
+  await ensureMatchScores();
+  await flushPending();
+  const rows = await db.matchScores
+    .where('[jobId+score]')
+    .between([jobId, 0], [jobId, 100], true, true)
+    .reverse()
+    .toArray();
+  const candidates = await db.candidates.bulkGet(rows.map((row) => row.candidateId));
+  return rows
+    .map((row, i) => candidates[i] && { ...candidates[i], match: { score: row.score, factors: row.factors } })
+    .filter((candidate) => candidate && isActive(candidate) && candidate.jobId === jobId && filter(candidate))
+    .slice(0, limit);
+};
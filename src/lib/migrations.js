@@ -0,0 +1,267 @@
+/**
+ * Schema history for TalentFlowDB.
+ *
+ * Each entry describes one Dexie version: the index definitions that changed
+ * in that version and, optionally, per-table record migrations that run inside
+ * the Dexie upgrade transaction. Record migrations mutate the record in place
+ * (the shape Dexie's `Collection.modify` expects) so they can also be reused on
+ * plain objects.
+ *
+ * Never edit a released entry — append a new version instead.
+ */
+
+import { isValidRank, rankFromDate } from './ranking';
+
+const toIsoString = (value) => {
+  if (value === undefined || value === null || value === '') return undefined;
+  const date = value instanceof Date ? value : new Date(value);
+  return Number.isNaN(date.getTime()) ? undefined : date.toISOString();
+};
+
+/**
+ * Moves `from` onto `to` when `to` is not already set, then drops `from`.
+ * @param {object} record - The record to mutate.
+ * @param {string} from - Legacy field name.
+ * @param {string} to - Canonical field name.
+ */
+const renameField = (record, from, to) => {
+  if (!(from in record)) return;
+  if (record[to] === undefined || record[to] === null) {
+    record[to] = record[from];
+  }
+  delete record[from];
+};
+
+const toStringArray = (value) => {
+  if (Array.isArray(value)) return value.filter(Boolean).map(String);
+  if (typeof value === 'string') {
+    return value.split(',').map((item) => item.trim()).filter(Boolean);
+  }
+  return [];
+};
+
+/**
+ * v2: unify the field names that different writers used for the same data.
+ * Candidates: `appliedAt` → `appliedDate`, `lastUpdated` → `updatedAt`,
+ * `position` → `currentRole`. Timeline: numeric timestamps become ISO strings
+ * and `status_change` becomes `stage_change`.
+ */
+const normalizeCandidateFields = (candidate) => {
+  renameField(candidate, 'appliedAt', 'appliedDate');
+  renameField(candidate, 'lastUpdated', 'updatedAt');
+  renameField(candidate, 'position', 'currentRole');
+
+  candidate.appliedDate = toIsoString(candidate.appliedDate) || toIsoString(candidate.createdAt) || new Date().toISOString();
+  candidate.createdAt = toIsoString(candidate.createdAt) || candidate.appliedDate;
+  candidate.updatedAt = toIsoString(candidate.updatedAt) || candidate.createdAt;
+};
+
+const normalizeJobFields = (job) => {
+  renameField(job, 'lastUpdated', 'updatedAt');
+
+  job.createdAt = toIsoString(job.createdAt) || new Date().toISOString();
+  job.updatedAt = toIsoString(job.updatedAt) || job.createdAt;
+  job.tags = toStringArray(job.tags);
+};
+
+const normalizeTimelineFields = (event) => {
+  event.timestamp = toIsoString(event.timestamp) || new Date().toISOString();
+  if (event.type === 'status_change') {
+    event.type = 'stage_change';
+  }
+};
+
+/**
+ * v3: backfill the fields that used to be added ad hoc so every candidate
+ * carries them with a predictable type.
+ */
+const backfillCandidateFields = (candidate) => {
+  candidate.skills = toStringArray(candidate.skills);
+  candidate.tags = toStringArray(candidate.tags);
+  candidate.notes = typeof candidate.notes === 'string' ? candidate.notes : '';
+  candidate.source = candidate.source || 'Unknown';
+
+  const rating = Number(candidate.rating);
+  candidate.rating = candidate.rating === undefined || candidate.rating === null || Number.isNaN(rating)
+    ? null
+    : Math.min(5, Math.max(0, rating));
+};
+
+/**
+ * v7: start every job and candidate at version 1 for optimistic concurrency.
+ */
+const backfillVersion = (record) => {
+  if (!Number.isInteger(record.version) || record.version < 1) {
+    record.version = 1;
+  }
+};
+
+/**
+ * v8: jobs without a pipeline use the built-in default one.
+ */
+const backfillPipeline = (job) => {
+  if (!job.pipelineId) job.pipelineId = 'default';
+};
+
+/**
+ * v10: rank every candidate within its column, newest applicants first.
+ */
+const backfillRank = (candidate) => {
+  if (!isValidRank(candidate.rank)) candidate.rank = rankFromDate(candidate.appliedDate);
+};
+
+/**
+ * v13: stages of stored pipelines start without a scorecard.
+ */
+const backfillScorecard = (pipeline) => {
+  (pipeline.stages || []).forEach((stage) => {
+    if (!Array.isArray(stage.scorecard)) stage.scorecard = [];
+  });
+};
+
+export const MIGRATIONS = [
+  {
+    version: 1,
+    stores: {
+      jobs: 'id, slug, status, order',
+      candidates: 'id, email, stage, jobId',
+      timeline: 'id, candidateId, timestamp',
+      assessments: 'id, jobId, createdAt',
+      responses: 'id, assessmentId, candidateId, jobId',
+    },
+  },
+  {
+    version: 2,
+    stores: {
+      jobs: 'id, slug, status, order, updatedAt',
+      candidates: 'id, email, stage, jobId, appliedDate, updatedAt',
+    },
+    upgrade: {
+      jobs: normalizeJobFields,
+      candidates: normalizeCandidateFields,
+      timeline: normalizeTimelineFields,
+    },
+  },
+  {
+    version: 3,
+    stores: {
+      candidates: 'id, email, stage, jobId, appliedDate, updatedAt, source, *tags',
+    },
+    upgrade: {
+      candidates: backfillCandidateFields,
+    },
+  },
+  {
+    // v4: compound and multi-entry indexes for the candidate query layer
+    version: 4,
+    stores: {
+      candidates: 'id, email, stage, jobId, appliedDate, updatedAt, source, *tags, *skills, [jobId+stage], [stage+appliedDate]',
+    },
+  },
+  {
+    // v5: inverted full-text index, one posting per (document, term)
+    version: 5,
+    stores: {
+      searchIndex: '[docKey+term], docKey, [type+term]',
+    },
+  },
+  {
+    // v6: soft delete — index `deletedAt` so the trash and purge job can find deleted records
+    version: 6,
+    stores: {
+      jobs: 'id, slug, status, order, updatedAt, deletedAt',
+      candidates: 'id, email, stage, jobId, appliedDate, updatedAt, source, *tags, *skills, [jobId+stage], [stage+appliedDate], deletedAt',
+      assessments: 'id, jobId, createdAt, deletedAt',
+    },
+  },
+  {
+    version: 7,
+    stores: {},
+    upgrade: {
+      jobs: backfillVersion,
+      candidates: backfillVersion,
+    },
+  },
+  {
+    // v8: per-job hiring pipelines (see src/lib/pipelines.js)
+    version: 8,
+    stores: {
+      jobs: 'id, slug, status, order, updatedAt, deletedAt, pipelineId',
+      pipelines: 'id, name',
+    },
+    upgrade: {
+      jobs: backfillPipeline,
+    },
+  },
+  {
+    // v9: rejection reason taxonomy (see src/lib/rejections.js); rejected
+    // candidates carry a `rejection` record
+    version: 9,
+    stores: {
+      rejectionReasons: 'id',
+    },
+  },
+  {
+    // v10: fractional `rank` orders candidates within a kanban column (see src/lib/ranking.js)
+    version: 10,
+    stores: {},
+    upgrade: {
+      candidates: backfillRank,
+    },
+  },
+  {
+    // v11: candidate attachments, stored as Blobs (see src/lib/attachments.js)
+    version: 11,
+    stores: {
+      attachments: 'id, candidateId, checksum',
+    },
+  },
+  {
+    // v12: candidate-to-job match scores, derived from candidates and jobs (see src/lib/match-score.js)
+    version: 12,
+    stores: {
+      matchScores: 'candidateId, jobId, [jobId+score]',
+    },
+  },
+  {
+    // v13: interview scorecards, one per interviewer and stage (see src/lib/scorecards.js)
+    version: 13,
+    stores: {
+      scorecards: 'id, candidateId, [candidateId+stage]',
+    },
+    upgrade: {
+      pipelines: backfillScorecard,
+    },
+  },
+  {
+    // v14: scheduled interviews (see src/lib/interviews.js)
+    version: 14,
+    stores: {
+      interviews: 'id, candidateId, startsAt',
+    },
+  },
+  {
+    // v15: attachment `size` indexed so usage is summed without reading Blobs
+    version: 15,
+    stores: {
+      attachments: 'id, candidateId, checksum, size',
+    },
+  },
+];
+
+export const DB_SCHEMA_VERSION = MIGRATIONS[MIGRATIONS.length - 1].version;
+
+/**
+ * Runs every record migration newer than `fromVersion` for one table. Lets
+ * writers and importers produce the same shape the upgrade chain produces.
+ * @param {string} table - Table name, e.g. 'candidates'.
+ * @param {object} record - Record to migrate (mutated and returned).
+ * @param {number} [fromVersion=1] - Schema version the record was written with.
+ * @returns {object} The migrated record.
+ */
+export const migrateRecord = (table, record, fromVersion = 1) => {
+  MIGRATIONS
+    .filter(({ version, upgrade }) => version > fromVersion && upgrade?.[table])
+    .forEach(({ upgrade }) => upgrade[table](record));
+  return record;
+};
@@ -0,0 +1,293 @@
+import { z } from 'zod';
+import { db } from './db';
+import { isActive } from './trash';
+import { competencySchema, MAX_COMPETENCIES } from './scorecards';
+
+/**
+ * Hiring pipelines.
+ *
+ * A pipeline is an ordered list of stages; every job uses one (`pipelineId`)
+ * and its candidates' `stage` holds a stage id from it. The default pipeline
+ * is built in and only stored once someone edits it, so fresh and upgraded
+ * databases need no seeding.
+ */
+
+export const DEFAULT_PIPELINE_ID = 'default';
+
+/**
+ * Tailwind classes per stage color. Listed in full so Tailwind keeps them.
+ * `dot`: solid fill, `badge`: tinted label, `soft`: tinted row with border and
+ * hover, `accent`: left border stripe on cards.
+ */
+export const STAGE_COLORS = {
+  blue: {
+    dot: 'bg-blue-500',
+    badge: 'bg-blue-100 text-blue-800',
+    soft: 'bg-blue-50 text-blue-800 border-blue-200 hover:bg-blue-100',
+    accent: 'border-l-4 border-l-blue-500',
+  },
+  sky: {
+    dot: 'bg-sky-500',
+    badge: 'bg-sky-100 text-sky-800',
+    soft: 'bg-sky-50 text-sky-800 border-sky-200 hover:bg-sky-100',
+    accent: 'border-l-4 border-l-sky-500',
+  },
+  indigo: {
+    dot: 'bg-indigo-500',
+    badge: 'bg-indigo-100 text-indigo-800',
+    soft: 'bg-indigo-50 text-indigo-800 border-indigo-200 hover:bg-indigo-100',
+    accent: 'border-l-4 border-l-indigo-500',
+  },
+  purple: {
+    dot: 'bg-purple-500',
+    badge: 'bg-purple-100 text-purple-800',
+    soft: 'bg-purple-50 text-purple-800 border-purple-200 hover:bg-purple-100',
+    accent: 'border-l-4 border-l-purple-500',
+  },
+  pink: {
+    dot: 'bg-pink-500',
+    badge: 'bg-pink-100 text-pink-800',
+    soft: 'bg-pink-50 text-pink-800 border-pink-200 hover:bg-pink-100',
+    accent: 'border-l-4 border-l-pink-500',
+  },
+  amber: {
+    dot: 'bg-amber-500',
+    badge: 'bg-amber-100 text-amber-800',
+    soft: 'bg-amber-50 text-amber-800 border-amber-200 hover:bg-amber-100',
+    accent: 'border-l-4 border-l-amber-500',
+  },
+  orange: {
+    dot: 'bg-orange-500',
+    badge: 'bg-orange-100 text-orange-800',
+    soft: 'bg-orange-50 text-orange-800 border-orange-200 hover:bg-orange-100',
+    accent: 'border-l-4 border-l-orange-500',
+  },
+  teal: {
+    dot: 'bg-teal-500',
+    badge: 'bg-teal-100 text-teal-800',
+    soft: 'bg-teal-50 text-teal-800 border-teal-200 hover:bg-teal-100',
+    accent: 'border-l-4 border-l-teal-500',
+  },
+  green: {
+    dot: 'bg-green-500',
+    badge: 'bg-green-100 text-green-800',
+    soft: 'bg-green-50 text-green-800 border-green-200 hover:bg-green-100',
+    accent: 'border-l-4 border-l-green-500',
+  },
+  emerald: {
+    dot: 'bg-emerald-500',
+    badge: 'bg-emerald-100 text-emerald-800',
+    soft: 'bg-emerald-50 text-emerald-800 border-emerald-200 hover:bg-emerald-100',
+    accent: 'border-l-4 border-l-emerald-500',
+  },
+  red: {
+    dot: 'bg-red-500',
+    badge: 'bg-red-100 text-red-800',
+    soft: 'bg-red-50 text-red-800 border-red-200 hover:bg-red-100',
+    accent: 'border-l-4 border-l-red-500',
+  },
+  gray: {
+    dot: 'bg-gray-500',
+    badge: 'bg-gray-100 text-gray-800',
+    soft: 'bg-gray-50 text-gray-800 border-gray-200 hover:bg-gray-100',
+    accent: 'border-l-4 border-l-gray-500',
+  },
+};
+
+const SCREEN_SCORECARD = [
+  { id: 'communication', name: 'Communication' },
+  { id: 'motivation', name: 'Motivation' },
+  { id: 'role-fit', name: 'Role fit' },
+];
+
+const TECHNICAL_SCORECARD = [
+  { id: 'problem-solving', name: 'Problem solving' },
+  { id: 'technical-depth', name: 'Technical depth' },
+  { id: 'code-quality', name: 'Code quality' },
+  { id: 'collaboration', name: 'Collaboration' },
+];
+
+export const DEFAULT_PIPELINE = {
+  id: DEFAULT_PIPELINE_ID,
+  name: 'Standard hiring',
+  stages: [
+    { id: 'applied', name: 'Applied', color: 'blue', terminal: false, rejection: false, requiresAssessment: false, wipLimit: null, wipMode: 'warn', slaDays: 3, scorecard: [] },
+    { id: 'screen', name: 'Screening', color: 'purple', terminal: false, rejection: false, requiresAssessment: false, wipLimit: null, wipMode: 'warn', slaDays: 5, scorecard: SCREEN_SCORECARD },
+    { id: 'tech', name: 'Technical', color: 'amber', terminal: false, rejection: false, requiresAssessment: false, wipLimit: null, wipMode: 'warn', slaDays: 7, scorecard: TECHNICAL_SCORECARD },
+    { id: 'offer', name: 'Offer', color: 'green', terminal: false, rejection: false, requiresAssessment: true, wipLimit: null, wipMode: 'warn', slaDays: 5, scorecard: [] },
+    { id: 'hired', name: 'Hired', color: 'emerald', terminal: true, rejection: false, requiresAssessment: false, wipLimit: null, wipMode: 'warn', slaDays: null, scorecard: [] },
+    { id: 'rejected', name: 'Rejected', color: 'red', terminal: true, rejection: true, requiresAssessment: false, wipLimit: null, wipMode: 'warn', slaDays: null, scorecard: [] },
+  ],
+};
+
+const stageSchema = z
+  .object({
+    id: z.string().min(1).regex(/^[a-z0-9_-]+$/, 'Stage ids use lowercase letters, numbers, - and _'),
+    name: z.string().trim().min(1, 'Stage name is required').max(40),
+    color: z.enum(Object.keys(STAGE_COLORS)),
+    terminal: z.boolean().default(false),
+    rejection: z.boolean().default(false),
+    // Entering the stage needs a submitted assessment when the job has one
+    requiresAssessment: z.boolean().default(false),
+    // Most active candidates a job may hold in the stage; 'warn' allows going over, 'block' refuses
+    wipLimit: z.number().int().positive('WIP limits must be at least 1').nullable().default(null),
+    wipMode: z.enum(['warn', 'block']).default('warn'),
+    // Days a candidate may sit in the stage before their card is flagged as stale
+    slaDays: z.number().int().positive('SLA days must be at least 1').nullable().default(null),
+    // Competencies interviewers rate on the stage's scorecard, see src/lib/scorecards.js
+    scorecard: z.array(competencySchema).max(MAX_COMPETENCIES, `At most ${MAX_COMPETENCIES} competencies per scorecard`).default([]),
+  })
+  // Rejected candidates leave the pipeline, so a rejection stage is always terminal
+  .transform((stage) => ({ ...stage, terminal: stage.terminal || stage.rejection }));
+
+export const pipelineSchema = z
+  .object({
+    name: z.string().trim().min(1, 'Pipeline name is required').max(60),
+    stages: z.array(stageSchema).min(2, 'A pipeline needs at least two stages'),
+  })
+  .superRefine(({ stages }, ctx) => {
+    const seen = new Set();
+    stages.forEach((stage, index) => {
+      if (seen.has(stage.id)) {
+        ctx.addIssue({ code: z.ZodIssueCode.custom, message: `Duplicate stage id "${stage.id}"`, path: ['stages', index, 'id'] });
+      }
+      seen.add(stage.id);
+      const competencies = new Set();
+      stage.scorecard.forEach((competency, position) => {
+        if (competencies.has(competency.id)) {
+          ctx.addIssue({ code: z.ZodIssueCode.custom, message: `Duplicate competency "${competency.name}"`, path: ['stages', index, 'scorecard', position] });
+        }
+        competencies.add(competency.id);
+      });
+    });
+    if (stages.every((stage) => stage.terminal)) {
+      ctx.addIssue({ code: z.ZodIssueCode.custom, message: 'At least one stage must be open', path: ['stages'] });
+    }
+  });
+
+/**
+ * Derives a readable id from a pipeline or stage name, unique among `taken`.
+ * @param {string} name - Display name.
+ * @param {string[]} [taken] - Ids already in use.
+ * @param {string} [fallback='stage'] - Id used when the name has no usable characters.
+ * @returns {string}
+ */
+export const uniqueSlug = (name, taken = [], fallback = 'stage') => {
+  const base = name.toLowerCase().normalize('NFD').replace(/[\u0300-\u036f]/g, '')
+    .replace(/[^a-z0-9]+/g, '-').replace(/(^-|-$)/g, '') || fallback;
+  let id = base;
+  for (let n = 2; taken.includes(id); n += 1) id = `${base}-${n}`;
+  return id;
+};
+
+/**
+ * @param {object} stage - A stage definition.
+ * @returns {object} Color classes, see `STAGE_COLORS`.
+ */
+export const stageColors = (stage) => STAGE_COLORS[stage?.color] || STAGE_COLORS.gray;
+
+/**
+ * Looks up a stage, falling back to a neutral placeholder for ids the
+ * pipeline does not define (e.g. after a candidate moved between jobs).
+ * @param {object} pipeline - Pipeline definition.
+ * @param {string} stageId - Stage id.
+ * @returns {object} The stage definition.
+ */
+export const findStage = (pipeline, stageId) =>
+  pipeline?.stages.find((stage) => stage.id === stageId) ||
+  {
+    id: stageId,
+    name: stageId || 'Unknown',
+    color: 'gray',
+    terminal: false,
+    rejection: false,
+    requiresAssessment: false,
+    wipLimit: null,
+    wipMode: 'warn',
+    slaDays: null,
+    scorecard: [],
+  };
+
+/**
+ * @param {object} pipeline - Pipeline definition.
+ * @returns {string} The stage new candidates start in.
+ */
+export const initialStage = (pipeline) =>
+  (pipeline.stages.find((stage) => !stage.terminal) || pipeline.stages[0]).id;
+
+/**
+ * Combines the stages of several pipelines for views spanning many jobs.
+ * Stages are matched by id; each keeps the definition and position of the
+ * first pipeline that has it, with the default pipeline first.
+ * @param {object[]} pipelines - Pipeline definitions.
+ * @returns {object[]} Stages.
+ */
+export const mergeStages = (pipelines) => {
+  const ordered = [...pipelines].sort((a, b) =>
+    (b.id === DEFAULT_PIPELINE_ID) - (a.id === DEFAULT_PIPELINE_ID)
+  );
+  const merged = [];
+  ordered.forEach((pipeline) => {
+    pipeline.stages.forEach((stage, index) => {
+      if (merged.some(({ id }) => id === stage.id)) return;
+      // Place it after the stage that precedes it in its own pipeline
+      const previous = pipeline.stages[index - 1];
+      const at = previous ? merged.findIndex(({ id }) => id === previous.id) : -1;
+      // Otherwise open stages go first and terminal stages last
+      const insertAt = at !== -1 ? at + 1 : stage.terminal ? merged.length : 0;
+      merged.splice(insertAt, 0, stage);
+    });
+  });
+  return merged;
+};
+
+/**
+ * @returns {Promise<object[]>} All pipelines, the default one first.
+ */
+export const listPipelines = async () => {
+  const stored = await db.pipelines.toArray();
+  const pipelines = stored.some(({ id }) => id === DEFAULT_PIPELINE_ID) ? stored : [DEFAULT_PIPELINE, ...stored];
+  return pipelines.sort((a, b) =>
+    (b.id === DEFAULT_PIPELINE_ID) - (a.id === DEFAULT_PIPELINE_ID) || a.name.localeCompare(b.name)
+  );
+};
+
+/**
+ * @param {string} [pipelineId] - Pipeline id; missing ids resolve to the default.
+ * @returns {Promise<object>} The pipeline definition.
+ */
+export const getPipeline = async (pipelineId = DEFAULT_PIPELINE_ID) =>
+  (await db.pipelines.get(pipelineId || DEFAULT_PIPELINE_ID)) ||
+  (pipelineId && pipelineId !== DEFAULT_PIPELINE_ID ? getPipeline(DEFAULT_PIPELINE_ID) : DEFAULT_PIPELINE);
+
+/**
+ * @param {string} jobId - Job id.
+ * @returns {Promise<object>} The pipeline the job uses.
+ */
+export const getJobPipeline = async (jobId) => {
+  const job = jobId ? await db.jobs.get(jobId) : null;
+  return getPipeline(job?.pipelineId);
+};
+
+/**
+ * Counts active candidates per stage id across the jobs using a pipeline.
+ * Used to refuse removing stages that still hold candidates.
+ * @param {string} pipelineId - Pipeline id.
+ * @returns {Promise<object>} stage id → number of candidates.
+ */
+export const countCandidatesByStage = async (pipelineId) => {
+  const jobIds = await db.jobs
+    .filter((job) => (job.pipelineId || DEFAULT_PIPELINE_ID) === pipelineId)
+    .primaryKeys();
+  if (!jobIds.length) return {};
+  const candidates = await db.candidates.where('jobId').anyOf(jobIds).filter(isActive).toArray();
+  return candidates.reduce((counts, { stage }) => ({ ...counts, [stage]: (counts[stage] || 0) + 1 }), {});
+};
+
+/**
+ * Counts the active jobs that use a pipeline.
+ * @param {string} pipelineId - Pipeline id.
+ * @returns {Promise<number>}
+ */
+export const countJobsUsing = (pipelineId) =>
+  db.jobs.filter((job) => isActive(job) && (job.pipelineId || DEFAULT_PIPELINE_ID) === pipelineId).count();
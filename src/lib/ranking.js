@@ -0,0 +1,114 @@
+/**
+ * Fractional ranks for ordering candidates within a kanban column.
+ *
+ * A rank is a string of base-62 digits read as a fraction (`'V'` ≈ 0.5), so
+ * plain string comparison orders them and a rank can always be found between
+ * two others. Moving a card only rewrites that card's rank. Ranks never end in
+ * `'0'`, which keeps a gap below every rank.
+ *
+ * New candidates are ranked by applied date, newest first, which is the order
+ * the board showed before ranks existed; recruiters then drag to reprioritize.
+ */
+
+const DIGITS = '0123456789ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz';
+const BASE = DIGITS.length;
+
+// Width of date ranks; 62^9 exceeds the largest JS timestamp
+const DATE_RANK_WIDTH = 9;
+const MAX_TIMESTAMP = 8.64e15;
+
+const RANK_PATTERN = /^[0-9A-Za-z]*[1-9A-Za-z]$/;
+
+/**
+ * @param {*} rank
+ * @returns {boolean} True for a well-formed rank.
+ */
+export const isValidRank = (rank) => typeof rank === 'string' && RANK_PATTERN.test(rank);
+
+const encode = (value, width) => {
+  let digits = '';
+  for (let i = 0; i < width; i++) {
+    digits = DIGITS[value % BASE] + digits;
+    value = Math.floor(value / BASE);
+  }
+  return digits;
+};
+
+// Midpoint of two digit strings; `b` is null for "no upper bound"
+const midpoint = (a, b) => {
+  if (b !== null) {
+    // Skip the common prefix
+    let n = 0;
+    while ((a[n] || '0') === b[n]) n++;
+    if (n > 0) return b.slice(0, n) + midpoint(a.slice(n), b.slice(n));
+  }
+  const digitA = a ? DIGITS.indexOf(a[0]) : 0;
+  const digitB = b !== null ? DIGITS.indexOf(b[0]) : BASE;
+  if (digitB - digitA > 1) return DIGITS[Math.round((digitA + digitB) / 2)];
+  // The first digits are adjacent
+  if (b && b.length > 1) return b.slice(0, 1);
+  return DIGITS[digitA] + midpoint(a.slice(1), null);
+};
+
+/**
+ * A rank that sorts strictly between two others.
+ * @param {string|null} before - Rank of the card above, or null for the top.
+ * @param {string|null} after - Rank of the card below, or null for the bottom.
+ * @returns {string}
+ * @throws {RangeError} When `before` does not sort before `after`, e.g. two
+ *   cards share a rank; rebalance the column with `rankSequence` then.
+ */
+export const rankBetween = (before, after) => {
+  if ((before && !isValidRank(before)) || (after && !isValidRank(after))) {
+    throw new RangeError('Invalid rank');
+  }
+  if (before && after && before >= after) {
+    throw new RangeError(`No rank between ${before} and ${after}`);
+  }
+  return midpoint(before || '', after || null);
+};
+
+/**
+ * Evenly spaced ranks for `count` cards, used to rebalance a column.
+ * @param {number} count
+ * @returns {string[]} Ranks in ascending order.
+ */
+export const rankSequence = (count) => {
+  let width = 1;
+  // Leave at least BASE values between neighbours
+  while (BASE ** width < (count + 1) * BASE) width++;
+  const step = Math.floor(BASE ** width / (count + 1));
+  return Array.from({ length: count }, (_, i) => {
+    const value = (i + 1) * step;
+    // Step is at least BASE, so nudging off a trailing '0' keeps the order
+    return encode(value % BASE === 0 ? value + 1 : value, width);
+  });
+};
+
+/**
+ * Default rank of a candidate applied at `date`: later dates rank higher up.
+ * @param {string|Date} date
+ * @returns {string}
+ */
+export const rankFromDate = (date) => {
+  const time = new Date(date).getTime();
+  const value = MAX_TIMESTAMP - (Number.isNaN(time) ? 0 : time);
+  const rank = encode(value, DATE_RANK_WIDTH);
+  return rank.endsWith('0') ? `${rank}V` : rank;
+};
+
+/**
+ * @param {object} candidate
+ * @returns {string} The candidate's rank, or its default from the applied date.
+ */
+export const rankOf = (candidate) => candidate.rank || rankFromDate(candidate.appliedDate);
+
+/**
+ * Comparator ordering candidates by rank, then id for equal ranks.
+ */
+export const compareRank = (a, b) => {
+  const left = rankOf(a);
+  const right = rankOf(b);
+  if (left !== right) return left < right ? -1 : 1;
+  return String(a.id).localeCompare(String(b.id));
+};
@@ -0,0 +1,137 @@
+import { z } from 'zod';
+import { db } from './db';
+import { isActive } from './trash';
+import { findStage, listPipelines, DEFAULT_PIPELINE_ID } from './pipelines';
+
+/**
+ * Rejection reasons and the rejection report.
+ *
+ * Moving a candidate to a rejection stage records why on the candidate as
+ * `rejection`: `{ reasonId, reasonLabel, note, rejectedBy, rejectedAt,
+ * fromStage, fromStageName, jobId }`. Labels and stage names are copied at the
+ * time so the report still reads correctly after the taxonomy or pipeline
+ * changes. The built-in reasons are only stored once edited; reasons are
+ * archived rather than deleted so past rejections keep their reason.
+ */
+
+export const DEFAULT_REJECTION_REASONS = [
+  { id: 'skills-gap', label: 'Skills gap', order: 0, archived: false },
+  { id: 'experience', label: 'Not enough experience', order: 1, archived: false },
+  { id: 'compensation', label: 'Compensation mismatch', order: 2, archived: false },
+  { id: 'culture-fit', label: 'Team or culture fit', order: 3, archived: false },
+  { id: 'withdrew', label: 'Candidate withdrew', order: 4, archived: false },
+  { id: 'no-show', label: 'No-show', order: 5, archived: false },
+  { id: 'position-filled', label: 'Position filled', order: 6, archived: false },
+  { id: 'other', label: 'Other', order: 7, archived: false },
+];
+
+export const rejectionReasonSchema = z.object({
+  label: z.string().trim().min(1, 'Label is required').max(60),
+  archived: z.boolean().optional(),
+});
+
+// Body of a move to a rejection stage; `reasonId` is checked against the taxonomy separately
+export const rejectionInputSchema = z.object({
+  reasonId: z.string().min(1, 'Choose a reason'),
+  note: z.string().trim().max(1000).optional().default(''),
+  rejectedBy: z.string().trim().min(1, 'Say who rejected the candidate').max(100),
+});
+
+/**
+ * @param {object} [options]
+ * @param {boolean} [options.includeArchived=false] - Also return archived reasons.
+ * @returns {Promise<object[]>} Reasons in display order.
+ */
+export const listRejectionReasons = async ({ includeArchived = false } = {}) => {
+  const stored = new Map((await db.rejectionReasons.toArray()).map((reason) => [reason.id, reason]));
+  const reasons = [
+    ...DEFAULT_REJECTION_REASONS.map((reason) => stored.get(reason.id) || reason),
+    ...[...stored.values()].filter(({ id }) => !DEFAULT_REJECTION_REASONS.some((reason) => reason.id === id)),
+  ];
+  return reasons
+    .filter((reason) => includeArchived || !reason.archived)
+    .sort((a, b) => a.order - b.order || a.label.localeCompare(b.label));
+};
+
+/**
+ * Builds the `rejection` record stored on a candidate.
+ * @param {object} candidate - The candidate before the move.
+ * @param {object} pipeline - The job's pipeline.
+ * @param {object} reason - Reason from the taxonomy.
+ * @param {object} input - Validated `rejectionInputSchema` body.
+ * @returns {object}
+ */
+export const buildRejection = (candidate, pipeline, reason, { note, rejectedBy }) => ({
+  reasonId: reason.id,
+  reasonLabel: reason.label,
+  note: note || '',
+  rejectedBy,
+  rejectedAt: new Date().toISOString(),
+  fromStage: candidate.stage,
+  fromStageName: findStage(pipeline, candidate.stage).name,
+  jobId: candidate.jobId,
+});
+
+const countBy = (items, keyOf) =>
+  items.reduce((counts, item) => counts.set(keyOf(item), (counts.get(keyOf(item)) || 0) + 1), new Map());
+
+const toRows = (counts, total, describe) =>
+  [...counts.entries()]
+    .map(([key, count]) => ({ ...describe(key), count, share: total ? count / total : 0 }))
+    .sort((a, b) => b.count - a.count);
+
+/**
+ * Breaks rejections down by reason, by the stage candidates were rejected
+ * from, and by job. Trashed candidates are left out.
+ * @param {object} [filters]
+ * @param {string} [filters.jobId] - Only this job.
+ * @param {string} [filters.since] - ISO date; only rejections at or after it.
+ * @returns {Promise<object>} `{ total, byReason, byStage, byJob, recent }`; each
+ *   breakdown row has `count` and `share` (0–1).
+ */
+export const rejectionReport = async ({ jobId, since } = {}) => {
+  const [candidates, reasons, jobs, pipelines] = await Promise.all([
+    db.candidates.filter((candidate) => !!candidate.rejection && isActive(candidate)).toArray(),
+    listRejectionReasons({ includeArchived: true }),
+    db.jobs.toArray(),
+    listPipelines(),
+  ]);
+
+  const rejected = candidates.filter(
+    ({ rejection }) => (!jobId || rejection.jobId === jobId) && (!since || rejection.rejectedAt >= since)
+  );
+  const total = rejected.length;
+  const reasonsById = new Map(reasons.map((reason) => [reason.id, reason]));
+  const jobsById = new Map(jobs.map((job) => [job.id, job]));
+  const pipelinesById = new Map(pipelines.map((pipeline) => [pipeline.id, pipeline]));
+  const sample = (key, field) => rejected.find(({ rejection }) => rejection[field] === key)?.rejection;
+
+  return {
+    total,
+    byReason: toRows(countBy(rejected, ({ rejection }) => rejection.reasonId), total, (reasonId) => ({
+      reasonId,
+      label: reasonsById.get(reasonId)?.label || sample(reasonId, 'reasonId').reasonLabel,
+    })),
+    byStage: toRows(countBy(rejected, ({ rejection }) => rejection.fromStage), total, (stageId) => {
+      // Prefer the current name from the job's pipeline, else the name at the time
+      const { jobId: stageJobId, fromStageName } = sample(stageId, 'fromStage');
+      const pipeline = pipelinesById.get(jobsById.get(stageJobId)?.pipelineId || DEFAULT_PIPELINE_ID);
+      const stage = pipeline?.stages.find(({ id }) => id === stageId);
+      return { stageId, name: stage?.name || fromStageName || stageId };
+    }),
+    byJob: toRows(countBy(rejected, ({ rejection }) => rejection.jobId), total, (id) => ({
+      jobId: id,
+      title: jobsById.get(id)?.title || 'Unknown job',
+    })),
+    recent: rejected
+      .sort((a, b) => b.rejection.rejectedAt.localeCompare(a.rejection.rejectedAt))
+      .slice(0, 10)
+      .map(({ id, name, rejection }) => ({
+        candidateId: id,
+        name,
+        ...rejection,
+        reasonLabel: reasonsById.get(rejection.reasonId)?.label || rejection.reasonLabel,
+        jobTitle: jobsById.get(rejection.jobId)?.title || 'Unknown job',
+      })),
+  };
+};
@@ -0,0 +1,188 @@
+import { findSkills } from './skills';
+import { normalizeEmail, normalizePhone } from './duplicates';
+
+/**
+ * Proposes candidate fields from the text of a resume (see
+ * `extractDocumentText` in `./document-text.js`).
+ *
+ * Every proposal carries the snippet of the resume it came from, so the review
+ * screen can show why a value was picked. Nothing is written here: the
+ * recruiter accepts proposals one by one and the candidate is updated through
+ * `PATCH /api/candidates/:id`.
+ */
+
+// Fields the parser proposes, in review order
+export const RESUME_FIELDS = [
+  { key: 'name', label: 'Name' },
+  { key: 'email', label: 'Email' },
+  { key: 'phone', label: 'Phone' },
+  { key: 'location', label: 'Location' },
+  { key: 'skills', label: 'Skills' },
+  { key: 'education', label: 'Education' },
+  { key: 'experience', label: 'Years of experience' },
+];
+
+// Lines at the top of a resume that hold the name and contact details
+const HEADER_LINES = 12;
+
+const EMAIL = /[\w.+-]+@[\w-]+(?:\.[\w-]+)+/;
+const PHONE = /(?:\+\d{1,3}[\s.-]?)?(?:\(\d{1,4}\)[\s.-]?)?\d[\d\s.-]{5,}\d(?:\s*(?:x|ext\.?)\s*\d+)?/;
+const URL = /\b(?:https?:\/\/|www\.)\S+|\b[\w-]+\.(?:com|io|dev|net|org)\/\S*/i;
+
+// Headings that start a resume section, lowercased without punctuation
+const SECTION_HEADINGS = {
+  experience: ['experience', 'work experience', 'professional experience', 'employment', 'employment history', 'work history', 'career history'],
+  education: ['education', 'education and training', 'academic background', 'qualifications'],
+  other: ['skills', 'technical skills', 'summary', 'profile', 'about me', 'projects', 'certifications', 'languages', 'interests', 'references', 'awards', 'publications', 'contact'],
+};
+
+const DEGREE = /\b(?:Ph\.?\s?D|Doctor(?:ate)?|M\.?\s?Sc|M\.?\s?S\.?|M\.?\s?A\.?|MBA|M\.?\s?Eng|Master(?:'s)?|B\.?\s?Sc|B\.?\s?S\.?|B\.?\s?A\.?|B\.?\s?Eng|B\.?\s?Tech|Bachelor(?:'s)?|Associate(?:'s)?|Diploma)\b/;
+
+const MONTHS = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+const DATE = String.raw`(?:(?:${MONTHS.join('|')})[a-z]*\.?\s+|\d{1,2}[/.-])?(?:19|20)\d{2}`;
+const DATE_RANGE = String.raw`(${DATE})\s*(?:-|–|—|to|until)\s*(${DATE}|present|current|now|today)`;
+const HAS_DATE_RANGE = new RegExp(DATE_RANGE, 'i');
+
+const headingOf = (line) => {
+  const key = line.toLowerCase().replace(/[^a-z ]/g, '').trim();
+  if (!key || line.length > 40) return null;
+  return Object.keys(SECTION_HEADINGS).find((section) => SECTION_HEADINGS[section].includes(key)) || null;
+};
+
+/**
+ * Splits the resume into its header (before the first heading) and sections.
+ * @returns {{ header: string[], sections: Record<string, string[]> }}
+ */
+const splitSections = (lines) => {
+  const sections = { experience: [], education: [], other: [] };
+  const header = [];
+  let current = null;
+  lines.forEach((line) => {
+    const heading = headingOf(line);
+    if (heading) current = heading;
+    else if (current) sections[current].push(line);
+    else header.push(line);
+  });
+  return { header, sections };
+};
+
+// Pieces of a contact line such as "Jane Doe | jane@x.io | Berlin, Germany"
+const segmentsOf = (lines) => lines.flatMap((line) => line.split(/\s*[|•·]\s*/)).map((part) => part.trim()).filter(Boolean);
+
+const titleCase = (text) =>
+  text.toLowerCase().replace(/(^|[\s'-])(\p{L})/gu, (_, before, letter) => before + letter.toUpperCase());
+
+const proposeName = (header) => {
+  const line = header.slice(0, 4).find((candidate) => {
+    const words = candidate.split(/\s+/);
+    return words.length >= 2 && words.length <= 4 && words.every((word) => /^\p{L}[\p{L}'.-]*$/u.test(word)) && !headingOf(candidate);
+  });
+  if (!line) return null;
+  // All-caps names are common in resume headers
+  return { value: line === line.toUpperCase() ? titleCase(line) : line, source: line };
+};
+
+const proposeEmail = (text) => {
+  const match = text.match(EMAIL);
+  return match && normalizeEmail(match[0]) ? { value: match[0].toLowerCase(), source: match[0] } : null;
+};
+
+const proposePhone = (segments) => {
+  for (const segment of segments) {
+    if (EMAIL.test(segment)) continue;
+    const match = segment.replace(/^(?:phone|tel|mobile|cell)\s*:?\s*/i, '').match(PHONE);
+    // Year ranges such as "2019 - 2023" look like numbers too
+    if (match && normalizePhone(match[0]) && !HAS_DATE_RANGE.test(match[0])) {
+      return { value: match[0].trim(), source: segment };
+    }
+  }
+  return null;
+};
+
+const LOCATION = /^(?:location|address|based in)\s*:?\s*|^/i;
+
+const proposeLocation = (segments, name) => {
+  for (const segment of segments) {
+    const value = segment.replace(LOCATION, '').trim();
+    if (value === name || EMAIL.test(value) || URL.test(value) || /\d{3}/.test(value)) continue;
+    // "City, Country" or "City, ST"
+    if (/^\p{Lu}[\p{L}.' -]+,\s*\p{Lu}[\p{L}.' -]+$/u.test(value) && value.length <= 60) {
+      return { value, source: segment };
+    }
+  }
+  return null;
+};
+
+const proposeSkills = (text, current = []) => {
+  const found = findSkills(text);
+  if (!found.length) return null;
+  const skills = [...new Set([...current, ...found.map(({ skill }) => skill)])];
+  return { value: skills, source: found.map(({ match }) => match).join(', '), found: found.map(({ skill }) => skill) };
+};
+
+const proposeEducation = (sections, lines) => {
+  const pool = sections.education.length ? sections.education : lines;
+  const index = pool.findIndex((line) => DEGREE.test(line));
+  if (index === -1) return null;
+  const degree = pool[index];
+  // The school is usually on the degree's line or the next one
+  const school = /,| at | - | – /.test(degree) ? '' : pool[index + 1] || '';
+  const value = [degree, school].filter((part) => part && !HAS_DATE_RANGE.test(part)).join(', ');
+  return { value: value.slice(0, 200), source: [degree, school].filter(Boolean).join('\n') };
+};
+
+const monthIndex = (date, isEnd, now) => {
+  if (/present|current|now|today/i.test(date)) return now.getFullYear() * 12 + now.getMonth();
+  const year = Number(date.match(/(?:19|20)\d{2}/)[0]);
+  const month = MONTHS.findIndex((name) => date.toLowerCase().startsWith(name));
+  const numeric = date.match(/^(\d{1,2})[/.-]/);
+  if (month !== -1) return year * 12 + month;
+  if (numeric) return year * 12 + Math.min(11, Number(numeric[1]) - 1);
+  // A bare year covers the whole year
+  return year * 12 + (isEnd ? 11 : 0);
+};
+
+const proposeExperience = (text, sections, now) => {
+  const stated = text.match(/(\d{1,2})\+?\s*(?:years|yrs)(?:\s+of)?\s+(?:\w+\s+){0,3}experience/i);
+  if (stated) return { value: Number(stated[1]), source: stated[0] };
+
+  // Otherwise add up the date ranges of the experience section, counting overlaps once
+  const ranges = [...sections.experience.join('\n').matchAll(new RegExp(DATE_RANGE, 'gi'))]
+    .map((match) => ({ start: monthIndex(match[1], false, now), end: monthIndex(match[2], true, now) + 1, source: match[0] }))
+    .filter(({ start, end }) => end > start)
+    .sort((a, b) => a.start - b.start);
+  if (!ranges.length) return null;
+  let months = 0;
+  let coveredUntil = -Infinity;
+  ranges.forEach(({ start, end }) => {
+    months += Math.max(0, end - Math.max(start, coveredUntil));
+    coveredUntil = Math.max(coveredUntil, end);
+  });
+  return { value: Math.floor(months / 12), source: ranges.map(({ source }) => source).join('\n') };
+};
+
+/**
+ * @param {string} text - Resume text, one line per line.
+ * @param {object} [candidate] - Current candidate; found skills are added to theirs.
+ * @param {object} [options]
+ * @param {Date} [options.now] - Date "present" stands for.
+ * @returns {Record<string, { value: *, source: string, found?: string[] }>}
+ *   Proposals per `RESUME_FIELDS` key; fields nothing was found for are left out.
+ */
+export const parseResume = (text, candidate = {}, { now = new Date() } = {}) => {
+  const lines = text.split('\n').map((line) => line.trim()).filter(Boolean);
+  const { header, sections } = splitSections(lines);
+  const top = segmentsOf((header.length ? header : lines).slice(0, HEADER_LINES));
+
+  const name = proposeName(header.length ? header : lines);
+  const proposals = {
+    name,
+    email: proposeEmail(text),
+    phone: proposePhone(top),
+    location: proposeLocation(top, name?.value),
+    skills: proposeSkills(text, candidate.skills),
+    education: proposeEducation(sections, lines),
+    experience: proposeExperience(text, sections, now),
+  };
+  return Object.fromEntries(Object.entries(proposals).filter(([, proposal]) => proposal));
+};
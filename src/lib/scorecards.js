@@ -0,0 +1,177 @@
+import { z } from 'zod';
+
+/**
+ * Structured interview feedback.
+ *
+ * Each pipeline stage can define a scorecard: the competencies interviewers
+ * rate from 1 to 5 (`stage.scorecard`, see `./pipelines.js`). Requesting
+ * feedback for a candidate creates one pending scorecard per interviewer in
+ * the `scorecards` table, with the stage's competencies copied in so later
+ * pipeline edits do not change what was asked. The interviewer submits
+ * ratings, evidence per competency and a hire/no-hire recommendation;
+ * submitted scorecards are final.
+ *
+ * Submission is blind: while an interviewer still owes a scorecard for a
+ * stage, the other scorecards of that stage are returned without their
+ * contents, see `redactScorecards`. So are those of any stage with pending
+ * scorecards when the viewer is unknown, since they might owe one. Everyone
+ * else sees all of them.
+ */
+
+export const RATINGS = [
+  { value: 1, label: 'Poor' },
+  { value: 2, label: 'Weak' },
+  { value: 3, label: 'Meets the bar' },
+  { value: 4, label: 'Strong' },
+  { value: 5, label: 'Exceptional' },
+];
+
+export const RECOMMENDATIONS = [
+  { value: 'strong_hire', label: 'Strong hire', hire: true },
+  { value: 'hire', label: 'Hire', hire: true },
+  { value: 'no_hire', label: 'No hire', hire: false },
+  { value: 'strong_no_hire', label: 'Strong no hire', hire: false },
+];
+
+export const MAX_COMPETENCIES = 10;
+
+// Most interviewers one request may name
+export const MAX_INTERVIEWERS = 10;
+
+const MAX_EVIDENCE_LENGTH = 2000;
+
+// Interviewer names match ignoring case and surrounding spaces
+export const sameName = (a, b) => a.trim().toLowerCase() === b.trim().toLowerCase();
+
+export const competencySchema = z.object({
+  id: z.string().min(1).regex(/^[a-z0-9_-]+$/, 'Competency ids use lowercase letters, numbers, - and _'),
+  name: z.string().trim().min(1, 'Competency name is required').max(60),
+});
+
+export const scorecardRequestSchema = z.object({
+  stage: z.string().min(1, 'Stage is required'),
+  interviewers: z
+    .array(z.string().trim().min(1).max(80))
+    .min(1, 'Name at least one interviewer')
+    .max(MAX_INTERVIEWERS, `At most ${MAX_INTERVIEWERS} interviewers at a time`)
+    .transform((names) =>
+      names.filter((name, index) => names.findIndex((other) => sameName(other, name)) === index)
+    ),
+});
+
+/**
+ * Validates a submission against the competencies of the scorecard: every
+ * competency needs a rating, evidence is optional.
+ * @param {Array<{ id: string, name: string }>} competencies
+ * @returns {z.ZodType}
+ */
+export const scorecardSubmissionSchema = (competencies) =>
+  z.object({
+    interviewer: z.string().trim().min(1, 'Interviewer is required'),
+    ratings: z.object(
+      Object.fromEntries(
+        competencies.map(({ id, name }) => [
+          id,
+          z.number({ required_error: `Rate ${name}`, invalid_type_error: `Rate ${name}` })
+            .int()
+            .min(1, `Rate ${name} from 1 to 5`)
+            .max(5, `Rate ${name} from 1 to 5`),
+        ])
+      )
+    ),
+    evidence: z
+      .record(z.string().trim().max(MAX_EVIDENCE_LENGTH, `Evidence is limited to ${MAX_EVIDENCE_LENGTH} characters`))
+      .default({})
+      .transform((evidence) =>
+        Object.fromEntries(competencies.filter(({ id }) => evidence[id]).map(({ id }) => [id, evidence[id]]))
+      ),
+    recommendation: z.enum(RECOMMENDATIONS.map(({ value }) => value), {
+      errorMap: () => ({ message: 'Pick a recommendation' }),
+    }),
+  });
+
+/**
+ * @param {string} value - A `RECOMMENDATIONS` value.
+ * @returns {object|undefined} Its definition.
+ */
+export const findRecommendation = (value) => RECOMMENDATIONS.find((recommendation) => recommendation.value === value);
+
+/**
+ * Hides what other interviewers wrote in the stages `viewer` still owes a
+ * scorecard for, or in every stage with pending scorecards when there is no
+ * viewer. Hidden scorecards keep who wrote them and when, and carry
+ * `hidden: true`.
+ * @param {object[]} scorecards - A candidate's scorecards.
+ * @param {string} [viewer] - Name of the person looking.
+ * @returns {object[]}
+ */
+export const redactScorecards = (scorecards, viewer = '') => {
+  const owing = new Set(
+    scorecards
+      .filter((scorecard) => scorecard.status === 'pending' && (!viewer.trim() || sameName(scorecard.interviewer, viewer)))
+      .map((scorecard) => scorecard.stage)
+  );
+  return scorecards.map((scorecard) => {
+    if (!owing.has(scorecard.stage) || scorecard.status !== 'submitted' || sameName(scorecard.interviewer, viewer)) {
+      return scorecard;
+    }
+    const { ratings, evidence, recommendation, ...visible } = scorecard;
+    return { ...visible, hidden: true };
+  });
+};
+
+const average = (values) =>
+  values.length ? Math.round((values.reduce((sum, value) => sum + value, 0) / values.length) * 10) / 10 : null;
+
+const tally = (scorecards) =>
+  Object.fromEntries(
+    RECOMMENDATIONS.map(({ value }) => [value, scorecards.filter((scorecard) => scorecard.recommendation === value).length])
+  );
+
+/**
+ * Aggregates the visible submitted scorecards per stage and overall.
+ * @param {object[]} scorecards - Scorecards, already passed through `redactScorecards`.
+ * @returns {{
+ *   average: number|null,
+ *   recommendations: Record<string, number>,
+ *   submitted: number,
+ *   pending: number,
+ *   stages: Array<{ stage: string, average: number|null, submitted: number, pending: number, hidden: number,
+ *     recommendations: Record<string, number>, competencies: Array<{ id: string, name: string, average: number|null, count: number }> }>
+ * }} Averages are on the 1–5 scale, rounded to one decimal.
+ */
+export const aggregateScorecards = (scorecards) => {
+  const visible = scorecards.filter((scorecard) => scorecard.status === 'submitted' && !scorecard.hidden);
+  const stageIds = [...new Set(scorecards.map((scorecard) => scorecard.stage))];
+
+  const stages = stageIds.map((stage) => {
+    const ofStage = scorecards.filter((scorecard) => scorecard.stage === stage);
+    const shown = visible.filter((scorecard) => scorecard.stage === stage);
+    const competencies = [];
+    ofStage.forEach((scorecard) =>
+      scorecard.competencies.forEach((competency) => {
+        if (!competencies.some(({ id }) => id === competency.id)) competencies.push(competency);
+      })
+    );
+    return {
+      stage,
+      average: average(shown.flatMap((scorecard) => Object.values(scorecard.ratings))),
+      submitted: ofStage.filter((scorecard) => scorecard.status === 'submitted').length,
+      pending: ofStage.filter((scorecard) => scorecard.status === 'pending').length,
+      hidden: ofStage.filter((scorecard) => scorecard.hidden).length,
+      recommendations: tally(shown),
+      competencies: competencies.map(({ id, name }) => {
+        const ratings = shown.map((scorecard) => scorecard.ratings[id]).filter((rating) => rating !== undefined);
+        return { id, name, average: average(ratings), count: ratings.length };
+      }),
+    };
+  });
+
+  return {
+    average: average(visible.flatMap((scorecard) => Object.values(scorecard.ratings))),
+    recommendations: tally(visible),
+    submitted: scorecards.filter((scorecard) => scorecard.status === 'submitted').length,
+    pending: scorecards.filter((scorecard) => scorecard.status === 'pending').length,
+    stages,
+  };
+};
@@ -0,0 +1,288 @@
+import { db } from './db';
+
+/**
+ * Full-text search over candidates and jobs.
+ *
+ * Documents are tokenized into an inverted index stored in the `searchIndex`
+ * table: one posting per (document, term) carrying the summed weight of the
+ * fields the term appeared in. Dexie hooks queue changed documents and the
+ * postings are rewritten once the writing transaction commits, so the index
+ * is maintained incrementally without a full rebuild.
+ */
+
+// Searchable fields per document type and how strongly a match counts
+const FIELD_WEIGHTS = {
+  candidate: { name: 5, email: 4, skills: 3, currentRole: 2, notes: 1 },
+  job: { title: 5, tags: 2, description: 1 },
+};
+
+const TABLES = { candidate: 'candidates', job: 'jobs' };
+
+const MATCH_FACTORS = { exact: 1, prefix: 0.5, fuzzy: 0.3 };
+
+// Query terms shorter than this are matched by prefix only
+const FUZZY_MIN_LENGTH = 4;
+
+const REBUILD_BATCH_SIZE = 500;
+
+const STOP_WORDS = new Set([
+  'an', 'and', 'are', 'as', 'at', 'be', 'by', 'for', 'from', 'in', 'is', 'it',
+  'of', 'on', 'or', 'our', 'the', 'to', 'we', 'will', 'with', 'you', 'your',
+]);
+
+/**
+ * Splits text into lowercase, accent-free terms. Keeps '+' and '#' so skills
+ * like C++ and C# stay distinct.
+ * @param {string} text - Text to tokenize.
+ * @param {object} [options]
+ * @param {number} [options.minLength=2] - Drop terms shorter than this.
+ * @param {boolean} [options.stopWords=true] - Drop common English stop words.
+ * @returns {string[]} Terms in order of appearance.
+ */
+export const tokenize = (text, { minLength = 2, stopWords = true } = {}) => {
+  if (text === undefined || text === null) return [];
+  return String(text)
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .split(/[^a-z0-9+#]+/)
+    .filter((term) => term.length >= minLength && !(stopWords && STOP_WORDS.has(term)));
+};
+
+/**
+ * Optimal string alignment distance, abandoning early once `max` is exceeded.
+ * @returns {number} The distance, or `max + 1` when it is larger than `max`.
+ */
+export const editDistance = (a, b, max) => {
+  if (Math.abs(a.length - b.length) > max) return max + 1;
+  let beforePrevious = null;
+  let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    let rowMin = i;
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      let value = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+      if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        value = Math.min(value, beforePrevious[j - 2] + 1);
+      }
+      current[j] = value;
+      rowMin = Math.min(rowMin, value);
+    }
+    if (rowMin > max) return max + 1;
+    beforePrevious = previous;
+    previous = current;
+  }
+  return previous[b.length];
+};
+
+const docKeyFor = (type, id) => `${type}:${id}`;
+
+const buildPostings = (type, doc) => {
+  const weights = new Map();
+  Object.entries(FIELD_WEIGHTS[type]).forEach(([field, weight]) => {
+    const value = Array.isArray(doc[field]) ? doc[field].join(' ') : doc[field];
+    new Set(tokenize(value)).forEach((term) => {
+      weights.set(term, (weights.get(term) || 0) + weight);
+    });
+  });
+  const docKey = docKeyFor(type, doc.id);
+  return [...weights].map(([term, weight]) => ({ docKey, type, docId: doc.id, term, weight }));
+};
+
+/**
+ * Rewrites the postings for the given documents; missing documents are
+ * removed from the index.
+ */
+const indexDocuments = async (type, ids) => {
+  const docs = await db.table(TABLES[type]).bulkGet(ids);
+  const postings = docs.filter(Boolean).flatMap((doc) => buildPostings(type, doc));
+  await db.transaction('rw', db.searchIndex, async () => {
+    await db.searchIndex.where('docKey').anyOf(ids.map((id) => docKeyFor(type, id))).delete();
+    await db.searchIndex.bulkPut(postings);
+  });
+};
+
+const pending = { candidate: new Set(), job: new Set() };
+let flushTimer = null;
+let flushChain = Promise.resolve();
+
+/**
+ * Writes every queued document to the index. Flushes are chained so postings
+ * for the same document are never written concurrently.
+ * @returns {Promise<void>} Resolves once all queued documents are indexed.
+ */
+const flushPending = () => {
+  clearTimeout(flushTimer);
+  flushTimer = null;
+
+  const batches = Object.entries(pending)
+    .filter(([, ids]) => ids.size)
+    .map(([type, ids]) => {
+      const batch = [type, [...ids]];
+      ids.clear();
+      return batch;
+    });
+
+  if (batches.length) {
+    flushChain = flushChain
+      .then(() => Promise.all(batches.map(([type, ids]) => indexDocuments(type, ids))))
+      .catch((error) => console.error('Failed to update search index:', error));
+  }
+  return flushChain;
+};
+
+const queueReindex = (type, id) => {
+  pending[type].add(id);
+  if (!flushTimer) flushTimer = setTimeout(flushPending, 0);
+};
+
+// Keep the index in step with writes to the indexed tables
+Object.entries(TABLES).forEach(([type, table]) => {
+  const afterCommit = (id, transaction) => {
+    transaction.on('complete', () => queueReindex(type, id));
+  };
+
+  db.table(table).hook('creating', (primKey, obj, transaction) => {
+    afterCommit(primKey ?? obj.id, transaction);
+  });
+  db.table(table).hook('updating', (modifications, primKey, obj, transaction) => {
+    const touchesIndexedField = Object.keys(modifications).some(
+      (keyPath) => keyPath.split('.')[0] in FIELD_WEIGHTS[type]
+    );
+    if (touchesIndexedField) afterCommit(primKey, transaction);
+  });
+  db.table(table).hook('deleting', (primKey, obj, transaction) => {
+    afterCommit(primKey, transaction);
+  });
+});
+
+/**
+ * Drops and rebuilds the whole index from the candidates and jobs tables.
+ * @returns {Promise<void>}
+ */
+export const rebuildSearchIndex = async () => {
+  await db.searchIndex.clear();
+  for (const [type, table] of Object.entries(TABLES)) {
+    const ids = await db.table(table).toCollection().primaryKeys();
+    for (let i = 0; i < ids.length; i += REBUILD_BATCH_SIZE) {
+      await indexDocuments(type, ids.slice(i, i + REBUILD_BATCH_SIZE));
+    }
+  }
+};
+
+let ensurePromise = null;
+
+/**
+ * Builds the index once if it is empty while there is data to index, e.g.
+ * right after upgrading from a schema version without a search index.
+ * @returns {Promise<void>}
+ */
+export const ensureSearchIndex = () => {
+  if (!ensurePromise) {
+    ensurePromise = (async () => {
+      const [postings, candidates, jobs] = await Promise.all([
+        db.searchIndex.count(),
+        db.candidates.count(),
+        db.jobs.count(),
+      ]);
+      if (postings === 0 && candidates + jobs > 0) {
+        await rebuildSearchIndex();
+      }
+    })().catch((error) => {
+      ensurePromise = null;
+      throw error;
+    });
+  }
+  return ensurePromise;
+};
+
+const termRange = (type, prefix) =>
+  db.searchIndex.where('[type+term]').between([type, prefix], [type, `${prefix}\uffff`], true, true);
+
+/**
+ * Scores every document matching one query term: exact and prefix matches
+ * through the `[type+term]` index, then typo-tolerant matches against terms
+ * sharing the first letter.
+ * @returns {Promise<Map>} Document id → best score for this term.
+ */
+const scoreTerm = async (type, term) => {
+  const scores = new Map();
+  const addPosting = (posting, factor) => {
+    const score = posting.weight * factor;
+    if (score > (scores.get(posting.docId) || 0)) scores.set(posting.docId, score);
+  };
+
+  const prefixHits = await termRange(type, term).toArray();
+  prefixHits.forEach((posting) =>
+    addPosting(posting, posting.term === term ? MATCH_FACTORS.exact : MATCH_FACTORS.prefix)
+  );
+
+  if (term.length >= FUZZY_MIN_LENGTH) {
+    const maxDistance = term.length >= 8 ? 2 : 1;
+    const vocabulary = await termRange(type, term[0]).uniqueKeys();
+    const fuzzyTerms = vocabulary
+      .map(([, candidateTerm]) => candidateTerm)
+      .filter((candidateTerm) =>
+        !candidateTerm.startsWith(term) &&
+        (editDistance(term, candidateTerm, maxDistance) <= maxDistance ||
+          editDistance(term, candidateTerm.slice(0, term.length), maxDistance) <= maxDistance)
+      );
+    if (fuzzyTerms.length) {
+      const fuzzyHits = await db.searchIndex
+        .where('[type+term]')
+        .anyOf(fuzzyTerms.map((fuzzyTerm) => [type, fuzzyTerm]))
+        .toArray();
+      fuzzyHits.forEach((posting) => addPosting(posting, MATCH_FACTORS.fuzzy));
+    }
+  }
+
+  return scores;
+};
+
+/**
+ * Ranked full-text search. Every query term must match (exactly, by prefix or
+ * within a small edit distance); a document's score is the sum of its best
+ * weighted match per term. Stop words in the query are ignored like in the
+ * index, unless the query is made of nothing else.
+ *
+ * @param {string} query - Free-text query.
+ * @param {object} [options]
+ * @param {Array<'candidate' | 'job'>} [options.types] - Document types to search.
+ * @param {number} [options.limit] - Maximum number of results.
+ * @returns {Promise<Array<{ type: string, id: string, score: number }>>} Results, best first.
+ */
+export const searchDocuments = async (query, { types = Object.keys(TABLES), limit } = {}) => {
+  // Stop words are not indexed, so they are dropped from queries too unless
+  // nothing else is left
+  const meaningful = tokenize(query, { minLength: 1 });
+  const terms = [...new Set(meaningful.length ? meaningful : tokenize(query, { minLength: 1, stopWords: false }))];
+  if (!terms.length) return [];
+
+  await ensureSearchIndex();
+  await flushPending();
+
+  const results = [];
+  for (const type of types) {
+    const [first, ...rest] = await Promise.all(terms.map((term) => scoreTerm(type, term)));
+    first.forEach((score, id) => {
+      if (rest.every((scores) => scores.has(id))) {
+        results.push({ type, id, score: rest.reduce((sum, scores) => sum + scores.get(id), score) });
+      }
+    });
+  }
+
+  results.sort((a, b) => b.score - a.score);
+  return limit ? results.slice(0, limit) : results;
+};
+
+/**
+ * Convenience wrapper returning matches for a single document type.
+ * @param {string} query - Free-text query.
+ * @param {'candidate' | 'job'} type - Document type.
+ * @returns {Promise<Map>} Document id → score, best first.
+ */
+export const searchScores = async (query, type) => {
+  const results = await searchDocuments(query, { types: [type] });
+  return new Map(results.map(({ id, score }) => [id, score]));
+};
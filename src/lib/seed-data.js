@@ -1,4 +1,5 @@
 import { db } from './db';
+import { DEFAULT_PIPELINE, DEFAULT_PIPELINE_ID } from './pipelines';
 
 // Custom faker replacement using native JavaScript methods
 const faker = {
@@ -197,7 +198,7 @@ const JOB_TITLES = [
   'People Operations Manager',
 ];
 
-const STAGES = ['applied', 'screen', 'tech', 'offer', 'hired', 'rejected'];
+const STAGES = DEFAULT_PIPELINE.stages.map((stage) => stage.id);
 
 const EVENT_DESCRIPTIONS = {
   stage_change: [
@@ -271,6 +272,7 @@ export const generateJobs = (count) => {
       title: jobTitle,
       slug,
       status: Math.random() > 0.25 ? 'active' : 'archived',
+      pipelineId: DEFAULT_PIPELINE_ID,
       tags: faker.helpers.arrayElements(
         [
           'Remote',
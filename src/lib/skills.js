@@ -0,0 +1,51 @@
+/**
+ * Skill vocabulary shared by the seeders and the resume parser.
+ */
+
+export const SKILLS = [
+  'React', 'Node.js', 'TypeScript', 'Python', 'AWS', 'Docker', 'Kubernetes',
+  'GraphQL', 'PostgreSQL', 'MongoDB', 'Redis', 'Kafka', 'Terraform', 'Go',
+  'Java', 'Spring Boot', 'Kotlin', 'Swift', 'Flutter', 'Dart', 'Rust'
+];
+
+// Other ways resumes write a skill
+const SKILL_ALIASES = {
+  React: ['ReactJS', 'React.js'],
+  'Node.js': ['NodeJS', 'Node'],
+  AWS: ['Amazon Web Services'],
+  Kubernetes: ['K8s'],
+  PostgreSQL: ['Postgres'],
+  MongoDB: ['Mongo'],
+  Kafka: ['Apache Kafka'],
+  Go: ['Golang'],
+  'Spring Boot': ['SpringBoot'],
+};
+
+// Skills that are also everyday words only count with their capital letter
+const CASE_SENSITIVE_SKILLS = ['Go', 'Swift', 'Rust', 'Dart', 'Flutter', 'React', 'Node'];
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const SKILL_PATTERNS = SKILLS.map((skill) => ({
+  skill,
+  patterns: [skill, ...(SKILL_ALIASES[skill] || [])].map(
+    (name) =>
+      // Not part of a longer word or name, e.g. "Go" in "Google" or "Java" in "JavaScript"
+      new RegExp(`(?<![\\w.+#-])${escapeRegExp(name)}(?![\\w+#]|\\.\\w)`, CASE_SENSITIVE_SKILLS.includes(name) ? '' : 'i')
+  ),
+}));
+
+/**
+ * Finds the vocabulary skills a text mentions.
+ * @param {string} text
+ * @returns {Array<{ skill: string, match: string }>} Skills in vocabulary
+ *   order, with the text that matched each.
+ */
+export const findSkills = (text) =>
+  SKILL_PATTERNS.flatMap(({ skill, patterns }) => {
+    for (const pattern of patterns) {
+      const found = text.match(pattern);
+      if (found) return [{ skill, match: found[0] }];
+    }
+    return [];
+  });
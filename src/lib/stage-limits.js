@@ -0,0 +1,58 @@
+import { db } from './db';
+import { isActive } from './trash';
+
+/**
+ * Per-stage limits from the pipeline definition.
+ *
+ * A stage's WIP limit caps how many active candidates one job holds in it;
+ * in 'warn' mode the board flags the column, in 'block' mode the transition
+ * rules refuse moves into a full stage. A stage's SLA is how many days a
+ * candidate may stay in it before their card is flagged as stale. Time in a
+ * stage counts from `stageEnteredAt`, see `attachStageEnteredAt`.
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Counts a job's active candidates in a stage.
+ * @param {string} jobId - Job id.
+ * @param {string} stageId - Stage id.
+ * @returns {Promise<number>}
+ */
+export const countInStage = (jobId, stageId) =>
+  db.candidates.where('[jobId+stage]').equals([jobId, stageId]).filter(isActive).count();
+
+/**
+ * @param {object} stage - A stage definition.
+ * @param {number} count - Candidates in the stage.
+ * @returns {'under'|'at'|'over'|null} How the count compares to the stage's
+ *   WIP limit, or null when the stage has none.
+ */
+export const wipStatus = (stage, count) => {
+  if (!stage?.wipLimit) return null;
+  if (count > stage.wipLimit) return 'over';
+  return count === stage.wipLimit ? 'at' : 'under';
+};
+
+/**
+ * @param {object} candidate - Candidate with `stageEnteredAt`.
+ * @param {Date|number} [now]
+ * @returns {number|null} Whole days since the candidate entered their stage.
+ */
+export const daysInStage = (candidate, now = Date.now()) => {
+  const entered = new Date(candidate.stageEnteredAt || candidate.appliedDate).getTime();
+  if (Number.isNaN(entered)) return null;
+  return Math.max(0, Math.floor((new Date(now).getTime() - entered) / DAY_MS));
+};
+
+/**
+ * @param {object} candidate - Candidate with `stageEnteredAt`.
+ * @param {object} stage - The candidate's stage definition.
+ * @param {Date|number} [now]
+ * @returns {boolean} True when the candidate has been in the stage longer than its SLA.
+ */
+export const isStale = (candidate, stage, now = Date.now()) => {
+  if (!stage?.slaDays || stage.terminal) return false;
+  const days = daysInStage(candidate, now);
+  return days !== null && days > stage.slaDays;
+};
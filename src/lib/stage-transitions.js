@@ -0,0 +1,137 @@
+import { db } from './db';
+import { isActive } from './trash';
+import { getJobPipeline } from './pipelines';
+import { countInStage } from './stage-limits';
+
+/**
+ * Rules for moving a candidate between the stages of its pipeline.
+ *
+ * The same rules run in the kanban drag handlers, for immediate feedback, and
+ * in `PATCH /api/candidates/:id`, which is what actually enforces them. Each
+ * rule looks at one proposed move and returns a readable explanation when the
+ * move is not allowed.
+ */
+
+/**
+ * @typedef {Object} TransitionContext
+ * @property {object} pipeline - The job's pipeline.
+ * @property {string} from - Current stage id.
+ * @property {string} to - Requested stage id.
+ * @property {object} [rejection] - Rejection details sent with the move, see `src/lib/rejections.js`.
+ * @property {boolean} jobHasAssessment - The job has an active assessment.
+ * @property {boolean} hasSubmittedAssessment - The candidate submitted it.
+ * @property {number} targetCount - Active candidates the job already has in the requested stage.
+ */
+
+/**
+ * @typedef {Object} TransitionViolation
+ * @property {string} rule - Id of the rule that failed.
+ * @property {string} message - Explanation shown to the user.
+ */
+
+const indexOf = (pipeline, stageId) => pipeline.stages.findIndex((stage) => stage.id === stageId);
+
+export const TRANSITION_RULES = [
+  {
+    id: 'terminal-is-final',
+    // Hired and rejected candidates have left the pipeline
+    check: ({ pipeline, from }) => {
+      const current = pipeline.stages[indexOf(pipeline, from)];
+      return current?.terminal ? `${current.name} is a final stage; candidates cannot be moved out of it` : null;
+    },
+  },
+  {
+    id: 'no-skipping',
+    // Moving forward advances one stage at a time; moving back and rejecting are always possible
+    check: ({ pipeline, from, to }) => {
+      const fromIndex = indexOf(pipeline, from);
+      const toIndex = indexOf(pipeline, to);
+      const target = pipeline.stages[toIndex];
+      if (fromIndex === -1 || !target || target.rejection) return null;
+      const path = pipeline.stages.slice(fromIndex + 1, toIndex).filter((stage) => !stage.rejection);
+      return path.length
+        ? `Candidates can't skip ${path.map((stage) => stage.name).join(', ')}; move them to ${path[0].name} first`
+        : null;
+    },
+  },
+  {
+    id: 'assessment-required',
+    check: ({ pipeline, to, jobHasAssessment, hasSubmittedAssessment }) => {
+      const target = pipeline.stages[indexOf(pipeline, to)];
+      if (!target?.requiresAssessment || !jobHasAssessment || hasSubmittedAssessment) return null;
+      return `The candidate must submit the job's assessment before moving to ${target.name}`;
+    },
+  },
+  {
+    id: 'wip-limit',
+    // Limits in 'warn' mode only flag the column, see `src/lib/stage-limits.js`
+    check: ({ pipeline, to, targetCount }) => {
+      const target = pipeline.stages[indexOf(pipeline, to)];
+      if (!target?.wipLimit || target.wipMode !== 'block' || targetCount < target.wipLimit) return null;
+      return `${target.name} is at its limit of ${target.wipLimit} candidate${target.wipLimit === 1 ? '' : 's'} for this job`;
+    },
+  },
+  {
+    id: 'rejection-reason',
+    check: ({ pipeline, to, rejection }) => {
+      const target = pipeline.stages[indexOf(pipeline, to)];
+      return target?.rejection && !rejection?.reasonId ? `A reason is required to move a candidate to ${target.name}` : null;
+    },
+  },
+];
+
+/**
+ * Runs every rule against a proposed move.
+ * @param {TransitionContext} context
+ * @returns {TransitionViolation[]} Empty when the move is allowed.
+ */
+export const checkTransition = (context) => {
+  if (context.from === context.to) return [];
+  return TRANSITION_RULES.flatMap(({ id, check }) => {
+    const message = check(context);
+    return message ? [{ rule: id, message }] : [];
+  });
+};
+
+/**
+ * Loads what the rules need to know about a candidate and checks a move.
+ * Reads the pipelines, jobs, candidates, assessments and responses tables.
+ * @param {object} candidate - The stored candidate.
+ * @param {string} to - Requested stage id.
+ * @param {object} [options]
+ * @param {object} [options.rejection] - Rejection details sent with the move.
+ * @param {object} [options.pipeline] - The job's pipeline, when already loaded.
+ * @returns {Promise<TransitionViolation[]>}
+ */
+export const checkCandidateMove = async (candidate, to, { rejection, pipeline } = {}) => {
+  const [jobPipeline, assessment, targetCount] = await Promise.all([
+    pipeline || getJobPipeline(candidate.jobId),
+    candidate.jobId ? db.assessments.where('jobId').equals(candidate.jobId).filter(isActive).first() : null,
+    candidate.jobId ? countInStage(candidate.jobId, to) : 0,
+  ]);
+  const hasSubmittedAssessment = assessment
+    ? (await db.responses
+      .where('candidateId')
+      .equals(candidate.id)
+      .filter((response) => response.assessmentId === assessment.id && response.status === 'submitted')
+      .count()) > 0
+    : false;
+
+  return checkTransition({
+    pipeline: jobPipeline,
+    from: candidate.stage,
+    to,
+    rejection,
+    jobHasAssessment: !!assessment,
+    hasSubmittedAssessment,
+    targetCount,
+  });
+};
+
+/**
+ * @param {TransitionViolation[]} violations
+ * @returns {boolean} True when the only thing missing is a rejection reason,
+ *   so the UI should ask for one rather than refuse the move.
+ */
+export const needsRejectionReason = (violations) =>
+  violations.length > 0 && violations.every(({ rule }) => rule === 'rejection-reason');
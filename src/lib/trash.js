@@ -0,0 +1,218 @@
+import { db } from './db';
+
+/**
+ * Soft delete, restore and purge for jobs, candidates and assessments.
+ *
+ * Deleting sets `deletedAt` on the record instead of removing it. Readers skip
+ * records with `deletedAt` set, the trash view lists them, and the purge job
+ * removes them for good once they are older than the retention window.
+ *
+ * Cascade rules:
+ * - job: its candidates and assessment are soft-deleted with it and marked
+ *   `deletedWith: 'job:<id>'`, so restoring the job restores exactly those.
+ * - candidate: its timeline, assessment responses, attachments, scorecards
+ *   and interviews stay untouched while the candidate is in the trash and are
+ *   purged together with it.
+ * - assessment: its responses stay untouched and are purged together with it.
+ */
+
+export const TRASH_RETENTION_DAYS = 30;
+
+const PURGE_INTERVAL_MS = 60 * 60 * 1000;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+export const TRASH_TYPES = {
+  job: 'jobs',
+  candidate: 'candidates',
+  assessment: 'assessments',
+};
+
+/**
+ * @param {object} record - Any job, candidate or assessment record.
+ * @returns {boolean} True when the record is not in the trash.
+ */
+export const isActive = (record) => !!record && !record.deletedAt;
+
+const cascadeKey = (type, id) => `${type}:${id}`;
+
+const tableFor = (type) => {
+  const table = TRASH_TYPES[type];
+  if (!table) throw new Error(`Unknown trash type: ${type}`);
+  return db.table(table);
+};
+
+/**
+ * Counts the records of a table that are not in the trash.
+ * @param {string} table - Table name, e.g. 'candidates'.
+ * @returns {Promise<number>}
+ */
+export const countActive = async (table) => {
+  const [total, deleted] = await Promise.all([
+    db.table(table).count(),
+    db.table(table).where('deletedAt').above('').count(),
+  ]);
+  return total - deleted;
+};
+
+/**
+ * Moves a record, and whatever cascades from it, to the trash.
+ * @param {'job' | 'candidate' | 'assessment'} type - Record type.
+ * @param {string} id - Record id.
+ * @returns {Promise<object|undefined>} The deleted record, or undefined when it
+ *   does not exist or is already in the trash.
+ */
+export const softDelete = (type, id) =>
+  db.transaction('rw', db.jobs, db.candidates, db.assessments, async () => {
+    const table = tableFor(type);
+    const record = await table.get(id);
+    if (!isActive(record)) return undefined;
+
+    const deletedAt = new Date().toISOString();
+    await table.update(id, { deletedAt });
+
+    if (type === 'job') {
+      const marker = { deletedAt, deletedWith: cascadeKey(type, id) };
+      await db.candidates.where('jobId').equals(id).filter(isActive).modify(marker);
+      await db.assessments.where('jobId').equals(id).filter(isActive).modify(marker);
+    }
+
+    return { ...record, deletedAt };
+  });
+
+/**
+ * Restores a record from the trash along with the records it cascaded to.
+ * @param {'job' | 'candidate' | 'assessment'} type - Record type.
+ * @param {string} id - Record id.
+ * @returns {Promise<object|undefined>} The restored record, or undefined when
+ *   it is not in the trash.
+ */
+export const restoreFromTrash = (type, id) =>
+  db.transaction('rw', db.jobs, db.candidates, db.assessments, async () => {
+    const table = tableFor(type);
+    const record = await table.get(id);
+    if (!record?.deletedAt) return undefined;
+
+    const restore = (item) => {
+      delete item.deletedAt;
+      delete item.deletedWith;
+    };
+    await table.where('id').equals(id).modify(restore);
+
+    if (type === 'job') {
+      const key = cascadeKey(type, id);
+      await db.candidates.where('jobId').equals(id).filter((item) => item.deletedWith === key).modify(restore);
+      await db.assessments.where('jobId').equals(id).filter((item) => item.deletedWith === key).modify(restore);
+    }
+
+    const { deletedAt, deletedWith, ...restored } = record;
+    return restored;
+  });
+
+const purgeCandidates = async (ids) => {
+  await db.timeline.where('candidateId').anyOf(ids).delete();
+  await db.responses.where('candidateId').anyOf(ids).delete();
+  await db.attachments.where('candidateId').anyOf(ids).delete();
+  await db.scorecards.where('candidateId').anyOf(ids).delete();
+  await db.interviews.where('candidateId').anyOf(ids).delete();
+  await db.candidates.bulkDelete(ids);
+};
+
+const purgeAssessments = async (ids) => {
+  await db.responses.where('assessmentId').anyOf(ids).delete();
+  await db.assessments.bulkDelete(ids);
+};
+
+const purgeRecords = async (type, ids) => {
+  if (!ids.length) return;
+  if (type === 'candidate') {
+    await purgeCandidates(ids);
+  } else if (type === 'assessment') {
+    await purgeAssessments(ids);
+  } else {
+    const keys = ids.map((id) => cascadeKey(type, id));
+    const cascaded = (item) => keys.includes(item.deletedWith);
+    await purgeCandidates(await db.candidates.where('jobId').anyOf(ids).filter(cascaded).primaryKeys());
+    await purgeAssessments(await db.assessments.where('jobId').anyOf(ids).filter(cascaded).primaryKeys());
+    await db.jobs.bulkDelete(ids);
+  }
+};
+
+const PURGE_TABLES = [db.jobs, db.candidates, db.assessments, db.timeline, db.responses, db.attachments, db.scorecards, db.interviews];
+
+/**
+ * Permanently removes one record from the trash, with its dependents.
+ * @param {'job' | 'candidate' | 'assessment'} type - Record type.
+ * @param {string} id - Record id; must already be in the trash.
+ * @returns {Promise<boolean>} True when something was purged.
+ */
+export const purgeFromTrash = (type, id) =>
+  db.transaction('rw', PURGE_TABLES, async () => {
+    const record = await tableFor(type).get(id);
+    if (!record?.deletedAt) return false;
+    await purgeRecords(type, [id]);
+    return true;
+  });
+
+/**
+ * Permanently removes everything that has been in the trash for longer than
+ * the retention window.
+ * @param {object} [options]
+ * @param {number} [options.retentionDays=TRASH_RETENTION_DAYS] - Days to keep deleted items.
+ * @param {Date} [options.now=new Date()] - Reference time.
+ * @returns {Promise<{ jobs: number, candidates: number, assessments: number }>} Purged counts per table.
+ */
+export const purgeExpired = ({ retentionDays = TRASH_RETENTION_DAYS, now = new Date() } = {}) =>
+  db.transaction('rw', PURGE_TABLES, async () => {
+    const cutoff = new Date(now.getTime() - retentionDays * DAY_MS).toISOString();
+    const purged = {};
+    // Jobs first so cascaded children are purged through their parent
+    for (const [type, table] of Object.entries(TRASH_TYPES)) {
+      const ids = await db.table(table).where('deletedAt').below(cutoff).primaryKeys();
+      await purgeRecords(type, ids);
+      purged[table] = ids.length;
+    }
+    return purged;
+  });
+
+/**
+ * Lists the trash. Records deleted through a cascade are reported under
+ * their parent rather than on their own.
+ * @param {object} [options]
+ * @param {number} [options.retentionDays=TRASH_RETENTION_DAYS] - Days deleted items are kept.
+ * @returns {Promise<Array<{ type: string, record: object, purgeAt: string }>>} Most recently deleted first.
+ */
+export const listTrash = async ({ retentionDays = TRASH_RETENTION_DAYS } = {}) => {
+  const items = [];
+  for (const [type, table] of Object.entries(TRASH_TYPES)) {
+    const records = await db.table(table).where('deletedAt').above('').toArray();
+    records
+      .filter((record) => !record.deletedWith)
+      .forEach((record) => {
+        const purgeAt = new Date(new Date(record.deletedAt).getTime() + retentionDays * DAY_MS).toISOString();
+        items.push({ type, record, purgeAt });
+      });
+  }
+  return items.sort((a, b) => b.record.deletedAt.localeCompare(a.record.deletedAt));
+};
+
+let purgeTimer = null;
+
+/**
+ * Runs `purgeExpired` now and then periodically. Safe to call more than once.
+ * @param {number} [intervalMs] - Time between runs; hourly by default.
+ * @returns {() => void} Stops the job.
+ */
+export const startPurgeJob = (intervalMs = PURGE_INTERVAL_MS) => {
+  const run = () =>
+    purgeExpired().catch((error) => console.error('Failed to purge trash:', error));
+
+  if (!purgeTimer) {
+    run();
+    purgeTimer = setInterval(run, intervalMs);
+  }
+  return () => {
+    clearInterval(purgeTimer);
+    purgeTimer = null;
+  };
+};
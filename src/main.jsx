@@ -2,6 +2,7 @@ import { createRoot } from 'react-dom/client';
 import App from './App.jsx';
 import './index.css';
 import { initMocks } from './mocks/init';
+import { startPurgeJob } from './lib/trash';
 
 // Initialize database and start app
 async function initializeApp() {
@@ -12,6 +13,9 @@ async function initializeApp() {
     }
     
     // The database is now seeded by initMocks() in development
+
+    // Permanently remove trashed items once their retention window has passed
+    startPurgeJob();
     
     const rootElement = document.getElementById('root');
     if (!rootElement) {
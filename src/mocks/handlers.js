@@ -1,650 +1,1668 @@
 import { http, HttpResponse, delay } from 'msw';
 import { db } from '@/lib/db';
+import { migrateRecord } from '@/lib/migrations';
+import { queryCandidates, parseSort } from '@/lib/candidate-query';
+import { searchScores } from '@/lib/search-index';
+import { bestMatchesForJob } from '@/lib/match-score';
+import {
+  aggregateScorecards,
+  redactScorecards,
+  sameName,
+  scorecardRequestSchema,
+  scorecardSubmissionSchema
+} from '@/lib/scorecards';
+import {
+  INTERVIEW_FIELDS,
+  findInterviewConflicts,
+  formatInterviewWhen,
+  icsFileName,
+  interviewCancelSchema,
+  interviewSchema,
+  interviewTimes,
+  interviewTitle,
+  listInterviews,
+  toIcs
+} from '@/lib/interviews';
+import { planRequest, registerRoute } from './network';
+import { etagFor, matchesEtag } from '@/lib/concurrency';
+import { isActive, softDelete, restoreFromTrash, purgeFromTrash, listTrash, TRASH_TYPES } from '@/lib/trash';
+import {
+  DEFAULT_PIPELINE_ID,
+  pipelineSchema,
+  listPipelines,
+  getPipeline,
+  findStage,
+  initialStage,
+  countCandidatesByStage,
+  countJobsUsing,
+  uniqueSlug
+} from '@/lib/pipelines';
+import { checkCandidateMove } from '@/lib/stage-transitions';
+import { compareRank, isValidRank, rankBetween, rankOf, rankSequence } from '@/lib/ranking';
+import { importedCandidateSchema } from '@/lib/candidate-import';
+import { mergeCandidateFields, MERGE_FIELDS } from '@/lib/duplicates';
+import {
+  ATTACHMENT_KINDS,
+  attachmentMeta,
+  attachmentProblem,
+  attachmentType,
+  attachmentUsage,
+  checksumOf,
+  formatBytes,
+  listAttachments,
+} from '@/lib/attachments';
+import {
+  buildRejection,
+  listRejectionReasons,
+  rejectionInputSchema,
+  rejectionReasonSchema,
+  rejectionReport,
+} from '@/lib/rejections';
+
+/**
+ * Mock REST API backed by IndexedDB.
+ *
+ * Every route is registered exactly once and answers with the same envelope:
+ *
+ *   Success:   { data }                       — a single resource
+ *              { data: [...], pagination }    — a collection, where pagination is
+ *                                               { page, pageSize, total, totalPages, hasNext, hasPrev }
+ *   Failure:   { error: { status, code, message, details? } }
+ *
+ * `code` is one of ERROR_CODES; `details` carries per-field messages for
+ * validation failures. Records use the canonical field names from
+ * `src/lib/migrations.js` (`appliedDate`, `updatedAt`, ISO timestamps) and
+ * timeline events always have the shape
+ * `{ id, candidateId, type, title, description, timestamp, metadata }`.
+ *
+ * Jobs and candidates carry a `version`, sent as the `ETag` header. PATCH
+ * honours `If-Match` and answers 409 with `details.current` (the stored
+ * record) when the version no longer matches.
+ *
+ * Latency and injected failures are configured in `./network.js`.
+ *
+ * DELETE moves a record to the trash (see `src/lib/trash.js`); records in the
+ * trash answer 404 everywhere except the /trash routes.
+ *
+ * A candidate's `stage` must be a stage of its job's pipeline
+ * (see `src/lib/pipelines.js`); anything else answers 422. Moves between
+ * stages must also pass the transition rules in `src/lib/stage-transitions.js`
+ * (422 with `details.stage` explaining why); moves to a rejection stage take
+ * `rejection: { reasonId, rejectedBy, note? }` in the body.
+ *
+ * Candidates carry a fractional `rank` ordering them within their stage
+ * column (see `src/lib/ranking.js`); `GET /candidates?sort=rank` returns them
+ * in that order and `PATCH /candidates/:id/rank` moves one between two others.
+ *
+ * `POST /candidates/import` creates candidates from a spreadsheet (see
+ * `src/lib/candidate-import.js`) in one transaction, skipping emails that
+ * already exist.
+ *
+ * `POST /candidates/bulk` runs one action (see BULK_ACTIONS) on many
+ * candidates in a single transaction. Candidates the action cannot apply to
+ * are listed in `failed` with the error they would have got on their own;
+ * the rest are saved.
+ *
+ * `POST /candidates/:id/merge` folds `duplicateId` into the candidate (see
+ * `src/lib/duplicates.js`), and `POST /candidates/:id/not-duplicate` records
+ * that two candidates are different people.
+ *
+ * `POST /candidates/:id/attachments` takes multipart form data
+ * (`file`, `kind`, `uploadedBy`) and stores the file in IndexedDB (see
+ * `src/lib/attachments.js`); too large files answer 413, unsupported types
+ * 415, a full quota 507 and a file already attached 409. Attachment routes
+ * return metadata only, except `GET /candidates/:id/attachments/:attachmentId`,
+ * which answers with the file itself.
+ *
+ * `POST /candidates/:id/scorecards` asks interviewers (`{ stage, interviewers }`)
+ * for the stage's scorecard (see `src/lib/scorecards.js`), and
+ * `PUT /candidates/:id/scorecards/:scorecardId` submits one; only the named
+ * interviewer may (403) and only once (409). `GET /candidates/:id/scorecards?viewer=`
+ * hides other interviewers' answers for stages the viewer still owes a
+ * scorecard for (without a viewer, for every stage with pending scorecards),
+ * and returns the aggregates of what the viewer may see.
+ *
+ * `POST /candidates/:id/interviews` schedules an interview (see
+ * `src/lib/interviews.js`) and `PATCH /interviews/:id` reschedules or edits
+ * one, honouring `If-Match` like jobs and candidates. Both answer 409 with
+ * `details.conflicts` when an interviewer is already booked at that time,
+ * unless the body has `allowConflicts: true`. `POST /interviews/:id/cancel`
+ * cancels one, `GET /interviews?from=&to=&candidateId=` lists them and
+ * `GET /interviews/:id/ics` answers with an iCalendar file.
+ *
+ * Candidates in `GET /candidates` carry `match`, their score against their
+ * job with its factor breakdown (see `src/lib/match-score.js`), and
+ * `sort=match` orders by it. `GET /jobs/:id/matches` returns the job's best
+ * matches among candidates still in its pipeline.
+ */
 
 const API_BASE = '/api';
 
-// Simulate network conditions
-const simulateNetwork = async (isWrite = false) => {
-  // Random latency between 200-1200ms
-  await delay(Math.random() * 1000 + 200);
-  // 5-10% error rate on write operations
-  if (isWrite && Math.random() < 0.075) {
-    throw new Error('Simulated network error');
+const ERROR_CODES = {
+  400: 'BAD_REQUEST',
+  403: 'FORBIDDEN',
+  404: 'NOT_FOUND',
+  409: 'CONFLICT',
+  413: 'PAYLOAD_TOO_LARGE',
+  415: 'UNSUPPORTED_MEDIA_TYPE',
+  422: 'VALIDATION_ERROR',
+  429: 'RATE_LIMITED',
+  500: 'INTERNAL_ERROR',
+  503: 'SERVICE_UNAVAILABLE',
+  507: 'INSUFFICIENT_STORAGE',
+};
+
+/**
+ * Error thrown inside a resolver to produce an error envelope.
+ */
+class HttpError extends Error {
+  /**
+   * @param {number} status - HTTP status code.
+   * @param {string} message - Human readable message.
+   * @param {object} [details] - Extra context, e.g. field → message for validation errors.
+   */
+  constructor(status, message, details) {
+    super(message);
+    this.name = 'HttpError';
+    this.status = status;
+    this.code = ERROR_CODES[status] || ERROR_CODES[500];
+    this.details = details;
+  }
+}
+
+const FAULT_MESSAGES = {
+  409: 'Simulated conflict',
+  422: 'Simulated validation failure',
+  429: 'Too many requests, slow down',
+  503: 'Service temporarily unavailable',
+};
+
+// Simulate network conditions as configured in ./network.js
+const simulateNetwork = async (key) => {
+  const { latency, status } = planRequest(key);
+  await delay(latency);
+  if (status) {
+    throw new HttpError(status, FAULT_MESSAGES[status] || 'Simulated network error', { simulated: true });
   }
 };
 
+const ok = (data, init) => HttpResponse.json({ data }, init);
+
+const paginated = (data, { page, pageSize, total }) => {
+  const totalPages = Math.ceil(total / pageSize);
+  return HttpResponse.json({
+    data,
+    pagination: {
+      page,
+      pageSize,
+      total,
+      totalPages,
+      hasNext: page < totalPages,
+      hasPrev: page > 1
+    }
+  });
+};
+
 const handleError = (error) => {
-  console.error('API Error:', error);
+  const httpError = error instanceof HttpError ? error : new HttpError(500, error.message || 'Internal Server Error');
+  if (httpError.status >= 500 && !httpError.details?.simulated) {
+    console.error('API Error:', error);
+  }
   return HttpResponse.json(
-    { error: error.message || 'Internal Server Error' },
-    { status: 500 }
+    {
+      error: {
+        status: httpError.status,
+        code: httpError.code,
+        message: httpError.message,
+        ...(httpError.details && { details: httpError.details })
+      }
+    },
+    { status: httpError.status }
   );
 };
 
-export const handlers = [
-  // Jobs endpoints
-  http.get(`${API_BASE}/jobs`, async ({ request }) => {
+/**
+ * Wraps a resolver with the simulated network and turns thrown errors into
+ * error envelopes.
+ * @param {string} key - 'METHOD /path' key used for per-route fault injection.
+ * @param {function} resolver - MSW resolver.
+ */
+const route = (key, resolver) => {
+  registerRoute(key);
+  return async (info) => {
     try {
-      await simulateNetwork();
-      const url = new URL(request.url);
-      const search = url.searchParams.get('search') || '';
-      const status = url.searchParams.get('status');
-      const page = parseInt(url.searchParams.get('page') || '1');
-      const pageSize = parseInt(url.searchParams.get('pageSize') || '10');
-      const sort = url.searchParams.get('sort') || '-createdAt';
-      
-      let jobs = await db.jobs.toArray();
-      
-      // Apply filters
-      if (search) {
-        const searchLower = search.toLowerCase();
-        jobs = jobs.filter(job => 
-          job.title.toLowerCase().includes(searchLower) ||
-          job.description.toLowerCase().includes(searchLower) ||
-          job.tags?.some(tag => tag.toLowerCase().includes(searchLower))
-        );
+      await simulateNetwork(key);
+      return await resolver(info);
+    } catch (error) {
+      return handleError(error);
+    }
+  };
+};
+
+const readJson = async (request) => {
+  try {
+    return await request.json();
+  } catch {
+    throw new HttpError(400, 'Request body must be valid JSON');
+  }
+};
+
+const readForm = async (request) => {
+  try {
+    return await request.formData();
+  } catch {
+    throw new HttpError(400, 'Request body must be multipart form data');
+  }
+};
+
+const requireFields = (body, fields) => {
+  const details = {};
+  fields.forEach((field) => {
+    if (typeof body[field] !== 'string' || !body[field].trim()) {
+      details[field] = `${field} is required`;
+    }
+  });
+  if (Object.keys(details).length) {
+    throw new HttpError(422, 'Validation failed', details);
+  }
+};
+
+const getPageParams = (url, defaultPageSize) => ({
+  page: Math.max(1, parseInt(url.searchParams.get('page') || '1')),
+  pageSize: Math.max(1, parseInt(url.searchParams.get('pageSize') || String(defaultPageSize)))
+});
+
+const findOrFail = async (table, id, resource) => {
+  const record = await table.get(id);
+  if (!isActive(record)) {
+    throw new HttpError(404, `${resource} not found`);
+  }
+  return record;
+};
+
+/**
+ * Content-Disposition value naming a file (RFC 6266): an ASCII `filename` for
+ * old clients, and the exact name percent-encoded as UTF-8 in `filename*`.
+ */
+const contentDisposition = (type, fileName) => {
+  const ascii = fileName.replace(/[^\x20-\x7e]/g, '_').replace(/["\\]/g, '\\$&');
+  const encoded = encodeURIComponent(fileName).replace(/['()*]/g, (char) => `%${char.charCodeAt(0).toString(16).toUpperCase()}`);
+  return `${type}; filename="${ascii}"; filename*=UTF-8''${encoded}`;
+};
+
+const withEtag = (record, init = {}) => ({
+  ...init,
+  headers: { ...init.headers, ETag: etagFor(record) }
+});
+
+/**
+ * Applies a PATCH body to a versioned record, enforcing If-Match.
+ */
+const applyPatch = (record, request, updates) => {
+  if (!matchesEtag(request.headers.get('If-Match'), record)) {
+    throw new HttpError(409, 'The record was changed by someone else', { current: record });
+  }
+  const { id, version, ...changes } = updates;
+  return touch(record, changes);
+};
+
+/**
+ * Applies changes to a versioned record, bumping its version.
+ */
+const touch = (record, changes) => ({
+  ...record,
+  ...changes,
+  id: record.id,
+  version: (record.version || 0) + 1,
+  updatedAt: new Date().toISOString()
+});
+
+const findAssessment = (jobId) => db.assessments.where('jobId').equals(jobId).filter(isActive).first();
+
+const requireTrashType = (type) => {
+  if (!TRASH_TYPES[type]) {
+    throw new HttpError(404, `Unknown trash type: ${type}`);
+  }
+};
+
+/**
+ * Loads a pipeline by id, answering 422 when it does not exist.
+ */
+const findPipelineOrFail = async (pipelineId) => {
+  const pipeline = (await listPipelines()).find(({ id }) => id === pipelineId);
+  if (!pipeline) {
+    throw new HttpError(422, 'Validation failed', { pipelineId: `Unknown pipeline "${pipelineId}"` });
+  }
+  return pipeline;
+};
+
+const pipelineForJob = async (jobId) => {
+  const job = jobId ? await db.jobs.get(jobId) : null;
+  return getPipeline(job?.pipelineId);
+};
+
+const requireStage = (pipeline, stage) => {
+  if (!pipeline.stages.some(({ id }) => id === stage)) {
+    throw new HttpError(422, 'Validation failed', {
+      stage: `"${stage}" is not a stage of the ${pipeline.name} pipeline`
+    });
+  }
+};
+
+/**
+ * Validates a pipeline body, filling in ids for new stages from their names.
+ */
+const parsePipeline = (body) => {
+  const taken = Array.isArray(body.stages) ? body.stages.map((stage) => stage?.id).filter(Boolean) : [];
+  const stages = Array.isArray(body.stages)
+    ? body.stages.map((stage) => {
+      const id = stage?.id || uniqueSlug(String(stage?.name || ''), taken);
+      taken.push(id);
+      if (!Array.isArray(stage?.scorecard)) return { ...stage, id };
+      // New competencies get ids from their names too
+      const competencyIds = stage.scorecard.map((competency) => competency?.id).filter(Boolean);
+      const scorecard = stage.scorecard.map((competency) => {
+        if (competency?.id) return competency;
+        const competencyId = uniqueSlug(String(competency?.name || ''), competencyIds, 'competency');
+        competencyIds.push(competencyId);
+        return { ...competency, id: competencyId };
+      });
+      return { ...stage, id, scorecard };
+    })
+    : body.stages;
+
+  const result = pipelineSchema.safeParse({ ...body, stages });
+  if (!result.success) {
+    const details = {};
+    result.error.issues.forEach((issue) => {
+      const key = issue.path.join('.') || 'pipeline';
+      if (!details[key]) details[key] = issue.message;
+    });
+    throw new HttpError(422, 'Validation failed', details);
+  }
+  return result.data;
+};
+
+/**
+ * Validates a body against a zod schema, answering 422 with the first message
+ * per field.
+ */
+const parseBody = (schema, body) => {
+  const result = schema.safeParse(body);
+  if (!result.success) {
+    const details = {};
+    result.error.issues.forEach((issue) => {
+      const key = issue.path.join('.') || 'body';
+      if (!details[key]) details[key] = issue.message;
+    });
+    throw new HttpError(422, 'Validation failed', details);
+  }
+  return result.data;
+};
+
+const INTERVIEW_FIELD_LABELS = {
+  title: 'title',
+  date: 'date',
+  time: 'time',
+  timeZone: 'time zone',
+  duration: 'duration',
+  interviewers: 'interviewers',
+  location: 'location',
+  videoLink: 'video link',
+  notes: 'notes'
+};
+
+const pickInterviewFields = (source) =>
+  Object.fromEntries(INTERVIEW_FIELDS.filter((field) => source[field] !== undefined).map((field) => [field, source[field]]));
+
+/**
+ * Refuses an interview whose interviewers are booked elsewhere at the same
+ * time (409 with `details.conflicts`), unless the caller confirmed it. Must
+ * run inside a transaction on interviews and candidates.
+ */
+const checkInterviewConflicts = async (interview, allowConflicts) => {
+  if (allowConflicts) return;
+  const conflicts = await findInterviewConflicts(interview);
+  if (!conflicts.length) return;
+  const names = [...new Set(conflicts.flatMap(({ interviewers }) => interviewers))];
+  throw new HttpError(409, `${names.join(', ')} ${names.length === 1 ? 'is' : 'are'} already interviewing at that time`, {
+    conflicts: conflicts.map(({ interview: other, interviewers }) => ({
+      id: other.id,
+      candidateId: other.candidateId,
+      candidateName: other.candidate.name,
+      title: interviewTitle(other),
+      startsAt: other.startsAt,
+      endsAt: other.endsAt,
+      timeZone: other.timeZone,
+      interviewers
+    }))
+  });
+};
+
+const findInterviewOrFail = async (id) => {
+  const interview = await db.interviews.get(id);
+  if (!interview || !isActive(await db.candidates.get(interview.candidateId))) {
+    throw new HttpError(404, 'Interview not found');
+  }
+  return interview;
+};
+
+/**
+ * Validates the `rejection` body of a move to a rejection stage against the
+ * reason taxonomy. Throws 422 with details keyed by field.
+ */
+const parseRejection = async (candidate, pipeline, body) => {
+  const result = rejectionInputSchema.safeParse(body || {});
+  if (!result.success) {
+    throw new HttpError(422, 'Validation failed', Object.fromEntries(
+      result.error.issues.map((issue) => [`rejection.${issue.path.join('.')}`, issue.message])
+    ));
+  }
+  const reason = (await listRejectionReasons()).find(({ id }) => id === result.data.reasonId);
+  if (!reason) {
+    throw new HttpError(422, 'Validation failed', { 'rejection.reasonId': `Unknown rejection reason "${result.data.reasonId}"` });
+  }
+  return buildRejection(candidate, pipeline, reason, result.data);
+};
+
+/**
+ * Validates a rejection reason body. Throws 422 with details keyed by field.
+ */
+const parseRejectionReason = (body, { partial = false } = {}) => {
+  const result = (partial ? rejectionReasonSchema.partial() : rejectionReasonSchema).safeParse(body);
+  if (!result.success) {
+    throw new HttpError(422, 'Validation failed', Object.fromEntries(
+      result.error.issues.map((issue) => [issue.path.join('.') || 'reason', issue.message])
+    ));
+  }
+  return result.data;
+};
+
+/**
+ * Ranks a candidate between two neighbours in its stage column. When the
+ * neighbours leave no room (they share a rank) the column is rebalanced first.
+ * Must run inside a transaction on `db.candidates`.
+ */
+const rankCandidate = async (candidate, previousId, nextId) => {
+  const neighbours = {};
+  for (const [field, neighbourId] of [['previousId', previousId], ['nextId', nextId]]) {
+    if (neighbourId === null || neighbourId === undefined) continue;
+    const neighbour = await db.candidates.get(neighbourId);
+    if (!isActive(neighbour) || neighbour.id === candidate.id || neighbour.stage !== candidate.stage) {
+      throw new HttpError(422, 'Validation failed', { [field]: `${field} must be another candidate in the same stage` });
+    }
+    neighbours[field] = neighbour;
+  }
+
+  const between = () => rankBetween(
+    neighbours.previousId ? rankOf(neighbours.previousId) : null,
+    neighbours.nextId ? rankOf(neighbours.nextId) : null
+  );
+
+  try {
+    return between();
+  } catch {
+    const column = (await db.candidates.where('stage').equals(candidate.stage).filter(isActive).toArray())
+      .filter(({ id }) => id !== candidate.id)
+      .sort(compareRank);
+    const ranks = rankSequence(column.length);
+    column.forEach((other, i) => {
+      other.rank = ranks[i];
+    });
+    await db.candidates.bulkPut(column);
+    Object.keys(neighbours).forEach((field) => {
+      neighbours[field] = column.find(({ id }) => id === neighbours[field].id);
+    });
+  }
+
+  try {
+    return between();
+  } catch {
+    throw new HttpError(422, 'Validation failed', { previousId: 'previousId must come before nextId' });
+  }
+};
+
+/**
+ * Builds a timeline event in the one shape the UI renders.
+ */
+const timelineEvent = (candidateId, type, { title, description, metadata = {} }) => ({
+  id: crypto.randomUUID(),
+  candidateId,
+  type,
+  title,
+  description,
+  timestamp: new Date().toISOString(),
+  metadata
+});
+
+/**
+ * Checks a candidate's move to `next.stage` against the transition rules and
+ * adds it to the timeline; moves to a rejection stage also get
+ * `next.rejection`. Must run inside a transaction on the tables the rules read.
+ */
+const recordStageChange = async (candidate, next, pipeline, rejectionInput) => {
+  const [violation] = await checkCandidateMove(candidate, next.stage, { rejection: rejectionInput, pipeline });
+  if (violation) {
+    throw new HttpError(422, violation.message, { stage: violation.message, rule: violation.rule });
+  }
+
+  const from = findStage(pipeline, candidate.stage).name;
+  const to = findStage(pipeline, next.stage);
+  const rejection = to.rejection ? await parseRejection(candidate, pipeline, rejectionInput) : null;
+  if (rejection) next.rejection = rejection;
+
+  const event = timelineEvent(candidate.id, 'stage_change', {
+    title: `Moved to ${to.name}`,
+    description: rejection
+      ? `Candidate moved from ${from} to ${to.name}: ${rejection.reasonLabel}${rejection.note ? ` (${rejection.note})` : ''}`
+      : `Candidate moved from ${from} to ${to.name}`,
+    metadata: {
+      from: candidate.stage,
+      to: next.stage,
+      pipelineId: pipeline.id,
+      ...(rejection && { rejection: { reasonId: rejection.reasonId, reasonLabel: rejection.reasonLabel, note: rejection.note } }),
+    }
+  });
+  await db.timeline.add(rejection ? { ...event, userName: rejection.rejectedBy } : event);
+};
+
+/**
+ * Actions of `POST /candidates/bulk`. `prepare` validates the request-wide
+ * params (failing the whole request) and returns what `apply` needs; `apply`
+ * updates one candidate inside the shared transaction, records it on the
+ * timeline and returns the result, or throws an HttpError to report that
+ * candidate as failed. Candidates already in the requested state succeed
+ * without changes.
+ */
+const BULK_ACTIONS = {
+  move: {
+    prepare: ({ stage }) => {
+      if (typeof stage !== 'string' || !stage) {
+        throw new HttpError(422, 'Validation failed', { stage: 'stage is required' });
+      }
+      return { stage };
+    },
+    apply: async (candidate, { stage }) => {
+      if (candidate.stage === stage) return candidate;
+      const pipeline = await pipelineForJob(candidate.jobId);
+      requireStage(pipeline, stage);
+      const next = touch(candidate, { stage });
+      await recordStageChange(candidate, next, pipeline);
+      await db.candidates.put(next);
+      return next;
+    },
+  },
+
+  reject: {
+    prepare: async ({ rejection }) => {
+      const result = rejectionInputSchema.safeParse(rejection || {});
+      if (!result.success) {
+        throw new HttpError(422, 'Validation failed', Object.fromEntries(
+          result.error.issues.map((issue) => [`rejection.${issue.path.join('.')}`, issue.message])
+        ));
+      }
+      const reason = (await listRejectionReasons()).find(({ id }) => id === result.data.reasonId);
+      if (!reason) {
+        throw new HttpError(422, 'Validation failed', { 'rejection.reasonId': `Unknown rejection reason "${result.data.reasonId}"` });
       }
-      
-      if (status) {
-        jobs = jobs.filter(job => job.status === status);
+      return { rejection: result.data };
+    },
+    // Each candidate goes to the rejection stage of its own job's pipeline
+    apply: async (candidate, { rejection }) => {
+      const pipeline = await pipelineForJob(candidate.jobId);
+      const stage = pipeline.stages.find((option) => option.rejection);
+      if (!stage) {
+        throw new HttpError(422, `The ${pipeline.name} pipeline has no rejection stage`);
       }
-      
-      // Apply sorting
-      const [field, direction] = sort.startsWith('-') 
-        ? [sort.slice(1), 'desc'] 
-        : [sort, 'asc'];
-      
+      if (candidate.stage === stage.id) return candidate;
+      const next = touch(candidate, { stage: stage.id });
+      await recordStageChange(candidate, next, pipeline, rejection);
+      await db.candidates.put(next);
+      return next;
+    },
+  },
+
+  assignJob: {
+    prepare: async ({ jobId }) => {
+      const job = typeof jobId === 'string' ? await db.jobs.get(jobId) : null;
+      if (!isActive(job)) {
+        throw new HttpError(422, 'Validation failed', { jobId: `Unknown job "${jobId}"` });
+      }
+      return { job, pipeline: await getPipeline(job.pipelineId) };
+    },
+    // The candidate keeps its stage, which must exist in the new job's pipeline
+    apply: async (candidate, { job, pipeline }) => {
+      if (candidate.jobId === job.id) return candidate;
+      requireStage(pipeline, candidate.stage);
+      const previousJob = candidate.jobId ? await db.jobs.get(candidate.jobId) : null;
+      const next = touch(candidate, { jobId: job.id });
+      await db.timeline.add(timelineEvent(candidate.id, 'job_change', {
+        title: `Moved to ${job.title}`,
+        description: previousJob
+          ? `Candidate moved from ${previousJob.title} to ${job.title}`
+          : `Candidate assigned to ${job.title}`,
+        metadata: { from: candidate.jobId || null, to: job.id }
+      }));
+      await db.candidates.put(next);
+      return next;
+    },
+  },
+
+  addTags: {
+    prepare: ({ tags }) => {
+      const cleaned = Array.isArray(tags)
+        ? [...new Set(tags.filter((tag) => typeof tag === 'string').map((tag) => tag.trim()).filter(Boolean))]
+        : [];
+      if (!cleaned.length) {
+        throw new HttpError(422, 'Validation failed', { tags: 'tags must list at least one tag' });
+      }
+      return { tags: cleaned };
+    },
+    apply: async (candidate, { tags }) => {
+      const added = tags.filter((tag) => !(candidate.tags || []).includes(tag));
+      if (!added.length) return candidate;
+      const next = touch(candidate, { tags: [...(candidate.tags || []), ...added] });
+      await db.timeline.add(timelineEvent(candidate.id, 'tags_added', {
+        title: 'Tags added',
+        description: added.join(', '),
+        metadata: { tags: added }
+      }));
+      await db.candidates.put(next);
+      return next;
+    },
+  },
+
+  delete: {
+    prepare: () => ({}),
+    apply: async (candidate) => {
+      const deleted = await softDelete('candidate', candidate.id);
+      await db.timeline.add(timelineEvent(candidate.id, 'deleted', {
+        title: 'Moved to trash',
+        description: 'Candidate moved to the trash'
+      }));
+      return deleted;
+    },
+  },
+
+  // Read-only: returns the candidates as stored
+  export: {
+    prepare: () => ({}),
+    apply: async (candidate) => candidate,
+  },
+};
+
+export const handlers = [
+  // Jobs endpoints
+  http.get(`${API_BASE}/jobs`, route('GET /jobs', async ({ request }) => {
+    const url = new URL(request.url);
+    const search = url.searchParams.get('search') || '';
+    const status = url.searchParams.get('status');
+    const { page, pageSize } = getPageParams(url, 10);
+    const sort = url.searchParams.get('sort') || (search ? 'relevance' : '-createdAt');
+
+    let jobs = await db.jobs.filter(isActive).toArray();
+
+    // Apply filters
+    const scores = search.trim() ? await searchScores(search, 'job') : null;
+    if (scores) {
+      jobs = jobs.filter(job => scores.has(job.id));
+    }
+
+    if (status) {
+      jobs = jobs.filter(job => job.status === status);
+    }
+
+    // Apply sorting
+    if (sort === 'relevance' && scores) {
+      jobs.sort((a, b) => scores.get(b.id) - scores.get(a.id));
+    } else {
+      const { field, direction } = parseSort(sort);
       jobs.sort((a, b) => {
         if (a[field] < b[field]) return direction === 'asc' ? -1 : 1;
         if (a[field] > b[field]) return direction === 'asc' ? 1 : -1;
         return 0;
       });
-      
-      // Apply pagination
-      const total = jobs.length;
-      const totalPages = Math.ceil(total / pageSize);
-      const start = (page - 1) * pageSize;
-      const end = start + pageSize;
-      const data = jobs.slice(start, end);
-      
-      return HttpResponse.json({
-        data,
-        pagination: {
-          page,
-          pageSize,
-          total,
-          totalPages,
-          hasNext: page < totalPages,
-          hasPrev: page > 1
-        }
-      });
-    } catch (error) {
-      return handleError(error);
-    }
-  }),
-  
-  http.post(`${API_BASE}/jobs`, async ({ request }) => {
-    try {
-      await simulateNetwork(true);
-      const job = await request.json();
-      const newJob = {
-        ...job,
-        id: crypto.randomUUID(),
-        createdAt: new Date().toISOString(),
-        updatedAt: new Date().toISOString(),
-        status: job.status || 'active',
-        order: job.order || Date.now()
-      };
-      
-      await db.jobs.add(newJob);
-      return HttpResponse.json(newJob, { status: 201 });
-    } catch (error) {
-      return handleError(error);
     }
-  }),
-  
-  http.patch(`${API_BASE}/jobs/:id`, async ({ params, request }) => {
-    try {
-      await simulateNetwork(true);
-      const { id } = params;
-      const updates = await request.json();
-      const job = await db.jobs.get(id);
-      
-      if (!job) {
-        return HttpResponse.json(
-          { error: 'Job not found' },
-          { status: 404 }
-        );
+
+    const start = (page - 1) * pageSize;
+    return paginated(jobs.slice(start, start + pageSize), { page, pageSize, total: jobs.length });
+  })),
+
+  http.get(`${API_BASE}/jobs/:id`, route('GET /jobs/:id', async ({ params }) => {
+    const job = await findOrFail(db.jobs, params.id, 'Job');
+    return ok(job, withEtag(job));
+  })),
+
+  http.post(`${API_BASE}/jobs`, route('POST /jobs', async ({ request }) => {
+    const job = await readJson(request);
+    requireFields(job, ['title']);
+    if (job.pipelineId) await findPipelineOrFail(job.pipelineId);
+
+    const now = new Date().toISOString();
+    const newJob = migrateRecord('jobs', {
+      ...job,
+      id: crypto.randomUUID(),
+      createdAt: now,
+      updatedAt: now,
+      status: job.status || 'active',
+      order: job.order ?? Date.now()
+    });
+
+    await db.jobs.add(newJob);
+    return ok(newJob, withEtag(newJob, { status: 201 }));
+  })),
+
+  http.patch(`${API_BASE}/jobs/:id`, route('PATCH /jobs/:id', async ({ params, request }) => {
+    const { id } = params;
+    const updates = await readJson(request);
+
+    const updatedJob = await db.transaction('rw', db.jobs, db.candidates, db.pipelines, async () => {
+      const job = await findOrFail(db.jobs, id, 'Job');
+      const next = applyPatch(job, request, updates);
+
+      // Every candidate must keep a stage that exists in the new pipeline
+      if (updates.pipelineId && updates.pipelineId !== job.pipelineId) {
+        const pipeline = await findPipelineOrFail(updates.pipelineId);
+        const stranded = await db.candidates
+          .where('jobId')
+          .equals(id)
+          .filter((candidate) => isActive(candidate) && !pipeline.stages.some((stage) => stage.id === candidate.stage))
+          .count();
+        if (stranded) {
+          throw new HttpError(422, 'Validation failed', {
+            pipelineId: `${stranded} candidate${stranded === 1 ? ' is' : 's are'} in stages the ${pipeline.name} pipeline does not have`
+          });
+        }
       }
-      
-      const updatedJob = {
-        ...job,
-        ...updates,
-        updatedAt: new Date().toISOString()
-      };
-      
-      await db.jobs.update(id, updatedJob);
-      return HttpResponse.json(updatedJob);
-    } catch (error) {
-      return handleError(error);
+
+      await db.jobs.put(next);
+      return next;
+    });
+
+    return ok(updatedJob, withEtag(updatedJob));
+  })),
+
+  http.patch(`${API_BASE}/jobs/:id/reorder`, route('PATCH /jobs/:id/reorder', async ({ params, request }) => {
+    const { id } = params;
+    const { fromOrder, toOrder } = await readJson(request);
+
+    if (!Number.isFinite(fromOrder) || !Number.isFinite(toOrder)) {
+      throw new HttpError(422, 'Validation failed', {
+        fromOrder: 'fromOrder must be a number',
+        toOrder: 'toOrder must be a number'
+      });
     }
-  }),
-  
-  http.patch(`${API_BASE}/jobs/:id/reorder`, async ({ params, request }) => {
-    try {
-      await simulateNetwork(true);
-      const { id } = params;
-      const { fromOrder, toOrder } = await request.json();
-      
-      // Simulate occasional failure for testing rollback
-      if (Math.random() < 0.1) {
-        throw new Error('Failed to reorder jobs');
-      }
-      
-      const job = await db.jobs.get(id);
-      if (!job) {
-        return HttpResponse.json(
-          { error: 'Job not found' },
-          { status: 404 }
-        );
-      }
-      
-      // Update the order of the moved job
-      await db.jobs.update(id, { order: toOrder });
-      
-      // Update other jobs' orders if needed
+
+    const job = await db.transaction('rw', db.jobs, async () => {
+      await findOrFail(db.jobs, id, 'Job');
+
+      // Shift the jobs between the old and new position
       if (fromOrder < toOrder) {
-        // Moving down
         await db.jobs
           .where('order')
           .between(fromOrder + 1, toOrder, true, true)
-          .modify(job => {
-            job.order -= 1;
+          .modify(other => {
+            other.order -= 1;
           });
-      } else {
-        // Moving up
+      } else if (fromOrder > toOrder) {
         await db.jobs
           .where('order')
           .between(toOrder, fromOrder - 1, true, true)
-          .modify(job => {
-            job.order += 1;
+          .modify(other => {
+            other.order += 1;
           });
       }
-      
-      return HttpResponse.json({ success: true });
-    } catch (error) {
-      return handleError(error);
-    }
-  }),
-  http.get(`${API_BASE}/jobs/:id`, async ({ params }) => {
-    try {
-      await simulateNetwork();
-      const { id } = params;
-      const job = await db.jobs.get(id);
-      if (!job) {
-        return HttpResponse.json({ error: 'Job not found' }, { status: 404 });
-      }
-      return HttpResponse.json(job);
-    } catch (error) {
-      return handleError(error);
+
+      await db.jobs.update(id, { order: toOrder, updatedAt: new Date().toISOString() });
+      return db.jobs.get(id);
+    });
+
+    return ok(job);
+  })),
+
+  http.get(`${API_BASE}/jobs/:id/matches`, route('GET /jobs/:id/matches', async ({ params, request }) => {
+    const job = await findOrFail(db.jobs, params.id, 'Job');
+    const limit = Math.max(1, parseInt(new URL(request.url).searchParams.get('limit') || '5'));
+    const pipeline = await getPipeline(job.pipelineId);
+    const matches = await bestMatchesForJob(job.id, {
+      limit,
+      filter: (candidate) => !findStage(pipeline, candidate.stage).terminal,
+    });
+    return ok(matches);
+  })),
+
+  http.delete(`${API_BASE}/jobs/:id`, route('DELETE /jobs/:id', async ({ params }) => {
+    const job = await softDelete('job', params.id);
+    if (!job) {
+      throw new HttpError(404, 'Job not found');
     }
-  }),
+    return ok(job);
+  })),
 
-  
   // Candidates endpoints
-  http.get(`${API_BASE}/candidates`, async ({ request }) => {
-    try {
-      await simulateNetwork();
-      const url = new URL(request.url);
-      const search = url.searchParams.get('search') || '';
-      const jobId = url.searchParams.get('jobId');
-      const stage = url.searchParams.get('stage');
-      const page = parseInt(url.searchParams.get('page') || '1');
-      const pageSize = parseInt(url.searchParams.get('pageSize') || '20');
-      
-      let candidates = await db.candidates.toArray();
-      
-      // Apply filters
-      if (search) {
-        const searchLower = search.toLowerCase();
-        candidates = candidates.filter(candidate => 
-          candidate.name.toLowerCase().includes(searchLower) ||
-          candidate.email.toLowerCase().includes(searchLower) ||
-          candidate.skills?.some(skill => skill.toLowerCase().includes(searchLower))
-        );
-      }
-      
-      if (stage) {
-        candidates = candidates.filter(candidate => candidate.stage === stage);
-      }
+  http.get(`${API_BASE}/candidates`, route('GET /candidates', async ({ request }) => {
+    const url = new URL(request.url);
+    const search = url.searchParams.get('search') || '';
+    const jobId = url.searchParams.get('jobId') || '';
+    const stage = url.searchParams.get('stage') || '';
+    const { page, pageSize } = getPageParams(url, 20);
+    const skills = url.searchParams.getAll('skill');
+    const sort = url.searchParams.get('sort') || (search ? 'relevance' : '-appliedDate');
 
-      if (jobId) {
-        candidates = candidates.filter(candidate => candidate.jobId === jobId);
-      }
-      
-      // Apply pagination
-      const total = candidates.length;
-      const totalPages = Math.ceil(total / pageSize);
-      const start = (page - 1) * pageSize;
-      const end = start + pageSize;
-      const data = candidates.slice(start, end);
-      
-      // Include related job data
-      const candidatesWithJob = await Promise.all(data.map(async candidate => {
-        const job = await db.jobs.get(candidate.jobId);
-        return { ...candidate, job };
-      }));
-      
-      return HttpResponse.json({
-        data: candidatesWithJob,
-        pagination: {
-          page,
-          pageSize,
-          total,
-          totalPages,
-          hasNext: page < totalPages,
-          hasPrev: page > 1
-        }
-      });
-    } catch (error) {
-      return handleError(error);
-    }
-  }),
-  
-  http.post(`${API_BASE}/candidates`, async ({ request }) => {
-    try {
-      await simulateNetwork(true);
-      const candidate = await request.json();
-      const newCandidate = {
-        ...candidate,
-        id: crypto.randomUUID(),
-        appliedDate: new Date().toISOString(),
-        createdAt: new Date().toISOString(),
-        updatedAt: new Date().toISOString()
-      };
-      
+    const { data, total } = await queryCandidates({
+      search,
+      stage,
+      jobId,
+      skills,
+      sort,
+      page,
+      pageSize,
+      withJobs: true,
+      withMatches: true
+    });
+
+    return paginated(data, { page, pageSize, total });
+  })),
+
+  http.post(`${API_BASE}/candidates`, route('POST /candidates', async ({ request }) => {
+    const candidate = await readJson(request);
+    requireFields(candidate, ['name', 'email']);
+
+    const pipeline = await pipelineForJob(candidate.jobId);
+    if (candidate.stage) requireStage(pipeline, candidate.stage);
+
+    const now = new Date().toISOString();
+    const newCandidate = migrateRecord('candidates', {
+      ...candidate,
+      id: crypto.randomUUID(),
+      stage: candidate.stage || initialStage(pipeline),
+      appliedDate: now,
+      createdAt: now,
+      updatedAt: now
+    });
+
+    await db.transaction('rw', db.candidates, db.timeline, async () => {
       await db.candidates.add(newCandidate);
-      
-      // Add to timeline
-      await db.timeline.add({
-        id: crypto.randomUUID(),
-        candidateId: newCandidate.id,
-        type: 'applied',
+      await db.timeline.add(timelineEvent(newCandidate.id, 'applied', {
         title: 'Application Submitted',
-        description: 'Candidate applied for the position',
-        timestamp: new Date().toISOString(),
-        metadata: {}
+        description: 'Candidate applied for the position'
+      }));
+    });
+
+    return ok(newCandidate, withEtag(newCandidate, { status: 201 }));
+  })),
+
+  http.post(`${API_BASE}/candidates/import`, route('POST /candidates/import', async ({ request }) => {
+    const { candidates } = await readJson(request);
+    if (!Array.isArray(candidates) || !candidates.length) {
+      throw new HttpError(422, 'Validation failed', { candidates: 'candidates must list at least one candidate' });
+    }
+    const details = {};
+    const parsed = candidates.map((input, index) => {
+      const result = importedCandidateSchema.safeParse(input);
+      if (result.success) return result.data;
+      result.error.issues.forEach((issue) => {
+        const key = `candidates.${index}.${issue.path.join('.')}`;
+        if (!details[key]) details[key] = issue.message;
       });
-      
-      return HttpResponse.json(newCandidate, { status: 201 });
-    } catch (error) {
-      return handleError(error);
+      return null;
+    });
+    if (Object.keys(details).length) {
+      throw new HttpError(422, 'Validation failed', details);
     }
-  }),
-  
-  http.patch(`${API_BASE}/candidates/:id`, async ({ params, request }) => {
-    try {
-      await simulateNetwork(true);
-      const { id } = params;
-      const updates = await request.json();
-      const candidate = await db.candidates.get(id);
-      
-      if (!candidate) {
-        return HttpResponse.json(
-          { error: 'Candidate not found' },
-          { status: 404 }
-        );
+
+    const now = new Date().toISOString();
+    const result = await db.transaction('rw', db.candidates, db.timeline, db.jobs, db.pipelines, async () => {
+      const pipelines = new Map();
+      for (const jobId of new Set(parsed.map((candidate) => candidate.jobId))) {
+        const job = jobId ? await db.jobs.get(jobId) : null;
+        if (jobId && !isActive(job)) {
+          throw new HttpError(422, 'Validation failed', { jobId: `Unknown job "${jobId}"` });
+        }
+        pipelines.set(jobId, await getPipeline(job?.pipelineId));
       }
-      
-      const updatedCandidate = {
-        ...candidate,
-        ...updates,
-        updatedAt: new Date().toISOString()
-      };
-      
-      // If stage changed, add to timeline
-      if (updates.stage && updates.stage !== candidate.stage) {
-        await db.timeline.add({
+
+      // Emails must not match an active candidate, and within the file the first row wins
+      const taken = new Set((await db.candidates
+        .where('email')
+        .anyOfIgnoreCase(parsed.map(({ email }) => email))
+        .filter(isActive)
+        .toArray()).map(({ email }) => email.toLowerCase()));
+
+      const created = [];
+      const skipped = [];
+      const imported = new Set();
+      parsed.forEach((candidate, index) => {
+        if (taken.has(candidate.email)) {
+          skipped.push({ index, email: candidate.email, message: 'A candidate with this email already exists' });
+          return;
+        }
+        if (imported.has(candidate.email)) {
+          skipped.push({ index, email: candidate.email, message: 'The email repeats an earlier row' });
+          return;
+        }
+        imported.add(candidate.email);
+        created.push(migrateRecord('candidates', {
+          ...candidate,
           id: crypto.randomUUID(),
-          candidateId: id,
-          type: 'stage_change',
-          title: `Moved to ${updates.stage} stage`,
-          description: `Candidate moved from ${candidate.stage} to ${updates.stage}`,
-          timestamp: new Date().toISOString(),
-          metadata: {
-            from: candidate.stage,
-            to: updates.stage
-          }
-        });
-      }
-      
-      await db.candidates.update(id, updatedCandidate);
-      return HttpResponse.json(updatedCandidate);
-    } catch (error) {
-      return handleError(error);
+          stage: initialStage(pipelines.get(candidate.jobId)),
+          source: candidate.source || 'Import',
+          appliedDate: candidate.appliedDate || now,
+          createdAt: now,
+          updatedAt: now
+        }));
+      });
+
+      await db.candidates.bulkAdd(created);
+      await db.timeline.bulkAdd(created.map((candidate) => ({
+        ...timelineEvent(candidate.id, 'applied', {
+          title: 'Application Submitted',
+          description: 'Candidate imported from a spreadsheet',
+          metadata: { imported: true }
+        }),
+        timestamp: candidate.appliedDate
+      })));
+      return { created, skipped };
+    });
+
+    return ok({ created: result.created.map(({ id }) => id), skipped: result.skipped }, { status: 201 });
+  })),
+
+  http.post(`${API_BASE}/candidates/bulk`, route('POST /candidates/bulk', async ({ request }) => {
+    const { action, ids, filter, ...params } = await readJson(request);
+    const bulkAction = BULK_ACTIONS[action];
+    if (!bulkAction) {
+      throw new HttpError(422, 'Validation failed', { action: `action must be one of ${Object.keys(BULK_ACTIONS).join(', ')}` });
     }
-  }),
-  
-  http.get(`${API_BASE}/candidates/:id/timeline`, async ({ params }) => {
-    try {
-      await simulateNetwork();
-      const { id } = params;
-      const timeline = await db.timeline
-        .where('candidateId')
-        .equals(id)
-        .sortBy('timestamp');
-      
-      return HttpResponse.json(timeline);
-    } catch (error) {
-      return handleError(error);
+    if (!Array.isArray(ids) && (!filter || typeof filter !== 'object')) {
+      throw new HttpError(422, 'Validation failed', { ids: 'Send the candidate ids, or a filter selecting every matching candidate' });
     }
-  }),
-  
-  // Assessments endpoints
-  http.get(`${API_BASE}/assessments/:jobId`, async ({ params }) => {
-    try {
-      await simulateNetwork();
-      const { jobId } = params;
-      const assessment = await db.assessments.get({ jobId });
-      
-      if (!assessment) {
-        return HttpResponse.json(
-          { error: 'Assessment not found' },
-          { status: 404 }
-        );
+
+    // A filter selects what GET /candidates would list for it
+    const targetIds = Array.isArray(ids)
+      ? [...new Set(ids)]
+      : (await queryCandidates({ search: filter.search || '', stage: filter.stage || '', jobId: filter.jobId || '' }))
+        .data.map(({ id }) => id);
+    const prepared = await bulkAction.prepare(params);
+
+    const tables = [db.candidates, db.timeline, db.jobs, db.pipelines, db.assessments, db.responses, db.rejectionReasons];
+    const result = await db.transaction('rw', tables, async () => {
+      const succeeded = [];
+      const failed = [];
+      for (const id of targetIds) {
+        try {
+          const candidate = await findOrFail(db.candidates, id, 'Candidate');
+          succeeded.push(await bulkAction.apply(candidate, prepared));
+        } catch (error) {
+          if (!(error instanceof HttpError)) throw error;
+          failed.push({ id, status: error.status, message: error.message, ...(error.details && { details: error.details }) });
+        }
       }
-      
-      return HttpResponse.json(assessment);
-    } catch (error) {
-      return handleError(error);
+      return { succeeded, failed };
+    });
+
+    return ok({
+      action,
+      total: targetIds.length,
+      succeeded: result.succeeded.map(({ id }) => id),
+      failed: result.failed,
+      ...(action === 'export' && { candidates: result.succeeded })
+    });
+  })),
+
+  http.patch(`${API_BASE}/candidates/:id`, route('PATCH /candidates/:id', async ({ params, request }) => {
+    const { id } = params;
+    const { rejection: rejectionInput, ...updates } = await readJson(request);
+    if (updates.rank !== undefined && !isValidRank(updates.rank)) {
+      throw new HttpError(422, 'Validation failed', { rank: 'rank must be a base-62 string not ending in 0' });
     }
-  }),
-  
-  http.put(`${API_BASE}/assessments/:jobId`, async ({ params, request }) => {
-    try {
-      await simulateNetwork(true);
-      const { jobId } = params;
-      const assessment = await request.json();
-      
-      const existing = await db.assessments.get({ jobId });
-      
-      const assessmentData = {
-        ...assessment,
-        jobId,
-        updatedAt: new Date().toISOString()
-      };
-      
-      if (existing) {
-        await db.assessments.update(jobId, assessmentData);
-      } else {
-        assessmentData.id = crypto.randomUUID();
-        assessmentData.createdAt = new Date().toISOString();
-        await db.assessments.add(assessmentData);
+    const tables = [db.candidates, db.timeline, db.jobs, db.pipelines, db.assessments, db.responses, db.rejectionReasons];
+
+    const updatedCandidate = await db.transaction('rw', tables, async () => {
+      const candidate = await findOrFail(db.candidates, id, 'Candidate');
+      const next = applyPatch(candidate, request, updates);
+      const pipeline = await pipelineForJob(next.jobId);
+      if (updates.stage !== undefined || next.jobId !== candidate.jobId) requireStage(pipeline, next.stage);
+
+      // If stage changed, check the transition and add it to the timeline
+      if (updates.stage && updates.stage !== candidate.stage) {
+        await recordStageChange(candidate, next, pipeline, rejectionInput);
       }
-      
-      return HttpResponse.json(assessmentData);
-    } catch (error) {
-      return handleError(error);
-    }
-  }),
-  
-  http.post(`${API_BASE}/assessments/:jobId/submit`, async ({ params, request }) => {
-    try {
-      await simulateNetwork(true);
-      const { jobId } = params;
-      const { candidateId, responses } = await request.json();
-      
-      const responseId = crypto.randomUUID();
-      const response = {
-        id: responseId,
-        jobId,
-        candidateId,
-        responses,
-        submittedAt: new Date().toISOString(),
-        status: 'submitted'
-      };
-      
-      await db.responses.add(response);
-      
-      // Add to timeline
-      await db.timeline.add({
-        id: crypto.randomUUID(),
-        candidateId,
-        type: 'assessment_submitted',
-        title: 'Assessment Submitted',
-        description: 'Candidate has submitted the assessment',
-        timestamp: new Date().toISOString(),
-        metadata: { responseId }
-      });
-      
-      return HttpResponse.json(response, { status: 201 });
-    } catch (error) {
-      return handleError(error);
+
+      await db.candidates.put(next);
+      return next;
+    });
+
+    return ok(updatedCandidate, withEtag(updatedCandidate));
+  })),
+
+  http.patch(`${API_BASE}/candidates/:id/rank`, route('PATCH /candidates/:id/rank', async ({ params, request }) => {
+    const { previousId = null, nextId = null } = await readJson(request);
+
+    const candidate = await db.transaction('rw', db.candidates, async () => {
+      const current = await findOrFail(db.candidates, params.id, 'Candidate');
+      const next = applyPatch(current, request, { rank: await rankCandidate(current, previousId, nextId) });
+      await db.candidates.put(next);
+      return next;
+    });
+
+    return ok(candidate, withEtag(candidate));
+  })),
+
+  http.post(`${API_BASE}/candidates/:id/merge`, route('POST /candidates/:id/merge', async ({ params, request }) => {
+    const { duplicateId, picks = {} } = await readJson(request);
+    requireFields({ duplicateId }, ['duplicateId']);
+    if (duplicateId === params.id) {
+      throw new HttpError(422, 'Validation failed', { duplicateId: 'A candidate cannot be merged into itself' });
     }
-  }),
-  
-  http.post(`${API_BASE}/assessments/:jobId/submit`, async ({ params, request }) => {
-     try {
-       await simulateNetwork(true);
-       const { jobId } = params;
-       const { candidateId, responses } = await request.json();
-       
-       const responseId = crypto.randomUUID();
-       const response = {
-         id: responseId,
-         jobId,
-         candidateId,
-         responses,
-         submittedAt: new Date().toISOString(),
-         status: 'submitted'
-       };
-       
-       await db.responses.add(response);
-       
-       // Add to timeline
-       await db.timeline.add({
-         id: crypto.randomUUID(),
-         candidateId,
-         type: 'assessment_submitted',
-         title: 'Assessment Submitted',
-         description: 'Candidate has submitted the assessment',
-         timestamp: new Date().toISOString(),
-         metadata: { responseId }
-       });
-       
-       return HttpResponse.json(response, { status: 201 });
-     } catch (error) {
-       return handleError(error);
-     }
-   }),
-  http.patch(`${API_BASE}/jobs/:id`, async ({ request, params }) => {
-    await simulateNetwork();
-    const { id } = params;
-    const updates = await request.json();
-    await db.jobs.update(id, updates);
-    const updated = await db.jobs.get(id);
-    return HttpResponse.json(updated);
-  }),
-  http.patch(`${API_BASE}/jobs/:id/reorder`, async ({ request, params }) => {
-    await simulateNetwork();
-    // Simulate 500 error 20% of the time to test rollback
-    if (Math.random() < 0.2) {
-      return new HttpResponse(
-        { error: 'Simulated server error during reorder' }, 
-        { status: 500 }
-      );
+    const invalid = Object.entries(picks).filter(([key, value]) =>
+      !MERGE_FIELDS.some((field) => field.key === key) || !['survivor', 'duplicate'].includes(value));
+    if (invalid.length) {
+      throw new HttpError(422, 'Validation failed', Object.fromEntries(
+        invalid.map(([key]) => [`picks.${key}`, 'Pick either survivor or duplicate for a known field'])
+      ));
     }
-    const { id } = params;
-    const { fromOrder, toOrder } = await request.json();
-    const jobs = await db.jobs.orderBy('order').toArray();
-    const job = jobs.find(j => j.id === id);
-    if (!job) {
-      return new HttpResponse(null, { status: 404 });
-    }
-    // Reorder logic
-    const updates = [];
-    if (fromOrder < toOrder) {
-      jobs.forEach(j => {
-        if (j.order > fromOrder && j.order <= toOrder) {
-          updates.push({ id: j.id, order: j.order - 1 });
-        }
-      });
-    } else {
-      jobs.forEach(j => {
-        if (j.order >= toOrder && j.order < fromOrder) {
-          updates.push({ id: j.id, order: j.order + 1 });
+    const tables = [db.candidates, db.timeline, db.responses, db.attachments, db.scorecards, db.interviews, db.jobs, db.pipelines, db.assessments];
+
+    const merged = await db.transaction('rw', tables, async () => {
+      const survivor = await findOrFail(db.candidates, params.id, 'Candidate');
+      const duplicate = await findOrFail(db.candidates, duplicateId, 'Duplicate candidate');
+      const next = applyPatch(survivor, request, mergeCandidateFields(survivor, duplicate, picks));
+      requireStage(await pipelineForJob(next.jobId), next.stage);
+
+      // An interviewer keeps one scorecard per stage: a pending copy gives way
+      // to a submitted one, and the survivor's wins when both are pending
+      const survivorScorecards = await db.scorecards.where('candidateId').equals(survivor.id).toArray();
+      const clashes = (await db.scorecards.where('candidateId').equals(duplicate.id).toArray())
+        .map((scorecard) => [scorecard, survivorScorecards.find((other) =>
+          other.stage === scorecard.stage && sameName(other.interviewer, scorecard.interviewer))])
+        .filter(([, other]) => other);
+      const bothSubmitted = clashes.filter(([scorecard, other]) => scorecard.status === 'submitted' && other.status === 'submitted');
+      if (bothSubmitted.length) {
+        throw new HttpError(409, `Both candidates have a submitted scorecard from ${bothSubmitted
+          .map(([scorecard]) => `${scorecard.interviewer} (${scorecard.stageName})`).join(', ')}`);
+      }
+      const droppedScorecards = clashes.map(([scorecard, other]) => (scorecard.status === 'submitted' ? other.id : scorecard.id));
+      await db.scorecards.bulkDelete(droppedScorecards);
+
+      // Everything that happened to the duplicate now belongs to the survivor
+      const movedEvents = await db.timeline.where('candidateId').equals(duplicate.id).modify({ candidateId: survivor.id });
+      const movedResponses = await db.responses.where('candidateId').equals(duplicate.id).modify({ candidateId: survivor.id });
+      // Files both candidates had are kept once
+      const kept = new Set((await db.attachments.where('candidateId').equals(survivor.id).toArray()).map(({ checksum }) => checksum));
+      await db.attachments.where('candidateId').equals(duplicate.id).filter(({ checksum }) => kept.has(checksum)).delete();
+      const movedAttachments = await db.attachments.where('candidateId').equals(duplicate.id).modify({ candidateId: survivor.id });
+      const movedScorecards = await db.scorecards.where('candidateId').equals(duplicate.id).modify({ candidateId: survivor.id });
+      const movedInterviews = await db.interviews.where('candidateId').equals(duplicate.id).modify({ candidateId: survivor.id });
+
+      await db.candidates.put(next);
+      await db.candidates.put(touch(duplicate, { deletedAt: next.updatedAt, mergedInto: survivor.id }));
+      await db.timeline.add(timelineEvent(survivor.id, 'merged', {
+        title: 'Duplicate merged',
+        description: `Merged with ${duplicate.name} (${duplicate.email})`,
+        metadata: {
+          duplicateId: duplicate.id,
+          duplicateName: duplicate.name,
+          duplicateEmail: duplicate.email,
+          fieldsFromDuplicate: Object.keys(picks).filter((key) => picks[key] === 'duplicate'),
+          movedEvents,
+          movedResponses,
+          movedAttachments,
+          movedScorecards,
+          droppedScorecards: droppedScorecards.length,
+          movedInterviews
         }
-      });
-    }
-    updates.push({ id: id, order: toOrder });
-    // Apply all updates in a transaction
-    await db.transaction('rw', db.jobs, async () => {
-      await Promise.all(
-        updates.map(({ id, order }) => db.jobs.update(id, { order }))
-      );
+      }));
+      return next;
     });
-    return HttpResponse.json({ success: true });
-  }),
-  // Candidates endpoints
-  http.get(`${API_BASE}/candidates`, async ({ request }) => {
-    await simulateNetwork();
-    const url = new URL(request.url);
-    const search = url.searchParams.get('search') || '';
-    const stage = url.searchParams.get('stage') || '';
-    const page = parseInt(url.searchParams.get('page') || '1');
-    const pageSize = parseInt(url.searchParams.get('pageSize') || '50');
-    let candidates = await db.candidates.toArray();
-    // Filter
-    if (search) {
-      candidates = candidates.filter(c => 
-        c.name.toLowerCase().includes(search.toLowerCase()) ||
-        c.email.toLowerCase().includes(search.toLowerCase())
-      );
-    }
-    if (stage) {
-      candidates = candidates.filter(c => c.stage === stage);
-    }
-    // Sort by application date
-    candidates.sort((a, b) => 
-      new Date(b.appliedAt).getTime() - new Date(a.appliedAt).getTime()
-    );
-    // Paginate
-    const total = candidates.length;
-    const start = (page - 1) * pageSize;
-    const paginatedCandidates = candidates.slice(start, start + pageSize);
-    return HttpResponse.json({
-      data: paginatedCandidates,
-      pagination: {
-        page,
-        pageSize,
-        total,
-        totalPages: Math.ceil(total / pageSize)
-      }
+
+    return ok(merged, withEtag(merged));
+  })),
+
+  http.post(`${API_BASE}/candidates/:id/not-duplicate`, route('POST /candidates/:id/not-duplicate', async ({ params, request }) => {
+    const { otherId } = await readJson(request);
+    requireFields({ otherId }, ['otherId']);
+
+    const candidate = await db.transaction('rw', db.candidates, async () => {
+      const current = await findOrFail(db.candidates, params.id, 'Candidate');
+      const other = await findOrFail(db.candidates, otherId, 'Candidate');
+      const mark = (record, id) => (record.notDuplicateOf || []).includes(id)
+        ? record
+        : touch(record, { notDuplicateOf: [...(record.notDuplicateOf || []), id] });
+      const next = mark(current, other.id);
+      await db.candidates.bulkPut([next, mark(other, current.id)]);
+      return next;
     });
-  }),
-  http.post(`${API_BASE}/candidates`, async ({ request }) => {
-    await simulateNetwork();
-    const body = await request.json();
-    const newCandidate = {
-      id: crypto.randomUUID(),
-      name: body.name || '',
-      email: body.email || '',
-      stage: body.stage || 'applied',
-      jobId: body.jobId || '',
-      appliedAt: new Date().toISOString(),
-      phone: body.phone || '',
-      resume: body.resume || '',
-      notes: body.notes,
-    };
-    await db.candidates.add(newCandidate);
-    return HttpResponse.json(newCandidate, { status: 201 });
-  }),
-  http.patch(`${API_BASE}/candidates/:id`, async ({ request, params }) => {
-    await simulateNetwork();
-    const { id } = params;
-    const updates = await request.json();
-    await db.candidates.update(id, updates);
-    // Add timeline event for stage changes
-    if (updates.stage) {
-      await db.timeline.add({
-        id,
-        candidateId: id,
-        type: 'stage_change',
-        description: `Stage changed to ${updates.stage}`,
-        timestamp: new Date().toISOString(),
-        userName: 'Current User',
-      });
+
+    return ok(candidate, withEtag(candidate));
+  })),
+
+  http.delete(`${API_BASE}/candidates/:id`, route('DELETE /candidates/:id', async ({ params }) => {
+    const candidate = await softDelete('candidate', params.id);
+    if (!candidate) {
+      throw new HttpError(404, 'Candidate not found');
     }
-    const updated = await db.candidates.get(id);
-    return HttpResponse.json(updated);
-  }),
-  http.get(`${API_BASE}/candidates/:id/timeline`, async ({ params }) => {
-    await simulateNetwork();
+    return ok(candidate);
+  })),
+
+  http.get(`${API_BASE}/candidates/:id/timeline`, route('GET /candidates/:id/timeline', async ({ params }) => {
     const { id } = params;
-    const events = await db.timeline
+    await findOrFail(db.candidates, id, 'Candidate');
+    const timeline = await db.timeline
       .where('candidateId')
       .equals(id)
       .sortBy('timestamp');
-    return HttpResponse.json(events);
-  }),
-  // Assessments endpoints
-  http.get(`${API_BASE}/assessments/:jobId`, async ({ params }) => {
-    await simulateNetwork();
-    const { jobId } = params;
-    const assessment = await db.assessments
-      .where('jobId')
-      .equals(jobId)
-      .first();
-    return HttpResponse.json(assessment || null);
-  }),
-  http.put(`${API_BASE}/assessments/:jobId`, async ({ request, params }) => {
-    await simulateNetwork();
-    const { jobId } = params;
-    const body = await request.json();
-    const existing = await db.assessments
-      .where('jobId')
-      .equals(jobId)
-      .first();
-    if (existing) {
-      await db.assessments.update(existing.id, {
-        ...body,
-        updatedAt: new Date().toISOString()
-      });
-      const updated = await db.assessments.get(existing.id);
-      return HttpResponse.json(updated);
-    } else {
-      const newAssessment = {
+
+    return ok(timeline);
+  })),
+
+  http.get(`${API_BASE}/candidates/:id/attachments`, route('GET /candidates/:id/attachments', async ({ params }) => {
+    await findOrFail(db.candidates, params.id, 'Candidate');
+    return ok(await listAttachments(params.id));
+  })),
+
+  http.post(`${API_BASE}/candidates/:id/attachments`, route('POST /candidates/:id/attachments', async ({ params, request }) => {
+    const form = await readForm(request);
+    const file = form.get('file');
+    const kind = form.get('kind') || 'other';
+    const uploadedBy = String(form.get('uploadedBy') || '').trim();
+    const details = {};
+    if (!(file instanceof Blob)) details.file = 'file is required';
+    if (!(kind in ATTACHMENT_KINDS)) details.kind = `kind must be one of ${Object.keys(ATTACHMENT_KINDS).join(', ')}`;
+    if (!uploadedBy) details.uploadedBy = 'uploadedBy is required';
+    if (Object.keys(details).length) {
+      throw new HttpError(422, 'Validation failed', details);
+    }
+    const problem = attachmentProblem(file);
+    if (problem) {
+      throw new HttpError(problem.status, problem.message, { file: problem.message });
+    }
+
+    const type = attachmentType(file);
+    const checksum = await checksumOf(file);
+    const { available } = await attachmentUsage();
+    if (file.size > available) {
+      throw new HttpError(507, `Not enough attachment storage left (${formatBytes(available)} free)`, { available });
+    }
+
+    const attachment = await db.transaction('rw', db.candidates, db.attachments, db.timeline, async () => {
+      await findOrFail(db.candidates, params.id, 'Candidate');
+      const existing = await db.attachments.where('checksum').equals(checksum)
+        .filter((item) => item.candidateId === params.id).first();
+      if (existing) {
+        throw new HttpError(409, `This file is already attached as "${existing.name}"`, { current: attachmentMeta(existing) });
+      }
+      const record = {
         id: crypto.randomUUID(),
-        jobId: jobId,
-        ...body,
+        candidateId: params.id,
+        kind,
+        name: file.name || `attachment.${type.split('/').pop()}`,
+        type,
+        size: file.size,
+        checksum,
+        uploadedBy,
         createdAt: new Date().toISOString(),
-        updatedAt: new Date().toISOString(),
+        // Stored with the resolved type so downloads and previews get it back
+        blob: file.type === type ? file : new Blob([file], { type })
       };
-      await db.assessments.add(newAssessment);
-      return HttpResponse.json(newAssessment, { status: 201 });
+      await db.attachments.add(record);
+      await db.timeline.add(timelineEvent(params.id, 'attachment_added', {
+        title: `${ATTACHMENT_KINDS[kind]} attached`,
+        description: `${uploadedBy} attached ${record.name} (${formatBytes(record.size)})`,
+        metadata: { attachmentId: record.id, kind, name: record.name, size: record.size, uploadedBy }
+      }));
+      return attachmentMeta(record);
+    });
+
+    return ok(attachment, { status: 201 });
+  })),
+
+  http.get(`${API_BASE}/candidates/:id/attachments/:attachmentId`, route('GET /candidates/:id/attachments/:attachmentId', async ({ params }) => {
+    await findOrFail(db.candidates, params.id, 'Candidate');
+    const attachment = await db.attachments.get(params.attachmentId);
+    if (attachment?.candidateId !== params.id) {
+      throw new HttpError(404, 'Attachment not found');
     }
-  }),
-  http.post(`${API_BASE}/assessments/:jobId/responses`, async ({ request, params }) => {
-    await simulateNetwork();
+    return new HttpResponse(attachment.blob, {
+      headers: {
+        'Content-Type': attachment.type,
+        'Content-Length': String(attachment.size),
+        'Content-Disposition': contentDisposition('inline', attachment.name)
+      }
+    });
+  })),
+
+  http.delete(`${API_BASE}/candidates/:id/attachments/:attachmentId`, route('DELETE /candidates/:id/attachments/:attachmentId', async ({ params }) => {
+    const removed = await db.transaction('rw', db.candidates, db.attachments, db.timeline, async () => {
+      await findOrFail(db.candidates, params.id, 'Candidate');
+      const attachment = await db.attachments.get(params.attachmentId);
+      if (attachment?.candidateId !== params.id) {
+        throw new HttpError(404, 'Attachment not found');
+      }
+      await db.attachments.delete(attachment.id);
+      await db.timeline.add(timelineEvent(params.id, 'attachment_removed', {
+        title: `${ATTACHMENT_KINDS[attachment.kind] || 'Attachment'} removed`,
+        description: `${attachment.name} was removed`,
+        metadata: { attachmentId: attachment.id, kind: attachment.kind, name: attachment.name }
+      }));
+      return attachmentMeta(attachment);
+    });
+
+    return ok(removed);
+  })),
+
+  http.get(`${API_BASE}/candidates/:id/scorecards`, route('GET /candidates/:id/scorecards', async ({ params, request }) => {
+    await findOrFail(db.candidates, params.id, 'Candidate');
+    const viewer = new URL(request.url).searchParams.get('viewer') || '';
+    const scorecards = redactScorecards(
+      await db.scorecards.where('candidateId').equals(params.id).sortBy('requestedAt'),
+      viewer
+    );
+    return ok({ scorecards, aggregate: aggregateScorecards(scorecards) });
+  })),
+
+  http.post(`${API_BASE}/candidates/:id/scorecards`, route('POST /candidates/:id/scorecards', async ({ params, request }) => {
+    const { stage: stageId, interviewers } = parseBody(scorecardRequestSchema, await readJson(request));
+
+    const created = await db.transaction('rw', db.candidates, db.jobs, db.pipelines, db.scorecards, db.timeline, async () => {
+      const candidate = await findOrFail(db.candidates, params.id, 'Candidate');
+      const pipeline = await pipelineForJob(candidate.jobId);
+      requireStage(pipeline, stageId);
+      const stage = findStage(pipeline, stageId);
+      if (!stage.scorecard?.length) {
+        throw new HttpError(422, 'Validation failed', { stage: `${stage.name} has no scorecard; add competencies to it on the Pipelines page` });
+      }
+
+      const existing = await db.scorecards.where('[candidateId+stage]').equals([candidate.id, stageId]).toArray();
+      const asked = interviewers.filter((name) => existing.some(({ interviewer }) => interviewer.toLowerCase() === name.toLowerCase()));
+      if (asked.length) {
+        throw new HttpError(409, `${asked.join(', ')} already ${asked.length === 1 ? 'has' : 'have'} a ${stage.name} scorecard for this candidate`);
+      }
+
+      const now = new Date().toISOString();
+      const records = interviewers.map((interviewer) => ({
+        id: crypto.randomUUID(),
+        candidateId: candidate.id,
+        jobId: candidate.jobId,
+        stage: stageId,
+        stageName: stage.name,
+        interviewer,
+        competencies: stage.scorecard,
+        status: 'pending',
+        requestedAt: now
+      }));
+      await db.scorecards.bulkAdd(records);
+      await db.timeline.add(timelineEvent(candidate.id, 'scorecard_requested', {
+        title: 'Scorecards requested',
+        description: `${stage.name} scorecard requested from ${interviewers.join(', ')}`,
+        metadata: { stage: stageId, interviewers, scorecardIds: records.map(({ id }) => id) }
+      }));
+      return records;
+    });
+
+    return ok(created, { status: 201 });
+  })),
+
+  http.put(`${API_BASE}/candidates/:id/scorecards/:scorecardId`, route('PUT /candidates/:id/scorecards/:scorecardId', async ({ params, request }) => {
+    const body = await readJson(request);
+
+    const submitted = await db.transaction('rw', db.candidates, db.scorecards, db.timeline, async () => {
+      await findOrFail(db.candidates, params.id, 'Candidate');
+      const scorecard = await db.scorecards.get(params.scorecardId);
+      if (scorecard?.candidateId !== params.id) {
+        throw new HttpError(404, 'Scorecard not found');
+      }
+      const { interviewer, ratings, evidence, recommendation } = parseBody(scorecardSubmissionSchema(scorecard.competencies), body);
+      if (interviewer.toLowerCase() !== scorecard.interviewer.toLowerCase()) {
+        throw new HttpError(403, `Only ${scorecard.interviewer} can submit this scorecard`);
+      }
+      if (scorecard.status === 'submitted') {
+        throw new HttpError(409, 'This scorecard was already submitted', { current: scorecard });
+      }
+
+      const next = { ...scorecard, ratings, evidence, recommendation, status: 'submitted', submittedAt: new Date().toISOString() };
+      await db.scorecards.put(next);
+      // The recommendation stays out of the timeline, which is not blind
+      await db.timeline.add(timelineEvent(params.id, 'scorecard_submitted', {
+        title: 'Scorecard submitted',
+        description: `${scorecard.interviewer} submitted the ${scorecard.stageName} scorecard`,
+        metadata: { scorecardId: scorecard.id, stage: scorecard.stage, interviewer: scorecard.interviewer }
+      }));
+      return next;
+    });
+
+    return ok(submitted);
+  })),
+
+  http.delete(`${API_BASE}/candidates/:id/scorecards/:scorecardId`, route('DELETE /candidates/:id/scorecards/:scorecardId', async ({ params }) => {
+    const removed = await db.transaction('rw', db.candidates, db.scorecards, async () => {
+      await findOrFail(db.candidates, params.id, 'Candidate');
+      const scorecard = await db.scorecards.get(params.scorecardId);
+      if (scorecard?.candidateId !== params.id) {
+        throw new HttpError(404, 'Scorecard not found');
+      }
+      if (scorecard.status === 'submitted') {
+        throw new HttpError(409, 'Submitted scorecards cannot be withdrawn');
+      }
+      await db.scorecards.delete(scorecard.id);
+      return scorecard;
+    });
+
+    return ok(removed);
+  })),
+
+  // Interviews endpoints
+  http.get(`${API_BASE}/interviews`, route('GET /interviews', async ({ request }) => {
+    const { searchParams } = new URL(request.url);
+    return ok(await listInterviews({
+      candidateId: searchParams.get('candidateId') || undefined,
+      from: searchParams.get('from') || undefined,
+      to: searchParams.get('to') || undefined,
+      status: searchParams.get('status') || undefined
+    }));
+  })),
+
+  http.post(`${API_BASE}/candidates/:id/interviews`, route('POST /candidates/:id/interviews', async ({ params, request }) => {
+    const { allowConflicts = false, ...body } = await readJson(request);
+    const input = parseBody(interviewSchema, body);
+
+    const interview = await db.transaction('rw', db.candidates, db.interviews, db.timeline, async () => {
+      const candidate = await findOrFail(db.candidates, params.id, 'Candidate');
+      const now = new Date().toISOString();
+      const record = {
+        id: crypto.randomUUID(),
+        candidateId: candidate.id,
+        jobId: candidate.jobId,
+        ...input,
+        ...interviewTimes(input),
+        status: 'scheduled',
+        version: 1,
+        createdAt: now,
+        updatedAt: now
+      };
+      await checkInterviewConflicts(record, allowConflicts);
+      await db.interviews.add(record);
+      await db.timeline.add(timelineEvent(candidate.id, 'interview_scheduled', {
+        title: 'Interview scheduled',
+        description: `${interviewTitle(record)} on ${formatInterviewWhen(record)} with ${record.interviewers.join(', ')}`,
+        metadata: { interviewId: record.id, startsAt: record.startsAt, interviewers: record.interviewers }
+      }));
+      return record;
+    });
+
+    return ok(interview, withEtag(interview, { status: 201 }));
+  })),
+
+  http.patch(`${API_BASE}/interviews/:id`, route('PATCH /interviews/:id', async ({ params, request }) => {
+    const { allowConflicts = false, ...updates } = await readJson(request);
+
+    const updated = await db.transaction('rw', db.candidates, db.interviews, db.timeline, async () => {
+      const interview = await findInterviewOrFail(params.id);
+      if (interview.status === 'cancelled') {
+        throw new HttpError(409, 'Cancelled interviews cannot be rescheduled', { current: interview });
+      }
+      const input = parseBody(interviewSchema, { ...pickInterviewFields(interview), ...pickInterviewFields(updates) });
+      const next = applyPatch(interview, request, { ...input, ...interviewTimes(input) });
+      await checkInterviewConflicts(next, allowConflicts);
+      await db.interviews.put(next);
+
+      if (next.startsAt !== interview.startsAt || next.endsAt !== interview.endsAt) {
+        await db.timeline.add(timelineEvent(interview.candidateId, 'interview_rescheduled', {
+          title: 'Interview rescheduled',
+          description: `${interviewTitle(next)} moved from ${formatInterviewWhen(interview)} to ${formatInterviewWhen(next)}`,
+          metadata: { interviewId: next.id, from: interview.startsAt, startsAt: next.startsAt, interviewers: next.interviewers }
+        }));
+      } else {
+        const changed = INTERVIEW_FIELDS.filter((field) => JSON.stringify(next[field]) !== JSON.stringify(interview[field]));
+        if (changed.length) {
+          await db.timeline.add(timelineEvent(interview.candidateId, 'interview_updated', {
+            title: 'Interview updated',
+            description: `${interviewTitle(next)} on ${formatInterviewWhen(next)}: changed ${changed.map((field) => INTERVIEW_FIELD_LABELS[field]).join(', ')}`,
+            metadata: { interviewId: next.id, fields: changed }
+          }));
+        }
+      }
+      return next;
+    });
+
+    return ok(updated, withEtag(updated));
+  })),
+
+  http.post(`${API_BASE}/interviews/:id/cancel`, route('POST /interviews/:id/cancel', async ({ params, request }) => {
+    const { reason } = parseBody(interviewCancelSchema, await readJson(request));
+
+    const cancelled = await db.transaction('rw', db.candidates, db.interviews, db.timeline, async () => {
+      const interview = await findInterviewOrFail(params.id);
+      if (interview.status === 'cancelled') {
+        throw new HttpError(409, 'This interview was already cancelled', { current: interview });
+      }
+      const next = applyPatch(interview, request, { status: 'cancelled', cancelledAt: new Date().toISOString(), cancelReason: reason });
+      await db.interviews.put(next);
+      await db.timeline.add(timelineEvent(interview.candidateId, 'interview_cancelled', {
+        title: 'Interview cancelled',
+        description: `${interviewTitle(interview)} on ${formatInterviewWhen(interview)} was cancelled${reason ? `: ${reason}` : ''}`,
+        metadata: { interviewId: interview.id, startsAt: interview.startsAt, reason }
+      }));
+      return next;
+    });
+
+    return ok(cancelled, withEtag(cancelled));
+  })),
+
+  http.get(`${API_BASE}/interviews/:id/ics`, route('GET /interviews/:id/ics', async ({ params }) => {
+    const interview = await findInterviewOrFail(params.id);
+    const candidate = await db.candidates.get(interview.candidateId);
+    return new HttpResponse(toIcs(interview, candidate), {
+      headers: {
+        'Content-Type': 'text/calendar; charset=utf-8',
+        'Content-Disposition': `attachment; filename="${icsFileName(interview, candidate)}"`
+      }
+    });
+  })),
+
+  // Assessments endpoints
+  http.get(`${API_BASE}/assessments/:jobId`, route('GET /assessments/:jobId', async ({ params }) => {
+    const assessment = await findAssessment(params.jobId);
+    if (!assessment) {
+      throw new HttpError(404, 'Assessment not found');
+    }
+    return ok(assessment);
+  })),
+
+  http.put(`${API_BASE}/assessments/:jobId`, route('PUT /assessments/:jobId', async ({ params, request }) => {
+    const { jobId } = params;
+    const body = await readJson(request);
+    const now = new Date().toISOString();
+
+    const existing = await findAssessment(jobId);
+    if (existing) {
+      const updated = { ...existing, ...body, id: existing.id, jobId, updatedAt: now };
+      await db.assessments.put(updated);
+      return ok(updated);
+    }
+
+    const created = { ...body, id: crypto.randomUUID(), jobId, createdAt: now, updatedAt: now };
+    await db.assessments.add(created);
+    return ok(created, { status: 201 });
+  })),
+
+  http.delete(`${API_BASE}/assessments/:jobId`, route('DELETE /assessments/:jobId', async ({ params }) => {
+    const assessment = await findAssessment(params.jobId);
+    if (!assessment) {
+      throw new HttpError(404, 'Assessment not found');
+    }
+    return ok(await softDelete('assessment', assessment.id));
+  })),
+
+  http.post(`${API_BASE}/assessments/:jobId/submit`, route('POST /assessments/:jobId/submit', async ({ params, request }) => {
     const { jobId } = params;
-    const body = await request.json();
+    const { candidateId, responses } = await readJson(request);
+    requireFields({ candidateId }, ['candidateId']);
+
+    const assessment = await findAssessment(jobId);
+    if (!assessment) {
+      throw new HttpError(404, 'Assessment not found');
+    }
+
     const response = {
       id: crypto.randomUUID(),
-      jobId: jobId,
-      candidateId: body.candidateId,
-      assessmentId: body.assessmentId,
-      answers: body.answers,
+      assessmentId: assessment.id,
+      jobId,
+      candidateId,
+      responses: responses || {},
       submittedAt: new Date().toISOString(),
+      status: 'submitted'
+    };
+
+    await db.transaction('rw', db.candidates, db.responses, db.timeline, async () => {
+      const candidate = await findOrFail(db.candidates, candidateId, 'Candidate');
+      if (candidate.jobId !== jobId) {
+        throw new HttpError(422, 'Validation failed', { candidateId: 'Candidate has not applied to this job' });
+      }
+      await db.responses.add(response);
+      await db.timeline.add(timelineEvent(candidateId, 'assessment_completed', {
+        title: 'Assessment Submitted',
+        description: 'Candidate has submitted the assessment',
+        metadata: { responseId: response.id, assessmentId: assessment.id }
+      }));
+    });
+
+    return ok(response, { status: 201 });
+  })),
+
+  // Pipeline endpoints
+  http.get(`${API_BASE}/pipelines`, route('GET /pipelines', async () => {
+    return ok(await listPipelines());
+  })),
+
+  http.get(`${API_BASE}/pipelines/:id`, route('GET /pipelines/:id', async ({ params }) => {
+    const pipeline = (await listPipelines()).find(({ id }) => id === params.id);
+    if (!pipeline) {
+      throw new HttpError(404, 'Pipeline not found');
+    }
+    return ok(pipeline);
+  })),
+
+  http.post(`${API_BASE}/pipelines`, route('POST /pipelines', async ({ request }) => {
+    const body = parsePipeline(await readJson(request));
+    const taken = (await listPipelines()).map(({ id }) => id);
+    const now = new Date().toISOString();
+    const pipeline = { ...body, id: uniqueSlug(body.name, taken, 'pipeline'), createdAt: now, updatedAt: now };
+    await db.pipelines.add(pipeline);
+    return ok(pipeline, { status: 201 });
+  })),
+
+  http.put(`${API_BASE}/pipelines/:id`, route('PUT /pipelines/:id', async ({ params, request }) => {
+    const { id } = params;
+    const body = parsePipeline(await readJson(request));
+
+    const pipeline = await db.transaction('rw', db.pipelines, db.jobs, db.candidates, async () => {
+      const existing = (await listPipelines()).find((item) => item.id === id);
+      if (!existing) {
+        throw new HttpError(404, 'Pipeline not found');
+      }
+
+      // Stages can only be removed once no candidate is in them
+      const counts = await countCandidatesByStage(id);
+      const removed = existing.stages.filter((stage) => counts[stage.id] && !body.stages.some(({ id: kept }) => kept === stage.id));
+      if (removed.length) {
+        throw new HttpError(409, 'Move candidates out of a stage before removing it', Object.fromEntries(
+          removed.map((stage) => [`stages.${stage.id}`, `${counts[stage.id]} candidate${counts[stage.id] === 1 ? ' is' : 's are'} in ${stage.name}`])
+        ));
+      }
+
+      const now = new Date().toISOString();
+      const next = { ...existing, ...body, id, createdAt: existing.createdAt || now, updatedAt: now };
+      await db.pipelines.put(next);
+      return next;
+    });
+
+    return ok(pipeline);
+  })),
+
+  http.delete(`${API_BASE}/pipelines/:id`, route('DELETE /pipelines/:id', async ({ params }) => {
+    const { id } = params;
+    if (id === DEFAULT_PIPELINE_ID) {
+      throw new HttpError(409, 'The default pipeline cannot be deleted');
+    }
+    const pipeline = await db.pipelines.get(id);
+    if (!pipeline) {
+      throw new HttpError(404, 'Pipeline not found');
+    }
+    const jobs = await countJobsUsing(id);
+    if (jobs) {
+      throw new HttpError(409, `${jobs} job${jobs === 1 ? ' uses' : 's use'} this pipeline`);
+    }
+    await db.pipelines.delete(id);
+    return ok(pipeline);
+  })),
+
+  // Rejection reason endpoints
+  http.get(`${API_BASE}/rejection-reasons`, route('GET /rejection-reasons', async ({ request }) => {
+    const url = new URL(request.url);
+    return ok(await listRejectionReasons({ includeArchived: url.searchParams.get('includeArchived') === 'true' }));
+  })),
+
+  http.post(`${API_BASE}/rejection-reasons`, route('POST /rejection-reasons', async ({ request }) => {
+    const { label } = parseRejectionReason(await readJson(request));
+    const reasons = await listRejectionReasons({ includeArchived: true });
+    if (reasons.some((reason) => reason.label.toLowerCase() === label.toLowerCase())) {
+      throw new HttpError(409, `A reason called "${label}" already exists`);
+    }
+    const reason = {
+      id: uniqueSlug(label, reasons.map(({ id }) => id), 'reason'),
+      label,
+      order: Math.max(-1, ...reasons.map(({ order }) => order)) + 1,
+      archived: false,
     };
-    await db.responses.add(response);
-    // Add timeline event
-    await db.timeline.add({
-      id,
-      candidateId: body.candidateId,
-      type: 'assessment_completed',
-      description: 'Completed assessment',
-      timestamp: new Date().toISOString(),
-    });
-    return HttpResponse.json(response, { status: 201 });
-  }),
-];
\ No newline at end of file
+    await db.rejectionReasons.add(reason);
+    return ok(reason, { status: 201 });
+  })),
+
+  http.patch(`${API_BASE}/rejection-reasons/:id`, route('PATCH /rejection-reasons/:id', async ({ params, request }) => {
+    const updates = parseRejectionReason(await readJson(request), { partial: true });
+    const reason = await db.transaction('rw', db.rejectionReasons, async () => {
+      const existing = (await listRejectionReasons({ includeArchived: true })).find(({ id }) => id === params.id);
+      if (!existing) {
+        throw new HttpError(404, 'Rejection reason not found');
+      }
+      // Archived reasons stay readable in reports and on rejected candidates
+      const next = { ...existing, ...updates, id: existing.id };
+      await db.rejectionReasons.put(next);
+      return next;
+    });
+    return ok(reason);
+  })),
+
+  http.get(`${API_BASE}/reports/rejections`, route('GET /reports/rejections', async ({ request }) => {
+    const url = new URL(request.url);
+    return ok(await rejectionReport({
+      jobId: url.searchParams.get('jobId') || undefined,
+      since: url.searchParams.get('since') || undefined,
+    }));
+  })),
+
+  // Trash endpoints
+  http.get(`${API_BASE}/trash`, route('GET /trash', async () => {
+    return ok(await listTrash());
+  })),
+
+  http.post(`${API_BASE}/trash/:type/:id/restore`, route('POST /trash/:type/:id/restore', async ({ params }) => {
+    const { type, id } = params;
+    requireTrashType(type);
+    const record = await restoreFromTrash(type, id);
+    if (!record) {
+      throw new HttpError(404, 'Item not found in trash');
+    }
+    return ok(record);
+  })),
+
+  http.delete(`${API_BASE}/trash/:type/:id`, route('DELETE /trash/:type/:id', async ({ params }) => {
+    const { type, id } = params;
+    requireTrashType(type);
+    if (!(await purgeFromTrash(type, id))) {
+      throw new HttpError(404, 'Item not found in trash');
+    }
+    return ok({ type, id });
+  })),
+];
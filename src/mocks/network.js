@@ -0,0 +1,229 @@
+/**
+ * Network simulation settings for the mock API.
+ *
+ * Controls the latency and the injected failures `handlers.js` applies to
+ * every route. Settings come from, in increasing priority: the defaults
+ * below, localStorage, and `net-*` URL parameters (which are persisted to
+ * localStorage so a shared link keeps working while navigating):
+ *
+ *   ?net-latency=100-300           latency range in ms
+ *   ?net-read-error=0.1            failure rate for GET routes (0–1)
+ *   ?net-write-error=0.2           failure rate for other routes (0–1)
+ *   ?net-status=503                status code for injected failures
+ *   ?net-seed=42                   deterministic mode with this seed
+ *   ?net-route=PATCH /jobs/:id/reorder=1:409   per-route rate[:status], repeatable;
+ *                                  replaces the stored route overrides
+ *   ?net-off                       disable simulation (no latency, no failures)
+ *
+ * In deterministic mode latency and failures come from a seeded RNG, so the
+ * same sequence of requests always fails the same way after a reload.
+ */
+
+const STORAGE_KEY = 'talentflow:network';
+
+export const FAULT_STATUSES = [409, 422, 429, 500, 503];
+
+export const DEFAULT_NETWORK_CONFIG = {
+  enabled: true,
+  latency: { min: 200, max: 1200 },
+  errorRate: { read: 0, write: 0.075 },
+  status: 500,
+  deterministic: false,
+  seed: 1,
+  // Overrides keyed by 'METHOD /path', e.g. { errorRate: 0.1, status: 500 }
+  routes: {
+    'PATCH /jobs/:id/reorder': { errorRate: 0.1, status: 500 },
+  },
+};
+
+const clampRate = (value) => Math.min(1, Math.max(0, Number(value) || 0));
+
+/**
+ * mulberry32: small, fast seeded PRNG returning floats in [0, 1).
+ */
+const createRng = (seed) => {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+};
+
+const readStoredConfig = () => {
+  try {
+    return JSON.parse(window.localStorage.getItem(STORAGE_KEY)) || {};
+  } catch {
+    return {};
+  }
+};
+
+/**
+ * Parses `net-*` URL parameters into a partial config.
+ * @param {string} search - A location.search string.
+ * @returns {object}
+ */
+export const parseNetworkParams = (search) => {
+  const params = new URLSearchParams(search);
+  const config = {};
+
+  if (params.has('net-off')) config.enabled = false;
+  if (params.has('net-latency')) {
+    const [min, max = min] = params.get('net-latency').split('-').map(Number);
+    if (Number.isFinite(min) && Number.isFinite(max)) config.latency = { min, max };
+  }
+  if (params.has('net-read-error') || params.has('net-write-error')) {
+    config.errorRate = {};
+    if (params.has('net-read-error')) config.errorRate.read = clampRate(params.get('net-read-error'));
+    if (params.has('net-write-error')) config.errorRate.write = clampRate(params.get('net-write-error'));
+  }
+  if (params.has('net-status')) config.status = Number(params.get('net-status'));
+  if (params.has('net-seed')) {
+    config.deterministic = true;
+    config.seed = Number(params.get('net-seed')) || 1;
+  }
+  params.getAll('net-route').forEach((value) => {
+    const separator = value.lastIndexOf('=');
+    if (separator === -1) return;
+    const [rate, status] = value.slice(separator + 1).split(':');
+    config.routes = {
+      ...config.routes,
+      [value.slice(0, separator).trim()]: {
+        errorRate: clampRate(rate),
+        ...(status && { status: Number(status) }),
+      },
+    };
+  });
+
+  return config;
+};
+
+/**
+ * Serializes a config into `net-*` URL parameters, the inverse of
+ * `parseNetworkParams`.
+ * @param {object} value - A network config.
+ * @returns {URLSearchParams}
+ */
+export const toNetworkParams = (value) => {
+  const params = new URLSearchParams();
+  if (!value.enabled) params.set('net-off', '');
+  params.set('net-latency', `${value.latency.min}-${value.latency.max}`);
+  params.set('net-read-error', String(value.errorRate.read));
+  params.set('net-write-error', String(value.errorRate.write));
+  params.set('net-status', String(value.status));
+  if (value.deterministic) params.set('net-seed', String(value.seed));
+  Object.entries(value.routes).forEach(([key, { errorRate, status }]) => {
+    params.append('net-route', `${key}=${errorRate}${status ? `:${status}` : ''}`);
+  });
+  return params;
+};
+
+// Route overrides are replaced as a whole so removing one sticks
+const mergeConfig = (base, override) => ({
+  ...base,
+  ...override,
+  latency: { ...base.latency, ...override.latency },
+  errorRate: { ...base.errorRate, ...override.errorRate },
+  routes: override.routes ?? base.routes,
+});
+
+const hasWindow = typeof window !== 'undefined';
+
+let config = hasWindow
+  ? mergeConfig(mergeConfig(DEFAULT_NETWORK_CONFIG, readStoredConfig()), parseNetworkParams(window.location.search))
+  : DEFAULT_NETWORK_CONFIG;
+let random = config.deterministic ? createRng(config.seed) : Math.random;
+const listeners = new Set();
+const knownRoutes = new Set();
+
+const persist = () => {
+  if (!hasWindow) return;
+  try {
+    window.localStorage.setItem(STORAGE_KEY, JSON.stringify(config));
+  } catch {
+    // Storage may be unavailable (private mode); settings then last for the session
+  }
+};
+
+const emit = () => listeners.forEach((listener) => listener(config));
+
+persist();
+
+/**
+ * @returns {object} The current network settings.
+ */
+export const getNetworkConfig = () => config;
+
+/**
+ * Updates the settings, persists them and restarts the deterministic sequence.
+ * @param {object|function} update - Partial config, or a function of the current config.
+ */
+export const setNetworkConfig = (update) => {
+  const partial = typeof update === 'function' ? update(config) : update;
+  config = mergeConfig(config, partial);
+  random = config.deterministic ? createRng(config.seed) : Math.random;
+  persist();
+  emit();
+};
+
+/**
+ * Restores the defaults.
+ */
+export const resetNetworkConfig = () => {
+  config = DEFAULT_NETWORK_CONFIG;
+  random = Math.random;
+  persist();
+  emit();
+};
+
+/**
+ * Restarts the seeded sequence so the next requests replay the same outcomes.
+ */
+export const restartSequence = () => {
+  if (config.deterministic) random = createRng(config.seed);
+  emit();
+};
+
+/**
+ * @param {function} listener - Called with the new config after every change.
+ * @returns {function} Unsubscribes the listener.
+ */
+export const subscribeNetworkConfig = (listener) => {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+};
+
+/**
+ * Records a route key so the dev panel can offer per-route overrides.
+ * @param {string} key - 'METHOD /path', e.g. 'GET /jobs'.
+ */
+export const registerRoute = (key) => {
+  knownRoutes.add(key);
+};
+
+/**
+ * @returns {string[]} Route keys registered by the handlers.
+ */
+export const getKnownRoutes = () => [...knownRoutes];
+
+/**
+ * Decides how a request to the given route behaves.
+ * @param {string} key - 'METHOD /path' route key.
+ * @returns {{ latency: number, status: number|null }} Delay in ms, and the
+ *   status to fail with or null to let the request through.
+ */
+export const planRequest = (key) => {
+  if (!config.enabled) return { latency: 0, status: null };
+
+  const { min, max } = config.latency;
+  const latency = min + random() * Math.max(0, max - min);
+
+  const isWrite = !key.startsWith('GET ');
+  const override = config.routes[key];
+  const errorRate = override?.errorRate ?? (isWrite ? config.errorRate.write : config.errorRate.read);
+  const fails = random() < errorRate;
+
+  return { latency, status: fails ? override?.status ?? config.status : null };
+};
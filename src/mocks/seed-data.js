@@ -1,5 +1,8 @@
 import { faker } from '@faker-js/faker';
 import { db } from '@/lib/db';
+import { DEFAULT_PIPELINE, DEFAULT_PIPELINE_ID } from '@/lib/pipelines';
+import { rankFromDate } from '@/lib/ranking';
+import { SKILLS } from '@/lib/skills';
 
 const JOB_TITLES = [
   'Senior Frontend Developer',
@@ -30,13 +33,10 @@ const JOB_TITLES = [
 
 ];
 
-const SKILLS = [
-  'React', 'Node.js', 'TypeScript', 'Python', 'AWS', 'Docker', 'Kubernetes',
-  'GraphQL', 'PostgreSQL', 'MongoDB', 'Redis', 'Kafka', 'Terraform', 'Go',
-  'Java', 'Spring Boot', 'Kotlin', 'Swift', 'Flutter', 'Dart', 'Rust'
-];
+const STAGES = DEFAULT_PIPELINE.stages.map((stage) => stage.id);
 
-const STAGES = ['applied', 'screen', 'tech', 'offer', 'hired', 'rejected'];
+// Recruiters candidates are assigned to
+const OWNERS = ['Alex Morgan', 'Priya Shah', 'Sam Lee', 'Jordan Diaz'];
 
 function generateJob() {
   const title = faker.helpers.arrayElement(JOB_TITLES);
@@ -45,6 +45,7 @@ function generateJob() {
     title,
     slug: faker.helpers.slugify(title).toLowerCase(),
     status: faker.helpers.arrayElement(['active', 'archived']),
+    pipelineId: DEFAULT_PIPELINE_ID,
     description: faker.lorem.paragraphs(3),
     requirements: Array.from({ length: faker.number.int({ min: 3, max: 8 }) }, 
       () => faker.lorem.sentence()
@@ -62,6 +63,7 @@ function generateJob() {
 function generateCandidate(jobId) {
   const firstName = faker.person.firstName();
   const lastName = faker.person.lastName();
+  const appliedDate = faker.date.past().toISOString();
   
   return {
     id: faker.string.uuid(),
@@ -73,7 +75,8 @@ function generateCandidate(jobId) {
     experience: faker.number.int({ min: 0, max: 20 }),
     skills: faker.helpers.arrayElements(SKILLS, { min: 3, max: 8 }),
     stage: faker.helpers.arrayElement(STAGES),
-    appliedDate: faker.date.past().toISOString(),
+    appliedDate,
+    rank: rankFromDate(appliedDate),
     avatar: faker.image.avatar(),
     resumeUrl: faker.internet.url(),
     notes: faker.lorem.paragraph(),
@@ -83,6 +86,8 @@ function generateCandidate(jobId) {
     salaryExpectation: faker.finance.amount(50000, 200000, 0, '$'),
     noticePeriod: faker.helpers.arrayElement(['Immediately', '1 month', '2 months', '3 months', 'More than 3 months']),
     source: faker.helpers.arrayElement(['LinkedIn', 'Indeed', 'Company Website', 'Referral', 'Job Board', 'Other']),
+    owner: faker.helpers.arrayElement(OWNERS),
+    tags: [],
     linkedinUrl: `https://linkedin.com/in/${firstName.toLowerCase()}${lastName.toLowerCase()}`,
     githubUrl: `https://github.com/${firstName.toLowerCase()}${lastName.toLowerCase()}`,
 
@@ -156,7 +161,9 @@ export async function seedDatabase() {
     db.candidates.clear(),
     db.timeline.clear(),
     db.assessments.clear(),
-    db.responses.clear()
+    db.responses.clear(),
+    db.searchIndex.clear(),
+    db.matchScores.clear()
   ]);
 
   // Generate jobs
@@ -1,13 +1,16 @@
 import { useState, useEffect } from "react";
-import { useQuery } from "@tanstack/react-query";
+import { useMutation, useQuery, useQueryClient } from "@tanstack/react-query";
 import { useLiveQuery } from "dexie-react-hooks";
-import { ClipboardList, Plus, Briefcase, FileText, CheckCircle } from "lucide-react";
+import { ClipboardList, Plus, Briefcase, FileText, CheckCircle, Trash2 } from "lucide-react";
 import { Button } from "@/components/ui/button";
 import { Card, CardContent, CardHeader, CardTitle } from "@/components/ui/card";
 import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from "@/components/ui/select";
 import { Badge } from "@/components/ui/badge";
 import { AssessmentBuilder } from "@/components/assessments/AssessmentBuilder";
+import { useToast } from "@/hooks/use-toast";
+import { apiRequest } from "@/lib/api";
 import { db } from "@/lib/db";
+import { isActive } from "@/lib/trash";
 
 /**
  * Seed data for assessments with meaningful questions.
@@ -61,13 +64,15 @@ const getQuestionCount = (assessment) => {
 const Assessments = () => {
   const [selectedJobId, setSelectedJobId] = useState("");
   const [showBuilder, setShowBuilder] = useState(false);
+  const queryClient = useQueryClient();
+  const { toast } = useToast();
 
   useSeedData();
 
   // Fetch active jobs
   const { data: jobs = [] } = useQuery({
     queryKey: ["jobs-for-assessment"],
-    queryFn: () => db.jobs.where("status").equals("active").toArray(),
+    queryFn: () => db.jobs.where("status").equals("active").filter(isActive).toArray(),
   });
 
   // Fetch assessment for selected job
@@ -75,19 +80,30 @@ const Assessments = () => {
     queryKey: ["assessment", selectedJobId],
     queryFn: async () => {
       if (!selectedJobId) return null;
-      return db.assessments.where("jobId").equals(selectedJobId).first();
+      return db.assessments.where("jobId").equals(selectedJobId).filter(isActive).first();
     },
     enabled: !!selectedJobId,
   });
 
   // Live query for reactive assessments list
   const assessments = useLiveQuery(
-    () => db.assessments.orderBy("createdAt").reverse().toArray(),
+    () => db.assessments.orderBy("createdAt").reverse().filter(isActive).toArray(),
     []
   ) || [];
 
   const selectedJob = jobs.find((j) => j.id === selectedJobId);
 
+  const deleteMutation = useMutation({
+    mutationFn: (assessment) => apiRequest(`/assessments/${assessment.jobId}`, { method: "DELETE" }),
+    onSuccess: () => {
+      queryClient.invalidateQueries({ queryKey: ["assessment"] });
+      queryClient.invalidateQueries({ queryKey: ["assessments-count"] });
+      toast({ title: "Assessment moved to trash", description: "It can be restored from the trash." });
+    },
+    onError: (error) =>
+      toast({ title: "Failed to delete assessment", description: error.message, variant: "destructive" }),
+  });
+
   /**
    * Handles saving an assessment.
    * @param {object} assessmentData - The assessment data to save.
@@ -215,13 +231,26 @@ const Assessments = () => {
                   <CardTitle className="text-lg font-semibold text-gray-900">
                     {assessment.title}
                   </CardTitle>
-                  <Badge
-                    variant={assessment.status === "active" ? "default" : "secondary"}
-                    className="flex items-center gap-1"
-                  >
-                    <CheckCircle className="h-3 w-3" />
-                    {assessment.status}
-                  </Badge>
+                  <div className="flex items-center gap-1">
+                    <Badge
+                      variant={assessment.status === "active" ? "default" : "secondary"}
+                      className="flex items-center gap-1"
+                    >
+                      <CheckCircle className="h-3 w-3" />
+                      {assessment.status}
+                    </Badge>
+                    <Button
+                      variant="ghost"
+                      size="icon"
+                      className="h-8 w-8 text-muted-foreground hover:text-red-600"
+                      title="Move to trash"
+                      aria-label="Move assessment to trash"
+                      disabled={deleteMutation.isPending}
+                      onClick={() => deleteMutation.mutate(assessment)}
+                    >
+                      <Trash2 className="h-4 w-4" />
+                    </Button>
+                  </div>
                 </div>
                 <p className="text-sm text-muted-foreground">{assessment.job}</p>
               </CardHeader>
@@ -0,0 +1,320 @@
+import { useRef, useState } from "react";
+import { useQuery, useQueryClient } from "@tanstack/react-query";
+import { DatabaseBackup, Download, Upload, FileJson, AlertTriangle, Loader2 } from "lucide-react";
+import { Button } from "@/components/ui/button";
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from "@/components/ui/card";
+import { Label } from "@/components/ui/label";
+import { RadioGroup, RadioGroupItem } from "@/components/ui/radio-group";
+import {
+  AlertDialog,
+  AlertDialogAction,
+  AlertDialogCancel,
+  AlertDialogContent,
+  AlertDialogDescription,
+  AlertDialogFooter,
+  AlertDialogHeader,
+  AlertDialogTitle,
+} from "@/components/ui/alert-dialog";
+import { useToast } from "@/hooks/use-toast";
+import { db } from "@/lib/db";
+import { downloadJson } from "@/lib/download";
+import {
+  BACKUP_TABLES,
+  backupFileName,
+  exportWorkspace,
+  importWorkspace,
+  parseBackup,
+} from "@/lib/backup";
+
+const TABLE_LABELS = {
+  pipelines: "Pipelines",
+  rejectionReasons: "Rejection reasons",
+  jobs: "Jobs",
+  candidates: "Candidates",
+  timeline: "Timeline events",
+  assessments: "Assessments",
+  responses: "Assessment responses",
+  scorecards: "Interview scorecards",
+  interviews: "Interviews",
+};
+
+const MODE_OPTIONS = [
+  {
+    value: "merge",
+    label: "Merge",
+    description: "Add new records and overwrite records with the same id. Nothing is removed.",
+  },
+  {
+    value: "replace",
+    label: "Replace",
+    description: "Make the workspace an exact copy of the backup. Records not in the file are removed.",
+  },
+];
+
+/**
+ * Backup Component
+ *
+ * Exports the whole workspace to a JSON file and imports one back, showing a
+ * dry-run summary of what the import will change before anything is written.
+ */
+const Backup = () => {
+  const queryClient = useQueryClient();
+  const { toast } = useToast();
+  const fileInputRef = useRef(null);
+  const [isExporting, setIsExporting] = useState(false);
+  const [isImporting, setIsImporting] = useState(false);
+  const [confirmReplace, setConfirmReplace] = useState(false);
+  const [mode, setMode] = useState("merge");
+  const [file, setFile] = useState(null); // { name, backup } or { name, error }
+
+  const { data: counts = {} } = useQuery({
+    queryKey: ["workspace-counts"],
+    queryFn: async () =>
+      Object.fromEntries(
+        await Promise.all(BACKUP_TABLES.map(async (table) => [table, await db.table(table).count()]))
+      ),
+  });
+
+  // Dry run: recomputed whenever the file or the mode changes
+  const { data: summary, isFetching: isPlanning } = useQuery({
+    queryKey: ["import-plan", file?.name, file?.backup?.exportedAt, mode],
+    queryFn: () => importWorkspace(file.backup, { mode, dryRun: true }),
+    enabled: !!file?.backup,
+    gcTime: 0,
+  });
+
+  const handleExport = async () => {
+    setIsExporting(true);
+    try {
+      const backup = await exportWorkspace();
+      downloadJson(backup, backupFileName());
+      const total = BACKUP_TABLES.reduce((sum, table) => sum + backup.tables[table].length, 0);
+      toast({ title: "Backup downloaded", description: `${total} records exported.` });
+    } catch (error) {
+      toast({ title: "Export failed", description: error.message, variant: "destructive" });
+    } finally {
+      setIsExporting(false);
+    }
+  };
+
+  const handleFileChange = async (event) => {
+    const selected = event.target.files?.[0];
+    event.target.value = "";
+    if (!selected) return;
+    try {
+      setFile({ name: selected.name, backup: parseBackup(await selected.text()) });
+    } catch (error) {
+      setFile({ name: selected.name, error });
+    }
+  };
+
+  const runImport = async () => {
+    setConfirmReplace(false);
+    setIsImporting(true);
+    try {
+      const result = await importWorkspace(file.backup, { mode });
+      const totals = Object.values(result).reduce(
+        (sum, { added, updated, removed }) => ({
+          added: sum.added + added,
+          updated: sum.updated + updated,
+          removed: sum.removed + removed,
+        }),
+        { added: 0, updated: 0, removed: 0 }
+      );
+      // Every cached query may be stale after an import
+      queryClient.invalidateQueries();
+      setFile(null);
+      toast({
+        title: "Backup imported",
+        description: `${totals.added} added, ${totals.updated} updated, ${totals.removed} removed.`,
+      });
+    } catch (error) {
+      toast({
+        title: "Import failed",
+        description: `${error.message}. No changes were made.`,
+        variant: "destructive",
+      });
+    } finally {
+      setIsImporting(false);
+    }
+  };
+
+  const hasChanges = summary && Object.values(summary).some(({ added, updated, removed }) => added + updated + removed > 0);
+
+  return (
+    <div className="space-y-6">
+      <div>
+        <h1 className="text-3xl font-bold tracking-tight">Backup &amp; Restore</h1>
+        <p className="text-muted-foreground">
+          All data lives in this browser. Download a backup regularly, since clearing site data removes it.
+        </p>
+      </div>
+
+      <Card>
+        <CardHeader>
+          <CardTitle className="flex items-center gap-2">
+            <Download className="h-5 w-5 text-blue-600" />
+            Export
+          </CardTitle>
+          <CardDescription>
+            Saves every pipeline, rejection reason, job, candidate, timeline event, assessment and response, including items in the trash.
+          </CardDescription>
+        </CardHeader>
+        <CardContent className="space-y-4">
+          <div className="grid grid-cols-2 md:grid-cols-7 gap-3">
+            {BACKUP_TABLES.map((table) => (
+              <div key={table} className="rounded-lg border bg-gray-50 p-3">
+                <p className="text-xs text-muted-foreground">{TABLE_LABELS[table]}</p>
+                <p className="text-xl font-semibold">{counts[table] ?? "—"}</p>
+              </div>
+            ))}
+          </div>
+          <Button onClick={handleExport} disabled={isExporting}>
+            {isExporting ? <Loader2 className="h-4 w-4 mr-2 animate-spin" /> : <DatabaseBackup className="h-4 w-4 mr-2" />}
+            Download backup
+          </Button>
+        </CardContent>
+      </Card>
+
+      <Card>
+        <CardHeader>
+          <CardTitle className="flex items-center gap-2">
+            <Upload className="h-5 w-5 text-blue-600" />
+            Import
+          </CardTitle>
+          <CardDescription>
+            Backups from older versions are upgraded automatically. Nothing is written until you confirm.
+          </CardDescription>
+        </CardHeader>
+        <CardContent className="space-y-6">
+          <div className="flex items-center gap-3">
+            <input
+              ref={fileInputRef}
+              type="file"
+              accept="application/json,.json"
+              className="hidden"
+              onChange={handleFileChange}
+            />
+            <Button variant="outline" onClick={() => fileInputRef.current?.click()} disabled={isImporting}>
+              <FileJson className="h-4 w-4 mr-2" />
+              Choose backup file
+            </Button>
+            {file && <span className="text-sm text-muted-foreground truncate">{file.name}</span>}
+          </div>
+
+          {file?.error && (
+            <div className="rounded-lg border border-red-200 bg-red-50 px-4 py-3 text-sm text-red-800">
+              <p className="flex items-center gap-2 font-medium">
+                <AlertTriangle className="h-4 w-4" />
+                {file.error.message}
+              </p>
+              {file.error.issues?.length > 1 && (
+                <ul className="mt-2 list-disc pl-6 space-y-1">
+                  {file.error.issues.slice(0, 10).map((issue) => (
+                    <li key={issue}>{issue}</li>
+                  ))}
+                  {file.error.issues.length > 10 && <li>and {file.error.issues.length - 10} more</li>}
+                </ul>
+              )}
+            </div>
+          )}
+
+          {file?.backup && (
+            <>
+              <p className="text-sm text-muted-foreground">
+                Exported {file.backup.exportedAt ? new Date(file.backup.exportedAt).toLocaleString() : "at an unknown time"}{" "}
+                · schema version {file.backup.schemaVersion}
+              </p>
+
+              <RadioGroup value={mode} onValueChange={setMode} className="grid md:grid-cols-2 gap-3">
+                {MODE_OPTIONS.map((option) => (
+                  <Label
+                    key={option.value}
+                    htmlFor={`import-mode-${option.value}`}
+                    className="flex items-start gap-3 rounded-lg border p-4 cursor-pointer font-normal"
+                  >
+                    <RadioGroupItem id={`import-mode-${option.value}`} value={option.value} className="mt-0.5" />
+                    <div>
+                      <p className="font-medium">{option.label}</p>
+                      <p className="text-sm text-muted-foreground">{option.description}</p>
+                    </div>
+                  </Label>
+                ))}
+              </RadioGroup>
+
+              <div className="overflow-x-auto rounded-lg border">
+                <table className="w-full text-sm">
+                  <thead className="bg-gray-50 text-left text-muted-foreground">
+                    <tr>
+                      <th className="px-4 py-2 font-medium">Dry run</th>
+                      <th className="px-4 py-2 font-medium text-right">Added</th>
+                      <th className="px-4 py-2 font-medium text-right">Updated</th>
+                      <th className="px-4 py-2 font-medium text-right">Unchanged</th>
+                      <th className="px-4 py-2 font-medium text-right">Removed</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {BACKUP_TABLES.map((table) => (
+                      <tr key={table} className="border-t">
+                        <td className="px-4 py-2">{TABLE_LABELS[table]}</td>
+                        {["added", "updated", "unchanged", "removed"].map((key) => (
+                          <td
+                            key={key}
+                            className={
+                              key === "removed" && summary?.[table]?.removed
+                                ? "px-4 py-2 text-right text-red-600 font-medium"
+                                : "px-4 py-2 text-right"
+                            }
+                          >
+                            {isPlanning || !summary ? "…" : summary[table][key]}
+                          </td>
+                        ))}
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+
+              <div className="flex items-center gap-2">
+                <Button
+                  onClick={() => (mode === "replace" ? setConfirmReplace(true) : runImport())}
+                  disabled={isImporting || isPlanning || !hasChanges}
+                  variant={mode === "replace" ? "destructive" : "default"}
+                >
+                  {isImporting && <Loader2 className="h-4 w-4 mr-2 animate-spin" />}
+                  {mode === "replace" ? "Replace workspace" : "Merge into workspace"}
+                </Button>
+                <Button variant="ghost" onClick={() => setFile(null)} disabled={isImporting}>
+                  Cancel
+                </Button>
+                {summary && !hasChanges && (
+                  <span className="text-sm text-muted-foreground">The workspace already matches this backup.</span>
+                )}
+              </div>
+            </>
+          )}
+        </CardContent>
+      </Card>
+
+      <AlertDialog open={confirmReplace} onOpenChange={setConfirmReplace}>
+        <AlertDialogContent>
+          <AlertDialogHeader>
+            <AlertDialogTitle>Replace the whole workspace?</AlertDialogTitle>
+            <AlertDialogDescription>
+              Records that are not in the backup are deleted permanently, including items in the trash.
+              Download a backup of the current workspace first if you may need it.
+            </AlertDialogDescription>
+          </AlertDialogHeader>
+          <AlertDialogFooter>
+            <AlertDialogCancel>Cancel</AlertDialogCancel>
+            <AlertDialogAction onClick={runImport} className="bg-red-600 hover:bg-red-700">
+              Replace workspace
+            </AlertDialogAction>
+          </AlertDialogFooter>
+        </AlertDialogContent>
+      </AlertDialog>
+    </div>
+  );
+};
+
+export default Backup;
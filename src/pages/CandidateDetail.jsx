@@ -1,7 +1,7 @@
-import React from 'react';
+import React, { useState } from 'react';
 import { db } from '@/lib/db';
 import { useParams, Link, useNavigate } from 'react-router-dom';
-import { useQuery } from '@tanstack/react-query';
+import { useQuery, useQueryClient } from '@tanstack/react-query';
 import {
   ArrowLeft,
   Mail,
@@ -20,6 +20,16 @@ import {
   AlertCircle,
   FileText,
   Check,
+  Trash2,
+  RotateCcw,
+  RefreshCw,
+  X,
+  Tag,
+  GitMerge,
+  Paperclip,
+  ClipboardCheck,
+  CalendarClock,
+  CalendarX,
 } from 'lucide-react';
 import { Button } from '@/components/ui/button';
 import { Card, CardContent, CardHeader, CardTitle } from '@/components/ui/card';
@@ -28,37 +38,94 @@ import { Separator } from '@/components/ui/separator';
 import { Avatar, AvatarFallback, AvatarImage } from '@/components/ui/avatar';
 import { cn } from '@/lib/utils';
 import { NotesSection } from '@/components/candidates/NotesSection';
+import { AttachmentsSection } from '@/components/candidates/AttachmentsSection';
+import { ScorecardsSection } from '@/components/candidates/ScorecardsSection';
+import { InterviewsSection } from '@/components/candidates/InterviewsSection';
+import { ScheduleInterviewDialog } from '@/components/candidates/ScheduleInterviewDialog';
+import { CandidateEditDialog } from '@/components/candidates/CandidateEditDialog';
+import { MergeDialog } from '@/components/candidates/MergeDialog';
+import { useToast } from '@/hooks/use-toast';
+import { useRemoteCandidateUpdate } from '@/hooks/useCrossTabSync';
+import { softDelete, restoreFromTrash, TRASH_RETENTION_DAYS } from '@/lib/trash';
+import { findStage, stageColors } from '@/lib/pipelines';
+import { usePipelineStages } from '@/hooks/usePipelines';
+import { DUPLICATE_REASONS, loadDuplicatesOf } from '@/lib/duplicates';
 
-// Stage configurations
-const STAGES = [
-  { id: 'applied', name: 'Applied', color: 'bg-blue-100 text-blue-800', icon: AlertCircle },
-  { id: 'screen', name: 'Screening', color: 'bg-purple-100 text-purple-800', icon: Clock },
-  { id: 'tech', name: 'Technical', color: 'bg-amber-100 text-amber-800', icon: Briefcase },
-  { id: 'offer', name: 'Offer', color: 'bg-green-100 text-green-800', icon: CheckCircle },
-  { id: 'hired', name: 'Hired', color: 'bg-emerald-100 text-emerald-800', icon: CheckCircle },
-  { id: 'rejected', name: 'Rejected', color: 'bg-red-100 text-red-800', icon: XCircle },
-];
+/**
+ * Picks an icon for a pipeline stage from its position and flags.
+ * @param {object} stage - Stage definition
+ * @param {number} index - Position in the pipeline
+ * @returns {Function} Icon component
+ */
+const stageIcon = (stage, index) => {
+  if (stage.rejection) return XCircle;
+  if (stage.terminal) return CheckCircle;
+  return index === 0 ? AlertCircle : Clock;
+};
 
 // Timeline event types
 const TIMELINE_ICONS = {
-  status_change: CheckCircle,
+  stage_change: CheckCircle,
   note: MessageSquare,
   assessment_completed: FileText,
   applied: AlertCircle,
+  job_change: Briefcase,
+  tags_added: Tag,
+  deleted: Trash2,
+  merged: GitMerge,
+  attachment_added: Paperclip,
+  attachment_removed: Paperclip,
+  scorecard_requested: ClipboardCheck,
+  scorecard_submitted: ClipboardCheck,
+  interview_scheduled: Calendar,
+  interview_rescheduled: CalendarClock,
+  interview_updated: CalendarClock,
+  interview_cancelled: CalendarX,
+};
+
+// Labels for fields reported by the cross-tab change feed
+const REMOTE_FIELD_LABELS = {
+  stage: 'stage',
+  name: 'name',
+  email: 'email',
+  phone: 'phone',
+  currentRole: 'role',
+  location: 'location',
+  skills: 'skills',
+  notes: 'notes',
+  deletedAt: 'trash status',
+  rejection: 'rejection',
+  timeline: 'timeline',
+};
+
+/**
+ * Describes what another tab changed, e.g. "Stage and timeline updated in another tab".
+ * @param {string[]} fields - Changed fields reported by the change feed
+ * @returns {string}
+ */
+const describeRemoteUpdate = (fields) => {
+  const labels = [...new Set(fields.map((field) => REMOTE_FIELD_LABELS[field]).filter(Boolean))];
+  if (!labels.length) return 'Updated in another tab';
+  const list = labels.length > 1
+    ? `${labels.slice(0, -1).join(', ')} and ${labels[labels.length - 1]}`
+    : labels[0];
+  return `${list.charAt(0).toUpperCase()}${list.slice(1)} updated in another tab`;
 };
 
 /**
  * Formats timeline event description based on type and metadata
  * @param {object} event - Timeline event object
+ * @param {object[]} stages - Stages of the candidate's pipeline
  * @returns {string} Formatted description
  */
-const formatTimelineDescription = (event) => {
+const formatTimelineDescription = (event, stages) => {
   switch (event.type) {
-    case 'status_change':
+    case 'stage_change':
       if (event.metadata?.from && event.metadata?.to) {
-        const fromStage = STAGES.find(s => s.id === event.metadata.from)?.name || event.metadata.from;
-        const toStage = STAGES.find(s => s.id === event.metadata.to)?.name || event.metadata.to;
-        return `Moved from ${fromStage} to ${toStage}`;
+        const fromStage = stages.find(s => s.id === event.metadata.from)?.name || event.metadata.from;
+        const toStage = stages.find(s => s.id === event.metadata.to)?.name || event.metadata.to;
+        const reason = event.metadata.rejection ? `: ${event.metadata.rejection.reasonLabel}` : '';
+        return `Moved from ${fromStage} to ${toStage}${reason}`;
       }
       return event.description || 'Status changed';
     case 'note':
@@ -76,13 +143,21 @@ const formatTimelineDescription = (event) => {
  * CandidateDetail Component
  *
  * Displays detailed information about a candidate, including contact info,
- * application stats, notes, and a step-by-step timeline.
+ * application stats, attachments, interviews, interview scorecards, notes,
+ * and a step-by-step timeline. Likely duplicates of the candidate are listed
+ * in the sidebar and can be merged in.
  *
  * @param {string} id - Candidate ID from URL params
  */
 const CandidateDetail = () => {
   const { id } = useParams();
   const navigate = useNavigate();
+  const queryClient = useQueryClient();
+  const { toast } = useToast();
+  const [isEditing, setIsEditing] = useState(false);
+  const [merging, setMerging] = useState(null); // { pair, reasons }
+  const [scheduling, setScheduling] = useState(false);
+  const remoteUpdate = useRemoteCandidateUpdate(id);
 
   // Fetch candidate data
   const { data: candidate, isLoading, error } = useQuery({
@@ -110,6 +185,22 @@ const CandidateDetail = () => {
     enabled: !!id,
   });
 
+  const { stages } = usePipelineStages(candidate?.jobId);
+
+  const { data: duplicates = [] } = useQuery({
+    queryKey: ['candidate-duplicates', id],
+    queryFn: () => loadDuplicatesOf(candidate),
+    enabled: !!candidate && !candidate.deletedAt,
+  });
+
+  const handleMerged = (survivor) => {
+    setMerging(null);
+    ['candidate', 'candidates', 'candidate-duplicates', 'timeline'].forEach((key) =>
+      queryClient.invalidateQueries({ queryKey: [key] })
+    );
+    if (survivor.id !== id) navigate(`/candidates/${survivor.id}`);
+  };
+
   // Mock skills and education (in a real app, this would come from the database)
   const skills = candidate?.skills || ['React', 'JavaScript', 'Node.js'];
   const education = [
@@ -125,6 +216,31 @@ const CandidateDetail = () => {
     console.log('Refreshing candidate data...');
   };
 
+  const handleTrashToggle = async () => {
+    const inTrash = !!candidate.deletedAt;
+    try {
+      if (inTrash) {
+        await restoreFromTrash('candidate', candidate.id);
+      } else {
+        await softDelete('candidate', candidate.id);
+      }
+      queryClient.invalidateQueries({ queryKey: ['candidate', id] });
+      queryClient.invalidateQueries({ queryKey: ['candidates'] });
+      toast({
+        title: inTrash ? 'Candidate restored' : 'Candidate moved to trash',
+        description: inTrash
+          ? `${candidate.name} is back in the pipeline.`
+          : `${candidate.name} will be permanently deleted after ${TRASH_RETENTION_DAYS} days.`,
+      });
+    } catch (error) {
+      toast({
+        title: inTrash ? 'Failed to restore candidate' : 'Failed to delete candidate',
+        description: error.message,
+        variant: 'destructive',
+      });
+    }
+  };
+
   if (isLoading) {
     return (
       <div className="flex items-center justify-center min-h-[400px]">
@@ -157,8 +273,13 @@ const CandidateDetail = () => {
     );
   }
 
-  const currentStageIndex = STAGES.findIndex((stage) => stage.id === candidate.stage);
-  const currentStage = STAGES[currentStageIndex] || STAGES[0];
+  const currentStageIndex = stages.findIndex((stage) => stage.id === candidate.stage);
+  const stageDefinition = findStage({ stages }, candidate.stage);
+  const currentStage = {
+    ...stageDefinition,
+    color: stageColors(stageDefinition).badge,
+    icon: currentStageIndex === -1 ? Clock : stageIcon(stageDefinition, currentStageIndex),
+  };
 
   return (
     <div className="space-y-8 max-w-6xl mx-auto p-6">
@@ -177,6 +298,24 @@ const CandidateDetail = () => {
             <p className="text-gray-600">
               Applied for {job?.title || 'Unknown Position'}
             </p>
+            {remoteUpdate.updatedAt && (
+              <p
+                className="mt-1 flex items-center gap-1.5 text-xs text-blue-700"
+                role="status"
+                title={`Refreshed at ${remoteUpdate.updatedAt.toLocaleTimeString()}`}
+              >
+                <RefreshCw className="h-3 w-3" />
+                {describeRemoteUpdate(remoteUpdate.fields)}
+                <button
+                  type="button"
+                  onClick={remoteUpdate.dismiss}
+                  className="rounded text-blue-400 hover:text-blue-700"
+                  aria-label="Dismiss"
+                >
+                  <X className="h-3 w-3" />
+                </button>
+              </p>
+            )}
           </div>
         </div>
         <div className="flex items-center gap-3">
@@ -184,13 +323,47 @@ const CandidateDetail = () => {
             <currentStage.icon className="h-4 w-4" />
             {currentStage.name}
           </Badge>
-          <Button variant="outline" onClick={() => navigate()}>
+          <Button variant="outline" onClick={() => setIsEditing(true)} disabled={!!candidate.deletedAt}>
             <Edit className="h-4 w-4 mr-2" />
             Edit
           </Button>
+          {!candidate.deletedAt && (
+            <Button
+              variant="outline"
+              onClick={handleTrashToggle}
+              className="text-red-600 hover:bg-red-50 hover:text-red-700"
+            >
+              <Trash2 className="h-4 w-4 mr-2" />
+              Delete
+            </Button>
+          )}
         </div>
       </div>
 
+      {candidate.deletedAt && (
+        <div className="flex items-center justify-between gap-4 rounded-lg border border-red-200 bg-red-50 px-4 py-3">
+          {candidate.mergedInto ? (
+            <p className="text-sm text-red-800">
+              This candidate was merged into{' '}
+              <Link to={`/candidates/${candidate.mergedInto}`} className="font-medium underline">
+                another record
+              </Link>{' '}
+              on {new Date(candidate.deletedAt).toLocaleDateString()}; its timeline, responses, attachments, scorecards and interviews moved there.
+            </p>
+          ) : (
+            <p className="text-sm text-red-800">
+              This candidate was moved to the trash on{' '}
+              {new Date(candidate.deletedAt).toLocaleDateString()} and will be permanently deleted after{' '}
+              {TRASH_RETENTION_DAYS} days.
+            </p>
+          )}
+          <Button variant="outline" size="sm" onClick={handleTrashToggle}>
+            <RotateCcw className="h-4 w-4 mr-2" />
+            Restore
+          </Button>
+        </div>
+      )}
+
       <div className="grid gap-8 lg:grid-cols-3">
         {/* Main Content */}
         <div className="lg:col-span-2 space-y-8">
@@ -290,6 +463,15 @@ const CandidateDetail = () => {
             </CardContent>
           </Card>
 
+          {/* Attachments; the API does not serve files of candidates in the trash */}
+          {!candidate.deletedAt && <AttachmentsSection candidate={candidate} />}
+
+          {/* Interviews */}
+          {!candidate.deletedAt && <InterviewsSection candidate={candidate} />}
+
+          {/* Interview scorecards */}
+          {!candidate.deletedAt && <ScorecardsSection candidate={candidate} stages={stages} />}
+
           {/* Notes */}
           <NotesSection
             candidateId={candidate.id}
@@ -313,6 +495,16 @@ const CandidateDetail = () => {
                   {currentStage.name}
                 </Badge>
               </div>
+              {candidate.rejection && (
+                <div className="rounded-lg border border-red-200 bg-red-50 p-3 text-sm space-y-1">
+                  <p className="font-medium text-red-800">{candidate.rejection.reasonLabel}</p>
+                  {candidate.rejection.note && <p className="text-red-700">{candidate.rejection.note}</p>}
+                  <p className="text-xs text-red-600">
+                    Rejected from {candidate.rejection.fromStageName} by {candidate.rejection.rejectedBy} on{' '}
+                    {new Date(candidate.rejection.rejectedAt).toLocaleDateString()}
+                  </p>
+                </div>
+              )}
               <Separator />
               <div className="flex justify-between items-center">
                 <span className="text-gray-600">Days in Process</span>
@@ -330,6 +522,49 @@ const CandidateDetail = () => {
             </CardContent>
           </Card>
 
+          {/* Possible Duplicates */}
+          {duplicates.length > 0 && (
+            <Card className="shadow-sm border-amber-200 bg-amber-50/50">
+              <CardHeader>
+                <CardTitle className="flex items-center gap-2 text-xl">
+                  <GitMerge className="h-5 w-5 text-amber-600" />
+                  Possible Duplicates
+                </CardTitle>
+              </CardHeader>
+              <CardContent className="space-y-4">
+                {duplicates.map(({ candidate: other, reasons }) => (
+                  <div key={other.id} className="space-y-2">
+                    <div className="flex items-start justify-between gap-2">
+                      <div className="min-w-0">
+                        <Link to={`/candidates/${other.id}`} className="font-medium text-gray-900 hover:underline">
+                          {other.name}
+                        </Link>
+                        <p className="text-sm text-gray-600 truncate">{other.email}</p>
+                      </div>
+                      <Button
+                        variant="outline"
+                        size="sm"
+                        onClick={() => setMerging({ pair: [candidate, other], reasons })}
+                      >
+                        Merge
+                      </Button>
+                    </div>
+                    <div className="flex flex-wrap gap-1">
+                      {reasons.map((reason) => (
+                        <Badge key={reason} variant="secondary" className="text-xs">
+                          {DUPLICATE_REASONS[reason]}
+                        </Badge>
+                      ))}
+                    </div>
+                  </div>
+                ))}
+                <Link to="/candidates/duplicates" className="block text-sm text-blue-600 hover:underline">
+                  Review all duplicates
+                </Link>
+              </CardContent>
+            </Card>
+          )}
+
           {/* Quick Actions */}
           <Card className="shadow-sm border-gray-200">
             <CardHeader>
@@ -339,7 +574,8 @@ const CandidateDetail = () => {
               <Button
                 variant="outline"
                 className="w-full justify-start"
-                onClick={() => alert('Schedule interview')}
+                onClick={() => setScheduling(true)}
+                disabled={!!candidate.deletedAt}
               >
                 <Calendar className="h-4 w-4 mr-2" />
                 Schedule Interview
@@ -375,11 +611,11 @@ const CandidateDetail = () => {
         </CardHeader>
         <CardContent>
           <div className="flex items-center justify-between">
-            {STAGES.map((stage, index) => {
+            {stages.map((stage, index) => {
               const isCompleted = index < currentStageIndex;
               const isCurrent = index === currentStageIndex;
-              const isRejected = candidate.stage === 'rejected' && index === currentStageIndex;
-              const StageIcon = stage.icon;
+              const isRejected = stage.rejection && isCurrent;
+              const StageIcon = stageIcon(stage, index);
 
               return (
                 <div key={stage.id} className="flex flex-col items-center flex-1">
@@ -411,7 +647,7 @@ const CandidateDetail = () => {
                       {stage.name}
                     </p>
                   </div>
-                  {index < STAGES.length - 1 && (
+                  {index < stages.length - 1 && (
                     <div
                       className={cn(
                         'flex-1 h-0.5 mt-5 w-full',
@@ -444,7 +680,7 @@ const CandidateDetail = () => {
             <div className="space-y-6">
               {timeline.slice(0, 5).map((event, index) => {
                 const EventIcon = TIMELINE_ICONS[event.type] || MessageSquare;
-                const formattedDescription = formatTimelineDescription(event);
+                const formattedDescription = formatTimelineDescription(event, stages);
                 return (
                   <div key={event.id} className="flex gap-4">
                     <div className="flex flex-col items-center">
@@ -476,6 +712,25 @@ const CandidateDetail = () => {
           </CardContent>
         </Card>
       )} */}
+
+      <MergeDialog
+        pair={merging?.pair ?? null}
+        reasons={merging?.reasons}
+        onMerged={handleMerged}
+        onCancel={() => setMerging(null)}
+      />
+
+      <CandidateEditDialog
+        open={isEditing}
+        onOpenChange={setIsEditing}
+        candidate={candidate}
+        onSuccess={() => {
+          queryClient.invalidateQueries({ queryKey: ['candidate', id] });
+          queryClient.invalidateQueries({ queryKey: ['candidates'] });
+        }}
+      />
+
+      <ScheduleInterviewDialog open={scheduling} onOpenChange={setScheduling} candidate={candidate} />
     </div>
   );
 };
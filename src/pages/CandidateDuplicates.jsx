@@ -0,0 +1,151 @@
+import { useState } from "react";
+import { Link } from "react-router-dom";
+import { useMutation, useQuery, useQueryClient } from "@tanstack/react-query";
+import { ArrowLeft, CheckCircle, GitMerge, Loader2, Mail, MapPin, Phone, UserCheck } from "lucide-react";
+import { Button } from "@/components/ui/button";
+import { Card, CardContent } from "@/components/ui/card";
+import { Badge } from "@/components/ui/badge";
+import { useToast } from "@/hooks/use-toast";
+import { apiRequest } from "@/lib/api";
+import { DUPLICATE_REASONS, loadDuplicatePairs } from "@/lib/duplicates";
+import { MergeDialog } from "@/components/candidates/MergeDialog";
+
+// Pairs drawn at once; the count covers them all
+const MAX_PAIRS = 200;
+
+const CandidateSummary = ({ candidate }) => (
+  <div className="min-w-0 space-y-1">
+    <Link to={`/candidates/${candidate.id}`} className="font-medium hover:underline">
+      {candidate.name}
+    </Link>
+    <p className="flex items-center gap-1.5 text-sm text-muted-foreground truncate">
+      <Mail className="h-3.5 w-3.5 shrink-0" />
+      {candidate.email || "—"}
+    </p>
+    <p className="flex items-center gap-1.5 text-sm text-muted-foreground">
+      <Phone className="h-3.5 w-3.5 shrink-0" />
+      {candidate.phone || "—"}
+    </p>
+    <p className="flex items-center gap-1.5 text-sm text-muted-foreground">
+      <MapPin className="h-3.5 w-3.5 shrink-0" />
+      {candidate.location || "—"}
+    </p>
+  </div>
+);
+
+/**
+ * CandidateDuplicates Component
+ *
+ * Review queue of likely duplicate candidates across the whole database,
+ * strongest matches first. Each pair can be merged (see `MergeDialog`) or
+ * marked as different people, which keeps it out of the queue.
+ */
+const CandidateDuplicates = () => {
+  const queryClient = useQueryClient();
+  const { toast } = useToast();
+  const [merging, setMerging] = useState(null); // { pair, reasons }
+
+  const { data: pairs = [], isLoading } = useQuery({
+    queryKey: ["candidate-duplicates"],
+    queryFn: loadDuplicatePairs,
+  });
+
+  const invalidate = () => {
+    queryClient.invalidateQueries({ queryKey: ["candidate-duplicates"] });
+    queryClient.invalidateQueries({ queryKey: ["candidates"] });
+    queryClient.invalidateQueries({ queryKey: ["candidates-kanban"] });
+    queryClient.invalidateQueries({ queryKey: ["candidate"] });
+    queryClient.invalidateQueries({ queryKey: ["timeline"] });
+  };
+
+  const notDuplicate = useMutation({
+    mutationFn: ([a, b]) => apiRequest(`/candidates/${a.id}/not-duplicate`, { method: "POST", body: { otherId: b.id } }),
+    onSuccess: (_, [a, b]) => {
+      toast({ title: "Marked as different people", description: `${a.name} and ${b.name} will not be suggested again.` });
+    },
+    onError: (error) => {
+      toast({ title: "Failed to update candidates", description: error.message, variant: "destructive" });
+    },
+    onSettled: invalidate,
+  });
+
+  return (
+    <div className="space-y-6">
+      <div>
+        <Link to="/candidates" className="inline-flex items-center text-sm text-muted-foreground hover:text-foreground">
+          <ArrowLeft className="h-4 w-4 mr-1" />
+          Candidates
+        </Link>
+        <h1 className="text-3xl font-bold tracking-tight">Possible Duplicates</h1>
+        <p className="text-muted-foreground">
+          Candidates sharing an email or phone number, or with nearly the same name in the same location.
+        </p>
+      </div>
+
+      {isLoading ? (
+        <div className="flex items-center justify-center h-40">
+          <Loader2 className="h-6 w-6 animate-spin text-muted-foreground" />
+        </div>
+      ) : pairs.length === 0 ? (
+        <div className="text-center py-16 bg-muted/20 rounded-xl">
+          <CheckCircle className="h-12 w-12 mx-auto mb-4 text-green-600" />
+          <h3 className="text-lg font-semibold">No likely duplicates</h3>
+          <p className="text-muted-foreground">Every candidate looks like a different person.</p>
+        </div>
+      ) : (
+        <>
+          <p className="text-sm text-muted-foreground">
+            {pairs.length} {pairs.length === 1 ? "pair" : "pairs"} to review
+            {pairs.length > MAX_PAIRS && `, showing the first ${MAX_PAIRS}`}
+          </p>
+          <div className="space-y-3">
+            {pairs.slice(0, MAX_PAIRS).map(({ candidates, reasons }) => (
+              <Card key={`${candidates[0].id}|${candidates[1].id}`}>
+                <CardContent className="flex flex-col gap-4 p-4 md:flex-row md:items-center">
+                  <div className="grid flex-1 gap-4 sm:grid-cols-2">
+                    <CandidateSummary candidate={candidates[0]} />
+                    <CandidateSummary candidate={candidates[1]} />
+                  </div>
+                  <div className="flex flex-wrap gap-2 md:w-48">
+                    {reasons.map((reason) => (
+                      <Badge key={reason} variant="secondary">
+                        {DUPLICATE_REASONS[reason]}
+                      </Badge>
+                    ))}
+                  </div>
+                  <div className="flex gap-2">
+                    <Button
+                      variant="outline"
+                      size="sm"
+                      onClick={() => notDuplicate.mutate(candidates)}
+                      disabled={notDuplicate.isPending}
+                    >
+                      <UserCheck className="h-4 w-4 mr-2" />
+                      Not duplicates
+                    </Button>
+                    <Button size="sm" onClick={() => setMerging({ pair: candidates, reasons })}>
+                      <GitMerge className="h-4 w-4 mr-2" />
+                      Merge
+                    </Button>
+                  </div>
+                </CardContent>
+              </Card>
+            ))}
+          </div>
+        </>
+      )}
+
+      <MergeDialog
+        pair={merging?.pair ?? null}
+        reasons={merging?.reasons}
+        onMerged={() => {
+          setMerging(null);
+          invalidate();
+        }}
+        onCancel={() => setMerging(null)}
+      />
+    </div>
+  );
+};
+
+export default CandidateDuplicates;
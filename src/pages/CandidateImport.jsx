@@ -0,0 +1,508 @@
+import { useMemo, useRef, useState } from "react";
+import { Link } from "react-router-dom";
+import { useMutation, useQuery, useQueryClient } from "@tanstack/react-query";
+import {
+  AlertTriangle,
+  ArrowLeft,
+  ArrowRight,
+  CheckCircle,
+  FileSpreadsheet,
+  Loader2,
+  Upload,
+} from "lucide-react";
+import { Button } from "@/components/ui/button";
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from "@/components/ui/card";
+import { Badge } from "@/components/ui/badge";
+import { Label } from "@/components/ui/label";
+import { Switch } from "@/components/ui/switch";
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from "@/components/ui/select";
+import { useToast } from "@/hooks/use-toast";
+import { apiRequest } from "@/lib/api";
+import { db } from "@/lib/db";
+import { isActive } from "@/lib/trash";
+import { cn } from "@/lib/utils";
+import {
+  DELIMITERS,
+  IMPORT_FIELDS,
+  LIST_SEPARATORS,
+  detectDelimiter,
+  guessMapping,
+  mappingProblems,
+  parseDelimited,
+  prepareImport,
+} from "@/lib/candidate-import";
+
+const STEPS = [
+  { id: "upload", label: "Upload" },
+  { id: "map", label: "Map columns" },
+  { id: "review", label: "Review" },
+  { id: "done", label: "Done" },
+];
+
+// Select values cannot be empty
+const SKIP = "__skip__";
+const NO_JOB = "__none__";
+
+// Rows drawn in the preview and review tables; counts always cover the whole file
+const PREVIEW_ROWS = 5;
+const REVIEW_ROWS = 500;
+
+const STATUS_STYLES = {
+  valid: "bg-green-100 text-green-800",
+  invalid: "bg-red-100 text-red-800",
+  duplicate: "bg-amber-100 text-amber-800",
+};
+
+const describeRow = ({ status, errors, duplicateOf }) => {
+  if (status === "duplicate") {
+    return duplicateOf === "file" ? "Same email as an earlier row" : "A candidate with this email already exists";
+  }
+  return Object.entries(errors)
+    .map(([field, message]) => `${IMPORT_FIELDS.find(({ key }) => key === field)?.label || field}: ${message}`)
+    .join("; ");
+};
+
+/**
+ * CandidateImport Component
+ *
+ * Imports candidates from a CSV or TSV file in four steps: upload, map the
+ * file's columns to candidate fields, review every row (invalid rows and
+ * emails that already exist are skipped), and import the rest with one
+ * `POST /api/candidates/import`.
+ */
+const CandidateImport = () => {
+  const queryClient = useQueryClient();
+  const { toast } = useToast();
+  const fileInputRef = useRef(null);
+  const [step, setStep] = useState("upload");
+  const [file, setFile] = useState(null); // { name, text }
+  const [delimiter, setDelimiter] = useState(",");
+  const [mapping, setMapping] = useState([]);
+  const [listSeparator, setListSeparator] = useState(",");
+  const [defaultJobId, setDefaultJobId] = useState(NO_JOB);
+  const [problemsOnly, setProblemsOnly] = useState(false);
+  const [result, setResult] = useState(null);
+
+  const { data: jobs = [] } = useQuery({
+    queryKey: ["jobs"],
+    queryFn: async () => await db.jobs.filter(isActive).toArray(),
+  });
+
+  const rows = useMemo(() => (file ? parseDelimited(file.text, delimiter) : []), [file, delimiter]);
+  const headers = rows[0] || [];
+  const dataRows = useMemo(() => rows.slice(1), [rows]);
+  const problems = mappingProblems(mapping);
+
+  // Emails in the file that already belong to a candidate
+  const emailColumn = mapping.indexOf("email");
+  const { data: existingEmails, isFetching: isCheckingEmails } = useQuery({
+    queryKey: ["import-existing-emails", file?.name, dataRows.length, delimiter, emailColumn],
+    queryFn: async () => {
+      const emails = dataRows.map((cells) => (cells[emailColumn] || "").trim()).filter(Boolean);
+      const existing = await db.candidates.where("email").anyOfIgnoreCase(emails).filter(isActive).toArray();
+      return new Set(existing.map(({ email }) => email.toLowerCase()));
+    },
+    enabled: step === "review" && emailColumn !== -1,
+    gcTime: 0,
+  });
+
+  const prepared = useMemo(
+    () =>
+      step === "review" && existingEmails
+        ? prepareImport(dataRows, mapping, {
+          jobs,
+          listSeparator,
+          defaultJobId: defaultJobId === NO_JOB ? undefined : defaultJobId,
+          existingEmails,
+        })
+        : [],
+    [step, existingEmails, dataRows, mapping, jobs, listSeparator, defaultJobId]
+  );
+  const counts = prepared.reduce((totals, { status }) => ({ ...totals, [status]: totals[status] + 1 }), {
+    valid: 0,
+    invalid: 0,
+    duplicate: 0,
+  });
+  const shownRows = (problemsOnly ? prepared.filter(({ status }) => status !== "valid") : prepared).slice(0, REVIEW_ROWS);
+
+  const importCandidates = useMutation({
+    mutationFn: () =>
+      apiRequest("/candidates/import", {
+        method: "POST",
+        body: { candidates: prepared.filter(({ status }) => status === "valid").map(({ candidate }) => candidate) },
+      }),
+    onSuccess: ({ data }) => {
+      setResult(data);
+      setStep("done");
+      queryClient.invalidateQueries({ queryKey: ["candidates"] });
+      queryClient.invalidateQueries({ queryKey: ["candidates-kanban"] });
+      queryClient.invalidateQueries({ queryKey: ["job-candidates-count"] });
+      toast({ title: "Candidates imported", description: `${data.created.length} candidates added.` });
+    },
+    onError: (error) => {
+      toast({
+        title: "Import failed",
+        description: `${error.message}. No candidates were added.`,
+        variant: "destructive",
+      });
+    },
+  });
+
+  const handleFileChange = async (event) => {
+    const selected = event.target.files?.[0];
+    event.target.value = "";
+    if (!selected) return;
+    const text = await selected.text();
+    const detected = detectDelimiter(text);
+    setFile({ name: selected.name, text });
+    setDelimiter(detected);
+    setMapping(guessMapping(parseDelimited(text, detected)[0] || []));
+  };
+
+  const handleDelimiterChange = (value) => {
+    setDelimiter(value);
+    setMapping(guessMapping(parseDelimited(file.text, value)[0] || []));
+  };
+
+  const updateMapping = (column, field) => {
+    setMapping((current) => current.map((key, i) => (i === column ? (field === SKIP ? "" : field) : key)));
+  };
+
+  const startOver = () => {
+    setFile(null);
+    setMapping([]);
+    setResult(null);
+    setStep("upload");
+  };
+
+  const stepIndex = STEPS.findIndex(({ id }) => id === step);
+
+  return (
+    <div className="space-y-6">
+      <div>
+        <Link to="/candidates" className="inline-flex items-center text-sm text-muted-foreground hover:text-foreground">
+          <ArrowLeft className="h-4 w-4 mr-1" />
+          Candidates
+        </Link>
+        <h1 className="text-3xl font-bold tracking-tight">Import Candidates</h1>
+        <p className="text-muted-foreground">Add candidates from a spreadsheet or job board export (CSV or TSV).</p>
+      </div>
+
+      <ol className="flex flex-wrap items-center gap-2 text-sm">
+        {STEPS.map(({ id, label }, index) => (
+          <li key={id} className="flex items-center gap-2">
+            <span
+              className={cn(
+                "flex h-6 w-6 items-center justify-center rounded-full text-xs font-semibold",
+                index < stepIndex && "bg-green-100 text-green-800",
+                index === stepIndex && "bg-primary text-primary-foreground",
+                index > stepIndex && "bg-muted text-muted-foreground"
+              )}
+            >
+              {index + 1}
+            </span>
+            <span className={index === stepIndex ? "font-medium" : "text-muted-foreground"}>{label}</span>
+            {index < STEPS.length - 1 && <ArrowRight className="h-4 w-4 text-muted-foreground" />}
+          </li>
+        ))}
+      </ol>
+
+      {step === "upload" && (
+        <Card>
+          <CardHeader>
+            <CardTitle className="flex items-center gap-2">
+              <Upload className="h-5 w-5 text-blue-600" />
+              Upload a file
+            </CardTitle>
+            <CardDescription>
+              The first row must hold the column names. Comma, tab and semicolon separated files are detected
+              automatically.
+            </CardDescription>
+          </CardHeader>
+          <CardContent className="space-y-6">
+            <div className="flex flex-wrap items-center gap-3">
+              <input
+                ref={fileInputRef}
+                type="file"
+                accept=".csv,.tsv,.txt,text/csv,text/tab-separated-values"
+                className="hidden"
+                onChange={handleFileChange}
+              />
+              <Button variant="outline" onClick={() => fileInputRef.current?.click()}>
+                <FileSpreadsheet className="h-4 w-4 mr-2" />
+                Choose file
+              </Button>
+              {file && <span className="text-sm text-muted-foreground truncate">{file.name}</span>}
+              {file && (
+                <Select value={delimiter} onValueChange={handleDelimiterChange}>
+                  <SelectTrigger className="w-[180px]" aria-label="Column separator">
+                    <SelectValue />
+                  </SelectTrigger>
+                  <SelectContent>
+                    {Object.entries(DELIMITERS).map(([value, label]) => (
+                      <SelectItem key={label} value={value}>
+                        {label} separated
+                      </SelectItem>
+                    ))}
+                  </SelectContent>
+                </Select>
+              )}
+            </div>
+
+            {file && (
+              <div className="space-y-2">
+                <p className="text-sm text-muted-foreground">
+                  {dataRows.length} rows and {headers.length} columns. First rows:
+                </p>
+                <div className="overflow-x-auto rounded-lg border">
+                  <table className="w-full text-sm">
+                    <thead className="bg-muted/50">
+                      <tr>
+                        {headers.map((header, i) => (
+                          <th key={i} className="px-3 py-2 text-left font-medium whitespace-nowrap">
+                            {header || `Column ${i + 1}`}
+                          </th>
+                        ))}
+                      </tr>
+                    </thead>
+                    <tbody>
+                      {dataRows.slice(0, PREVIEW_ROWS).map((cells, r) => (
+                        <tr key={r} className="border-t">
+                          {headers.map((_, i) => (
+                            <td key={i} className="px-3 py-2 max-w-[220px] truncate">
+                              {cells[i]}
+                            </td>
+                          ))}
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                </div>
+              </div>
+            )}
+
+            <div className="flex justify-end">
+              <Button onClick={() => setStep("map")} disabled={!dataRows.length}>
+                Map columns
+                <ArrowRight className="h-4 w-4 ml-2" />
+              </Button>
+            </div>
+          </CardContent>
+        </Card>
+      )}
+
+      {step === "map" && (
+        <Card>
+          <CardHeader>
+            <CardTitle>Map columns to candidate fields</CardTitle>
+            <CardDescription>
+              Columns were matched by name where possible. Name and email are required; skipped columns are not
+              imported. Jobs are matched by title or slug.
+            </CardDescription>
+          </CardHeader>
+          <CardContent className="space-y-6">
+            <div className="space-y-2">
+              <div className="grid grid-cols-12 gap-3 px-1 text-xs font-medium text-muted-foreground">
+                <span className="col-span-4">Column</span>
+                <span className="col-span-4">Example</span>
+                <span className="col-span-4">Field</span>
+              </div>
+              {headers.map((header, column) => (
+                <div key={column} className="grid grid-cols-12 gap-3 items-center rounded-lg border p-2">
+                  <span className="col-span-4 font-medium truncate">{header || `Column ${column + 1}`}</span>
+                  <span className="col-span-4 text-sm text-muted-foreground truncate">
+                    {dataRows.find((cells) => cells[column]?.trim())?.[column] || "—"}
+                  </span>
+                  <div className="col-span-4">
+                    <Select value={mapping[column] || SKIP} onValueChange={(field) => updateMapping(column, field)}>
+                      <SelectTrigger aria-label={`Field for ${header || `column ${column + 1}`}`}>
+                        <SelectValue />
+                      </SelectTrigger>
+                      <SelectContent>
+                        <SelectItem value={SKIP}>Skip column</SelectItem>
+                        {IMPORT_FIELDS.map(({ key, label }) => (
+                          <SelectItem key={key} value={key}>
+                            {label}
+                          </SelectItem>
+                        ))}
+                      </SelectContent>
+                    </Select>
+                  </div>
+                </div>
+              ))}
+            </div>
+
+            <div className="grid gap-4 md:grid-cols-2">
+              <div className="space-y-2">
+                <Label>Skills and tags are separated by</Label>
+                <Select value={listSeparator} onValueChange={setListSeparator}>
+                  <SelectTrigger>
+                    <SelectValue />
+                  </SelectTrigger>
+                  <SelectContent>
+                    {Object.entries(LIST_SEPARATORS).map(([value, label]) => (
+                      <SelectItem key={value} value={value}>
+                        {label} ({value})
+                      </SelectItem>
+                    ))}
+                  </SelectContent>
+                </Select>
+              </div>
+              <div className="space-y-2">
+                <Label>Job for rows without one</Label>
+                <Select value={defaultJobId} onValueChange={setDefaultJobId}>
+                  <SelectTrigger>
+                    <SelectValue />
+                  </SelectTrigger>
+                  <SelectContent>
+                    <SelectItem value={NO_JOB}>No job</SelectItem>
+                    {jobs.map((job) => (
+                      <SelectItem key={job.id} value={job.id}>
+                        {job.title}
+                      </SelectItem>
+                    ))}
+                  </SelectContent>
+                </Select>
+              </div>
+            </div>
+
+            {problems.length > 0 && (
+              <div className="rounded-lg border border-red-200 bg-red-50 px-4 py-3 text-sm text-red-800">
+                <ul className="list-disc pl-5 space-y-1">
+                  {problems.map((problem) => (
+                    <li key={problem}>{problem}</li>
+                  ))}
+                </ul>
+              </div>
+            )}
+
+            <div className="flex justify-between">
+              <Button variant="outline" onClick={() => setStep("upload")}>
+                <ArrowLeft className="h-4 w-4 mr-2" />
+                Back
+              </Button>
+              <Button onClick={() => setStep("review")} disabled={problems.length > 0}>
+                Review rows
+                <ArrowRight className="h-4 w-4 ml-2" />
+              </Button>
+            </div>
+          </CardContent>
+        </Card>
+      )}
+
+      {step === "review" && (
+        <Card>
+          <CardHeader>
+            <CardTitle>Review</CardTitle>
+            <CardDescription>
+              Valid rows are imported in one go. Rows with errors and emails that already exist are skipped; fix them
+              in the file and import it again to add them.
+            </CardDescription>
+          </CardHeader>
+          <CardContent className="space-y-6">
+            {isCheckingEmails || !existingEmails ? (
+              <div className="flex items-center gap-2 text-sm text-muted-foreground">
+                <Loader2 className="h-4 w-4 animate-spin" />
+                Checking rows...
+              </div>
+            ) : (
+              <>
+                <div className="flex flex-wrap items-center gap-3">
+                  <Badge className={STATUS_STYLES.valid}>{counts.valid} ready to import</Badge>
+                  <Badge className={STATUS_STYLES.invalid}>{counts.invalid} with errors</Badge>
+                  <Badge className={STATUS_STYLES.duplicate}>{counts.duplicate} duplicates</Badge>
+                  <div className="ml-auto flex items-center gap-2">
+                    <Switch id="problems-only" checked={problemsOnly} onCheckedChange={setProblemsOnly} />
+                    <Label htmlFor="problems-only">Only rows with problems</Label>
+                  </div>
+                </div>
+
+                <div className="max-h-[480px] overflow-auto rounded-lg border">
+                  <table className="w-full text-sm">
+                    <thead className="sticky top-0 bg-muted">
+                      <tr>
+                        <th className="px-3 py-2 text-left font-medium">Line</th>
+                        <th className="px-3 py-2 text-left font-medium">Name</th>
+                        <th className="px-3 py-2 text-left font-medium">Email</th>
+                        <th className="px-3 py-2 text-left font-medium">Status</th>
+                        <th className="px-3 py-2 text-left font-medium">Details</th>
+                      </tr>
+                    </thead>
+                    <tbody>
+                      {shownRows.map((row) => (
+                        <tr key={row.line} className="border-t align-top">
+                          <td className="px-3 py-2 text-muted-foreground">{row.line}</td>
+                          <td className="px-3 py-2">{row.candidate?.name || "—"}</td>
+                          <td className="px-3 py-2">{row.candidate?.email || "—"}</td>
+                          <td className="px-3 py-2">
+                            <Badge className={cn("capitalize", STATUS_STYLES[row.status])}>{row.status}</Badge>
+                          </td>
+                          <td className="px-3 py-2 text-muted-foreground">{describeRow(row)}</td>
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                </div>
+                {shownRows.length === REVIEW_ROWS && (
+                  <p className="text-xs text-muted-foreground">Showing the first {REVIEW_ROWS} rows.</p>
+                )}
+              </>
+            )}
+
+            <div className="flex justify-between">
+              <Button variant="outline" onClick={() => setStep("map")} disabled={importCandidates.isPending}>
+                <ArrowLeft className="h-4 w-4 mr-2" />
+                Back
+              </Button>
+              <Button onClick={() => importCandidates.mutate()} disabled={!counts.valid || importCandidates.isPending}>
+                {importCandidates.isPending && <Loader2 className="h-4 w-4 mr-2 animate-spin" />}
+                Import {counts.valid} candidates
+              </Button>
+            </div>
+          </CardContent>
+        </Card>
+      )}
+
+      {step === "done" && result && (
+        <Card>
+          <CardHeader>
+            <CardTitle className="flex items-center gap-2">
+              <CheckCircle className="h-5 w-5 text-green-600" />
+              Import complete
+            </CardTitle>
+            <CardDescription>
+              {result.created.length} candidates were added to the first stage of their job&apos;s pipeline.
+            </CardDescription>
+          </CardHeader>
+          <CardContent className="space-y-4">
+            {result.skipped.length > 0 && (
+              <div className="rounded-lg border border-amber-200 bg-amber-50 px-4 py-3 text-sm text-amber-800">
+                <p className="flex items-center gap-2 font-medium">
+                  <AlertTriangle className="h-4 w-4" />
+                  {result.skipped.length} rows were skipped while importing
+                </p>
+                <ul className="mt-2 list-disc pl-6 space-y-1">
+                  {result.skipped.slice(0, 20).map(({ index, email, message }) => (
+                    <li key={index}>
+                      {email}: {message}
+                    </li>
+                  ))}
+                </ul>
+              </div>
+            )}
+            <div className="flex gap-3">
+              <Button asChild>
+                <Link to="/candidates">View candidates</Link>
+              </Button>
+              <Button variant="outline" onClick={startOver}>
+                Import another file
+              </Button>
+            </div>
+          </CardContent>
+        </Card>
+      )}
+    </div>
+  );
+};
+
+export default CandidateImport;
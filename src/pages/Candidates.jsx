@@ -1,5 +1,7 @@
 import {  useState  } from "react";
-import {  Search  } from "lucide-react";
+import {  Link  } from "react-router-dom";
+import {  GitMerge, Search, Upload  } from "lucide-react";
+import {  Button  } from "@/components/ui/button";
 import {  Input  } from "@/components/ui/input";
 import {  Tabs, TabsContent, TabsList, TabsTrigger  } from "@/components/ui/tabs";
 import {  CandidatesList  } from "@/components/candidates/CandidatesList";
@@ -7,20 +9,31 @@ import {  CandidatesKanban  } from "@/components/candidates/CandidatesKanban";
 const Candidates = () => {
   const [search, setSearch] = useState('');
   const [stage, setStage] = useState('');
-  const [viewMode, setViewMode] = useState('list');
   
   return (
     <div className="space-y-6">
-      <div>
-        <h1 className="text-3xl font-bold tracking-tight">Candidates</h1>
-        <p className="text-muted-foreground">Manage and track all your candidates</p>
+      <div className="flex items-start justify-between gap-4">
+        <div>
+          <h1 className="text-3xl font-bold tracking-tight">Candidates</h1>
+          <p className="text-muted-foreground">Manage and track all your candidates</p>
+        </div>
+        <div className="flex gap-2">
+          <Button variant="outline" asChild>
+            <Link to="/candidates/duplicates">
+              <GitMerge className="h-4 w-4 mr-2" />
+              Duplicates
+            </Link>
+          </Button>
+          <Button variant="outline" asChild>
+            <Link to="/candidates/import">
+              <Upload className="h-4 w-4 mr-2" />
+              Import CSV
+            </Link>
+          </Button>
+        </div>
       </div>
       {/* View Tabs */}
-      <Tabs 
-        defaultValue="list" 
-        className="space-y-6"
-        onValueChange={(value) => setViewMode(value)}
-      >
+      <Tabs defaultValue="list" className="space-y-6">
         <TabsList>
           <TabsTrigger value="list">List View</TabsTrigger>
           <TabsTrigger value="kanban">Kanban Board</TabsTrigger>
@@ -30,11 +43,10 @@ const Candidates = () => {
             search={search} 
             stage={stage} 
             onStageChange={setStage} 
-            viewMode={viewMode}
           />
         </TabsContent>
         <TabsContent value="kanban" className="space-y-4">
-          <CandidatesKanban search={search} />
+          <CandidatesKanban />
         </TabsContent>
       </Tabs>
     </div>
@@ -0,0 +1,260 @@
+import { useMemo, useState } from "react";
+import { Link } from "react-router-dom";
+import { useQuery } from "@tanstack/react-query";
+import {
+  addMonths,
+  addWeeks,
+  eachDayOfInterval,
+  endOfMonth,
+  endOfWeek,
+  format,
+  isSameDay,
+  isSameMonth,
+  startOfMonth,
+  startOfWeek,
+} from "date-fns";
+import { AlertTriangle, CalendarDays, ChevronLeft, ChevronRight } from "lucide-react";
+import { Button } from "@/components/ui/button";
+import { Badge } from "@/components/ui/badge";
+import { Calendar } from "@/components/ui/calendar";
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from "@/components/ui/card";
+import { Tabs, TabsList, TabsTrigger } from "@/components/ui/tabs";
+import { cn } from "@/lib/utils";
+import { interviewConflicts, interviewTitle, listInterviews, localTimeZone } from "@/lib/interviews";
+
+const WEEK_OPTIONS = { weekStartsOn: 1 };
+
+const dayKey = (date) => format(date, "yyyy-MM-dd");
+
+const rangeFor = (view, date) =>
+  view === "week"
+    ? { start: startOfWeek(date, WEEK_OPTIONS), end: endOfWeek(date, WEEK_OPTIONS) }
+    : { start: startOfWeek(startOfMonth(date), WEEK_OPTIONS), end: endOfWeek(endOfMonth(date), WEEK_OPTIONS) };
+
+const timeRange = (interview) =>
+  `${format(new Date(interview.startsAt), "HH:mm")}–${format(new Date(interview.endsAt), "HH:mm")}`;
+
+/**
+ * One interview in the week view.
+ * @param {object} interview - Interview with its `candidate`.
+ * @param {string[]} conflicts - Interviewers double-booked at that time.
+ */
+const WeekItem = ({ interview, conflicts }) => {
+  const cancelled = interview.status === "cancelled";
+  return (
+    <Link
+      to={`/candidates/${interview.candidateId}`}
+      className={cn(
+        "block rounded-md border p-2 text-xs space-y-1 hover:bg-accent transition-colors",
+        cancelled ? "opacity-60" : "border-l-4 border-l-blue-500",
+        conflicts.length > 0 && "border-l-red-500"
+      )}
+    >
+      <div className="font-medium">{timeRange(interview)}</div>
+      <div className={cn("font-semibold text-sm truncate", cancelled && "line-through")}>{interview.candidate.name}</div>
+      <div className="text-muted-foreground truncate">{interviewTitle(interview)}</div>
+      <div className="text-muted-foreground truncate">{interview.interviewers.join(", ")}</div>
+      {cancelled && <Badge variant="secondary">Cancelled</Badge>}
+      {conflicts.length > 0 && (
+        <Badge variant="outline" className="gap-1 bg-red-50 text-red-700 border-red-200" title={`${conflicts.join(", ")} double-booked`}>
+          <AlertTriangle className="h-3 w-3" />
+          Conflict
+        </Badge>
+      )}
+    </Link>
+  );
+};
+
+/**
+ * Interviews Component
+ *
+ * Calendar of every candidate's interviews, by week or by month, in the
+ * viewer's time zone. Interviews whose interviewers are double-booked are
+ * flagged; clicking a day of the month view opens its week.
+ */
+const Interviews = () => {
+  const [view, setView] = useState("week");
+  const [selected, setSelected] = useState(() => new Date());
+  // Month shown by the week view's picker, which can browse away from `selected`
+  const [pickerMonth, setPickerMonth] = useState(() => new Date());
+  const { start, end } = rangeFor(view, selected);
+
+  const { data: interviews = [], isLoading } = useQuery({
+    queryKey: ["interviews", view, start.toISOString(), end.toISOString()],
+    queryFn: () => listInterviews({ from: start.toISOString(), to: end.toISOString() }),
+  });
+
+  const byDay = useMemo(() => {
+    const days = new Map();
+    interviews.forEach((interview) => {
+      const key = dayKey(new Date(interview.startsAt));
+      days.set(key, [...(days.get(key) || []), interview]);
+    });
+    return days;
+  }, [interviews]);
+
+  // Interview id → interviewers booked elsewhere at the same time
+  const conflicts = useMemo(() => {
+    const scheduled = interviews.filter((interview) => interview.status === "scheduled");
+    return new Map(
+      scheduled.map((interview) => [
+        interview.id,
+        [...new Set(interviewConflicts(interview, scheduled).flatMap(({ interviewers }) => interviewers))],
+      ])
+    );
+  }, [interviews]);
+
+  const goTo = (date) => {
+    setSelected(date);
+    setPickerMonth(date);
+  };
+  const step = (direction) => goTo(view === "week" ? addWeeks(selected, direction) : addMonths(selected, direction));
+
+  const scheduledCount = interviews.filter(
+    (interview) =>
+      interview.status === "scheduled" &&
+      (view === "week" || isSameMonth(new Date(interview.startsAt), selected))
+  ).length;
+  const bookedDays = interviews
+    .filter((interview) => interview.status === "scheduled")
+    .map((interview) => new Date(interview.startsAt));
+
+  const heading =
+    view === "week"
+      ? `${format(start, "MMM d")} – ${format(end, isSameMonth(start, end) ? "d, yyyy" : "MMM d, yyyy")}`
+      : format(selected, "MMMM yyyy");
+
+  return (
+    <div className="space-y-6">
+      <div className="flex flex-wrap items-center justify-between gap-4">
+        <div>
+          <h1 className="text-3xl font-bold tracking-tight">Interviews</h1>
+          <p className="text-muted-foreground">
+            Scheduled interviews across all candidates, shown in your time zone ({localTimeZone().replace(/_/g, " ")})
+          </p>
+        </div>
+        <Tabs value={view} onValueChange={setView}>
+          <TabsList>
+            <TabsTrigger value="week">Week</TabsTrigger>
+            <TabsTrigger value="month">Month</TabsTrigger>
+          </TabsList>
+        </Tabs>
+      </div>
+
+      <Card>
+        <CardHeader className="flex flex-row flex-wrap items-center justify-between gap-2 space-y-0">
+          <div>
+            <CardTitle className="flex items-center gap-2">
+              <CalendarDays className="h-5 w-5 text-blue-600" />
+              {heading}
+            </CardTitle>
+            <CardDescription>
+              {isLoading ? "Loading..." : `${scheduledCount} interview${scheduledCount === 1 ? "" : "s"} scheduled`}
+            </CardDescription>
+          </div>
+          <div className="flex items-center gap-1">
+            <Button variant="outline" size="icon" onClick={() => step(-1)} aria-label={`Previous ${view}`}>
+              <ChevronLeft className="h-4 w-4" />
+            </Button>
+            <Button variant="outline" onClick={() => goTo(new Date())}>
+              Today
+            </Button>
+            <Button variant="outline" size="icon" onClick={() => step(1)} aria-label={`Next ${view}`}>
+              <ChevronRight className="h-4 w-4" />
+            </Button>
+          </div>
+        </CardHeader>
+        <CardContent>
+          {view === "week" ? (
+            <div className="grid gap-6 lg:grid-cols-[auto_1fr]">
+              <Calendar
+                mode="single"
+                selected={selected}
+                onSelect={(day) => day && setSelected(day)}
+                month={pickerMonth}
+                onMonthChange={setPickerMonth}
+                weekStartsOn={1}
+                modifiers={{ booked: bookedDays }}
+                modifiersClassNames={{ booked: "font-bold text-blue-600" }}
+                className="rounded-md border self-start"
+              />
+              <div className="grid gap-2 md:grid-cols-7">
+                {eachDayOfInterval({ start, end }).map((day) => (
+                  <div key={dayKey(day)} className="min-w-0 space-y-2">
+                    <div
+                      className={cn(
+                        "text-sm font-medium pb-1 border-b",
+                        isSameDay(day, new Date()) && "text-blue-600"
+                      )}
+                    >
+                      {format(day, "EEE d")}
+                    </div>
+                    {(byDay.get(dayKey(day)) || []).map((interview) => (
+                      <WeekItem key={interview.id} interview={interview} conflicts={conflicts.get(interview.id) || []} />
+                    ))}
+                  </div>
+                ))}
+              </div>
+            </div>
+          ) : (
+            <Calendar
+              mode="single"
+              selected={selected}
+              onSelect={(day) => {
+                if (!day) return;
+                goTo(day);
+                setView("week");
+              }}
+              month={selected}
+              weekStartsOn={1}
+              disableNavigation
+              className="p-0"
+              classNames={{
+                caption: "hidden",
+                months: "w-full",
+                month: "w-full",
+                table: "w-full border-collapse",
+                head_row: "grid grid-cols-7",
+                head_cell: "text-muted-foreground text-xs font-normal text-left px-2 pb-2",
+                row: "grid grid-cols-7 border-t",
+                cell: "min-w-0 p-1",
+                day: "flex h-28 w-full flex-col items-start gap-1 overflow-hidden rounded-md p-1 text-left text-sm font-normal hover:bg-accent",
+                day_selected: "bg-accent",
+                day_today: "ring-1 ring-blue-500",
+                day_outside: "text-muted-foreground opacity-60",
+              }}
+              components={{
+                DayContent: ({ date }) => {
+                  const items = byDay.get(dayKey(date)) || [];
+                  return (
+                    <>
+                      <span className="font-medium">{format(date, "d")}</span>
+                      {items.slice(0, 3).map((interview) => (
+                        <span
+                          key={interview.id}
+                          className={cn(
+                            "block w-full truncate rounded px-1 text-xs",
+                            interview.status === "cancelled"
+                              ? "line-through text-muted-foreground"
+                              : conflicts.get(interview.id)?.length
+                                ? "bg-red-50 text-red-700"
+                                : "bg-blue-50 text-blue-700"
+                          )}
+                        >
+                          {format(new Date(interview.startsAt), "HH:mm")} {interview.candidate.name}
+                        </span>
+                      ))}
+                      {items.length > 3 && <span className="text-xs text-muted-foreground">+{items.length - 3} more</span>}
+                    </>
+                  );
+                },
+              }}
+            />
+          )}
+        </CardContent>
+      </Card>
+    </div>
+  );
+};
+
+export default Interviews;
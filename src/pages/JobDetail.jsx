@@ -1,3 +1,4 @@
+import { useState } from "react";
 import { useParams, Link } from "react-router-dom";
 import { useQuery } from "@tanstack/react-query";
 import {
@@ -9,59 +10,115 @@ import {
   FileText,
   Link as LinkIcon,
   User,
-  Mail,
+  GitBranch,
+  Download,
+  Sparkles,
 } from "lucide-react";
 import { Button } from "@/components/ui/button";
 import { Card, CardContent, CardHeader, CardTitle } from "@/components/ui/card";
 import { Badge } from "@/components/ui/badge";
-import { Avatar, AvatarFallback, AvatarImage } from "@/components/ui/avatar";
 import { Separator } from "@/components/ui/separator";
 import { db } from "@/lib/db";
+import { apiRequest } from "@/lib/api";
+import { isActive } from "@/lib/trash";
+import { cn } from "@/lib/utils";
+import { findStage, stageColors } from "@/lib/pipelines";
+import { usePipelineStages } from "@/hooks/usePipelines";
+import { CandidatesKanban } from "@/components/candidates/CandidatesKanban";
+import { MatchBadge } from "@/components/candidates/MatchScore";
+import { ExportDialog } from "@/components/shared/ExportDialog";
+import { CANDIDATE_COLUMNS, exportCandidates } from "@/lib/export";
+
+/**
+ * The job's highest-scoring candidates still in its pipeline, see
+ * `src/lib/match-score.js`.
+ */
+const BestMatches = ({ job, pipeline }) => {
+  const { data: matches = [], isLoading } = useQuery({
+    // Editing the job bumps its version and rescores its candidates
+    queryKey: ["job-matches", job.id, job.version],
+    queryFn: async () => (await apiRequest(`/jobs/${job.id}/matches?limit=5`)).data,
+  });
+
+  return (
+    <Card className="shadow-md border-0 bg-white">
+      <CardHeader>
+        <CardTitle className="flex items-center gap-2">
+          <Sparkles className="h-5 w-5 text-primary" />
+          Best matches
+        </CardTitle>
+      </CardHeader>
+      <CardContent>
+        {isLoading ? (
+          <p className="text-sm text-muted-foreground">Scoring candidates...</p>
+        ) : matches.length === 0 ? (
+          <p className="text-sm text-muted-foreground">No candidates in the pipeline could be scored yet.</p>
+        ) : (
+          <ol className="divide-y">
+            {matches.map((candidate, index) => {
+              const stage = findStage(pipeline, candidate.stage);
+              const strongest = candidate.match.factors
+                .filter((factor) => factor.score !== null)
+                .sort((a, b) => b.score * b.weight - a.score * a.weight)[0];
+              return (
+                <li key={candidate.id} className="flex items-center gap-4 py-3">
+                  <span className="w-5 text-sm font-semibold text-muted-foreground">{index + 1}</span>
+                  <img src={candidate.avatar} alt={candidate.name} className="h-9 w-9 rounded-full border" />
+                  <div className="min-w-0 flex-1">
+                    <Link to={`/candidates/${candidate.id}`} className="font-medium text-sm hover:text-primary hover:underline">
+                      {candidate.name}
+                    </Link>
+                    <p className="text-xs text-muted-foreground truncate">{strongest?.detail}</p>
+                  </div>
+                  <Badge variant="outline" className={cn("text-xs border-0", stageColors(stage).badge)}>
+                    {stage.name}
+                  </Badge>
+                  <MatchBadge match={candidate.match} />
+                </li>
+              );
+            })}
+          </ol>
+        )}
+      </CardContent>
+    </Card>
+  );
+};
 
 /**
  * JobDetail Component
  * 
  * Displays detailed information about a specific job, including stats,
- * job details, and associated candidates.
+ * job details, the candidates who match it best, and the job's candidates on
+ * a kanban board in its pipeline.
+ * All of the job's candidates can be exported from the header.
  * 
  * @param {string} jobId - The job ID from URL params.
  */
 const JobDetail = () => {
   const { jobId } = useParams();
+  const [exportOpen, setExportOpen] = useState(false);
 
   // Fetch job data
   const { data: job, isLoading: isJobLoading, error: jobError } = useQuery({
     queryKey: ["job", jobId],
     queryFn: async () => {
-      const response = await fetch(`/api/jobs/${jobId}`);
-      if (!response.ok) {
-        if (response.status === 404) return null;
-        throw new Error("Failed to fetch job");
+      try {
+        return (await apiRequest(`/jobs/${jobId}`)).data;
+      } catch (error) {
+        if (error.status === 404) return null;
+        throw error;
       }
-      return response.json();
     },
   });
 
   // Fetch candidates count
   const { data: candidatesCount } = useQuery({
     queryKey: ["job-candidates-count", jobId],
-    queryFn: async () => {
-      const candidates = await db.candidates.where("jobId").equals(jobId).toArray();
-      return candidates.length;
-    },
+    queryFn: () => db.candidates.where("jobId").equals(jobId).filter(isActive).count(),
     enabled: !!jobId,
   });
 
-  // Fetch candidates for the job
-  const { data: candidates = [], isLoading: isCandidatesLoading } = useQuery({
-    queryKey: ["candidates-for-job", jobId],
-    queryFn: async () => {
-      const response = await fetch(`/api/candidates?jobId=${jobId}`);
-      if (!response.ok) return [];
-      return (await response.json()).data || [];
-    },
-    enabled: !!jobId,
-  });
+  const { pipeline } = usePipelineStages(jobId);
 
   if (isJobLoading) {
     return (
@@ -99,9 +156,23 @@ const JobDetail = () => {
             <h1 className="text-3xl font-bold tracking-tight">{job.title}</h1>
             <p className="text-muted-foreground text-lg">{job.department}</p>
           </div>
+          <Button variant="outline" className="gap-2" onClick={() => setExportOpen(true)} disabled={!candidatesCount}>
+            <Download className="h-4 w-4" />
+            Export candidates
+          </Button>
         </div>
       </div>
 
+      <ExportDialog
+        open={exportOpen}
+        onOpenChange={setExportOpen}
+        title={`Export candidates for ${job.title}`}
+        description={`All ${candidatesCount || 0} candidates who applied to this job.`}
+        columns={CANDIDATE_COLUMNS}
+        fileName={`candidates-${job.slug || job.id}`}
+        onExport={(options) => exportCandidates({ jobId }, options)}
+      />
+
       {/* Stats Cards */}
       <div className="grid gap-6 md:grid-cols-3">
         <Card className="shadow-md border-0 bg-white hover:shadow-lg transition-shadow">
@@ -180,6 +251,25 @@ const JobDetail = () => {
             </>
           )}
 
+          {pipeline && (
+            <>
+              <Separator />
+              <div>
+                <h3 className="font-semibold mb-3 flex items-center gap-2">
+                  <GitBranch className="h-4 w-4" />
+                  Pipeline: {pipeline.name}
+                </h3>
+                <div className="flex flex-wrap items-center gap-2">
+                  {pipeline.stages.map((stage) => (
+                    <Badge key={stage.id} variant="outline" className={cn("text-sm border-0", stageColors(stage).badge)}>
+                      {stage.name}
+                    </Badge>
+                  ))}
+                </div>
+              </div>
+            </>
+          )}
+
           <Separator />
           <div>
             <h3 className="font-semibold mb-3 flex items-center gap-2">
@@ -193,53 +283,18 @@ const JobDetail = () => {
         </CardContent>
       </Card>
 
+      <BestMatches job={job} pipeline={pipeline} />
+
       {/* Candidates */}
       <Card className="shadow-md border-0 bg-white">
         <CardHeader>
           <CardTitle className="flex items-center gap-2">
             <Users className="h-5 w-5 text-primary" />
-            Candidates ({candidates.length})
+            Candidates ({candidatesCount || 0})
           </CardTitle>
         </CardHeader>
         <CardContent>
-          {isCandidatesLoading ? (
-            <div className="flex items-center justify-center py-8">
-              <div className="animate-spin rounded-full h-8 w-8 border-t-2 border-b-2 border-primary"></div>
-            </div>
-          ) : !candidates.length ? (
-            <div className="text-center py-8">
-              <Users className="h-12 w-12 mx-auto mb-4 text-muted-foreground" />
-              <p className="text-muted-foreground">No candidates for this job yet.</p>
-            </div>
-          ) : (
-            <div className="space-y-4">
-              {candidates.map((candidate) => (
-                <div
-                  key={candidate.id}
-                  className="flex items-center gap-4 p-4 bg-muted/20 rounded-lg hover:bg-muted/40 transition-colors"
-                >
-                  <Avatar className="h-10 w-10">
-                    <AvatarImage src={candidate.avatar} alt={candidate.name} />
-                    <AvatarFallback>
-                      {candidate.name
-                        ?.split(" ")
-                        .map((n) => n[0])
-                        .join("")
-                        .toUpperCase()}
-                    </AvatarFallback>
-                  </Avatar>
-                  <div className="flex-1">
-                    <p className="font-medium">{candidate.name}</p>
-                    <div className="flex items-center gap-2 text-sm text-muted-foreground">
-                      <Mail className="h-3 w-3" />
-                      {candidate.email}
-                    </div>
-                  </div>
-                  <Badge variant="outline">{candidate.stage}</Badge>
-                </div>
-              ))}
-            </div>
-          )}
+          <CandidatesKanban jobId={jobId} />
         </CardContent>
       </Card>
     </div>
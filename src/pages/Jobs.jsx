@@ -1,6 +1,6 @@
 import React, { useState, useEffect, useMemo } from "react";
-import { useQuery } from "@tanstack/react-query";
-import { Plus, Search, Filter, Users, BarChart2, Settings, Bell, Check, Briefcase } from "lucide-react";
+import { useQuery, useMutation, useQueryClient } from "@tanstack/react-query";
+import { Plus, Search, Filter, Users, BarChart2, Settings, Bell, Check, Briefcase, Download } from "lucide-react";
 import { Button } from "@/components/ui/button";
 import { Input } from "@/components/ui/input";
 import { Tabs, TabsContent, TabsList, TabsTrigger } from "@/components/ui/tabs";
@@ -8,6 +8,7 @@ import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from "@
 import { Badge } from "@/components/ui/badge"; // Added missing Badge import
 import { JobCard } from "@/components/jobs/JobCard";
 import { JobDialog } from "@/components/jobs/JobDialog";
+import { ExportDialog } from "@/components/shared/ExportDialog";
 import { DndContext, closestCenter } from "@dnd-kit/core";
 import { SortableContext, verticalListSortingStrategy } from "@dnd-kit/sortable";
 import { useToast } from "@/hooks/use-toast";
@@ -15,6 +16,12 @@ import { Card, CardHeader, CardTitle, CardDescription, CardContent, CardFooter }
 import { Popover, PopoverContent, PopoverTrigger } from "@/components/ui/popover";
 import { Link } from "react-router-dom";
 import { db } from "@/lib/db"; // Added import for Dexie DB
+import { queryCandidates } from "@/lib/candidate-query";
+import { searchScores } from "@/lib/search-index";
+import { isActive, countActive } from "@/lib/trash";
+import { apiRequest } from "@/lib/api";
+import { JOB_COLUMNS, exportJobs } from "@/lib/export";
+import { listInterviews, weekRange } from "@/lib/interviews";
 
 // Removed fetchJobs function as we're replacing API fetches with Dexie DB queries
 
@@ -27,20 +34,25 @@ const Jobs = () => {
   const [activeTab, setActiveTab] = useState('jobs');
   const [notifications, setNotifications] = useState([]);
   const { toast } = useToast();
+  const queryClient = useQueryClient();
   const [tag, setTag] = useState('');
+  const [exportOpen, setExportOpen] = useState(false);
+  const jobsQueryKey = ['jobs', search, status, tag, page];
   
   // Replaced useQuery with direct Dexie usage for jobs
-  const { data: jobs = { data: [], pagination: { totalPages: 0, page: 1 } }, isLoading, refetch } = useQuery({
-    queryKey: ['jobs', search, status, tag, page],
+  const { data: jobs = { data: [], matchingIds: [], pagination: { totalPages: 0, page: 1 } }, isLoading, refetch } = useQuery({
+    queryKey: jobsQueryKey,
     queryFn: async () => {
-      let allJobs = await db.jobs.toArray();
+      let allJobs = await db.jobs.filter(isActive).toArray();
 
-      // Filter
-      if (search) {
-        allJobs = allJobs.filter(job =>
-          job.title.toLowerCase().includes(search.toLowerCase()) ||
-          (job.description || "").toLowerCase().includes(search.toLowerCase())
-        );
+      // Filter, ranking search matches by relevance
+      if (search.trim()) {
+        const scores = await searchScores(search, 'job');
+        allJobs = allJobs
+          .filter(job => scores.has(job.id))
+          .sort((a, b) => scores.get(b.id) - scores.get(a.id));
+      } else {
+        allJobs.sort((a, b) => (a.order ?? 0) - (b.order ?? 0));
       }
       if (status) {
         allJobs = allJobs.filter(job => job.status === status);
@@ -56,6 +68,8 @@ const Jobs = () => {
 
       return {
         data: pagedJobs,
+        // Every match across pages, for export
+        matchingIds: allJobs.map(job => job.id),
         pagination: {
           totalPages: Math.ceil(allJobs.length / pageSize),
           page,
@@ -67,25 +81,35 @@ const Jobs = () => {
   // Admin stats — query from db as well
   const { data: candidateCount = 0 } = useQuery({
     queryKey: ['candidates-count'],
-    queryFn: async () => await db.candidates.count()
+    queryFn: () => countActive('candidates')
   });
   const { data: jobsCount = 0 } = useQuery({
     queryKey: ['jobs-count'],
-    queryFn: async () => await db.jobs.count()
+    queryFn: () => countActive('jobs')
   });
 
   // Add after the jobsCount query
   const { data: assessmentsCount = 18 } = useQuery({
     queryKey: ['assessments-count'],
-    queryFn: async () => await db.assessments?.count() || 18  // Fallback to 18 if table doesn't exist
+    queryFn: async () => await countActive('assessments') || 18  // Fallback to 18 if there are none
+  });
+
+  // Scheduled interviews starting this week (Monday to Sunday)
+  const { data: interviewsThisWeek = 0 } = useQuery({
+    queryKey: ['interviews-count'],
+    queryFn: async () => {
+      const { from, to } = weekRange();
+      const interviews = await listInterviews({ from, to, status: 'scheduled' });
+      return interviews.filter(interview => interview.startsAt >= from).length;
+    }
   });
 
   // Query for recent candidates (slice to 5 for the list)
   const { data: recentCandidates = [] } = useQuery({
     queryKey: ['recent-candidates'],
     queryFn: async () => {
-      const candidates = await db.candidates.toArray();
-      return candidates.slice(0, 5);  // Get first 5 recent candidates
+      const { data } = await queryCandidates({ sort: '-appliedDate', pageSize: 5 });
+      return data;  // Most recent 5 applications, read straight off the appliedDate index
     }
   });
 
@@ -93,7 +117,7 @@ const Jobs = () => {
   const { data: recentAssessments = [] } = useQuery({
     queryKey: ['recent-assessments'],
     queryFn: async () => {
-      const assessments = await db.assessments?.toArray() || [];
+      const assessments = await db.assessments.filter(isActive).toArray();
       return assessments.slice(0, 4);  // Get first 4 assessment templates
     }
   });
@@ -104,7 +128,7 @@ const Jobs = () => {
   const adminStats = [
     { title: 'Total Jobs', value: jobsCount, icon: <BarChart2 className="h-5 w-5" /> },
     { title: 'Active Candidates', value: candidateCount, icon: <Users className="h-5 w-5" /> },
-    { title: 'Interviews This Week', value: '18', icon: <Users className="h-5 w-5" /> }, // Keep as sample or query from DB if table exists
+    { title: 'Interviews This Week', value: interviewsThisWeek, icon: <Users className="h-5 w-5" /> },
     { title: 'Open Positions', value: '12', icon: <BarChart2 className="h-5 w-5" /> }, // Keep as sample or query from DB if table exists
   ];
   
@@ -132,7 +156,41 @@ const Jobs = () => {
     }
   };
   
-  const handleDragEnd = async (event) => {
+  // Reorder through the API, showing the new order immediately and rolling back if the server rejects it
+  const reorderJob = useMutation({
+    mutationFn: ({ movedJob, targetJob }) =>
+      apiRequest(`/jobs/${movedJob.id}/reorder`, {
+        method: 'PATCH',
+        body: { fromOrder: movedJob.order, toOrder: targetJob.order },
+      }),
+    onMutate: async ({ reorderedJobs }) => {
+      await queryClient.cancelQueries({ queryKey: jobsQueryKey });
+      const previousJobs = queryClient.getQueryData(jobsQueryKey);
+      queryClient.setQueryData(jobsQueryKey, (old) => old && { ...old, data: reorderedJobs });
+      return { previousJobs };
+    },
+    onError: (error, variables, context) => {
+      if (context?.previousJobs) {
+        queryClient.setQueryData(jobsQueryKey, context.previousJobs);
+      }
+      toast({
+        title: 'Failed to reorder jobs',
+        description: `${error.message}. The previous order has been restored.`,
+        variant: 'destructive'
+      });
+    },
+    onSuccess: () => {
+      toast({
+        title: 'Job order updated',
+        description: 'The job order has been updated successfully.'
+      });
+    },
+    onSettled: () => {
+      queryClient.invalidateQueries({ queryKey: ['jobs'] });
+    },
+  });
+
+  const handleDragEnd = (event) => {
     const { active, over } = event;
     if (!over || active.id === over.id) return;
     
@@ -147,18 +205,7 @@ const Jobs = () => {
     const [movedJob] = reorderedJobs.splice(oldIndex, 1);
     reorderedJobs.splice(newIndex, 0, movedJob);
     
-    // Update order in DB (assuming jobs have an 'order' field; if not, add one)
-    for (let i = 0; i < reorderedJobs.length; i++) {
-      await db.jobs.update(reorderedJobs[i].id, { order: i });
-    }
-    
-    toast({
-      title: 'Job order updated',
-      description: 'The job order has been updated successfully.'
-    });
-    
-    // Refetch to get the latest data
-    await refetch();
+    reorderJob.mutate({ movedJob, targetJob: jobsList[newIndex], reorderedJobs });
   };
 
   const handleEdit = (job) => {
@@ -377,6 +424,10 @@ const AssessmentTemplateList = ({ assessments }) => (
             ))}
           </SelectContent>
         </Select>
+        <Button variant="outline" onClick={() => setExportOpen(true)} disabled={!jobs.matchingIds.length}>
+          <Download className="h-4 w-4 mr-2" />
+          Export
+        </Button>
       </div>
       {/* Jobs List */}
       {isLoading ? (
@@ -422,6 +473,15 @@ const AssessmentTemplateList = ({ assessments }) => (
         onSuccess={refetch}
         job={editingJob}
       />
+      <ExportDialog
+        open={exportOpen}
+        onOpenChange={setExportOpen}
+        title="Export jobs"
+        description={`All ${jobs.matchingIds.length} jobs matching the current search and filters.`}
+        columns={JOB_COLUMNS}
+        fileName="jobs"
+        onExport={(options) => exportJobs({ ids: jobs.matchingIds }, options)}
+      />
       </div>
       </TabsContent>
       
@@ -0,0 +1,425 @@
+import { useState } from "react";
+import { useMutation, useQuery, useQueryClient } from "@tanstack/react-query";
+import { GitBranch, Plus, ArrowUp, ArrowDown, X, Trash2, Save, Loader2, AlertTriangle } from "lucide-react";
+import { Button } from "@/components/ui/button";
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from "@/components/ui/card";
+import { Badge } from "@/components/ui/badge";
+import { Input } from "@/components/ui/input";
+import { Label } from "@/components/ui/label";
+import { Switch } from "@/components/ui/switch";
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from "@/components/ui/select";
+import { useToast } from "@/hooks/use-toast";
+import { usePipelines } from "@/hooks/usePipelines";
+import { apiRequest } from "@/lib/api";
+import { db } from "@/lib/db";
+import { isActive } from "@/lib/trash";
+import { cn } from "@/lib/utils";
+import { DEFAULT_PIPELINE_ID, STAGE_COLORS, stageColors } from "@/lib/pipelines";
+
+const NEW_STAGE = {
+  name: "",
+  color: "gray",
+  terminal: false,
+  rejection: false,
+  requiresAssessment: false,
+  wipLimit: null,
+  wipMode: "warn",
+  slaDays: null,
+  scorecard: [],
+};
+
+// Blank number inputs clear the limit
+const toLimit = (value) => (value === "" ? null : Number(value));
+
+// Competency names as typed, comma separated; turned into `scorecard` entries on save
+const competencyText = (stage) => stage.scorecardText ?? (stage.scorecard || []).map(({ name }) => name).join(", ");
+
+// Competencies keep their id while their name is unchanged; the API names new ones
+const toScorecard = (stage) =>
+  [...new Set(competencyText(stage).split(",").map((name) => name.trim()).filter(Boolean))].map(
+    (name) => (stage.scorecard || []).find((competency) => competency.name === name) || { name }
+  );
+
+const emptyDraft = () => ({
+  id: null,
+  name: "",
+  stages: [
+    { ...NEW_STAGE, name: "Applied", color: "blue" },
+    { ...NEW_STAGE, name: "Hired", color: "emerald", terminal: true },
+    { ...NEW_STAGE, name: "Rejected", color: "red", terminal: true, rejection: true },
+  ],
+});
+
+/**
+ * Turns an error detail key from the API into a readable prefix, e.g.
+ * "stages.2.name" becomes "Stage 3".
+ * @param {string} key - Path of the invalid field.
+ * @returns {string}
+ */
+const detailLabel = (key) => {
+  const match = /^stages\.(\d+)/.exec(key);
+  return match ? `Stage ${Number(match[1]) + 1}` : "";
+};
+
+/**
+ * Pipelines Component
+ *
+ * Lists the hiring pipelines and edits one at a time: its name and its
+ * ordered stages with color, terminal/rejection flags, whether entering
+ * the stage needs a submitted assessment, and the competencies on the
+ * stage's interview scorecard. Jobs pick a pipeline in the job
+ * dialog.
+ */
+const Pipelines = () => {
+  const queryClient = useQueryClient();
+  const { toast } = useToast();
+  const { pipelines, isLoading } = usePipelines();
+  const [draft, setDraft] = useState(null);
+  const [errors, setErrors] = useState(null);
+
+  // Prefixed with "jobs" so job changes refresh the counts
+  const { data: usage = {} } = useQuery({
+    queryKey: ["jobs", "pipeline-usage"],
+    queryFn: async () =>
+      (await db.jobs.filter(isActive).toArray()).reduce((counts, job) => {
+        const id = job.pipelineId || DEFAULT_PIPELINE_ID;
+        return { ...counts, [id]: (counts[id] || 0) + 1 };
+      }, {}),
+  });
+
+  const edit = (pipeline) => {
+    setErrors(null);
+    setDraft(pipeline ? { id: pipeline.id, name: pipeline.name, stages: pipeline.stages.map((stage) => ({ ...stage })) } : emptyDraft());
+  };
+
+  const invalidate = () => {
+    ["pipelines", "pipeline", "candidates", "candidates-kanban"].forEach((key) =>
+      queryClient.invalidateQueries({ queryKey: [key] })
+    );
+  };
+
+  const showError = (title, error) => {
+    setErrors(error.details ? { message: error.message, details: error.details } : { message: error.message });
+    toast({ title, description: error.message, variant: "destructive" });
+  };
+
+  const saveMutation = useMutation({
+    mutationFn: ({ id, name, stages }) =>
+      apiRequest(id ? `/pipelines/${id}` : "/pipelines", {
+        method: id ? "PUT" : "POST",
+        body: { name, stages: stages.map(({ scorecardText, ...stage }) => ({ ...stage, scorecard: toScorecard({ ...stage, scorecardText }) })) },
+      }),
+    onSuccess: (saved) => {
+      invalidate();
+      setErrors(null);
+      setDraft({ id: saved.id, name: saved.name, stages: saved.stages });
+      toast({ title: "Pipeline saved", description: saved.name });
+    },
+    onError: (error) => showError("Failed to save pipeline", error),
+  });
+
+  const deleteMutation = useMutation({
+    mutationFn: (id) => apiRequest(`/pipelines/${id}`, { method: "DELETE" }),
+    onSuccess: (deleted) => {
+      invalidate();
+      setDraft(null);
+      toast({ title: "Pipeline deleted", description: deleted.name });
+    },
+    onError: (error) => showError("Failed to delete pipeline", error),
+  });
+
+  const updateStage = (index, changes) => {
+    setDraft((current) => ({
+      ...current,
+      stages: current.stages.map((stage, i) => (i === index ? { ...stage, ...changes } : stage)),
+    }));
+  };
+
+  const moveStage = (index, offset) => {
+    setDraft((current) => {
+      const stages = [...current.stages];
+      const [stage] = stages.splice(index, 1);
+      stages.splice(index + offset, 0, stage);
+      return { ...current, stages };
+    });
+  };
+
+  const removeStage = (index) => {
+    setDraft((current) => ({ ...current, stages: current.stages.filter((_, i) => i !== index) }));
+  };
+
+  const addStage = () => {
+    setDraft((current) => {
+      // New stages go before the terminal ones
+      const at = current.stages.findIndex((stage) => stage.terminal);
+      const stages = [...current.stages];
+      stages.splice(at === -1 ? stages.length : at, 0, { ...NEW_STAGE });
+      return { ...current, stages };
+    });
+  };
+
+  const isSaving = saveMutation.isPending || deleteMutation.isPending;
+
+  return (
+    <div className="space-y-6">
+      <div className="flex items-center justify-between">
+        <div>
+          <h1 className="text-3xl font-bold tracking-tight">Pipelines</h1>
+          <p className="text-muted-foreground">
+            Define the stages candidates move through. Each job uses one pipeline.
+          </p>
+        </div>
+        <Button onClick={() => edit(null)}>
+          <Plus className="h-4 w-4 mr-2" />
+          New pipeline
+        </Button>
+      </div>
+
+      <div className="grid gap-6 lg:grid-cols-3">
+        <div className="space-y-3">
+          {isLoading ? (
+            <p className="text-muted-foreground">Loading...</p>
+          ) : (
+            pipelines.map((pipeline) => (
+              <Card
+                key={pipeline.id}
+                className={cn("cursor-pointer hover:shadow-md transition-shadow", draft?.id === pipeline.id && "ring-2 ring-blue-500")}
+                onClick={() => edit(pipeline)}
+              >
+                <CardContent className="p-4 space-y-3">
+                  <div className="flex items-center justify-between">
+                    <p className="font-medium">{pipeline.name}</p>
+                    <span className="text-xs text-muted-foreground">
+                      {usage[pipeline.id] || 0} job{usage[pipeline.id] === 1 ? "" : "s"}
+                    </span>
+                  </div>
+                  <div className="flex flex-wrap gap-1">
+                    {pipeline.stages.map((stage) => (
+                      <Badge key={stage.id} variant="outline" className={cn("text-xs border-0", stageColors(stage).badge)}>
+                        {stage.name}
+                      </Badge>
+                    ))}
+                  </div>
+                </CardContent>
+              </Card>
+            ))
+          )}
+        </div>
+
+        <div className="lg:col-span-2">
+          {draft ? (
+            <Card>
+              <CardHeader>
+                <CardTitle className="flex items-center gap-2">
+                  <GitBranch className="h-5 w-5 text-blue-600" />
+                  {draft.id ? "Edit pipeline" : "New pipeline"}
+                </CardTitle>
+                <CardDescription>
+                  Terminal stages end the process; a rejection stage is always terminal. Candidates advance one
+                  stage at a time, and stages marked "Needs assessment" require a submitted assessment when the job
+                  has one. Open stages can cap how many candidates a job holds in them (warning or blocking moves
+                  past the limit), flag candidates who stay longer than an SLA, and list the competencies interviewers
+                  rate on their scorecard. Stages that still hold candidates cannot be removed.
+                </CardDescription>
+              </CardHeader>
+              <CardContent className="space-y-6">
+                <div className="space-y-2">
+                  <Label htmlFor="pipeline-name">Name</Label>
+                  <Input
+                    id="pipeline-name"
+                    value={draft.name}
+                    placeholder="e.g. Engineering hiring"
+                    onChange={(e) => setDraft({ ...draft, name: e.target.value })}
+                  />
+                </div>
+
+                <div className="space-y-2">
+                  <div className="grid grid-cols-12 gap-3 px-1 text-xs font-medium text-muted-foreground">
+                    <span className="col-span-3">Stage</span>
+                    <span className="col-span-3">Color</span>
+                    <span className="col-span-1 text-center">Terminal</span>
+                    <span className="col-span-1 text-center">Rejection</span>
+                    <span className="col-span-1 text-center">Needs assessment</span>
+                  </div>
+                  {draft.stages.map((stage, index) => (
+                    <div key={stage.id || `new-${index}`} className="grid grid-cols-12 gap-3 items-center rounded-lg border p-2">
+                      <div className="col-span-3 flex items-center gap-2">
+                        <div className={cn("h-3 w-3 shrink-0 rounded-full", stageColors(stage).dot)} />
+                        <Input
+                          value={stage.name}
+                          placeholder="Stage name"
+                          aria-label={`Stage ${index + 1} name`}
+                          onChange={(e) => updateStage(index, { name: e.target.value })}
+                        />
+                      </div>
+                      <div className="col-span-3">
+                        <Select value={stage.color} onValueChange={(color) => updateStage(index, { color })}>
+                          <SelectTrigger aria-label={`Stage ${index + 1} color`}>
+                            <SelectValue />
+                          </SelectTrigger>
+                          <SelectContent>
+                            {Object.keys(STAGE_COLORS).map((color) => (
+                              <SelectItem key={color} value={color}>
+                                <div className="flex items-center gap-2 capitalize">
+                                  <div className={cn("h-2 w-2 rounded-full", STAGE_COLORS[color].dot)} />
+                                  {color}
+                                </div>
+                              </SelectItem>
+                            ))}
+                          </SelectContent>
+                        </Select>
+                      </div>
+                      <div className="col-span-1 flex justify-center">
+                        <Switch
+                          checked={stage.terminal || stage.rejection}
+                          disabled={stage.rejection}
+                          aria-label={`Stage ${index + 1} is terminal`}
+                          onCheckedChange={(terminal) => updateStage(index, { terminal })}
+                        />
+                      </div>
+                      <div className="col-span-1 flex justify-center">
+                        <Switch
+                          checked={stage.rejection}
+                          aria-label={`Stage ${index + 1} is a rejection`}
+                          onCheckedChange={(rejection) => updateStage(index, { rejection, terminal: rejection || stage.terminal })}
+                        />
+                      </div>
+                      <div className="col-span-1 flex justify-center">
+                        <Switch
+                          checked={!!stage.requiresAssessment}
+                          aria-label={`Stage ${index + 1} needs a submitted assessment`}
+                          onCheckedChange={(requiresAssessment) => updateStage(index, { requiresAssessment })}
+                        />
+                      </div>
+                      <div className="col-span-3 flex justify-end gap-1">
+                        <Button variant="ghost" size="icon" disabled={index === 0} onClick={() => moveStage(index, -1)} aria-label="Move up">
+                          <ArrowUp className="h-4 w-4" />
+                        </Button>
+                        <Button
+                          variant="ghost"
+                          size="icon"
+                          disabled={index === draft.stages.length - 1}
+                          onClick={() => moveStage(index, 1)}
+                          aria-label="Move down"
+                        >
+                          <ArrowDown className="h-4 w-4" />
+                        </Button>
+                        <Button variant="ghost" size="icon" onClick={() => removeStage(index)} aria-label="Remove stage">
+                          <X className="h-4 w-4" />
+                        </Button>
+                      </div>
+                      {!(stage.terminal || stage.rejection) && (
+                        <div className="col-span-12 flex flex-wrap items-center gap-3 pl-5 text-xs text-muted-foreground">
+                          <span>WIP limit</span>
+                          <Input
+                            type="number"
+                            min={1}
+                            className="h-8 w-20"
+                            value={stage.wipLimit ?? ""}
+                            placeholder="None"
+                            aria-label={`Stage ${index + 1} WIP limit`}
+                            onChange={(e) => updateStage(index, { wipLimit: toLimit(e.target.value) })}
+                          />
+                          <Select
+                            value={stage.wipMode || "warn"}
+                            disabled={!stage.wipLimit}
+                            onValueChange={(wipMode) => updateStage(index, { wipMode })}
+                          >
+                            <SelectTrigger className="h-8 w-[130px]" aria-label={`Stage ${index + 1} WIP limit mode`}>
+                              <SelectValue />
+                            </SelectTrigger>
+                            <SelectContent>
+                              <SelectItem value="warn">Warn</SelectItem>
+                              <SelectItem value="block">Block moves</SelectItem>
+                            </SelectContent>
+                          </Select>
+                          <span className="ml-4">SLA</span>
+                          <Input
+                            type="number"
+                            min={1}
+                            className="h-8 w-20"
+                            value={stage.slaDays ?? ""}
+                            placeholder="None"
+                            aria-label={`Stage ${index + 1} SLA in days`}
+                            onChange={(e) => updateStage(index, { slaDays: toLimit(e.target.value) })}
+                          />
+                          <span>days</span>
+                          <div className="flex basis-full items-center gap-3">
+                            <span className="shrink-0">Scorecard</span>
+                            <Input
+                              className="h-8"
+                              value={competencyText(stage)}
+                              placeholder="No scorecard, e.g. Communication, Problem solving"
+                              aria-label={`Stage ${index + 1} scorecard competencies, comma separated`}
+                              onChange={(e) => updateStage(index, { scorecardText: e.target.value })}
+                            />
+                          </div>
+                        </div>
+                      )}
+                    </div>
+                  ))}
+                  <Button variant="outline" size="sm" onClick={addStage}>
+                    <Plus className="h-4 w-4 mr-2" />
+                    Add stage
+                  </Button>
+                </div>
+
+                {errors && (
+                  <div className="rounded-lg border border-red-200 bg-red-50 px-4 py-3 text-sm text-red-800">
+                    <p className="flex items-center gap-2 font-medium">
+                      <AlertTriangle className="h-4 w-4" />
+                      {errors.message}
+                    </p>
+                    {errors.details && (
+                      <ul className="mt-2 list-disc pl-6 space-y-1">
+                        {Object.entries(errors.details).map(([key, message]) => (
+                          <li key={key}>
+                            {detailLabel(key) && `${detailLabel(key)}: `}
+                            {message}
+                          </li>
+                        ))}
+                      </ul>
+                    )}
+                  </div>
+                )}
+
+                <div className="flex items-center justify-between border-t pt-4">
+                  <div className="flex gap-2">
+                    <Button onClick={() => saveMutation.mutate(draft)} disabled={isSaving}>
+                      {saveMutation.isPending ? <Loader2 className="h-4 w-4 mr-2 animate-spin" /> : <Save className="h-4 w-4 mr-2" />}
+                      Save pipeline
+                    </Button>
+                    <Button variant="ghost" onClick={() => setDraft(null)} disabled={isSaving}>
+                      Cancel
+                    </Button>
+                  </div>
+                  {draft.id && draft.id !== DEFAULT_PIPELINE_ID && (
+                    <Button
+                      variant="outline"
+                      className="text-red-600 hover:text-red-700"
+                      onClick={() => deleteMutation.mutate(draft.id)}
+                      disabled={isSaving || !!usage[draft.id]}
+                      title={usage[draft.id] ? "Move its jobs to another pipeline first" : undefined}
+                    >
+                      <Trash2 className="h-4 w-4 mr-2" />
+                      Delete
+                    </Button>
+                  )}
+                </div>
+              </CardContent>
+            </Card>
+          ) : (
+            <Card>
+              <CardContent className="py-16 text-center text-muted-foreground">
+                <GitBranch className="h-12 w-12 mx-auto mb-4" />
+                Select a pipeline to edit its stages, or create a new one.
+              </CardContent>
+            </Card>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default Pipelines;
@@ -0,0 +1,296 @@
+import { useMemo, useState } from "react";
+import { Link } from "react-router-dom";
+import { useMutation, useQuery, useQueryClient } from "@tanstack/react-query";
+import { BarChart3, XCircle, Plus, Archive, ArchiveRestore, Check } from "lucide-react";
+import { Button } from "@/components/ui/button";
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from "@/components/ui/card";
+import { Badge } from "@/components/ui/badge";
+import { Input } from "@/components/ui/input";
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from "@/components/ui/select";
+import { useToast } from "@/hooks/use-toast";
+import { useRejectionReasons } from "@/hooks/useRejectionReasons";
+import { apiRequest } from "@/lib/api";
+import { db } from "@/lib/db";
+import { isActive } from "@/lib/trash";
+import { rejectionReport } from "@/lib/rejections";
+
+const PERIODS = [
+  { value: "30", label: "Last 30 days" },
+  { value: "90", label: "Last 90 days" },
+  { value: "365", label: "Last 12 months" },
+  { value: "all", label: "All time" },
+];
+
+const sinceFor = (period) =>
+  period === "all" ? undefined : new Date(Date.now() - Number(period) * 24 * 60 * 60 * 1000).toISOString();
+
+const formatShare = (share) => `${Math.round(share * 100)}%`;
+
+/**
+ * One breakdown of the report as labelled bars.
+ * @param {string} title - Card title.
+ * @param {Array} rows - Report rows with `count` and `share`.
+ * @param {function} labelOf - Row → label.
+ */
+const Breakdown = ({ title, rows, labelOf }) => (
+  <Card>
+    <CardHeader className="pb-3">
+      <CardTitle className="text-base">{title}</CardTitle>
+    </CardHeader>
+    <CardContent className="space-y-3">
+      {rows.length === 0 ? (
+        <p className="text-sm text-muted-foreground">No rejections in this period.</p>
+      ) : (
+        rows.map((row) => (
+          <div key={labelOf(row)} className="space-y-1">
+            <div className="flex justify-between text-sm">
+              <span className="truncate pr-2">{labelOf(row)}</span>
+              <span className="text-muted-foreground whitespace-nowrap">
+                {row.count} · {formatShare(row.share)}
+              </span>
+            </div>
+            <div className="h-2 rounded-full bg-gray-100">
+              <div className="h-2 rounded-full bg-red-500" style={{ width: formatShare(row.share) }} />
+            </div>
+          </div>
+        ))
+      )}
+    </CardContent>
+  </Card>
+);
+
+/**
+ * Editable row of the reason taxonomy.
+ */
+const ReasonRow = ({ reason, onRename, onToggleArchived, disabled }) => {
+  const [label, setLabel] = useState(reason.label);
+  const changed = label.trim() && label.trim() !== reason.label;
+
+  return (
+    <div className="flex items-center gap-2">
+      <Input
+        value={label}
+        onChange={(e) => setLabel(e.target.value)}
+        className={reason.archived ? "text-muted-foreground" : undefined}
+        aria-label={`Label for ${reason.label}`}
+      />
+      {changed && (
+        <Button size="icon" variant="ghost" onClick={() => onRename(reason, label.trim())} disabled={disabled} aria-label="Save label">
+          <Check className="h-4 w-4" />
+        </Button>
+      )}
+      <Button
+        size="icon"
+        variant="ghost"
+        onClick={() => onToggleArchived(reason)}
+        disabled={disabled}
+        title={reason.archived ? "Restore" : "Archive"}
+        aria-label={reason.archived ? "Restore reason" : "Archive reason"}
+      >
+        {reason.archived ? <ArchiveRestore className="h-4 w-4" /> : <Archive className="h-4 w-4" />}
+      </Button>
+    </div>
+  );
+};
+
+/**
+ * Rejections Component
+ *
+ * Reports why candidates are rejected, broken down by reason, by the stage
+ * they were rejected from and by job, and manages the reason taxonomy offered
+ * in the rejection dialog.
+ */
+const Rejections = () => {
+  const queryClient = useQueryClient();
+  const { toast } = useToast();
+  const [jobId, setJobId] = useState("all");
+  const [period, setPeriod] = useState("90");
+  const [newReason, setNewReason] = useState("");
+  const { reasons } = useRejectionReasons({ includeArchived: true });
+
+  const since = useMemo(() => sinceFor(period), [period]);
+
+  const { data: jobs = [] } = useQuery({
+    queryKey: ["jobs"],
+    queryFn: async () => await db.jobs.filter(isActive).toArray(),
+  });
+
+  const { data: report, isLoading } = useQuery({
+    queryKey: ["rejection-report", jobId, period],
+    queryFn: () => rejectionReport({ jobId: jobId === "all" ? undefined : jobId, since }),
+  });
+
+  const onReasonsChanged = () => {
+    queryClient.invalidateQueries({ queryKey: ["rejection-reasons"] });
+    queryClient.invalidateQueries({ queryKey: ["rejection-report"] });
+  };
+
+  const onReasonError = (error) => {
+    const details = error.details ? Object.values(error.details).join(". ") : error.message;
+    toast({ title: "Failed to save reason", description: details, variant: "destructive" });
+  };
+
+  const createReason = useMutation({
+    mutationFn: (label) => apiRequest("/rejection-reasons", { method: "POST", body: { label } }),
+    onSuccess: (reason) => {
+      onReasonsChanged();
+      setNewReason("");
+      toast({ title: "Reason added", description: reason.label });
+    },
+    onError: onReasonError,
+  });
+
+  const updateReason = useMutation({
+    mutationFn: ({ id, ...changes }) => apiRequest(`/rejection-reasons/${id}`, { method: "PATCH", body: changes }),
+    onSuccess: onReasonsChanged,
+    onError: onReasonError,
+  });
+
+  const topReason = report?.byReason[0];
+
+  return (
+    <div className="space-y-6">
+      <div className="flex flex-wrap items-end justify-between gap-4">
+        <div>
+          <h1 className="text-3xl font-bold tracking-tight">Rejections</h1>
+          <p className="text-muted-foreground">Why candidates leave the pipeline, and where.</p>
+        </div>
+        <div className="flex gap-3">
+          <Select value={jobId} onValueChange={setJobId}>
+            <SelectTrigger className="w-[220px]">
+              <SelectValue />
+            </SelectTrigger>
+            <SelectContent>
+              <SelectItem value="all">All jobs</SelectItem>
+              {jobs.map((job) => (
+                <SelectItem key={job.id} value={job.id}>
+                  {job.title}
+                </SelectItem>
+              ))}
+            </SelectContent>
+          </Select>
+          <Select value={period} onValueChange={setPeriod}>
+            <SelectTrigger className="w-[160px]">
+              <SelectValue />
+            </SelectTrigger>
+            <SelectContent>
+              {PERIODS.map((option) => (
+                <SelectItem key={option.value} value={option.value}>
+                  {option.label}
+                </SelectItem>
+              ))}
+            </SelectContent>
+          </Select>
+        </div>
+      </div>
+
+      {isLoading || !report ? (
+        <p className="text-muted-foreground">Loading...</p>
+      ) : (
+        <>
+          <div className="grid gap-4 md:grid-cols-2">
+            <Card>
+              <CardContent className="p-6 flex items-center gap-4">
+                <div className="p-3 rounded-lg bg-red-100">
+                  <XCircle className="h-6 w-6 text-red-600" />
+                </div>
+                <div>
+                  <p className="text-sm text-muted-foreground">Rejections</p>
+                  <p className="text-3xl font-bold">{report.total}</p>
+                </div>
+              </CardContent>
+            </Card>
+            <Card>
+              <CardContent className="p-6 flex items-center gap-4">
+                <div className="p-3 rounded-lg bg-amber-100">
+                  <BarChart3 className="h-6 w-6 text-amber-600" />
+                </div>
+                <div>
+                  <p className="text-sm text-muted-foreground">Most common reason</p>
+                  <p className="text-xl font-semibold">
+                    {topReason ? `${topReason.label} (${formatShare(topReason.share)})` : "—"}
+                  </p>
+                </div>
+              </CardContent>
+            </Card>
+          </div>
+
+          <div className="grid gap-4 lg:grid-cols-3">
+            <Breakdown title="By reason" rows={report.byReason} labelOf={(row) => row.label} />
+            <Breakdown title="By stage rejected from" rows={report.byStage} labelOf={(row) => row.name} />
+            <Breakdown title="By job" rows={report.byJob} labelOf={(row) => row.title} />
+          </div>
+
+          <Card>
+            <CardHeader className="pb-3">
+              <CardTitle className="text-base">Recent rejections</CardTitle>
+            </CardHeader>
+            <CardContent>
+              {report.recent.length === 0 ? (
+                <p className="text-sm text-muted-foreground">No rejections in this period.</p>
+              ) : (
+                <div className="divide-y">
+                  {report.recent.map((item) => (
+                    <div key={item.candidateId} className="flex flex-wrap items-center justify-between gap-2 py-3 text-sm">
+                      <div className="min-w-0">
+                        <Link to={`/candidates/${item.candidateId}`} className="font-medium hover:underline">
+                          {item.name}
+                        </Link>
+                        <p className="text-muted-foreground truncate">
+                          {item.jobTitle} · from {item.fromStageName} · by {item.rejectedBy}
+                          {item.note && ` · ${item.note}`}
+                        </p>
+                      </div>
+                      <div className="flex items-center gap-3">
+                        <Badge variant="outline" className="border-0 bg-red-100 text-red-800">
+                          {item.reasonLabel}
+                        </Badge>
+                        <span className="text-muted-foreground">{new Date(item.rejectedAt).toLocaleDateString()}</span>
+                      </div>
+                    </div>
+                  ))}
+                </div>
+              )}
+            </CardContent>
+          </Card>
+        </>
+      )}
+
+      <Card>
+        <CardHeader>
+          <CardTitle className="text-base">Rejection reasons</CardTitle>
+          <CardDescription>
+            Offered when a candidate is rejected. Archived reasons are hidden from the dialog but kept on past
+            rejections.
+          </CardDescription>
+        </CardHeader>
+        <CardContent className="space-y-3 max-w-xl">
+          {reasons.map((reason) => (
+            <ReasonRow
+              key={`${reason.id}:${reason.label}`}
+              reason={reason}
+              disabled={updateReason.isPending}
+              onRename={(item, label) => updateReason.mutate({ id: item.id, label })}
+              onToggleArchived={(item) => updateReason.mutate({ id: item.id, archived: !item.archived })}
+            />
+          ))}
+          <form
+            className="flex items-center gap-2 pt-2"
+            onSubmit={(e) => {
+              e.preventDefault();
+              if (newReason.trim()) createReason.mutate(newReason.trim());
+            }}
+          >
+            <Input value={newReason} onChange={(e) => setNewReason(e.target.value)} placeholder="New reason" />
+            <Button type="submit" variant="outline" disabled={!newReason.trim() || createReason.isPending}>
+              <Plus className="h-4 w-4 mr-2" />
+              Add
+            </Button>
+          </form>
+        </CardContent>
+      </Card>
+    </div>
+  );
+};
+
+export default Rejections;
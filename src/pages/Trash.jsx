@@ -0,0 +1,148 @@
+import { useQuery, useMutation, useQueryClient } from "@tanstack/react-query";
+import { Trash2, RotateCcw, Briefcase, Users, ClipboardList } from "lucide-react";
+import { Button } from "@/components/ui/button";
+import { Card, CardContent } from "@/components/ui/card";
+import { Badge } from "@/components/ui/badge";
+import { useToast } from "@/hooks/use-toast";
+import { listTrash, restoreFromTrash, purgeFromTrash, TRASH_RETENTION_DAYS } from "@/lib/trash";
+
+const TYPE_CONFIG = {
+  job: { label: "Job", icon: Briefcase, title: (record) => record.title },
+  candidate: { label: "Candidate", icon: Users, title: (record) => record.name },
+  assessment: { label: "Assessment", icon: ClipboardList, title: (record) => record.title || "Untitled assessment" },
+};
+
+/**
+ * Formats the time left until an item is purged.
+ * @param {string} purgeAt - ISO timestamp of the scheduled purge.
+ * @returns {string}
+ */
+const formatTimeLeft = (purgeAt) => {
+  const days = Math.ceil((new Date(purgeAt).getTime() - Date.now()) / (24 * 60 * 60 * 1000));
+  if (days <= 0) return "Deleted at next cleanup";
+  return `Deleted permanently in ${days} day${days === 1 ? "" : "s"}`;
+};
+
+/**
+ * Trash Component
+ *
+ * Lists soft-deleted jobs, candidates and assessments so they can be restored
+ * or deleted permanently before the retention window runs out.
+ */
+const Trash = () => {
+  const queryClient = useQueryClient();
+  const { toast } = useToast();
+
+  const { data: items = [], isLoading } = useQuery({
+    queryKey: ["trash"],
+    queryFn: () => listTrash(),
+  });
+
+  const invalidate = () => {
+    ["trash", "jobs", "candidates", "candidates-kanban", "recent-candidates", "recent-assessments"].forEach((key) =>
+      queryClient.invalidateQueries({ queryKey: [key] })
+    );
+  };
+
+  const restoreMutation = useMutation({
+    mutationFn: ({ type, record }) => restoreFromTrash(type, record.id),
+    onSuccess: (_, { type, record }) => {
+      invalidate();
+      toast({
+        title: `${TYPE_CONFIG[type].label} restored`,
+        description: TYPE_CONFIG[type].title(record),
+      });
+    },
+    onError: (error) => {
+      toast({ title: "Failed to restore", description: error.message, variant: "destructive" });
+    },
+  });
+
+  const purgeMutation = useMutation({
+    mutationFn: ({ type, record }) => purgeFromTrash(type, record.id),
+    onSuccess: (_, { type, record }) => {
+      invalidate();
+      toast({
+        title: `${TYPE_CONFIG[type].label} deleted permanently`,
+        description: TYPE_CONFIG[type].title(record),
+      });
+    },
+    onError: (error) => {
+      toast({ title: "Failed to delete", description: error.message, variant: "destructive" });
+    },
+  });
+
+  const isBusy = restoreMutation.isPending || purgeMutation.isPending;
+
+  return (
+    <div className="space-y-6">
+      <div>
+        <h1 className="text-3xl font-bold tracking-tight">Trash</h1>
+        <p className="text-muted-foreground">
+          Deleted items are kept for {TRASH_RETENTION_DAYS} days before they are removed permanently.
+          Restoring a job also restores the candidates and assessment deleted with it.
+        </p>
+      </div>
+
+      {isLoading ? (
+        <div className="flex items-center justify-center h-32">
+          <div className="animate-spin rounded-full h-8 w-8 border-t-2 border-b-2 border-primary"></div>
+        </div>
+      ) : items.length === 0 ? (
+        <Card>
+          <CardContent className="flex flex-col items-center justify-center py-16">
+            <Trash2 className="h-12 w-12 text-muted-foreground mb-4" />
+            <p className="text-muted-foreground">The trash is empty</p>
+          </CardContent>
+        </Card>
+      ) : (
+        <div className="space-y-3">
+          {items.map(({ type, record, purgeAt }) => {
+            const config = TYPE_CONFIG[type];
+            return (
+              <Card key={`${type}:${record.id}`}>
+                <CardContent className="flex items-center justify-between gap-4 py-4">
+                  <div className="flex items-center gap-3 min-w-0">
+                    <config.icon className="h-5 w-5 text-muted-foreground shrink-0" />
+                    <div className="min-w-0">
+                      <div className="flex items-center gap-2">
+                        <p className="font-medium truncate">{config.title(record)}</p>
+                        <Badge variant="outline">{config.label}</Badge>
+                      </div>
+                      <p className="text-sm text-muted-foreground">
+                        Deleted {new Date(record.deletedAt).toLocaleString()} · {formatTimeLeft(purgeAt)}
+                      </p>
+                    </div>
+                  </div>
+                  <div className="flex items-center gap-2 shrink-0">
+                    <Button
+                      variant="outline"
+                      size="sm"
+                      disabled={isBusy}
+                      onClick={() => restoreMutation.mutate({ type, record })}
+                    >
+                      <RotateCcw className="h-4 w-4 mr-2" />
+                      Restore
+                    </Button>
+                    <Button
+                      variant="ghost"
+                      size="sm"
+                      disabled={isBusy}
+                      className="text-red-600 hover:bg-red-50 hover:text-red-700"
+                      onClick={() => purgeMutation.mutate({ type, record })}
+                    >
+                      <Trash2 className="h-4 w-4 mr-2" />
+                      Delete forever
+                    </Button>
+                  </div>
+                </CardContent>
+              </Card>
+            );
+          })}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default Trash;
@@ -1,5 +1,22 @@
-// JSDoc type definitions for CandidateStage
-/** @typedef {'applied' | 'screen' | 'tech' | 'offer' | 'hired' | 'rejected'} CandidateStage */
+// JSDoc type definitions for pipelines, jobs and candidates
+
+/**
+ * @typedef {Object} PipelineStage
+ * @property {string} id - Stable id stored on candidates, e.g. 'screen'
+ * @property {string} name
+ * @property {string} color - Key of STAGE_COLORS in lib/pipelines
+ * @property {boolean} terminal - Candidates here have left the pipeline
+ * @property {boolean} rejection - Terminal stage for rejected candidates
+ */
+
+/**
+ * @typedef {Object} Pipeline
+ * @property {string} id
+ * @property {string} name
+ * @property {PipelineStage[]} stages - In order
+ */
+
+/** @typedef {string} CandidateStage - A stage id from the job's pipeline */
 
 /**
  * @typedef {Object} Job
@@ -11,6 +28,7 @@
  * @property {string} experience
  * @property {string} salary
  * @property {string} postedDate
+ * @property {string} pipelineId - Pipeline its candidates move through
  */
 
 /**
@@ -25,12 +43,19 @@
  * @property {string[]} skills
  * @property {CandidateStage} stage
  * @property {string} appliedDate
- * @property {string} lastUpdated
+ * @property {string} createdAt
+ * @property {string} updatedAt
  * @property {string} avatar
  * @property {string} currentRole
  * @property {string} noticePeriod
  * @property {string} salaryExpectation
  * @property {string} jobId
+ * @property {number|null} rating
+ * @property {string} source
+ * @property {string} [owner] - Recruiter the candidate is assigned to
+ * @property {string} rank - Fractional position within its kanban column, see src/lib/ranking.js
+ * @property {string} notes
+ * @property {string[]} tags
  * @property {Job} [job]
  */
 